@@ -26,6 +26,7 @@ module.exports = {
     polyfills: [
       'Number.isFinite',
       'Object.assign',
+      'Promise',
       'URL',
     ],
   },
@@ -5,46 +5,77 @@
 
 import {
   add as addToDate,
+  differenceInCalendarDays,
   endOfDay,
   isBefore as isDateBefore,
+  set as setTime,
   startOfDay,
 } from 'date-fns';
+import _ from 'lodash';
 
 import '../styles/reset.css';
 import '../styles/main.css';
 import MenuIcon from '../images/menu.svg';
 import AppOptionsIcon from '../images/app-options.svg';
 import AddIcon from '../images/add.svg';
+import ArchiveIcon from '../images/archive.svg';
+import ChartIcon from '../images/chart.svg';
 import DeleteIcon from '../images/delete.svg';
 import DoneIcon from '../images/done.svg';
 import EditIcon from '../images/edit.svg';
 import GroupIcon from '../images/group.svg';
 import MoreIcon from '../images/more.svg';
 import OrderIcon from '../images/order.svg';
+import ProjectIcon from '../images/project.svg';
 import SaveIcon from '../images/save.svg';
 import SettingsIcon from '../images/settings.svg';
 import SortIcon from '../images/sort.svg';
+import TodayIcon from '../images/today.svg';
 import InfoIcon from '../images/info.svg';
 
 import AppInfo from './appInfo';
 import AddProjectModal from './modals/addProjectModal';
 import AddTaskModal from './modals/addTaskModal';
+import CommandHistory from './commandHistory';
 import ConfirmModal from './modals/confirmModal';
 import DataModal from './modals/dataModal';
 import FilterMenu from './filterMenu';
+import ImportPreviewModal from './modals/importPreviewModal';
 import InfoModal from './modals/infoModal';
 import ModalStack from './modalStack';
 import PopupMenu from './popupMenu';
 import Project from './project';
 import ProjectList from './projectList';
+import ProjectStatsModal from './modals/projectStatsModal';
+import ReminderScheduler from './reminderScheduler';
+import SavedFilterModal from './modals/savedFilterModal';
 import Settings from './settings';
 import SettingsModal from './modals/settingsModal';
 import Task from './task';
 import TaskDisplay from './taskDisplay';
 import TaskList from './taskList';
+import TaskQuery from './taskQuery';
+import TaskReport from './taskReport';
+import {
+  convertMicrosoftToDoJson,
+  convertTodoistCsv,
+  convertTrelloJson,
+  isMicrosoftToDoJson,
+  isTodoistCsv,
+  isTrelloJson,
+} from './utility/appImport';
+import { parseCalendar } from './utility/calendar';
 import { compareVersions } from './utility/data';
 import { formatDate } from './utility/dates';
 import { createImageButton, createParagraphs } from './utility/dom';
+import {
+  clearData as clearDatabase,
+  forEachDataItem as forEachDatabaseItem,
+  isIndexedDbSupported,
+  removeData as removeDatabaseData,
+  storeData as storeDatabaseData,
+  storeDataItems as storeDatabaseItems,
+} from './utility/indexedDb';
 import {
   clearData,
   forEachDataItem,
@@ -55,10 +86,13 @@ import {
   retrieveData,
   storeData,
 } from './utility/storage';
+import { parseTodoTxt } from './utility/todoTxt';
 
 const ICON_WIDTH = 24;
 const ICON_HEIGHT = 24;
 const NARROW_LAYOUT_CUTOFF = 700;
+const TAG_PREFIX = 'tag:';
+const SNACKBAR_DURATION = 6000;
 
 /**
  * Object holding private members for the [App]{@link module:app~App} class.
@@ -72,9 +106,15 @@ const NARROW_LAYOUT_CUTOFF = 700;
  *   in the side panel.
  * @property {module:filterMenu~FilterMenu~filterInfo} currentFilter Holds the
  *   task filter that is currently being displayed in the main panel.
+ * @property {string} searchQuery Holds the text entered in the search box.
+ *   Only tasks matching the query are shown in the main panel.
  * @property {module:taskDisplay~TaskDisplay} taskDisplay Holds the task
  *   display panel.
  * @property {module:settings~Settings} settings Holds user app settings.
+ * @property {module:commandHistory~CommandHistory} history Records changes to
+ *   tasks, projects, and settings so that they can be undone.
+ * @property {module:reminderScheduler~ReminderScheduler} reminders Shows
+ *   reminders for upcoming tasks.
  * @property {module:popupMenu~PopupMenu} mainPanelMenu The popup menu that is
  *   shown when the user clicks the 'more' button in the main panel.
  * @property {Object} elements An object holding references to the page
@@ -91,13 +131,35 @@ const NARROW_LAYOUT_CUTOFF = 700;
  *   button in the header.
  * @property {HTMLElement} elements.appOptionsButton Holds a reference to the
  *   app options button in the header.
+ * @property {HTMLElement} elements.searchInput Holds a reference to the search
+ *   box in the header.
  * @property {HTMLElement} elements.addTaskButton Holds a reference to the
  *   button in the main panel that adds a new task.
  * @property {HTMLElement} elements.mainPanelMenuButton Holds a reference to
  *   the main panel menu button.
+ * @property {HTMLElement} elements.snackbar Holds a reference to the snackbar
+ *   that briefly shows messages at the bottom of the screen.
+ * @property {Object} snackbar An object holding the state of the snackbar.
+ * @property {?Function} snackbar.action The function to invoke when the
+ *   snackbar button is clicked, if any.
+ * @property {?number} snackbar.timeoutId The identifier of the timeout that
+ *   will hide the snackbar, if it is shown.
  * @property {boolean} narrowScreen Indicates whether the screen size is
  *   narrow. This should be true when the viewport width is less than or equal
  *   to NARROW_LAYOUT_CUTOFF.
+ * @property {boolean} databaseSupported Indicates whether the browser's
+ *   IndexedDB database can be used for storage.
+ * @property {?string} storage The storage area in use: 'indexeddb', 'local',
+ *   or 'none'. This is usually the storage method chosen in the settings, but
+ *   is 'none' if the chosen storage area cannot be used. It is null until the
+ *   stored data has been found, and while data is being moved to a new
+ *   storage area.
+ * @property {Array[]} pendingStorage The changes made while the storage area
+ *   was not known, as pairs holding the type of data and the event object.
+ * @property {boolean} loadingData Indicates whether data is being loaded from
+ *   storage, in which case changes are not stored again.
+ * @property {boolean} storageWarningShown Indicates whether the user has been
+ *   told about a problem with storage during this session.
  */
 
 /**
@@ -110,14 +172,17 @@ const privateMembers = new WeakMap();
 /**
  * Get an object describing the filter criteria associated with a particular
  * task filter.
+ * @param {module:app~App} instance The class instance on which to apply the
+ *   function.
  * @param {string} group The identifier of the group that the filter belongs
  *   to.
  * @param {string} filter The identifier of the filter.
  * @returns {module:app~App~filterCriteria} An object describing the criteria
  *   that a task must meet in order to be included by the filter.
  */
-function getFilterCriteria(group, filter) {
-  const criteria = {};
+function getFilterCriteria(instance, group, filter) {
+  const privates = privateMembers.get(instance);
+  let criteria = {};
 
   switch (group) {
     case 'dates': {
@@ -142,16 +207,40 @@ function getFilterCriteria(group, filter) {
           break;
       }
       criteria.endDate = addToDate(todayEnd, duration);
+      criteria.hideArchived = !privates.settings.getFilterOptions('dates')
+        .showArchived;
       break;
     }
     case 'projects':
+    case 'archived':
       criteria.project = filter;
+      criteria.includeSubprojects = true;
+      break;
+    case 'tags':
+      // Tag filter identifiers are prefixed so they never clash with 'none'
+      criteria.tag = (filter === 'none') ? '' : filter.substring(TAG_PREFIX.length);
       break;
     case 'priorities': {
       const priority = Task.convertStringToPriority(filter);
       criteria.priority = priority;
+      criteria.hideArchived = !privates.settings
+        .getFilterOptions('priorities').showArchived;
+      break;
+    }
+    case 'saved': {
+      const savedFilter = privates.settings.getSavedFilter(filter);
+      if (savedFilter && TaskQuery.validate(savedFilter.query) === null) {
+        const query = new TaskQuery(savedFilter.query);
+        criteria = query.toCriteria({ projectList: privates.projects });
+      } else {
+        // A missing or malformed filter matches nothing
+        criteria.projects = [];
+      }
       break;
     }
+    case 'trash':
+      criteria.deleted = true;
+      break;
     default:
       break;
   }
@@ -212,7 +301,14 @@ function updateMainPanelMenu(instance) {
 
   const separator = { type: 'separator' };
   const {
-    groupBy, sortBy, groupDescending, sortDescending, showCompleted,
+    groupBy,
+    sortBy,
+    groupDescending,
+    sortDescending,
+    showCompleted,
+    showDeferred,
+    hideBlocked,
+    showArchived,
   } = filterOptions;
   const optionItems = [
     { label: 'Add Task...', id: 'add-task', icon: iconOptions(AddIcon) },
@@ -220,12 +316,56 @@ function updateMainPanelMenu(instance) {
     separator,
   ];
 
-  if (group === 'projects' && filter !== 'none') {
+  if (group === 'trash') {
+    optionItems.push({
+      label: 'Empty Trash...',
+      id: 'empty-trash',
+      icon: iconOptions(DeleteIcon),
+    });
+  } else if (group === 'saved') {
+    optionItems.push({
+      label: 'Edit Saved Filter...',
+      id: 'edit-saved-filter',
+      icon: iconOptions(EditIcon),
+    });
+    optionItems.push({
+      label: 'Delete Saved Filter...',
+      id: 'delete-saved-filter',
+      icon: iconOptions(DeleteIcon),
+    });
+  } else if (privates.searchQuery.trim()) {
+    optionItems.push({
+      label: 'Save Search as Filter...',
+      id: 'save-search',
+      icon: iconOptions(SaveIcon),
+    });
+  }
+
+  const isProjectGroup = group === 'projects' || group === 'archived';
+  if (isProjectGroup && filter !== 'none') {
+    const project = privates.projects.getProject(filter);
+    if (!project.archived) {
+      optionItems.push({
+        label: 'Add Subproject...',
+        id: 'add-subproject',
+        icon: iconOptions(AddIcon),
+      });
+    }
+    optionItems.push({
+      label: project.archived ? 'Unarchive Project' : 'Archive Project',
+      id: project.archived ? 'unarchive-project' : 'archive-project',
+      icon: iconOptions(ArchiveIcon),
+    });
     optionItems.push({
       label: 'Edit Project...',
       id: 'edit-project',
       icon: iconOptions(EditIcon),
     });
+    optionItems.push({
+      label: 'Project Statistics...',
+      id: 'project-stats',
+      icon: iconOptions(ChartIcon),
+    });
     optionItems.push({
       label: 'Delete Project...',
       id: 'delete-project',
@@ -233,15 +373,41 @@ function updateMainPanelMenu(instance) {
     });
   }
 
-  if (group !== 'dates' || filter !== 'past-due') {
+  // Everything in the trash is always shown
+  if (group !== 'trash') {
+    if (group !== 'dates' || filter !== 'past-due') {
+      optionItems.push({
+        label: 'Show Completed Tasks',
+        id: 'toggle-completed',
+        checked: showCompleted,
+        icon: iconOptions(DoneIcon),
+      });
+    }
+
+    optionItems.push({
+      label: 'Show Deferred Tasks',
+      id: 'toggle-deferred',
+      checked: showDeferred,
+      icon: iconOptions(TodayIcon),
+    });
+
     optionItems.push({
-      label: 'Show Completed Tasks',
-      id: 'toggle-completed',
-      checked: showCompleted,
+      label: 'Hide Blocked Tasks',
+      id: 'toggle-blocked',
+      checked: hideBlocked,
       icon: iconOptions(DoneIcon),
     });
   }
 
+  if (group === 'dates' || group === 'priorities') {
+    optionItems.push({
+      label: 'Show Archived Projects',
+      id: 'toggle-archived',
+      checked: showArchived,
+      icon: iconOptions(ProjectIcon),
+    });
+  }
+
   if (groupBy !== 'none') {
     optionItems.push({
       label: 'Group Descending',
@@ -306,7 +472,10 @@ function updateMainPanelMenu(instance) {
     },
   ];
 
-  if (group !== 'projects') {
+  // Tasks in a project may still belong to different subprojects
+  const hasSubprojects = isProjectGroup && filter !== 'none'
+    && privates.projects.getChildren(filter).length > 0;
+  if (!isProjectGroup || hasSubprojects) {
     groupByItems.push({
       label: 'Group by Project',
       id: 'group-by-project',
@@ -321,6 +490,21 @@ function updateMainPanelMenu(instance) {
     });
   }
 
+  if (group !== 'tags') {
+    groupByItems.push({
+      label: 'Group by Tag',
+      id: 'group-by-tag',
+      checked: groupBy === 'tag',
+      icon: iconOptions(GroupIcon),
+    });
+    sortByItems.push({
+      label: 'Sort by Tag',
+      id: 'sort-by-tag',
+      checked: sortBy === 'tag',
+      icon: iconOptions(SortIcon),
+    });
+  }
+
   if (group !== 'priorities') {
     groupByItems.push({
       label: 'Group by Priority',
@@ -365,31 +549,49 @@ function updateMainHeading(heading, subheading) {
 }
 
 /**
- * Refresh the main panel.
+ * Determine the heading and the task display options for the currently
+ * selected filter.
  * @param {module:app~App} instance The class instance on which to apply the
  *   function.
  * @param {Object} [options={}] An object holding options for the main panel.
  * @param {boolean} [options.resetScroll=true] If set to true (the default),
  *   then the panel's scroll position will be reset back to the top. Otherwise
  *   the scroll position will not be changed.
+ * @returns {Object} An object whose heading and subheading properties hold
+ *   the heading text (the subheading may be null), and whose displayOptions
+ *   property holds the
+ *   [updateOptions]{@link module:taskDisplay~TaskDisplay~updateOptions} for
+ *   the task display.
  */
-function updateMainPanel(instance, options = {}) {
+function getMainPanelView(instance, options = {}) {
   const privates = privateMembers.get(instance);
   const { group, filter } = privates.currentFilter;
 
   let heading = null;
   let subheading = null;
 
-  const filterCriteria = getFilterCriteria(group, filter);
+  const filterCriteria = getFilterCriteria(instance, group, filter);
+  const search = [filterCriteria.search, privates.searchQuery]
+    .filter(Boolean).join(' ');
   const displayOptions = {
+    startDate: filterCriteria.startDate,
     endDate: filterCriteria.endDate,
     groupBy: 'due-date',
     sortBy: 'create-date',
     priority: filterCriteria.priority,
+    minPriority: filterCriteria.minPriority,
+    maxPriority: filterCriteria.maxPriority,
     project: filterCriteria.project,
+    includeSubprojects: filterCriteria.includeSubprojects,
+    hideArchived: filterCriteria.hideArchived,
+    projects: filterCriteria.projects,
+    tag: filterCriteria.tag,
     requireDueDate: filterCriteria.requireDueDate,
+    deleted: filterCriteria.deleted,
+    search,
     resetScroll: options.resetScroll ?? true,
     dateFormat: privates.settings.dateFormat,
+    timeFormat: privates.settings.timeFormat,
   };
   let hideCompletedTasks = false;
   let filterOptions;
@@ -426,21 +628,44 @@ function updateMainPanel(instance, options = {}) {
       break;
     }
     case 'projects':
-      filterOptions = privates.settings.getFilterOptions('projects');
+    case 'archived':
+      filterOptions = privates.settings.getFilterOptions(group);
       if (filter === 'none') {
         heading = 'Uncategorized';
       } else {
         const project = privates.projects.getProject(filter);
-        heading = project.name;
+        heading = project.icon ? `${project.icon} ${project.name}` : project.name;
         subheading = project.description || null;
       }
       break;
+    case 'tags':
+      filterOptions = privates.settings.getFilterOptions('tags');
+      heading = filterCriteria.tag || 'Untagged';
+      break;
     case 'priorities': {
       filterOptions = privates.settings.getFilterOptions('priorities');
       const priority = Task.convertStringToPriority(filter);
       heading = `${Task.convertPriorityToPrettyString(priority)} Priority`;
       break;
     }
+    case 'saved': {
+      filterOptions = privates.settings.getFilterOptions('saved');
+      const savedFilter = privates.settings.getSavedFilter(filter);
+      heading = savedFilter?.name ?? 'Saved Filter';
+      subheading = savedFilter?.query ?? null;
+      break;
+    }
+    case 'trash': {
+      filterOptions = privates.settings.getFilterOptions('trash');
+      heading = 'Trash';
+      displayOptions.groupBy = 'none';
+      const { trashRetention } = privates.settings;
+      if (trashRetention !== null) {
+        const days = (trashRetention === 1) ? 'day' : 'days';
+        subheading = `Items in the trash are permanently deleted after ${trashRetention} ${days}`;
+      }
+      break;
+    }
     case 'default':
     default:
       filterOptions = privates.settings.getFilterOptions('default');
@@ -456,12 +681,46 @@ function updateMainPanel(instance, options = {}) {
     displayOptions.sortBy = filterOptions.sortBy;
   }
 
-  displayOptions.completed = hideCompletedTasks
-    ? false : filterOptions.showCompleted;
+  // Saved filter queries can override the display options
+  if (group === 'trash') {
+    displayOptions.completed = true;
+    displayOptions.deferred = true;
+    displayOptions.hideBlocked = false;
+  } else {
+    displayOptions.completed = hideCompletedTasks
+      ? false : filterCriteria.completed ?? filterOptions.showCompleted;
+    displayOptions.deferred = filterCriteria.deferred
+      ?? filterOptions.showDeferred;
+    displayOptions.hideBlocked = filterCriteria.hideBlocked
+      ?? filterOptions.hideBlocked;
+  }
   displayOptions.groupDescending = filterOptions.groupDescending;
   displayOptions.sortDescending = filterOptions.sortDescending;
   displayOptions.missingLast = true;
 
+  if (privates.searchQuery.trim()) {
+    subheading = `Search results for "${privates.searchQuery.trim()}"`;
+  }
+
+  return { heading, subheading, displayOptions };
+}
+
+/**
+ * Refresh the main panel.
+ * @param {module:app~App} instance The class instance on which to apply the
+ *   function.
+ * @param {Object} [options={}] An object holding options for the main panel.
+ * @param {boolean} [options.resetScroll=true] If set to true (the default),
+ *   then the panel's scroll position will be reset back to the top. Otherwise
+ *   the scroll position will not be changed.
+ */
+function updateMainPanel(instance, options = {}) {
+  const privates = privateMembers.get(instance);
+  const { heading, subheading, displayOptions } = getMainPanelView(
+    instance,
+    options,
+  );
+
   updateMainHeading(heading, subheading);
   privates.taskDisplay.update(displayOptions);
 
@@ -469,7 +728,7 @@ function updateMainPanel(instance, options = {}) {
 }
 
 /**
- * Refresh the list of projects in the filter menu.
+ * Refresh the lists of active and archived projects in the filter menu.
  * @param {module:app~App} instance The class instance on which to apply the
  *   function.
  */
@@ -478,46 +737,157 @@ function updateProjectFilters(instance) {
   const selection = privates.filterMenu.getSelection();
 
   privates.filterMenu.removeAllFilters('projects');
+  privates.filterMenu.removeAllFilters('archived');
   privates.filterMenu.addFilter('projects', 'none', 'Uncategorized');
-  privates.projects.forEach((entry) => {
-    privates.filterMenu.addFilter('projects', entry.id, entry.project.name);
+  const addedGroups = new Map();
+  privates.projects.forEachInHierarchy(({ id, project }) => {
+    if (privates.projects.isInTrash(id)) return;
+    const group = project.archived ? 'archived' : 'projects';
+    const sameGroup = addedGroups.get(project.parent) === group;
+    privates.filterMenu.addFilter(group, id, project.name, {
+      parent: sameGroup ? project.parent : null,
+      color: project.color,
+      icon: project.icon,
+    });
+    addedGroups.set(id, group);
   });
 
-  // Restore selection
-  if (selection.group === 'projects') {
+  // Restore selection, following a project that was archived or unarchived
+  if (selection.group === 'projects' || selection.group === 'archived') {
     const { filter } = selection;
     if (privates.filterMenu.hasFilter('projects', filter)) {
       privates.filterMenu.selectFilter('projects', filter);
+    } else if (privates.filterMenu.hasFilter('archived', filter)) {
+      privates.filterMenu.selectFilter('archived', filter);
     } else {
       privates.filterMenu.selectFilter('projects', 'none');
     }
   }
 }
 
+/**
+ * Refresh the list of tags in the filter menu.
+ * @param {module:app~App} instance The class instance on which to apply the
+ *   function.
+ */
+function updateTagFilters(instance) {
+  const privates = privateMembers.get(instance);
+  const selection = privates.filterMenu.getSelection();
+
+  privates.filterMenu.removeAllFilters('tags');
+  privates.filterMenu.addFilter('tags', 'none', 'Untagged');
+  privates.tasks.getTags().forEach((tag) => {
+    privates.filterMenu.addFilter('tags', `${TAG_PREFIX}${tag}`, tag);
+  });
+
+  // Restore selection
+  if (selection.group === 'tags') {
+    const { filter } = selection;
+    if (privates.filterMenu.hasFilter('tags', filter)) {
+      privates.filterMenu.selectFilter('tags', filter);
+    } else {
+      privates.filterMenu.selectFilter('tags', 'none');
+    }
+  }
+}
+
+/**
+ * Refresh the list of saved filters in the filter menu.
+ * @param {module:app~App} instance The class instance on which to apply the
+ *   function.
+ */
+function updateSavedFilters(instance) {
+  const privates = privateMembers.get(instance);
+  const selection = privates.filterMenu.getSelection();
+
+  privates.filterMenu.removeAllFilters('saved');
+  privates.settings.savedFilters.forEach(({ id, name }) => {
+    privates.filterMenu.addFilter('saved', id, name);
+  });
+
+  // Restore selection
+  if (selection.group === 'saved') {
+    const { filter } = selection;
+    if (privates.filterMenu.hasFilter('saved', filter)) {
+      privates.filterMenu.selectFilter('saved', filter);
+    } else {
+      privates.filterMenu.selectFilter('default', 'all');
+    }
+  }
+}
+
 /**
  * Update the item counts for the filters in the filter menu.
  * @param {module:app~App} instance The [App]{@link module:app~App} instance on
  *   which to run the function.
  */
 function updateFilterCounts(instance) {
-  const { filterMenu, tasks } = privateMembers.get(instance);
+  const { filterMenu, tasks, projects } = privateMembers.get(instance);
   filterMenu.filters().forEach(({ group, filter }) => {
-    const criteria = getFilterCriteria(group, filter);
+    const criteria = getFilterCriteria(instance, group, filter);
+    criteria.projectList = projects;
     filterMenu.setItemCount(group, filter, tasks.count(criteria));
   });
 }
 
 /**
  * Update the filter information in the filter menu. This includes updating the
- * listed projects as well as the task counts for each filter.
+ * listed projects and tags as well as the task counts for each filter.
  * @param {module:app~App} instance The [App]{@link module:app~App} instance on
  *   which to run the function.
  */
 function updateFilters(instance) {
   updateProjectFilters(instance);
+  updateTagFilters(instance);
+  updateSavedFilters(instance);
   updateFilterCounts(instance);
 }
 
+/**
+ * Get the criteria for the tasks to include in an export.
+ * @param {module:app~App} instance The [App]{@link module:app~App} instance
+ *   whose data is to be exported.
+ * @param {module:exportModal~ExportModal~scope} [scope] An object describing
+ *   which tasks to export.
+ * @returns {?module:app~App~filterCriteria} The criteria that the exported
+ *   tasks must meet, or null if all tasks are to be exported.
+ */
+function getExportCriteria(instance, scope) {
+  if (!scope || (scope.type === 'all' && !scope.dateField && scope.completed)) {
+    return null;
+  }
+
+  let criteria = {};
+  if (scope.type === 'view') {
+    criteria = { ...getMainPanelView(instance).displayOptions };
+  } else if (scope.type === 'projects') {
+    criteria.projects = scope.projects;
+  }
+  criteria.completed = scope.completed && (criteria.completed ?? true);
+  criteria.deferred ??= true;
+
+  const rangeStart = scope.startDate ? startOfDay(scope.startDate) : null;
+  const rangeEnd = scope.endDate ? endOfDay(scope.endDate) : null;
+  if (scope.dateField === 'due') {
+    // Keep the narrower bounds if the current view has a date range too
+    if (rangeStart && !(criteria.startDate
+      && isDateBefore(rangeStart, criteria.startDate))) {
+      criteria.startDate = rangeStart;
+    }
+    if (rangeEnd && !(criteria.endDate
+      && isDateBefore(criteria.endDate, rangeEnd))) {
+      criteria.endDate = rangeEnd;
+    }
+    criteria.requireDueDate = true;
+  } else if (scope.dateField === 'completion') {
+    criteria.completionStartDate = rangeStart ?? undefined;
+    criteria.completionEndDate = rangeEnd ?? undefined;
+    criteria.completed = true;
+  }
+
+  return criteria;
+}
+
 /**
  * Export app data to a JSON file.
  * @param {module:app~App} instance The [App]{@link module:app~App} instance
@@ -525,9 +895,40 @@ function updateFilters(instance) {
  * @param {Object} [options={}] An object holding additional file options.
  * @param {string} [options.newlineSequence] The character sequence to use for
  *   newlines.
+ * @param {module:app~App~filterCriteria} [options.criteria] If provided,
+ *   only the tasks matching these criteria are exported.
  */
 function exportToJson(instance, options = {}) {
-  let output = `${JSON.stringify(instance, null, 2)}\n`;
+  let data = instance;
+  if (options.criteria) {
+    // Only include the projects that the exported tasks belong to
+    const { tasks, projects } = privateMembers.get(instance);
+    const entries = tasks.entries({
+      ...options.criteria,
+      projectList: projects,
+    });
+    const projectIds = new Set();
+    entries.forEach(({ task }) => {
+      if (task.project) {
+        projectIds.add(task.project);
+        projects.getAncestors(task.project).forEach((id) => projectIds.add(id));
+      }
+    });
+
+    data = {
+      app: {
+        name: AppInfo.name,
+        version: AppInfo.version,
+      },
+      tasks: entries.map(({ id, task }) => {
+        const copy = _.cloneDeep(task);
+        copy.id = id;
+        return copy;
+      }),
+      projects: projects.toJSON().filter(({ id }) => projectIds.has(id)),
+    };
+  }
+  let output = `${JSON.stringify(data, null, 2)}\n`;
 
   if (options.newlineSequence) {
     output = output.replace(/\n/g, options.newlineSequence);
@@ -547,12 +948,15 @@ function exportToJson(instance, options = {}) {
  * @param {Object} [options={}] An object holding additional file options.
  * @param {string} [options.newlineSequence] The character sequence to use for
  *   newlines.
+ * @param {module:app~App~filterCriteria} [options.criteria] If provided,
+ *   only the tasks matching these criteria are exported.
  */
 function exportToCsv(instance, options = {}) {
   const { tasks, projects } = privateMembers.get(instance);
   const output = tasks.toCsv({
     newlineSequence: options.newlineSequence ?? '\r\n',
     projectList: projects,
+    criteria: options.criteria,
   });
 
   generateFile(
@@ -563,15 +967,145 @@ function exportToCsv(instance, options = {}) {
 }
 
 /**
- * Import app data from a string in JSON format.
- * @param {module:app~App} instance The [App]{@link module:app~App} instance in
- *   which to import the data.
+ * Export tasks to an iCalendar file.
+ * @param {module:app~App} instance The [App]{@link module:app~App} instance
+ *   whose data is to be exported.
+ * @param {Object} [options={}] An object holding additional file options.
+ * @param {string} [options.newlineSequence] The character sequence to use for
+ *   newlines.
+ * @param {module:app~App~filterCriteria} [options.criteria] If provided,
+ *   only the tasks matching these criteria are exported.
+ */
+function exportToICalendar(instance, options = {}) {
+  const { tasks, projects } = privateMembers.get(instance);
+  const output = tasks.toICalendar({
+    newlineSequence: options.newlineSequence ?? '\r\n',
+    projectList: projects,
+    productId: `-//${AppInfo.author}//${AppInfo.name} ${AppInfo.version}//EN`,
+    criteria: options.criteria,
+  });
+
+  generateFile(
+    output,
+    'tasks.ics',
+    'text/calendar',
+  );
+}
+
+/**
+ * Export tasks to a todo.txt file.
+ * @param {module:app~App} instance The [App]{@link module:app~App} instance
+ *   whose data is to be exported.
+ * @param {Object} [options={}] An object holding additional file options.
+ * @param {string} [options.newlineSequence] The character sequence to use for
+ *   newlines.
+ * @param {module:app~App~filterCriteria} [options.criteria] If provided,
+ *   only the tasks matching these criteria are exported.
+ */
+function exportToTodoTxt(instance, options = {}) {
+  const { tasks, projects } = privateMembers.get(instance);
+  const output = tasks.toTodoTxt({
+    newlineSequence: options.newlineSequence ?? '\n',
+    projectList: projects,
+    criteria: options.criteria,
+  });
+
+  generateFile(
+    output,
+    'todo.txt',
+    'text/plain',
+  );
+}
+
+/**
+ * Export the tasks in the current view to a Markdown report, grouped and
+ * sorted as they are displayed.
+ * @param {module:app~App} instance The [App]{@link module:app~App} instance
+ *   whose data is to be exported.
+ * @param {Object} [options={}] An object holding additional file options.
+ * @param {string} [options.newlineSequence] The character sequence to use for
+ *   newlines.
+ */
+function exportToMarkdown(instance, options = {}) {
+  const { tasks, projects } = privateMembers.get(instance);
+  const { heading, subheading, displayOptions } = getMainPanelView(instance);
+  const report = new TaskReport(tasks, projects, {
+    ...displayOptions,
+    title: heading,
+    subtitle: subheading,
+  });
+
+  generateFile(
+    report.toMarkdown({ newlineSequence: options.newlineSequence ?? '\n' }),
+    'tasks.md',
+    'text/markdown',
+  );
+}
+
+/**
+ * Export the tasks in the current view to a standalone HTML report suitable
+ * for printing, grouped and sorted as they are displayed.
+ * @param {module:app~App} instance The [App]{@link module:app~App} instance
+ *   whose data is to be exported.
+ * @param {Object} [options={}] An object holding additional file options.
+ * @param {string} [options.newlineSequence] The character sequence to use for
+ *   newlines.
+ */
+function exportToHtml(instance, options = {}) {
+  const { tasks, projects } = privateMembers.get(instance);
+  const { heading, subheading, displayOptions } = getMainPanelView(instance);
+  const report = new TaskReport(tasks, projects, {
+    ...displayOptions,
+    title: heading,
+    subtitle: subheading,
+  });
+
+  generateFile(
+    report.toHtml({ newlineSequence: options.newlineSequence ?? '\n' }),
+    'tasks.html',
+    'text/html',
+  );
+}
+
+/**
+ * Import tasks and projects that were converted from the data of another app.
+ * @param {module:app~App~importTarget} target The containers in which to
+ *   import the data.
+ * @param {string} format The format of the original data.
+ * @param {module:appImport~conversion} conversion The converted data.
+ * @returns {module:app~App~importStatus} An object holding information about
+ *   the status of the import.
+ */
+function importConvertedData(target, format, conversion) {
+  const projectResult = target.projects.importFromJson(conversion.projects);
+  const taskResult = target.tasks.importFromJson(
+    conversion.tasks,
+    { projectList: target.projects },
+  );
+
+  return {
+    successful: true,
+    format,
+    tasks: taskResult.tasks,
+    projects: projectResult.projects,
+    errors: [
+      ...conversion.errors,
+      ...projectResult.errors,
+      ...taskResult.errors,
+    ],
+  };
+}
+
+/**
+ * Import app data from a string in JSON format. Board exports from Trello and
+ * task lists from Microsoft To Do or Outlook are also recognized.
+ * @param {module:app~App~importTarget} target The containers in which to
+ *   import the data.
  * @param {string} data The app data in JSON format.
  * @returns {module:app~App~importStatus} An object holding information about
  *   the status of the import.
  */
-function importFromJson(instance, data) {
-  const privates = privateMembers.get(instance);
+function importFromJson(target, data) {
   const taskCounts = {
     added: 0,
     updated: 0,
@@ -582,12 +1116,26 @@ function importFromJson(instance, data) {
   const errors = [];
 
   try {
+    const parsedData = JSON.parse(data);
+    const conversionOptions = { projectList: target.projects };
+    if (isTrelloJson(parsedData)) {
+      const conversion = convertTrelloJson(parsedData, conversionOptions);
+      return importConvertedData(target, 'trello', conversion);
+    }
+    if (isMicrosoftToDoJson(parsedData)) {
+      const conversion = convertMicrosoftToDoJson(
+        parsedData,
+        conversionOptions,
+      );
+      return importConvertedData(target, 'microsoft-to-do', conversion);
+    }
+
     const {
       app,
       settings,
       tasks,
       projects,
-    } = JSON.parse(data);
+    } = parsedData;
 
     if (app?.name !== AppInfo.name || app?.version == null) {
       errors.push('Warning: Imported data does not follow the expected schema. The data may have been created by a different application, or may have been altered.');
@@ -596,19 +1144,23 @@ function importFromJson(instance, data) {
     }
 
     if (settings != null) {
-      const result = privates.settings.importFromJson(settings);
+      // The storage method depends on the browser, so it is not imported
+      const result = target.settings.importFromJson({
+        ...settings,
+        storageMethod: target.settings.storageMethod,
+      });
       errors.push(...result.errors);
     }
 
     if (projects != null) {
-      const result = privates.projects.importFromJson(projects);
+      const result = target.projects.importFromJson(projects);
       Object.assign(projectCounts, result.projects);
       errors.push(...result.errors);
     }
 
     if (tasks != null) {
-      const result = privates.tasks.importFromJson(tasks, {
-        projectList: privates.projects,
+      const result = target.tasks.importFromJson(tasks, {
+        projectList: target.projects,
       });
       Object.assign(taskCounts, result.tasks);
       errors.push(...result.errors);
@@ -636,15 +1188,17 @@ function importFromJson(instance, data) {
 }
 
 /**
- * Import app data from a CSV string.
- * @param {module:app~App} instance The [App]{@link module:app~App} instance in
- *   which to import the data.
+ * Import app data from a CSV string. Project templates exported from Todoist
+ * are also recognized.
+ * @param {module:app~App~importTarget} target The containers in which to
+ *   import the data.
  * @param {string} data The app data in CSV format.
+ * @param {string} [name] The name of the file being imported. For Todoist
+ *   templates, this is used as the name of the project.
  * @returns {module:app~App~importStatus} An object holding information about
  *   the status of the import.
  */
-function importFromCsv(instance, data) {
-  const privates = privateMembers.get(instance);
+function importFromCsv(target, data, name) {
   const taskCounts = {
     added: 0,
     updated: 0,
@@ -655,15 +1209,23 @@ function importFromCsv(instance, data) {
   const errors = [];
 
   const parsedData = parseCsv(data);
+  if (isTodoistCsv(parsedData)) {
+    const conversion = convertTodoistCsv(parsedData, {
+      projectName: name?.replace(/\.[^.]*$/, '').trim() || null,
+      projectList: target.projects,
+    });
+    return importConvertedData(target, 'todoist', conversion);
+  }
+
   let result;
 
-  result = privates.projects.importFromCsv(parsedData);
+  result = target.projects.importFromCsv(parsedData);
   Object.assign(projectCounts, result.projects);
   errors.push(...result.errors);
 
-  result = privates.tasks.importFromCsv(
+  result = target.tasks.importFromCsv(
     parsedData,
-    { projectList: privates.projects },
+    { projectList: target.projects },
   );
   Object.assign(taskCounts, result.tasks);
   errors.push(...result.errors);
@@ -678,56 +1240,511 @@ function importFromCsv(instance, data) {
 }
 
 /**
- * Import app data from a file. This function will attempt to determine whether
- * the file is in JSON or CSV format, first using the file extension and,
- * failing that, by examining the contents.
- * @param {module:app~App} instance The [App]{@link module:app~App} instance in
- *   which to import the data.
- * @param {string} content The contents of the file being imported.
- * @param {string} [name] The name of the file being imported.
+ * Import tasks, along with the projects they belong to, from a string in
+ * iCalendar format.
+ * @param {module:app~App~importTarget} target The containers in which to
+ *   import the data.
+ * @param {string} data The task data in iCalendar format.
  * @returns {module:app~App~importStatus} An object holding information about
  *   the status of the import.
  */
-function importFromFile(instance, content, name) {
-  const fileExt = name ? getFileExtension(name).toLowerCase() : '';
-  switch (fileExt) {
-    case '.json': return importFromJson(instance, content);
-    case '.csv': return importFromCsv(instance, content);
-    default: {
-      let result = importFromJson(instance, content);
-      if (!result.successful) {
-        result = importFromCsv(instance, content);
-        if (!result.successful) {
-          const counts = {
-            added: 0,
-            updated: 0,
-            failed: 0,
-            total: 0,
-          };
-          return {
-            successful: false,
-            format: 'unknown',
-            tasks: { ...counts },
-            projects: { ...counts },
-            errors: ['Fatal Error: Unable to determine file format. Imported data must be in either JSON or CSV format.'],
-          };
-        }
-      }
-      return result;
-    }
-  }
-}
+function importFromICalendar(target, data) {
+  const taskCounts = {
+    added: 0,
+    updated: 0,
+    failed: 0,
+    total: 0,
+  };
+  const projectCounts = { ...taskCounts };
+  const errors = [];
 
-/**
- * Delete all user data.
- * @param {module:app~App} instance The class instance on which to apply the
- *   function.
- */
-function deleteAllData(instance) {
+  let parsedData;
+  try {
+    parsedData = parseCalendar(data);
+  } catch (e) {
+    if (e instanceof SyntaxError) {
+      return {
+        successful: false,
+        format: 'ical',
+        tasks: taskCounts,
+        projects: projectCounts,
+        errors: [`Fatal Error: ${e.message}`],
+      };
+    }
+    throw e;
+  }
+
+  let result = target.projects.importFromICalendar(parsedData);
+  Object.assign(projectCounts, result.projects);
+  errors.push(...result.errors);
+
+  result = target.tasks.importFromICalendar(
+    parsedData,
+    { projectList: target.projects },
+  );
+  Object.assign(taskCounts, result.tasks);
+  errors.push(...result.errors);
+
+  return {
+    successful: true,
+    format: 'ical',
+    tasks: taskCounts,
+    projects: projectCounts,
+    errors,
+  };
+}
+
+/**
+ * Import tasks, along with the projects they belong to, from a string in
+ * todo.txt format.
+ * @param {module:app~App~importTarget} target The containers in which to
+ *   import the data.
+ * @param {string} data The task data in todo.txt format.
+ * @returns {module:app~App~importStatus} An object holding information about
+ *   the status of the import.
+ */
+function importFromTodoTxt(target, data) {
+  const parsedData = parseTodoTxt(data);
+
+  const projectResult = target.projects.importFromTodoTxt(parsedData);
+  const taskResult = target.tasks.importFromTodoTxt(
+    parsedData,
+    { projectList: target.projects },
+  );
+
+  return {
+    successful: true,
+    format: 'todotxt',
+    tasks: taskResult.tasks,
+    projects: projectResult.projects,
+    errors: [...projectResult.errors, ...taskResult.errors],
+  };
+}
+
+/**
+ * Import tasks, along with the projects they belong to, from a spreadsheet
+ * whose columns have been assigned to task fields by the user.
+ * @param {module:app~App~importTarget} target The containers in which to
+ *   import the data.
+ * @param {string[][]} data The parsed CSV data, whose header holds the names
+ *   of the assigned task fields.
+ * @param {module:settings~Settings~dateFormat} dateFormat The format of the
+ *   dates in the data.
+ * @returns {module:app~App~importStatus} An object holding information about
+ *   the status of the import.
+ */
+function importFromSpreadsheet(target, data, dateFormat) {
+  const projectResult = target.projects.importFromCsv(data);
+  const taskResult = target.tasks.importFromCsv(data, {
+    projectList: target.projects,
+    dateFormat,
+  });
+
+  return {
+    successful: true,
+    format: 'csv',
+    tasks: taskResult.tasks,
+    projects: projectResult.projects,
+    errors: [...projectResult.errors, ...taskResult.errors],
+  };
+}
+
+/**
+ * Import app data from a file. This function will attempt to determine whether
+ * the file is in JSON, CSV, or iCalendar format, first using the file
+ * extension and, failing that, by examining the contents. Files in todo.txt
+ * format are only recognized by their '.txt' extension.
+ * @param {module:app~App~importTarget} target The containers in which to
+ *   import the data.
+ * @param {string} content The contents of the file being imported.
+ * @param {string} [name] The name of the file being imported.
+ * @returns {module:app~App~importStatus} An object holding information about
+ *   the status of the import.
+ */
+function importFromFile(target, content, name) {
+  const fileExt = name ? getFileExtension(name).toLowerCase() : '';
+  switch (fileExt) {
+    case '.json': return importFromJson(target, content);
+    case '.csv': return importFromCsv(target, content, name);
+    case '.ics': return importFromICalendar(target, content);
+    case '.txt': return importFromTodoTxt(target, content);
+    default: {
+      if (/^\s*BEGIN:VCALENDAR/i.test(content)) {
+        return importFromICalendar(target, content);
+      }
+
+      let result = importFromJson(target, content);
+      if (!result.successful) {
+        result = importFromCsv(target, content, name);
+        if (!result.successful) {
+          const counts = {
+            added: 0,
+            updated: 0,
+            failed: 0,
+            total: 0,
+          };
+          return {
+            successful: false,
+            format: 'unknown',
+            tasks: { ...counts },
+            projects: { ...counts },
+            errors: ['Fatal Error: Unable to determine file format. Imported data must be in JSON, CSV, or iCalendar format.'],
+          };
+        }
+      }
+      return result;
+    }
+  }
+}
+
+/**
+ * Create copies of the app containers in which data can be imported without
+ * affecting the app itself.
+ * @param {module:app~App} instance The class instance on which to apply the
+ *   function.
+ * @param {string} mode The import mode. If set to 'replace', then the copied
+ *   task and project containers are left empty, since all existing tasks and
+ *   projects would be removed by the import.
+ * @returns {module:app~App~importTarget} The copied containers.
+ */
+function createImportTarget(instance, mode) {
   const privates = privateMembers.get(instance);
-  privates.settings.resetToDefault();
+  const target = {
+    tasks: new TaskList(),
+    projects: new ProjectList(),
+    settings: new Settings(),
+  };
+
+  target.settings.importFromJson(privates.settings.toJSON());
+  if (mode !== 'replace') {
+    privates.projects.forEach(({ id, project }) => {
+      target.projects.addOrUpdateProject(id, project);
+    });
+    privates.tasks.forEach(({ id, task }) => {
+      target.tasks.addOrUpdateTask(id, task);
+    });
+  }
+
+  return target;
+}
+
+/**
+ * Find the fields that differ between two versions of an item.
+ * @param {Object} oldItem The existing version of the item.
+ * @param {Object} newItem The imported version of the item.
+ * @returns {Object[]} An array of objects describing the changed fields. Each
+ *   object holds the name of a field along with its old and new values, in
+ *   the form in which they would be serialized to JSON.
+ */
+function getFieldChanges(oldItem, newItem) {
+  const oldData = JSON.parse(JSON.stringify(oldItem));
+  const newData = JSON.parse(JSON.stringify(newItem));
+  return _.union(Object.keys(oldData), Object.keys(newData))
+    .filter((name) => !_.isEqual(oldData[name], newData[name]))
+    .map((name) => ({
+      name,
+      oldValue: oldData[name] ?? null,
+      newValue: newData[name] ?? null,
+    }));
+}
+
+/**
+ * Sort the items touched by an import according to how they would change the
+ * existing items.
+ * @param {Set} ids The identifiers of the items added or updated by the
+ *   import.
+ * @param {Function} getExisting A function that returns the existing item
+ *   with a given identifier, or undefined if there is none.
+ * @param {Function} getImported A function that returns the imported item
+ *   with a given identifier.
+ * @param {string} mode The import mode: 'merge', 'skip', or 'replace'.
+ * @returns {Object} An object holding arrays of
+ *   [changes]{@link module:app~App~importChange} under the properties added,
+ *   updated, unchanged, skipped, and removed. The removed array is left
+ *   empty.
+ */
+function getImportChanges(ids, getExisting, getImported, mode) {
+  const changes = {
+    added: [],
+    updated: [],
+    unchanged: [],
+    skipped: [],
+    removed: [],
+  };
+
+  ids.forEach((id) => {
+    const item = getImported(id);
+    const existing = getExisting(id);
+    if (!existing) {
+      changes.added.push({ id, name: item.name, fields: [] });
+      return;
+    }
+
+    const change = {
+      id,
+      name: item.name,
+      fields: getFieldChanges(existing, item),
+    };
+    if (mode === 'skip') {
+      changes.skipped.push(change);
+    } else if (change.fields.length > 0 || mode === 'replace') {
+      // Items are recreated when replacing, even if nothing has changed
+      changes.updated.push(change);
+    } else {
+      changes.unchanged.push(change);
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Perform a dry run of a data import, determining what would be added,
+ * updated, or rejected without changing any app data.
+ * @param {module:app~App} instance The class instance on which to apply the
+ *   function.
+ * @param {Function} runImport A function that performs the import. It will be
+ *   passed an [importTarget]{@link module:app~App~importTarget} and should
+ *   return an [importStatus]{@link module:app~App~importStatus}.
+ * @param {string} [mode=merge] The import mode: 'merge' to add new items and
+ *   update existing ones, 'skip' to only add new items, or 'replace' to
+ *   remove all existing tasks and projects first.
+ * @returns {module:app~App~importPreview} The changes that the import would
+ *   make.
+ */
+function previewImport(instance, runImport, mode = 'merge') {
+  const privates = privateMembers.get(instance);
+  const target = createImportTarget(instance, mode);
+
+  const taskIds = new Set();
+  const projectIds = new Set();
+  ['add-task', 'update-task'].forEach((type) => {
+    target.tasks.addEventListener(type, ({ id }) => taskIds.add(id));
+  });
+  ['add-project', 'update-project'].forEach((type) => {
+    target.projects.addEventListener(type, ({ id }) => projectIds.add(id));
+  });
+
+  const status = runImport(target);
+
+  const tasks = getImportChanges(
+    taskIds,
+    (id) => privates.tasks.getTask(id),
+    (id) => target.tasks.getTask(id),
+    mode,
+  );
+  const projects = getImportChanges(
+    projectIds,
+    (id) => privates.projects.getProject(id),
+    (id) => target.projects.getProject(id),
+    mode,
+  );
+  if (mode === 'replace') {
+    privates.tasks.forEach(({ id, task }) => {
+      if (!taskIds.has(id)) {
+        tasks.removed.push({ id, name: task.name, fields: [] });
+      }
+    });
+    privates.projects.forEach(({ id, project }) => {
+      if (!projectIds.has(id)) {
+        projects.removed.push({ id, name: project.name, fields: [] });
+      }
+    });
+  }
+
+  const settings = (mode === 'skip') ? [] : getFieldChanges(
+    privates.settings.toJSON(),
+    target.settings.toJSON(),
+  );
+
+  return {
+    mode,
+    status,
+    tasks,
+    projects,
+    settings,
+    target,
+  };
+}
+
+/**
+ * Apply the changes from a previewed data import to the app data. The changes
+ * are left uncommitted in the command history, so that the caller can record
+ * them as a single command.
+ * @param {module:app~App} instance The class instance on which to apply the
+ *   function.
+ * @param {module:app~App~importPreview} preview The preview of the import.
+ * @returns {module:app~App~importStatus} An object holding information about
+ *   the status of the import.
+ */
+function applyImport(instance, preview) {
+  const privates = privateMembers.get(instance);
+  const { target } = preview;
+
+  if (preview.mode === 'replace') {
+    privates.tasks.deleteAll();
+    privates.projects.deleteAll();
+  }
+
+  [...preview.projects.added, ...preview.projects.updated].forEach(({ id }) => {
+    privates.projects.addOrUpdateProject(id, target.projects.getProject(id));
+  });
+  [...preview.tasks.added, ...preview.tasks.updated].forEach(({ id }) => {
+    privates.tasks.addOrUpdateTask(id, target.tasks.getTask(id));
+  });
+  if (preview.settings.length > 0) {
+    privates.settings.importFromJson(target.settings.toJSON());
+  }
+
+  const countChanges = (changes, failed) => ({
+    added: changes.added.length,
+    updated: changes.updated.length,
+    failed,
+    total: changes.added.length + changes.updated.length + failed,
+  });
+  return {
+    successful: true,
+    format: preview.status.format,
+    tasks: countChanges(preview.tasks, preview.status.tasks.failed),
+    projects: countChanges(preview.projects, preview.status.projects.failed),
+    errors: preview.status.errors,
+  };
+}
+
+/**
+ * Hide the snackbar, if it is shown.
+ * @param {module:app~App} instance The class instance on which to apply the
+ *   function.
+ */
+function hideSnackbar(instance) {
+  const privates = privateMembers.get(instance);
+  privates.elements.snackbar.classList.add('closed');
+  if (privates.snackbar.timeoutId !== null) {
+    window.clearTimeout(privates.snackbar.timeoutId);
+  }
+  privates.snackbar.timeoutId = null;
+  privates.snackbar.action = null;
+}
+
+/**
+ * Briefly show a message in the snackbar at the bottom of the screen,
+ * replacing any message that is already shown.
+ * @param {module:app~App} instance The class instance on which to apply the
+ *   function.
+ * @param {string} message The message to display.
+ * @param {Object} [options={}] An object holding additional options.
+ * @param {string} [options.actionLabel] The label for a button shown next to
+ *   the message. If not given, no button is shown.
+ * @param {Function} [options.action] A callback function to be invoked when
+ *   the button is clicked.
+ */
+function showSnackbar(instance, message, options = {}) {
+  const privates = privateMembers.get(instance);
+  const { snackbar } = privates.elements;
+  hideSnackbar(instance);
+
+  snackbar.querySelector('.snackbar-message').textContent = message;
+  const button = snackbar.querySelector('.snackbar-button');
+  if (options.actionLabel) {
+    button.textContent = options.actionLabel;
+    button.classList.remove('closed');
+    privates.snackbar.action = options.action || null;
+  } else {
+    button.classList.add('closed');
+  }
+
+  snackbar.classList.remove('closed');
+  privates.snackbar.timeoutId = window.setTimeout(() => {
+    hideSnackbar(instance);
+  }, SNACKBAR_DURATION);
+}
+
+/**
+ * Undo the most recent change to the user data, or redo the most recently
+ * undone change. A message is shown in the snackbar with a button to reverse
+ * the operation.
+ * @param {module:app~App} instance The class instance on which to apply the
+ *   function.
+ * @param {string} [direction=undo] Either 'undo' or 'redo'.
+ */
+function stepHistory(instance, direction = 'undo') {
+  const privates = privateMembers.get(instance);
+  const redoing = direction === 'redo';
+  const label = redoing ? privates.history.redo() : privates.history.undo();
+  if (!label) return;
+
+  updateFilters(instance);
+  updateMainPanel(instance, { resetScroll: false });
+  showSnackbar(instance, `${redoing ? 'Redone' : 'Undone'}: ${label}`, {
+    actionLabel: redoing ? 'Undo' : 'Redo',
+    action: () => stepHistory(instance, redoing ? 'undo' : 'redo'),
+  });
+}
+
+/**
+ * Record the changes made by a user action in the command history so that
+ * they can be undone.
+ * @param {module:app~App} instance The class instance on which to apply the
+ *   function.
+ * @param {string} label A description of the action, such as 'Delete task'.
+ * @param {string} [message] A message to show in the snackbar, along with a
+ *   button to undo the action. This should be given for destructive actions.
+ */
+function commitCommand(instance, label, message) {
+  const privates = privateMembers.get(instance);
+  if (privates.history.commit(label) && message) {
+    showSnackbar(instance, message, {
+      actionLabel: 'Undo',
+      action: () => stepHistory(instance, 'undo'),
+    });
+  }
+}
+
+/**
+ * Permanently delete a project. Any tasks belonging to the project are left
+ * without a project, and any subprojects are moved to the project's parent.
+ * @param {module:app~App} instance The class instance on which to apply the
+ *   function.
+ * @param {string} id The unique identifier of the project to delete.
+ */
+function deleteProjectPermanently(instance, id) {
+  const { tasks, projects } = privateMembers.get(instance);
+  tasks.clearProject(id);
+  projects.deleteProject(id);
+}
+
+/**
+ * Permanently delete all tasks and projects in the trash.
+ * @param {module:app~App} instance The class instance on which to apply the
+ *   function.
+ */
+function emptyTrash(instance) {
+  const { tasks, projects } = privateMembers.get(instance);
+
+  const taskIds = [];
+  tasks.forEach(({ id, task }) => {
+    if (task.isInTrash()) taskIds.push(id);
+  });
+  taskIds.forEach((id) => tasks.deleteTask(id));
+
+  const projectIds = [];
+  projects.forEach(({ id, project }) => {
+    if (project.isInTrash()) projectIds.push(id);
+  });
+  projectIds.forEach((id) => deleteProjectPermanently(instance, id));
+}
+
+/**
+ * Delete all user data.
+ * @param {module:app~App} instance The class instance on which to apply the
+ *   function.
+ */
+function deleteAllData(instance) {
+  const privates = privateMembers.get(instance);
+  privates.settings.resetToDefault({ keepStorageMethod: true });
   privates.tasks.deleteAll();
   privates.projects.deleteAll();
+  commitCommand(instance, 'Delete all data', 'All data deleted.');
   updateFilters(instance);
   updateMainPanel(instance);
 }
@@ -765,6 +1782,8 @@ function showConfirmation(instance, message, onConfirm, onCancel) {
  *   then this option is ignored.
  * @param {number} [options.priority=0] The default priority for the task. If
  *   a task id was given, then this option is ignored.
+ * @param {string[]} [options.tags] The default tags for the task, if any. If a
+ *   task id was given, then this option is ignored.
  */
 function showAddTaskModal(instance, options = {}) {
   const privates = privateMembers.get(instance);
@@ -772,12 +1791,21 @@ function showAddTaskModal(instance, options = {}) {
     taskId: options.taskId || null,
     projectId: options.projectId || null,
     priority: options.priority ?? 0,
+    tags: options.tags || [],
     dateFormat: privates.settings.dateFormat,
-    confirm: () => {
+    timeFormat: privates.settings.timeFormat,
+    confirm: (id) => {
+      commitCommand(instance, options.taskId ? 'Edit task' : 'Add task');
+      if (privates.tasks.getTask(id).reminders.length > 0) {
+        ReminderScheduler.requestPermission();
+      }
       updateFilters(instance);
       updateMainPanel(instance, { resetScroll: false });
     },
-    newProject: () => updateFilters(instance),
+    newProject: () => {
+      commitCommand(instance, 'Add project');
+      updateFilters(instance);
+    },
   });
   privates.modalStack.showModal(modal);
 }
@@ -791,6 +1819,8 @@ function showAddTaskModal(instance, options = {}) {
  *   modal.
  * @param {string} [options.projectId] The identifier for the project to
  *   edit, if any. If not given, a new project is created.
+ * @param {string} [options.parentId] The identifier for the project in which
+ *   a new project should be nested, if any.
  */
 function showAddProjectModal(instance, options = {}) {
   const privates = privateMembers.get(instance);
@@ -808,11 +1838,51 @@ function showAddProjectModal(instance, options = {}) {
       } else {
         newId = privates.projects.addProject(project);
       }
+      commitCommand(instance, newId ? 'Add project' : 'Edit project');
 
       updateFilters(instance);
       if (newId) privates.filterMenu.selectFilter('projects', newId);
     },
     project: projectToUpdate,
+    projectId: options.projectId,
+    parent: options.parentId,
+    projectList: privates.projects,
+  });
+  privates.modalStack.showModal(modal);
+}
+
+/**
+ * Display the modal dialog for adding or editing a saved filter. After the
+ * user confirms the dialog, the filter is saved in the settings.
+ * @param {module:app~App} instance The class instance on which to apply the
+ *   function.
+ * @param {Object} [options={}] An object holding options for creating the
+ *   modal.
+ * @param {string} [options.filterId] The identifier for the saved filter to
+ *   edit, if any. If not given, a new filter is created.
+ * @param {string} [options.query] The initial query for a new filter.
+ */
+function showSavedFilterModal(instance, options = {}) {
+  const privates = privateMembers.get(instance);
+
+  let filterToUpdate = null;
+  if (options.filterId) {
+    filterToUpdate = privates.settings.getSavedFilter(options.filterId);
+  }
+
+  const modal = new SavedFilterModal({
+    confirm: (name, query) => {
+      const id = privates.settings.saveFilter(name, query, options.filterId);
+      commitCommand(
+        instance,
+        options.filterId ? 'Edit saved filter' : 'Add saved filter',
+      );
+      updateFilters(instance);
+      if (options.filterId) updateMainPanel(instance, { resetScroll: false });
+      else privates.filterMenu.selectFilter('saved', id);
+    },
+    filter: filterToUpdate,
+    query: options.query,
   });
   privates.modalStack.showModal(modal);
 }
@@ -825,7 +1895,90 @@ function showAddProjectModal(instance, options = {}) {
 function showSettingsModal(instance) {
   const privates = privateMembers.get(instance);
   const modal = new SettingsModal(privates.settings, {
-    confirm: () => updateMainPanel(instance, { resetScroll: false }),
+    databaseSupported: privates.databaseSupported,
+    confirm: () => {
+      // Preferences are not part of the undo history
+      privates.history.discard();
+      updateMainPanel(instance, { resetScroll: false });
+    },
+  });
+  privates.modalStack.showModal(modal);
+}
+
+/**
+ * Update the app after a data import and display the results of the import to
+ * the user.
+ * @param {module:app~App} instance The class instance on which to apply the
+ *   function.
+ * @param {module:app~App~importStatus} result An object holding information
+ *   about the status of the import.
+ */
+function finishImport(instance, result) {
+  const privates = privateMembers.get(instance);
+  if (result.projects.total + result.tasks.total > 0) {
+    updateFilters(instance);
+    if (result.tasks.total > 0) {
+      updateMainPanel(instance, { resetScroll: false });
+    }
+  }
+  const container = document.createElement('div');
+  const statusMsg = document.createElement('div');
+  statusMsg.classList.add('data-import-results');
+  container.appendChild(statusMsg);
+  if (result.successful) {
+    statusMsg.textContent = [
+      'Data import succeeded.',
+      `Processed ${result.tasks.total} ${result.tasks.total !== 1 ? 'tasks' : 'task'}: ${result.tasks.added} added, ${result.tasks.updated} updated, ${result.tasks.failed} failed.`,
+      `Processed ${result.projects.total} ${result.projects.total !== 1 ? 'projects' : 'project'}: ${result.projects.added} added, ${result.projects.updated} updated, ${result.projects.failed} failed.`,
+    ].join('\n');
+  } else {
+    statusMsg.textContent = 'Data import failed.';
+  }
+  if (result.errors.length > 0) {
+    const errorList = document.createElement('ul');
+    errorList.classList.add('data-import-error-list');
+    result.errors.forEach((error) => {
+      const listItem = document.createElement('li');
+      listItem.classList.add('data-import-results');
+      listItem.textContent = error;
+      errorList.appendChild(listItem);
+    });
+    container.appendChild(errorList);
+  }
+  const infoModal = new InfoModal(container, { title: 'Import Status' });
+  privates.modalStack.showModal(infoModal);
+}
+
+/**
+ * Preview a data import and display the changes it would make, allowing the
+ * user to choose how existing items are handled before the import is applied.
+ * If the data cannot be imported, then the results are shown immediately.
+ * @param {module:app~App} instance The class instance on which to apply the
+ *   function.
+ * @param {Function} runImport A function that performs the import. It will be
+ *   passed an [importTarget]{@link module:app~App~importTarget} and should
+ *   return an [importStatus]{@link module:app~App~importStatus}.
+ */
+function showImportPreview(instance, runImport) {
+  const privates = privateMembers.get(instance);
+  const preview = previewImport(instance, runImport);
+  if (!preview.status.successful) {
+    finishImport(instance, preview.status);
+    return;
+  }
+
+  const modal = new ImportPreviewModal(preview, {
+    preview: (mode) => previewImport(instance, runImport, mode),
+    confirm: (selectedPreview) => {
+      // Use setTimeout to wait for preview modal to close
+      setTimeout(() => {
+        // Start a fresh history so that the whole import can be undone at once
+        privates.history.clear();
+        const result = applyImport(instance, selectedPreview);
+        commitCommand(instance, 'Import data', 'Data imported.');
+        finishImport(instance, result);
+      });
+    },
   });
   privates.modalStack.showModal(modal);
 }
@@ -838,50 +1991,66 @@ function showSettingsModal(instance) {
 function showDataModal(instance) {
   const privates = privateMembers.get(instance);
   const modal = new DataModal({
+    dateFormat: privates.settings.dateFormat.type,
     importData: (content, { name }) => {
-      const result = importFromFile(instance, content, name);
-      if (result.projects.total + result.tasks.total > 0) {
-        updateFilters(instance);
-        if (result.tasks.total > 0) {
-          updateMainPanel(instance, { resetScroll: false });
-        }
-      }
-      const container = document.createElement('div');
-      const statusMsg = document.createElement('div');
-      statusMsg.classList.add('data-import-results');
-      container.appendChild(statusMsg);
-      if (result.successful) {
-        statusMsg.textContent = [
-          'Data import succeeded.',
-          `Processed ${result.tasks.total} ${result.tasks.total !== 1 ? 'tasks' : 'task'}: ${result.tasks.added} added, ${result.tasks.updated} updated, ${result.tasks.failed} failed.`,
-          `Processed ${result.projects.total} ${result.projects.total !== 1 ? 'projects' : 'project'}: ${result.projects.added} added, ${result.projects.updated} updated, ${result.projects.failed} failed.`,
-        ].join('\n');
-      } else {
-        statusMsg.textContent = 'Data import failed.';
-      }
-      if (result.errors.length > 0) {
-        const errorList = document.createElement('ul');
-        errorList.classList.add('data-import-error-list');
-        result.errors.forEach((error) => {
-          const listItem = document.createElement('li');
-          listItem.classList.add('data-import-results');
-          listItem.textContent = error;
-          errorList.appendChild(listItem);
-        });
-        container.appendChild(errorList);
-      }
-      const infoModal = new InfoModal(container, { title: 'Import Status' });
-      privates.modalStack.showModal(infoModal);
+      showImportPreview(instance, (target) => (
+        importFromFile(target, content, name)
+      ));
+    },
+    importSpreadsheet: (data, { dateFormat }) => {
+      showImportPreview(instance, (target) => (
+        importFromSpreadsheet(target, data, dateFormat)
+      ));
     },
+    projectList: privates.projects,
+    viewName: getMainPanelView(instance).heading,
     exportData: (fileType, fileOptions) => {
-      if (fileType === 'csv') exportToCsv(instance, fileOptions);
-      else exportToJson(instance, fileOptions);
+      const criteria = getExportCriteria(instance, fileOptions.scope);
+      const exportOptions = { ...fileOptions, criteria };
+      switch (fileType) {
+        case 'csv':
+          exportToCsv(instance, exportOptions);
+          break;
+        case 'ical':
+          exportToICalendar(instance, exportOptions);
+          break;
+        case 'todotxt':
+          exportToTodoTxt(instance, exportOptions);
+          break;
+        case 'markdown':
+          exportToMarkdown(instance, fileOptions);
+          break;
+        case 'html':
+          exportToHtml(instance, fileOptions);
+          break;
+        case 'json':
+        default:
+          exportToJson(instance, exportOptions);
+          break;
+      }
     },
     deleteAll: () => deleteAllData(instance),
   });
   privates.modalStack.showModal(modal);
 }
 
+/**
+ * Display the modal dialog showing progress statistics for a project.
+ * @param {module:app~App} instance The class instance on which to apply the
+ *   function.
+ * @param {string} projectId The unique identifier of the project.
+ */
+function showProjectStatsModal(instance, projectId) {
+  const privates = privateMembers.get(instance);
+  const modal = new ProjectStatsModal(
+    privates.tasks,
+    privates.projects,
+    projectId,
+    { dateFormat: privates.settings.dateFormat },
+  );
+  privates.modalStack.showModal(modal);
+}
+
 /**
  * Display the modal dialog showing information about the app.
  * @param {module:app~App} instance The class instance on which to apply the
@@ -924,6 +2093,24 @@ function showAboutModal(instance) {
   privateMembers.get(instance).modalStack.showModal(modal);
 }
 
+/**
+ * Archive or unarchive a project, along with all of the projects nested
+ * within it.
+ * @param {module:app~App} instance The class instance on which to apply the
+ *   function.
+ * @param {string} id The unique identifier of the project.
+ * @param {boolean} archived True if the project should be archived, or false
+ *   if it should be unarchived.
+ */
+function setProjectArchived(instance, id, archived) {
+  const { projects } = privateMembers.get(instance);
+  [id, ...projects.getDescendants(id)].forEach((projectId) => {
+    const project = projects.getProject(projectId);
+    project.archived = archived;
+    projects.updateProject(projectId, project);
+  });
+}
+
 /**
  * Respond to a selection in the main panel menu.
  * @param {module:app~App} instance The class instance on which to apply the
@@ -941,8 +2128,10 @@ function handleMainPanelMenuSelection(instance, itemId) {
   switch (itemId) {
     case 'add-task': {
       const modalOptions = {};
-      if (group === 'projects' && filter !== 'none') {
+      if ((group === 'projects' || group === 'archived') && filter !== 'none') {
         modalOptions.projectId = filter;
+      } else if (group === 'tags' && filter !== 'none') {
+        modalOptions.tags = [getFilterCriteria(instance, group, filter).tag];
       } else if (group === 'priorities') {
         modalOptions.priority = Task.convertStringToPriority(filter);
       }
@@ -956,19 +2145,75 @@ function handleMainPanelMenuSelection(instance, itemId) {
       needPanelUpdate = false;
       needFilterOptionUpdate = false;
       break;
+    case 'add-subproject':
+      showAddProjectModal(instance, { parentId: filter });
+      needPanelUpdate = false;
+      needFilterOptionUpdate = false;
+      break;
+    case 'archive-project':
+    case 'unarchive-project': {
+      const archived = itemId === 'archive-project';
+      const project = privates.projects.getProject(filter);
+      if (!project) break;
+      setProjectArchived(instance, filter, archived);
+      commitCommand(
+        instance,
+        archived ? 'Archive project' : 'Unarchive project',
+        `${archived ? 'Archived' : 'Unarchived'} project '${project.name}'.`,
+      );
+      updateFilters(instance);
+      needPanelUpdate = false;
+      needFilterOptionUpdate = false;
+      break;
+    }
     case 'edit-project':
       showAddProjectModal(instance, { projectId: filter });
       needFilterOptionUpdate = false;
       break;
+    case 'project-stats':
+      showProjectStatsModal(instance, filter);
+      needPanelUpdate = false;
+      needFilterOptionUpdate = false;
+      break;
     case 'delete-project': {
       const project = privates.projects.getProject(filter);
       if (!project) break;
       showConfirmation(
         instance,
-        `Are you sure you want to delete the project '${project.name}'?`,
+        `Are you sure you want to move the project '${project.name}' and its tasks to the trash?`,
+        () => {
+          project.moveToTrash();
+          privates.projects.updateProject(filter, project);
+          commitCommand(
+            instance,
+            'Delete project',
+            `Moved project '${project.name}' to the trash.`,
+          );
+          updateFilters(instance);
+        },
+      );
+      needPanelUpdate = false;
+      needFilterOptionUpdate = false;
+      break;
+    }
+    case 'edit-saved-filter':
+      showSavedFilterModal(instance, { filterId: filter });
+      needPanelUpdate = false;
+      needFilterOptionUpdate = false;
+      break;
+    case 'delete-saved-filter': {
+      const savedFilter = privates.settings.getSavedFilter(filter);
+      if (!savedFilter) break;
+      showConfirmation(
+        instance,
+        `Are you sure you want to delete the saved filter '${savedFilter.name}'?`,
         () => {
-          privates.tasks.clearProject(filter);
-          privates.projects.deleteProject(filter);
+          privates.settings.deleteSavedFilter(filter);
+          commitCommand(
+            instance,
+            'Delete saved filter',
+            `Deleted saved filter '${savedFilter.name}'.`,
+          );
           updateFilters(instance);
         },
       );
@@ -976,9 +2221,37 @@ function handleMainPanelMenuSelection(instance, itemId) {
       needFilterOptionUpdate = false;
       break;
     }
+    case 'save-search':
+      showSavedFilterModal(instance, { query: privates.searchQuery.trim() });
+      needPanelUpdate = false;
+      needFilterOptionUpdate = false;
+      break;
+    case 'empty-trash':
+      showConfirmation(
+        instance,
+        'Are you sure you want to permanently delete everything in the trash?',
+        () => {
+          emptyTrash(instance);
+          commitCommand(instance, 'Empty trash', 'Emptied the trash.');
+          updateFilters(instance);
+          updateMainPanel(instance, { resetScroll: false });
+        },
+      );
+      needPanelUpdate = false;
+      needFilterOptionUpdate = false;
+      break;
     case 'toggle-completed':
       filterOptions.showCompleted = !filterOptions.showCompleted;
       break;
+    case 'toggle-deferred':
+      filterOptions.showDeferred = !filterOptions.showDeferred;
+      break;
+    case 'toggle-blocked':
+      filterOptions.hideBlocked = !filterOptions.hideBlocked;
+      break;
+    case 'toggle-archived':
+      filterOptions.showArchived = !filterOptions.showArchived;
+      break;
     case 'toggle-group-descending':
       filterOptions.groupDescending = !filterOptions.groupDescending;
       break;
@@ -1001,6 +2274,10 @@ function handleMainPanelMenuSelection(instance, itemId) {
       filterOptions.groupBy = 'project';
       filterOptions.groupDescending = false;
       break;
+    case 'group-by-tag':
+      filterOptions.groupBy = 'tag';
+      filterOptions.groupDescending = false;
+      break;
     case 'group-by-priority':
       filterOptions.groupBy = 'priority';
       filterOptions.groupDescending = true;
@@ -1025,6 +2302,10 @@ function handleMainPanelMenuSelection(instance, itemId) {
       filterOptions.sortBy = 'project';
       filterOptions.sortDescending = false;
       break;
+    case 'sort-by-tag':
+      filterOptions.sortBy = 'tag';
+      filterOptions.sortDescending = false;
+      break;
     case 'sort-by-priority':
       filterOptions.sortBy = 'priority';
       filterOptions.sortDescending = true;
@@ -1035,6 +2316,8 @@ function handleMainPanelMenuSelection(instance, itemId) {
 
   if (needFilterOptionUpdate) {
     privates.settings.setFilterOptions(group, filterOptions);
+    privates.history.discard();
+    if (itemId === 'toggle-archived') updateFilterCounts(instance);
   }
   if (needPanelUpdate) updateMainPanel(instance, { resetScroll: false });
 }
@@ -1051,23 +2334,72 @@ function completeTask(instance, id) {
   const now = new Date();
 
   if (task.recurringDate) {
+    task.recordCompletion(now);
+
     let baseDate = now;
     if (task.dueDate && !task.recurringDate.baseOnCompletion) {
       baseDate = task.dueDate;
+    } else if (task.hasDueTime) {
+      // Keep the original time of day when basing on the completion date
+      baseDate = setTime(now, {
+        hours: task.dueDate.getHours(),
+        minutes: task.dueDate.getMinutes(),
+        seconds: 0,
+        milliseconds: 0,
+      });
     }
-    const newDueDate = task.recurringDate.getNextOccurrence(baseDate);
+    const newDueDate = task.recurringDate.getNextOccurrence(baseDate, {
+      preserveTime: task.hasDueTime,
+    });
     if (!newDueDate) {
       task.markComplete();
       task.recurringDate = null;
     } else {
+      // Keep the start date the same distance ahead of the due date
+      if (task.startDate) {
+        const shift = differenceInCalendarDays(
+          newDueDate,
+          task.dueDate || baseDate,
+        );
+        task.startDate = addToDate(task.startDate, { days: shift });
+      }
+
       task.markIncomplete();
       task.recurringDate.advance();
       task.dueDate = newDueDate;
+      task.resetChecklist();
     }
   } else {
     task.markComplete();
   }
 
+  task.stopTimer(now);
+  taskList.updateTask(id, task);
+}
+
+/**
+ * Start the timer for a task, stopping the timer of any other task that is
+ * currently being timed so that only one task logs time at once.
+ * @param {module:app~App} instance The class instance on which to apply the
+ *   function.
+ * @param {string} id The unique identifier of the task.
+ */
+function startTaskTimer(instance, id) {
+  const { tasks: taskList } = privateMembers.get(instance);
+  const now = new Date();
+
+  const runningIds = [];
+  taskList.forEach(({ id: otherId, task }) => {
+    if (otherId !== id && task.isTimerRunning()) runningIds.push(otherId);
+  });
+  runningIds.forEach((otherId) => {
+    const otherTask = taskList.getTask(otherId);
+    otherTask.stopTimer(now);
+    taskList.updateTask(otherId, otherTask);
+  });
+
+  const task = taskList.getTask(id);
+  task.startTimer(now);
   taskList.updateTask(id, task);
 }
 
@@ -1076,7 +2408,8 @@ function completeTask(instance, id) {
  * @param {module:app~App} instance The class instance on which to apply the
  *   function.
  * @param {string} type The type of action being performed: 'mark-complete',
- *   'mark-incomplete', 'edit', or 'delete'.
+ *   'mark-incomplete', 'start-timer', 'stop-timer', 'edit', 'clone',
+ *   'delete', 'go-to-project', 'restore', or 'delete-permanently'.
  * @param {string} id The unique identifier of the task being updated.
  * @param {module:task~Task} task The task being updated.
  */
@@ -1087,25 +2420,70 @@ function handleTaskUpdate(instance, type, id, task) {
   switch (type) {
     case 'mark-complete':
       completeTask(instance, id);
+      commitCommand(instance, 'Complete task', `Completed '${task.name}'.`);
       break;
     case 'mark-incomplete':
       task.markIncomplete();
       privates.tasks.updateTask(id, task);
+      commitCommand(instance, 'Mark task incomplete');
+      break;
+    case 'start-timer':
+      startTaskTimer(instance, id);
+      commitCommand(instance, 'Start timer');
+      needFilterUpdate = false;
+      break;
+    case 'stop-timer':
+      task.stopTimer();
+      privates.tasks.updateTask(id, task);
+      commitCommand(instance, 'Stop timer');
+      needFilterUpdate = false;
       break;
     case 'edit':
       showAddTaskModal(instance, { taskId: id });
       needFilterUpdate = false;
       needPanelUpdate = false;
       break;
-    case 'clone':
-      privates.tasks.addTask(task);
+    case 'clone': {
+      // Time logged on the original task does not carry over to the copy
+      const copy = privates.tasks.getTask(id);
+      copy.timeLog = [];
+      privates.tasks.addTask(copy);
+      commitCommand(instance, 'Clone task');
       break;
+    }
     case 'delete':
+      task.stopTimer();
+      task.moveToTrash();
+      privates.tasks.updateTask(id, task);
+      commitCommand(
+        instance,
+        'Delete task',
+        `Moved '${task.name}' to the trash.`,
+      );
+      break;
+    case 'restore': {
+      const restoredTask = privates.tasks.getTask(id);
+      restoredTask.restoreFromTrash();
+      // Don't restore the task into a project that is still in the trash
+      if (restoredTask.project
+        && privates.projects.isInTrash(restoredTask.project)) {
+        restoredTask.project = null;
+      }
+      privates.tasks.updateTask(id, restoredTask);
+      commitCommand(instance, 'Restore task', `Restored '${task.name}'.`);
+      break;
+    }
+    case 'delete-permanently':
       showConfirmation(
         instance,
-        `Are you sure you want to delete the task '${task.name}'?`,
+        `Are you sure you want to permanently delete the task '${task.name}'?`,
         () => {
           privates.tasks.deleteTask(id);
+          commitCommand(
+            instance,
+            'Delete task permanently',
+            `Permanently deleted '${task.name}'.`,
+          );
           updateFilters(instance);
           updateMainPanel(instance, { resetScroll: false });
         },
@@ -1128,6 +2506,143 @@ function handleTaskUpdate(instance, type, id, task) {
   if (needPanelUpdate) updateMainPanel(instance, { resetScroll: false });
 }
 
+/**
+ * Respond to an action that the user performed on a project in the trash.
+ * @param {module:app~App} instance The class instance on which to apply the
+ *   function.
+ * @param {string} type The type of action being performed: 'restore' or
+ *   'delete-permanently'.
+ * @param {string} id The unique identifier of the project being updated.
+ * @param {module:project~Project} project The project being updated.
+ */
+function handleDeletedProjectUpdate(instance, type, id, project) {
+  const privates = privateMembers.get(instance);
+  switch (type) {
+    case 'restore': {
+      const restoredProject = privates.projects.getProject(id);
+      restoredProject.restoreFromTrash();
+      // Move the project to the top level if its parent is still in the trash
+      if (restoredProject.parent
+        && privates.projects.isInTrash(restoredProject.parent)) {
+        restoredProject.parent = null;
+      }
+      privates.projects.updateProject(id, restoredProject);
+      commitCommand(
+        instance,
+        'Restore project',
+        `Restored project '${project.name}'.`,
+      );
+      updateFilters(instance);
+      updateMainPanel(instance, { resetScroll: false });
+      break;
+    }
+    case 'delete-permanently':
+      showConfirmation(
+        instance,
+        `Are you sure you want to permanently delete the project '${project.name}'?`,
+        () => {
+          deleteProjectPermanently(instance, id);
+          commitCommand(
+            instance,
+            'Delete project permanently',
+            `Permanently deleted project '${project.name}'.`,
+          );
+          updateFilters(instance);
+          updateMainPanel(instance, { resetScroll: false });
+        },
+      );
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Display a reminder for a task in a modal dialog, allowing the user to
+ * complete the task or snooze the reminder.
+ * @param {module:app~App} instance The class instance on which to apply the
+ *   function.
+ * @param {string} id The unique identifier of the task.
+ */
+function showReminderModal(instance, id) {
+  const privates = privateMembers.get(instance);
+  const task = privates.tasks.getTask(id);
+  const { dateFormat, timeFormat } = privates.settings;
+
+  let dueString = formatDate(task.dueDate, dateFormat.outputPattern);
+  if (task.hasDueTime) {
+    dueString += ` at ${formatDate(task.dueDate, timeFormat.outputPattern)}`;
+  }
+
+  const modal = new ConfirmModal(`'${task.name}' is due ${dueString}.`, {
+    title: 'Reminder',
+    confirmLabel: 'Complete',
+    cancelLabel: 'Snooze',
+    initFocus: 'none',
+    confirm: () => {
+      const current = privates.tasks.getTask(id);
+      if (current && !current.isComplete()) {
+        completeTask(instance, id);
+        commitCommand(instance, 'Complete task');
+        updateFilters(instance);
+        updateMainPanel(instance, { resetScroll: false });
+      }
+    },
+    cancel: () => privates.reminders.snooze(id),
+  });
+  privates.modalStack.showModal(modal);
+}
+
+/**
+ * Respond to an action that the user chose for a task reminder.
+ * @param {module:app~App} instance The class instance on which to apply the
+ *   function.
+ * @param {string} action The action to perform: 'complete' to complete the
+ *   task, 'snooze' to postpone the reminder, or 'open' to display the
+ *   reminder in a modal dialog.
+ * @param {string} id The unique identifier of the task.
+ */
+function handleReminderAction(instance, action, id) {
+  const privates = privateMembers.get(instance);
+  if (!privates.tasks.hasTask(id)) return;
+
+  switch (action) {
+    case 'complete':
+      if (!privates.tasks.getTask(id).isComplete()) {
+        completeTask(instance, id);
+        commitCommand(instance, 'Complete task');
+        updateFilters(instance);
+        updateMainPanel(instance, { resetScroll: false });
+      }
+      break;
+    case 'snooze':
+      privates.reminders.snooze(id);
+      break;
+    case 'open':
+      showReminderModal(instance, id);
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Perform a reminder action that was passed in the page URL. This happens
+ * when the user chooses an action from a notification while the app is not
+ * open.
+ * @param {module:app~App} instance The class instance on which to apply the
+ *   function.
+ */
+function handleReminderUrl(instance) {
+  const params = new URL(window.location.href).searchParams;
+  const action = params.get('reminder-action');
+  const id = params.get('task');
+  if (!action || !id) return;
+
+  window.history.replaceState(null, '', window.location.pathname);
+  handleReminderAction(instance, action, id);
+}
+
 /**
  * Respond to a change in the filter menu selection.
  * @param {module:app~App} instance The class instance on which to apply the
@@ -1173,105 +2688,335 @@ function handleAppMenuSelection(instance, itemId) {
 }
 
 /**
- * Make sure app information and settings are stored in local storage if
- * needed.
+ * Let the user know that there is a problem with storing their data. Only the
+ * first problem in a session is shown, so that the user is not interrupted
+ * by the same problem over and over.
  * @param {module:app~App} instance The class instance on which to apply the
  *   function.
+ * @param {string|string[]} message The message to show.
  */
-function initializeStorage(instance) {
-  storeData(AppInfo.storagePrefix, 'app.version', AppInfo.version);
+function showStorageWarning(instance, message) {
+  const privates = privateMembers.get(instance);
+  if (privates.storageWarningShown) return;
 
-  const storageMethod = retrieveData(
-    AppInfo.storagePrefix,
-    'setting.storageMethod',
-  );
-  if (storageMethod && storageMethod !== 'local') return;
+  privates.storageWarningShown = true;
+  const modal = new InfoModal(message, { title: 'Storage Problem' });
+  privates.modalStack.showModal(modal);
+}
 
-  // Store any settings that are not already in local storage
-  privateMembers.get(instance).settings.forEach((name, value) => {
-    const key = `setting.${name}`;
-    if (!retrieveData(AppInfo.storagePrefix, key)) {
-      storeData(AppInfo.storagePrefix, key, value);
+/**
+ * Let the user know that some data could not be saved.
+ * @param {module:app~App} instance The class instance on which to apply the
+ *   function.
+ */
+function showStorageFailure(instance) {
+  showStorageWarning(instance, [
+    'Some of your changes could not be saved. The browser may be out of storage space, or storage may have been disabled.',
+    'To avoid losing your data, export it to a file from the Data Management menu.',
+  ]);
+}
+
+/**
+ * Check that data items were stored in the IndexedDB database by reading them
+ * back.
+ * @param {string} prefix The prefix identifying the database.
+ * @param {Array[]} items The key-value pairs that should have been stored.
+ * @returns {Promise} A promise that resolves to true if every item is in the
+ *   database with the expected value, and false otherwise.
+ */
+function verifyDatabaseItems(prefix, items) {
+  const expected = new Map(items);
+  let matched = 0;
+  return forEachDatabaseItem(prefix, (key, value) => {
+    if (expected.has(key) && _.isEqual(expected.get(key), value)) matched += 1;
+  }).then(() => matched === expected.size);
+}
+
+/**
+ * Move any data in local storage into the IndexedDB database. The local copy
+ * is only removed once the data has been stored in the database and read back
+ * successfully.
+ * @returns {Promise} A promise that resolves to true if the data was moved,
+ *   and false otherwise.
+ */
+function migrateLocalStorage() {
+  const prefix = AppInfo.storagePrefix;
+  const items = [];
+  forEachDataItem(prefix, (key) => {
+    if (!key.startsWith('app.') && key !== 'setting.storageMethod') {
+      items.push([key, retrieveData(prefix, key)]);
     }
-  });
+  }, { noValue: true });
+  items.push(['setting.storageMethod', 'indexeddb']);
+
+  return storeDatabaseItems(prefix, items)
+    .then((success) => success && verifyDatabaseItems(prefix, items))
+    .then((success) => {
+      if (success) {
+        clearData(prefix);
+        storeData(prefix, 'app.version', AppInfo.version);
+        storeData(prefix, 'app.storageMigrated', true);
+        storeData(prefix, 'setting.storageMethod', 'indexeddb');
+      }
+      return success;
+    });
+}
+
+/**
+ * Determine which storage method the user has chosen, migrating data from
+ * local storage to the IndexedDB database the first time that the database is
+ * available. Local storage always records the storage method, so that it is
+ * known where to find the rest of the data.
+ * @param {boolean} databaseSupported Whether the IndexedDB database can be
+ *   used.
+ * @returns {Promise} A promise that resolves to the storage method.
+ */
+function chooseStorageMethod(databaseSupported) {
+  const prefix = AppInfo.storagePrefix;
+  const storageMethod = retrieveData(prefix, 'setting.storageMethod');
+
+  if (storageMethod === 'none' || storageMethod === 'indexeddb') {
+    return Promise.resolve(storageMethod);
+  }
+  // Fall back to local storage if the database cannot be opened
+  if (!databaseSupported) return Promise.resolve('local');
+
+  // Respect a choice of local storage made after the migration
+  if (storageMethod === 'local'
+    && retrieveData(prefix, 'app.storageMigrated')) {
+    return Promise.resolve('local');
+  }
+
+  return migrateLocalStorage()
+    .then((success) => (success ? 'indexeddb' : 'local'));
+}
+
+/**
+ * Store a single data item in the storage area that is in use.
+ * @param {module:app~App} instance The class instance on which to apply the
+ *   function.
+ * @param {string} key The key to create or update.
+ * @param {*} value The value to be associated with the key.
+ */
+function storeItem(instance, key, value) {
+  switch (privateMembers.get(instance).storage) {
+    case 'indexeddb':
+      storeDatabaseData(AppInfo.storagePrefix, key, value).then((success) => {
+        if (!success) showStorageFailure(instance);
+      });
+      break;
+    case 'local':
+      if (!storeData(AppInfo.storagePrefix, key, value)) {
+        showStorageFailure(instance);
+      }
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Remove a single data item from the storage area that is in use.
+ * @param {module:app~App} instance The class instance on which to apply the
+ *   function.
+ * @param {string} key The key to be removed.
+ */
+function removeItem(instance, key) {
+  switch (privateMembers.get(instance).storage) {
+    case 'indexeddb':
+      removeDatabaseData(AppInfo.storagePrefix, key).then((success) => {
+        if (!success) showStorageFailure(instance);
+      });
+      break;
+    case 'local':
+      removeData(AppInfo.storagePrefix, key);
+      break;
+    default:
+      break;
+  }
 }
 
 /**
- * Load all items from local storage into the app.
+ * Load all items from the storage area that is in use into the app. Items
+ * that cannot be read are skipped.
  * @param {module:app~App} instance The class instance on which to apply the
  *   function.
+ * @returns {Promise} A promise that resolves to the number of items that could
+ *   not be read.
  */
 function loadAllStorageData(instance) {
   const privates = privateMembers.get(instance);
+  let failed = 0;
 
-  forEachDataItem(AppInfo.storagePrefix, (key, value) => {
+  const loadItem = (key, value) => {
     const dotIndex = key.indexOf('.');
     const type = key.substring(0, dotIndex);
     const id = key.substring(dotIndex + 1);
 
-    switch (type) {
-      case 'task':
-        privates.tasks.addOrUpdateTask(id, Task.fromJson(value));
-        break;
-      case 'project':
-        privates.projects.addOrUpdateProject(id, Project.fromJson(value));
-        break;
-      case 'setting':
-        privates.settings.setSetting(id, value);
-        break;
-      default:
-        break;
+    // Loading the data should not store it again
+    privates.loadingData = true;
+    try {
+      switch (type) {
+        case 'task':
+          privates.tasks.addOrUpdateTask(id, Task.fromJson(value));
+          break;
+        case 'project':
+          privates.projects.addOrUpdateProject(id, Project.fromJson(value));
+          break;
+        case 'setting':
+          privates.settings.setSetting(id, value);
+          break;
+        case 'reminder':
+          privates.reminders.loadState(id, value);
+          break;
+        default:
+          break;
+      }
+    } catch {
+      failed += 1;
+    } finally {
+      privates.loadingData = false;
     }
-  });
+  };
+
+  switch (privates.storage) {
+    case 'indexeddb':
+      return forEachDatabaseItem(AppInfo.storagePrefix, loadItem)
+        .then(() => failed);
+    case 'local':
+      forEachDataItem(AppInfo.storagePrefix, loadItem);
+      break;
+    default:
+      break;
+  }
+  return Promise.resolve(failed);
 }
 
 /**
- * Store all user data in local storage.
+ * Store all user data in a storage area.
  * @param {module:app~App} instance The class instance on which to apply the
  *   function.
+ * @param {string} [storageMethod] The storage method determining where the
+ *   data is stored. If not given, then the storage area in use is chosen.
+ * @returns {Promise} A promise that resolves to true if all of the data was
+ *   stored, and false otherwise.
  */
-function storeAllData(instance) {
+function storeAllData(instance, storageMethod) {
   const privates = privateMembers.get(instance);
+  const target = storageMethod ?? privates.storage;
+  if (target === 'none') return Promise.resolve(true);
 
-  storeData(AppInfo.storagePrefix, 'app.version', AppInfo.version);
+  const items = [];
+  privates.tasks.forEach(({ id, task }) => {
+    items.push([`task.${id}`, task]);
+  });
+  privates.projects.forEach(({ id, project }) => {
+    items.push([`project.${id}`, project]);
+  });
+  privates.settings.forEach((name, value) => {
+    items.push([`setting.${name}`, value]);
+  });
+  privates.reminders.forEach((id, state) => {
+    items.push([`reminder.${id}`, state]);
+  });
 
-  if (privates.settings.storageMethod === 'local') {
-    privates.tasks.forEach(({ id, task }) => {
-      storeData(AppInfo.storagePrefix, `task.${id}`, task);
-    });
+  if (target === 'indexeddb') {
+    return storeDatabaseItems(AppInfo.storagePrefix, items);
+  }
+  const results = items.map(([key, value]) => (
+    storeData(AppInfo.storagePrefix, key, value)
+  ));
+  return Promise.resolve(results.every((success) => success));
+}
 
-    privates.projects.forEach(({ id, project }) => {
-      storeData(AppInfo.storagePrefix, `project.${id}`, project);
-    });
+/**
+ * Move all user data to the storage area for a newly chosen storage method.
+ * The data in the old storage area is only removed once the data has been
+ * stored in the new one. If that fails, then the old storage area stays in
+ * use, the setting is changed back, and the user is told about the problem.
+ * Changes made while the data is being moved are held in the pending storage
+ * queue until the storage area in use is known again.
+ * @param {module:app~App} instance The class instance on which to apply the
+ *   function.
+ * @param {string} storageMethod The new storage method.
+ * @returns {Promise} A promise that resolves once the data has been moved, or
+ *   once the attempt has failed.
+ */
+function changeStorageMethod(instance, storageMethod) {
+  const privates = privateMembers.get(instance);
+  const previous = privates.storage;
+
+  // Hold other changes until it is known which storage area is in use
+  privates.storage = null;
+
+  return storeAllData(instance, storageMethod).then((success) => {
+    if (!success) {
+      if (storageMethod === 'local' && previous !== 'local') {
+        // Drop the partial copy, keeping the record of where the data is
+        const keys = [];
+        forEachDataItem(AppInfo.storagePrefix, (key) => {
+          if (!key.startsWith('app.') && key !== 'setting.storageMethod') {
+            keys.push(key);
+          }
+        }, { noValue: true });
+        keys.forEach((key) => removeData(AppInfo.storagePrefix, key));
+      }
+      privates.storage = previous;
 
-    privates.settings.forEach((name, value) => {
-      storeData(AppInfo.storagePrefix, `setting.${name}`, value);
-    });
-  } else {
-    storeData(AppInfo.storagePrefix, 'setting.storageMethod', 'none');
-  }
+      // The old storage area already records the old setting
+      privates.loadingData = true;
+      privates.settings.storageMethod = previous;
+      privates.loadingData = false;
+      privates.history.discard();
+
+      showStorageFailure(instance);
+      return;
+    }
+
+    privates.storage = storageMethod;
+    if (previous === 'indexeddb' && storageMethod !== 'indexeddb') {
+      clearDatabase(AppInfo.storagePrefix);
+    }
+    if (previous === 'local' && storageMethod !== 'local') {
+      clearData(AppInfo.storagePrefix);
+    }
+    storeData(AppInfo.storagePrefix, 'app.version', AppInfo.version);
+    storeData(AppInfo.storagePrefix, 'app.storageMigrated', true);
+    storeData(AppInfo.storagePrefix, 'setting.storageMethod', storageMethod);
+  }).finally(() => {
+    privates.loadingData = false;
+    if (privates.storage === null) privates.storage = previous;
+  });
 }
 
 /**
- * Update local storage after data has been changed.
+ * Update storage after data has been changed.
  * @param {module:app~App} instance The class instance on which to apply the
  *   function.
  * @param {string} type The type of data that was changed: 'setting', 'task',
- *   or 'project'.
+ *   'project', or 'reminder'.
  * @param {Object} eventData The event object specifying the data that was
  *   changed.
  */
 function updateStorage(instance, type, eventData) {
   const privates = privateMembers.get(instance);
+  if (privates.loadingData) return;
 
-  // If storage method is changing, we need to delete or restore everything
-  if (type === 'setting' && eventData.name === 'storageMethod') {
-    if (eventData.value !== 'local') clearData(AppInfo.storagePrefix);
-    storeAllData(instance);
+  // Wait until it is known where the data is stored
+  if (privates.storage === null) {
+    privates.pendingStorage.push([type, eventData]);
     return;
   }
 
-  if (privates.settings.storageMethod !== 'local') return;
+  // If storage method is changing, we need to move or delete everything
+  if (type === 'setting' && eventData.name === 'storageMethod') {
+    changeStorageMethod(instance, eventData.value).finally(() => {
+      privates.pendingStorage.splice(0).forEach(([pendingType, pendingData]) => {
+        updateStorage(instance, pendingType, pendingData);
+      });
+    });
+    return;
+  }
 
   switch (type) {
     case 'task': {
@@ -1280,10 +3025,10 @@ function updateStorage(instance, type, eventData) {
       switch (eventType) {
         case 'add-task':
         case 'update-task':
-          storeData(AppInfo.storagePrefix, key, task);
+          storeItem(instance, key, task);
           break;
         case 'delete-task':
-          removeData(AppInfo.storagePrefix, key);
+          removeItem(instance, key);
           break;
         default:
           break;
@@ -1296,10 +3041,10 @@ function updateStorage(instance, type, eventData) {
       switch (eventType) {
         case 'add-project':
         case 'update-project':
-          storeData(AppInfo.storagePrefix, key, project);
+          storeItem(instance, key, project);
           break;
         case 'delete-project':
-          removeData(AppInfo.storagePrefix, key);
+          removeItem(instance, key);
           break;
         default:
           break;
@@ -1308,7 +3053,17 @@ function updateStorage(instance, type, eventData) {
     }
     case 'setting': {
       const { name, value } = eventData;
-      storeData(AppInfo.storagePrefix, `setting.${name}`, value);
+      storeItem(instance, `setting.${name}`, value);
+      break;
+    }
+    case 'reminder': {
+      const { type: eventType, id, state } = eventData;
+      const key = `reminder.${id}`;
+      if (eventType === 'update-reminder') {
+        storeItem(instance, key, state);
+      } else if (eventType === 'delete-reminder') {
+        removeItem(instance, key);
+      }
       break;
     }
     default:
@@ -1317,30 +3072,114 @@ function updateStorage(instance, type, eventData) {
 }
 
 /**
- * Deletes old tasks that have been completed for more than the number of days
- * specified by the 'deleteAfter' setting (if any).
+ * Choose the storage method, load all stored data into the app, and make sure
+ * that app information and settings are stored if needed. Changes made before
+ * the storage area is known are stored once loading has finished.
+ * @param {module:app~App} instance The class instance on which to apply the
+ *   function.
+ * @returns {Promise} A promise that resolves once the data has been loaded.
+ */
+function initializeStorage(instance) {
+  const privates = privateMembers.get(instance);
+  storeData(AppInfo.storagePrefix, 'app.version', AppInfo.version);
+
+  let storageMethod;
+  return isIndexedDbSupported(AppInfo.storagePrefix)
+    .then((supported) => {
+      privates.databaseSupported = supported;
+      return chooseStorageMethod(supported);
+    })
+    .then((method) => {
+      storageMethod = method;
+      if (method === 'indexeddb' && !privates.databaseSupported) {
+        // Keep the data in memory rather than recording a different choice
+        privates.storage = 'none';
+        showStorageWarning(instance, [
+          'Your saved data could not be opened. This can happen in a private browsing window, or if the browser has disabled its database.',
+          'Changes that you make now will not be saved.',
+        ]);
+      } else {
+        privates.storage = method;
+      }
+      return loadAllStorageData(instance);
+    })
+    .then((failed) => {
+      // The stored setting may name a method that is no longer in effect
+      privates.loadingData = true;
+      privates.settings.storageMethod = storageMethod;
+      privates.loadingData = false;
+
+      if (failed > 0) {
+        showStorageWarning(
+          instance,
+          `${failed} saved ${failed !== 1 ? 'items' : 'item'} could not be read and ${failed !== 1 ? 'were' : 'was'} skipped.`,
+        );
+      }
+
+      // Make sure that every setting is stored, including any new ones
+      privates.settings.forEach((name, value) => {
+        storeItem(instance, `setting.${name}`, value);
+      });
+    })
+    .finally(() => {
+      privates.loadingData = false;
+      if (privates.storage === null) privates.storage = 'none';
+      privates.pendingStorage.splice(0).forEach(([type, eventData]) => {
+        updateStorage(instance, type, eventData);
+      });
+    });
+}
+
+/**
+ * Moves old tasks that have been completed for more than the number of days
+ * specified by the 'deleteAfter' setting (if any) to the trash. Then tasks
+ * and projects that have been in the trash for more than the number of days
+ * specified by the 'trashRetention' setting (if any) are permanently deleted.
  * @param {module:app~App} instance The class instance on which to apply the
  *   function.
  */
 function deleteOldTasks(instance) {
   const privates = privateMembers.get(instance);
-  const { deleteAfter } = privates.settings;
+  const { deleteAfter, trashRetention } = privates.settings;
+  const today = startOfDay(new Date());
+  const isExpired = (date, days) => isDateBefore(
+    addToDate(endOfDay(date), { days: days - 1 }),
+    today,
+  );
 
   if (deleteAfter !== null) {
-    const tasksToDelete = [];
-    const today = startOfDay(new Date());
-
+    const tasksToTrash = [];
     privates.tasks.forEach(({ id, task }) => {
-      if (task.completionDate) {
-        const deletionDate = addToDate(
-          endOfDay(task.completionDate),
-          { days: deleteAfter - 1 },
-        );
-        if (isDateBefore(deletionDate, today)) tasksToDelete.push(id);
+      if (task.completionDate && !task.isInTrash()
+        && isExpired(task.completionDate, deleteAfter)) {
+        tasksToTrash.push(id);
       }
     });
 
+    tasksToTrash.forEach((id) => {
+      const task = privates.tasks.getTask(id);
+      task.moveToTrash();
+      privates.tasks.updateTask(id, task);
+    });
+  }
+
+  if (trashRetention !== null) {
+    const tasksToDelete = [];
+    privates.tasks.forEach(({ id, task }) => {
+      if (task.isInTrash() && isExpired(task.deletionDate, trashRetention)) {
+        tasksToDelete.push(id);
+      }
+    });
     tasksToDelete.forEach((id) => privates.tasks.deleteTask(id));
+
+    const projectsToDelete = [];
+    privates.projects.forEach(({ id, project }) => {
+      if (project.isInTrash()
+        && isExpired(project.deletionDate, trashRetention)) {
+        projectsToDelete.push(id);
+      }
+    });
+    projectsToDelete.forEach((id) => deleteProjectPermanently(instance, id));
   }
 }
 
@@ -1356,7 +3195,11 @@ function createFilterMenu(instance) {
     { id: 'default', label: null },
     { id: 'dates', label: 'Dates' },
     { id: 'projects', label: 'Projects' },
+    { id: 'archived', label: 'Archived' },
+    { id: 'tags', label: 'Tags' },
     { id: 'priorities', label: 'Priorities' },
+    { id: 'saved', label: 'Saved Filters' },
+    { id: 'trash', label: null },
   ];
 
   const filterMenu = new FilterMenu(privates.elements.sidePanel, filterGroups);
@@ -1372,6 +3215,7 @@ function createFilterMenu(instance) {
     { groupId: 'priorities', filterId: 'medium', label: 'Medium' },
     { groupId: 'priorities', filterId: 'low', label: 'Low' },
     { groupId: 'priorities', filterId: 'very-low', label: 'Very Low' },
+    { groupId: 'trash', filterId: 'trash', label: 'Trash' },
   ];
 
   filters.forEach((filter) => {
@@ -1387,6 +3231,12 @@ function createFilterMenu(instance) {
     height: ICON_HEIGHT,
     callback: () => showAddProjectModal(instance),
   });
+  filterMenu.addGroupIconButton('saved', AddIcon, {
+    altText: 'Add saved filter',
+    width: ICON_WIDTH,
+    height: ICON_HEIGHT,
+    callback: () => showSavedFilterModal(instance),
+  });
 
   privates.filterMenu = filterMenu;
   updateFilters(instance);
@@ -1421,6 +3271,20 @@ function createHeader(instance, parent) {
   titleContainer.appendChild(title);
   header.appendChild(titleContainer);
 
+  const searchInput = document.createElement('input');
+  searchInput.type = 'search';
+  searchInput.id = 'search';
+  searchInput.name = 'search';
+  searchInput.placeholder = 'Search tasks';
+  searchInput.setAttribute('aria-label', 'Search tasks');
+  searchInput.classList.add('search-input');
+  elements.searchInput = searchInput;
+
+  const searchContainer = document.createElement('div');
+  searchContainer.classList.add('search-container');
+  searchContainer.appendChild(searchInput);
+  header.appendChild(searchContainer);
+
   const appOptionsButton = createImageButton(AppOptionsIcon, {
     altText: 'More options',
     width: ICON_WIDTH,
@@ -1549,6 +3413,9 @@ function createMainPanel(instance, parent) {
     taskCallback: (type, id, task) => {
       handleTaskUpdate(instance, type, id, task);
     },
+    projectCallback: (type, id, project) => {
+      handleDeletedProjectUpdate(instance, type, id, project);
+    },
   };
   privates.taskDisplay = new TaskDisplay(
     mainPanel,
@@ -1579,6 +3446,39 @@ function createFooter(parent) {
   parent.appendChild(footer);
 }
 
+/**
+ * Create the snackbar used to briefly show messages, such as the option to
+ * undo a change.
+ * @param {module:app~App} instance The class instance on which to apply the
+ *   function.
+ * @param {HTMLElement} parent The parent element under which the snackbar is
+ *   to be inserted.
+ */
+function createSnackbar(instance, parent) {
+  const privates = privateMembers.get(instance);
+
+  const snackbar = document.createElement('div');
+  snackbar.classList.add('snackbar', 'closed');
+  snackbar.setAttribute('role', 'status');
+  privates.elements.snackbar = snackbar;
+
+  const message = document.createElement('span');
+  message.classList.add('snackbar-message');
+  snackbar.appendChild(message);
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.classList.add('snackbar-button');
+  button.addEventListener('click', () => {
+    const { action } = privates.snackbar;
+    hideSnackbar(instance);
+    if (action) action();
+  });
+  snackbar.appendChild(button);
+
+  parent.appendChild(snackbar);
+}
+
 /**
  * Create the DOM elements for the page content.
  * @param {module:app~App} instance The class instance on which to apply the
@@ -1603,6 +3503,7 @@ function createPageElements(instance, parent) {
   container.appendChild(middleContainer);
 
   createFooter(container);
+  createSnackbar(instance, container);
 
   parent.appendChild(container);
 
@@ -1618,15 +3519,48 @@ class App {
    * An object holding information about the task criteria associated with a
    * particular task filter.
    * @typedef {Object} module:app~App~filterCriteria
+   * @property {Date} [startDate] If set, indicates the minimum date that a
+   *   task can have without being excluded by the filter.
    * @property {Date} [endDate] If set, indicates the maximum date that a task
    *   can have without being excluded by the filter.
+   * @property {Date} [completionStartDate] If set, indicates the earliest
+   *   completion date that a task can have without being excluded by the
+   *   filter.
+   * @property {Date} [completionEndDate] If set, indicates the latest
+   *   completion date that a task can have without being excluded by the
+   *   filter.
    * @property {boolean} [requireDueDate=false] If set to true, then tasks
    *   without a due date are excluded by the filter.
    * @property {string} [project] If set, indicates the project that a task
    *   must belong to in order to be included by the filter. If set to 'none',
    *   then only tasks that do not belong to any project are included.
+   * @property {string[]} [projects] If set, indicates the projects that a
+   *   task must belong to one of in order to be included by the filter. The
+   *   string 'none' stands for tasks that do not belong to any project.
    * @property {string} [priority] If set, indicates the priority level that a
    *   task must have in order to be included by the filter.
+   * @property {number} [minPriority] If set, indicates the lowest priority
+   *   level that a task can have without being excluded by the filter.
+   * @property {number} [maxPriority] If set, indicates the highest priority
+   *   level that a task can have without being excluded by the filter.
+   * @property {string} [tag] If set, indicates the tag that a task must have
+   *   in order to be included by the filter. If set to the empty string, then
+   *   only tasks that do not have any tags are included.
+   * @property {string} [search] If set, indicates the words that a task must
+   *   match in order to be included by the filter.
+   * @property {boolean} [completed] If set, indicates whether completed tasks
+   *   are included by the filter, overriding the display options.
+   * @property {boolean} [deferred] If set, indicates whether deferred tasks are
+   *   included by the filter, overriding the display options.
+   * @property {boolean} [hideBlocked] If set, indicates whether blocked tasks
+   *   are excluded by the filter, overriding the display options.
+   * @property {boolean} [includeSubprojects] If set to true, then tasks
+   *   belonging to projects nested within the selected projects are also
+   *   included by the filter.
+   * @property {boolean} [deleted] If set, indicates whether the filter
+   *   includes only tasks in the trash rather than only tasks outside of it.
+   * @property {boolean} [hideArchived] If set to true, then tasks belonging to
+   *   archived projects are excluded by the filter.
    */
 
   /**
@@ -1637,7 +3571,8 @@ class App {
    * @property {boolean} successful Will be true if data was imported, or false
    *   if data could not be imported due to a fatal error.
    * @property {string} format The format of the data string that was imported.
-   *   Will be 'json', 'csv', or 'unknown'. A value of 'unknown' indicates that
+   *   Will be 'json', 'csv', 'ical', 'todotxt', 'todoist', 'trello',
+   *   'microsoft-to-do', or 'unknown'. A value of 'unknown' indicates that
    *   the format could not be automatically determined.
    * @property {Object} tasks An object holding information about the number of
    *   tasks that were imported.
@@ -1662,6 +3597,49 @@ class App {
    *   errors that occurred during the import.
    */
 
+  /**
+   * The containers in which a data import is performed. These are either the
+   * containers of the app itself or copies of them used to preview an import.
+   * @typedef {Object} module:app~App~importTarget
+   * @property {module:taskList~TaskList} tasks The task container.
+   * @property {module:projectList~ProjectList} projects The project
+   *   container.
+   * @property {module:settings~Settings} settings The app settings.
+   */
+
+  /**
+   * An object describing how a single task or project would be affected by a
+   * data import.
+   * @typedef {Object} module:app~App~importChange
+   * @property {string} id The unique identifier of the item.
+   * @property {string} name The name of the item.
+   * @property {Object[]} fields The fields of an existing item whose values
+   *   would change. Each object holds the name of the field along with its
+   *   oldValue and newValue, in the form in which they would be serialized to
+   *   JSON.
+   */
+
+  /**
+   * An object describing the changes that a data import would make, as
+   * determined by a dry run of the import.
+   * @typedef {Object} module:app~App~importPreview
+   * @property {string} mode The import mode: 'merge' to add new items and
+   *   update existing ones, 'skip' to only add new items, or 'replace' to
+   *   remove all existing tasks and projects first.
+   * @property {module:app~App~importStatus} status The status of the dry run,
+   *   including the number of rejected items and any errors.
+   * @property {Object} tasks An object holding arrays of
+   *   [changes]{@link module:app~App~importChange} to tasks under the
+   *   properties added, updated, unchanged, skipped, and removed.
+   * @property {Object} projects An object holding arrays of
+   *   [changes]{@link module:app~App~importChange} to projects under the
+   *   same properties as for tasks.
+   * @property {Object[]} settings The settings that would change. Each object
+   *   holds the name of the setting along with its oldValue and newValue.
+   * @property {module:app~App~importTarget} target The copied containers
+   *   holding the results of the dry run.
+   */
+
   /**
    * Append the DOM elements for the app to the given parent node.
    * @param {HTMLElement} parent The DOM node where the app elements should be
@@ -1674,8 +3652,11 @@ class App {
       modalStack: null,
       filterMenu: null,
       currentFilter: { group: null, filter: null },
+      searchQuery: '',
       taskDisplay: null,
       settings: new Settings(),
+      history: null,
+      reminders: null,
       mainPanelMenu: null,
       elements: {
         appContainer: null,
@@ -1684,11 +3665,32 @@ class App {
         mainPanel: null,
         menuButton: null,
         appOptionsButton: null,
+        searchInput: null,
         addTaskButton: null,
         mainPanelMenuButton: null,
+        snackbar: null,
+      },
+      snackbar: {
+        action: null,
+        timeoutId: null,
       },
       narrowScreen: false,
+      databaseSupported: false,
+      storage: null,
+      pendingStorage: [],
+      loadingData: false,
+      storageWarningShown: false,
     };
+    privates.history = new CommandHistory(
+      privates.tasks,
+      privates.projects,
+      privates.settings,
+    );
+    privates.reminders = new ReminderScheduler(
+      privates.tasks,
+      privates.settings,
+      privates.projects,
+    );
     privateMembers.set(this, privates);
 
     createPageElements(this, parent);
@@ -1697,7 +3699,8 @@ class App {
   /**
    * Run the app. This method sets up the event handlers and performs
    * high-level logic. This should not be called until the page elements have
-   * been added to the DOM.
+   * been added to the DOM. Stored data is loaded asynchronously, so the
+   * filters and tasks are updated once loading has finished.
    */
   run() {
     const privates = privateMembers.get(this);
@@ -1756,6 +3759,38 @@ class App {
       );
     });
 
+    const { searchInput } = privates.elements;
+    searchInput.addEventListener('input', () => {
+      privates.searchQuery = searchInput.value;
+      updateMainPanel(this);
+    });
+    searchInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && searchInput.value) {
+        searchInput.value = '';
+        privates.searchQuery = '';
+        updateMainPanel(this);
+        e.stopPropagation();
+      }
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (privates.modalStack.isOpen) return;
+
+      // Leave text fields to handle their own undo
+      const { target } = e;
+      if (target.isContentEditable
+        || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) {
+        return;
+      }
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' || key === 'y') {
+        stepHistory(this, (key === 'y' || e.shiftKey) ? 'redo' : 'undo');
+        e.preventDefault();
+      }
+    });
+
     privates.elements.addTaskButton.addEventListener('click', () => {
       handleMainPanelMenuSelection(this, 'add-task');
     });
@@ -1768,9 +3803,7 @@ class App {
       );
     });
 
-    initializeStorage(this);
-    loadAllStorageData(this);
-
+    // Listen for changes before loading so that early changes are not lost
     const taskCallback = (event) => updateStorage(this, 'task', event);
     privates.tasks.addEventListener('add-task', taskCallback);
     privates.tasks.addEventListener('update-task', taskCallback);
@@ -1784,10 +3817,33 @@ class App {
     const settingsCallback = (event) => updateStorage(this, 'setting', event);
     privates.settings.addEventListener('update-setting', settingsCallback);
 
-    deleteOldTasks(this);
+    const reminderCallback = (event) => updateStorage(this, 'reminder', event);
+    privates.reminders.addEventListener('update-reminder', reminderCallback);
+    privates.reminders.addEventListener('delete-reminder', reminderCallback);
+    privates.reminders.addEventListener('reminder-action', (event) => {
+      handleReminderAction(this, event.action, event.id);
+    });
+
+    initializeStorage(this).catch(() => {
+      showStorageWarning(this, 'Your saved data could not be loaded completely.');
+    }).then(() => {
+      const rescanCallback = () => privates.reminders.rescan();
+      privates.tasks.addEventListener('add-task', rescanCallback);
+      privates.tasks.addEventListener('update-task', rescanCallback);
+      privates.tasks.addEventListener('delete-task', rescanCallback);
+      privates.projects.addEventListener('update-project', rescanCallback);
 
-    updateFilters(this);
-    privates.filterMenu.selectFilter('default', 'all');
+      deleteOldTasks(this);
+
+      // Loading data from storage is not something the user can undo
+      privates.history.clear();
+
+      updateFilters(this);
+      privates.filterMenu.selectFilter('default', 'all');
+
+      privates.reminders.start();
+      handleReminderUrl(this);
+    });
   }
 
   /**
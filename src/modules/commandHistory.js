@@ -0,0 +1,330 @@
+/**
+ * Defines the [CommandHistory]{@link module:commandHistory~CommandHistory}
+ * class.
+ * @module commandHistory
+ */
+
+import _ from 'lodash';
+
+const DEFAULT_LIMIT = 100;
+
+/**
+ * Object holding private members for the
+ * [CommandHistory]{@link module:commandHistory~CommandHistory} class.
+ * @typedef {Object} module:commandHistory~CommandHistory~privates
+ * @property {module:taskList~TaskList} tasks The task container being
+ *   tracked.
+ * @property {module:projectList~ProjectList} projects The project container
+ *   being tracked.
+ * @property {module:settings~Settings} settings The user settings being
+ *   tracked.
+ * @property {number} limit The maximum number of commands that can be undone.
+ * @property {Map} state Maps a key identifying each task, project, and setting
+ *   to a copy of its current value. Keys have the form 'task:id',
+ *   'project:id', or 'setting:name'.
+ * @property {Map} pending Maps keys to the
+ *   [changes]{@link module:commandHistory~CommandHistory~change} made since
+ *   the last command was committed.
+ * @property {module:commandHistory~CommandHistory~command[]} undoStack The
+ *   commands that can be undone, from oldest to newest.
+ * @property {module:commandHistory~CommandHistory~command[]} redoStack The
+ *   commands that can be redone, from oldest to newest undo.
+ * @property {boolean} applying Set while a command is being undone or redone,
+ *   so that the resulting events are not recorded as new changes.
+ */
+
+/**
+ * Holds private data for the
+ * [CommandHistory]{@link module:commandHistory~CommandHistory} class.
+ * @type {WeakMap}
+ * @see module:commandHistory~CommandHistory~privates
+ */
+const privateMembers = new WeakMap();
+
+/**
+ * Record a change to a tracked value.
+ * @param {module:commandHistory~CommandHistory} instance The class instance
+ *   on which to apply the function.
+ * @param {string} key The key identifying the value that changed.
+ * @param {*} value The new value, or null if the item was deleted.
+ */
+function recordChange(instance, key, value) {
+  const privates = privateMembers.get(instance);
+  const before = privates.state.has(key) ? privates.state.get(key) : null;
+  const after = (value == null) ? null : _.cloneDeep(value);
+
+  if (after === null) privates.state.delete(key);
+  else privates.state.set(key, after);
+
+  if (privates.applying) return;
+
+  // Within a single command, keep the value from before the first change
+  const change = privates.pending.get(key);
+  if (change) change.after = after;
+  else privates.pending.set(key, { key, before, after });
+}
+
+/**
+ * Restore a tracked value to the given state.
+ * @param {module:commandHistory~CommandHistory} instance The class instance
+ *   on which to apply the function.
+ * @param {string} key The key identifying the value to restore.
+ * @param {*} value The value to restore, or null if the item should be
+ *   deleted.
+ */
+function applyValue(instance, key, value) {
+  const privates = privateMembers.get(instance);
+  const separator = key.indexOf(':');
+  const type = key.substring(0, separator);
+  const id = key.substring(separator + 1);
+  const copy = _.cloneDeep(value);
+
+  switch (type) {
+    case 'task':
+      if (copy) privates.tasks.addOrUpdateTask(id, copy);
+      else privates.tasks.deleteTask(id);
+      break;
+    case 'project':
+      if (copy) privates.projects.addOrUpdateProject(id, copy);
+      else privates.projects.deleteProject(id);
+      break;
+    case 'setting':
+      if (copy !== null) privates.settings.setSetting(id, copy);
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Apply the changes in a command, either reverting them or reapplying them.
+ * @param {module:commandHistory~CommandHistory} instance The class instance
+ *   on which to apply the function.
+ * @param {module:commandHistory~CommandHistory~command} command The command
+ *   to apply.
+ * @param {boolean} revert If true, the changes are reverted in reverse order.
+ *   Otherwise, they are reapplied in their original order.
+ */
+function applyCommand(instance, command, revert) {
+  const privates = privateMembers.get(instance);
+  const changes = revert ? [...command.changes].reverse() : command.changes;
+
+  privates.applying = true;
+  try {
+    changes.forEach(({ key, before, after }) => {
+      applyValue(instance, key, revert ? before : after);
+    });
+  } finally {
+    privates.applying = false;
+  }
+}
+
+/**
+ * Records changes to the tasks, projects, and settings of the app so that
+ * they can be undone and redone.
+ *
+ * Changes are observed through the events emitted by the task list, project
+ * list, and settings. They accumulate until they are grouped into a single
+ * command by calling [commit]{@link module:commandHistory~CommandHistory#commit}
+ * after each user action. Changes that should not be undoable, such as those
+ * made while loading data, can be dropped with
+ * [discard]{@link module:commandHistory~CommandHistory#discard}.
+ */
+class CommandHistory {
+  /**
+   * A change to a single task, project, or setting.
+   * @typedef {Object} module:commandHistory~CommandHistory~change
+   * @property {string} key The key identifying the value that changed, of the
+   *   form 'task:id', 'project:id', or 'setting:name'.
+   * @property {*} before The value before the change, or null if the item did
+   *   not exist.
+   * @property {*} after The value after the change, or null if the item was
+   *   deleted.
+   */
+
+  /**
+   * A group of changes resulting from a single user action, which are undone
+   * and redone together.
+   * @typedef {Object} module:commandHistory~CommandHistory~command
+   * @property {string} label A description of the action, such as 'Delete
+   *   task'.
+   * @property {module:commandHistory~CommandHistory~change[]} changes The
+   *   changes made by the action, in order.
+   */
+
+  /**
+   * Create a command history. The history should be created before any data
+   * is loaded into the containers, so that it can observe every change.
+   * @param {module:taskList~TaskList} tasks The task container to track.
+   * @param {module:projectList~ProjectList} projects The project container to
+   *   track.
+   * @param {module:settings~Settings} settings The user settings to track.
+   * @param {Object} [options={}] An object holding configuration options.
+   * @param {number} [options.limit=100] The maximum number of commands that
+   *   can be undone. Older commands are forgotten.
+   */
+  constructor(tasks, projects, settings, options = {}) {
+    const privates = {
+      tasks,
+      projects,
+      settings,
+      limit: options.limit ?? DEFAULT_LIMIT,
+      state: new Map(),
+      pending: new Map(),
+      undoStack: [],
+      redoStack: [],
+      applying: false,
+    };
+    privateMembers.set(this, privates);
+
+    tasks.forEach(({ id, task }) => {
+      privates.state.set(`task:${id}`, _.cloneDeep(task));
+    });
+    projects.forEach(({ id, project }) => {
+      privates.state.set(`project:${id}`, _.cloneDeep(project));
+    });
+    settings.forEach((name, value) => {
+      privates.state.set(`setting:${name}`, _.cloneDeep(value));
+    });
+
+    const taskCallback = ({ type, id, task }) => {
+      recordChange(this, `task:${id}`, type === 'delete-task' ? null : task);
+    };
+    tasks.addEventListener('add-task', taskCallback);
+    tasks.addEventListener('update-task', taskCallback);
+    tasks.addEventListener('delete-task', taskCallback);
+
+    const projectCallback = ({ type, id, project }) => {
+      const value = (type === 'delete-project') ? null : project;
+      recordChange(this, `project:${id}`, value);
+    };
+    projects.addEventListener('add-project', projectCallback);
+    projects.addEventListener('update-project', projectCallback);
+    projects.addEventListener('delete-project', projectCallback);
+
+    settings.addEventListener('update-setting', ({ name, value }) => {
+      recordChange(this, `setting:${name}`, value);
+    });
+  }
+
+  /**
+   * Indicates whether there is a command that can be undone.
+   * @type {boolean}
+   * @readonly
+   */
+  get canUndo() {
+    return privateMembers.get(this).undoStack.length > 0;
+  }
+
+  /**
+   * Indicates whether there is a command that can be redone.
+   * @type {boolean}
+   * @readonly
+   */
+  get canRedo() {
+    return privateMembers.get(this).redoStack.length > 0;
+  }
+
+  /**
+   * The label of the command that would be undone next, or null if there is
+   * none.
+   * @type {?string}
+   * @readonly
+   */
+  get undoLabel() {
+    const { undoStack } = privateMembers.get(this);
+    return undoStack.length > 0 ? undoStack[undoStack.length - 1].label : null;
+  }
+
+  /**
+   * The label of the command that would be redone next, or null if there is
+   * none.
+   * @type {?string}
+   * @readonly
+   */
+  get redoLabel() {
+    const { redoStack } = privateMembers.get(this);
+    return redoStack.length > 0 ? redoStack[redoStack.length - 1].label : null;
+  }
+
+  /**
+   * Group the changes made since the last commit into a single command that
+   * can be undone. If nothing actually changed, then no command is recorded.
+   * Committing a command clears the redo history.
+   * @param {string} label A description of the action that made the changes,
+   *   such as 'Delete task'.
+   * @returns {boolean} True if a command was recorded, or false if there were
+   *   no changes to record.
+   */
+  commit(label) {
+    const privates = privateMembers.get(this);
+    const changes = [...privates.pending.values()].filter(({ before, after }) => (
+      !_.isEqual(before, after)
+    ));
+    privates.pending.clear();
+    if (changes.length === 0) return false;
+
+    privates.undoStack.push({ label, changes });
+    if (privates.undoStack.length > privates.limit) {
+      privates.undoStack.splice(0, privates.undoStack.length - privates.limit);
+    }
+    privates.redoStack.length = 0;
+    return true;
+  }
+
+  /**
+   * Drop the changes made since the last commit without recording them. Those
+   * changes will not be undoable.
+   */
+  discard() {
+    privateMembers.get(this).pending.clear();
+  }
+
+  /**
+   * Undo the most recent command.
+   * @returns {?string} The label of the command that was undone, or null if
+   *   there was nothing to undo.
+   */
+  undo() {
+    const privates = privateMembers.get(this);
+    privates.pending.clear();
+
+    const command = privates.undoStack.pop();
+    if (!command) return null;
+
+    applyCommand(this, command, true);
+    privates.redoStack.push(command);
+    return command.label;
+  }
+
+  /**
+   * Redo the most recently undone command.
+   * @returns {?string} The label of the command that was redone, or null if
+   *   there was nothing to redo.
+   */
+  redo() {
+    const privates = privateMembers.get(this);
+    privates.pending.clear();
+
+    const command = privates.redoStack.pop();
+    if (!command) return null;
+
+    applyCommand(this, command, false);
+    privates.undoStack.push(command);
+    return command.label;
+  }
+
+  /**
+   * Forget all commands, along with any uncommitted changes. This should be
+   * done when the data changes in a way that cannot be undone, such as when
+   * it is loaded from storage.
+   */
+  clear() {
+    const privates = privateMembers.get(this);
+    privates.pending.clear();
+    privates.undoStack.length = 0;
+    privates.redoStack.length = 0;
+  }
+}
+
+export default CommandHistory;
@@ -98,6 +98,78 @@ function getFilterItemCountElement(instance, groupId, filterId) {
   return countElem;
 }
 
+/**
+ * Show or hide the nested filters beneath a filter item.
+ * @param {module:filterMenu~FilterMenu} instance The class instance on which
+ *   to apply the function.
+ * @param {string} groupId The identifier for the group containing the filter.
+ * @param {string} filterId The identifier for the filter whose nested filters
+ *   are to be shown or hidden.
+ * @param {boolean} expanded If true, the nested filters are shown. Otherwise
+ *   they are hidden.
+ * @throws {RangeError} If either the group or filter identifiers are invalid.
+ */
+function setSubfiltersExpanded(instance, groupId, filterId, expanded) {
+  const groupElements = getGroupElements(instance, groupId);
+  const item = getFilterItemElement(instance, groupId, filterId);
+
+  if (expanded) groupElements.collapsedFilters.delete(filterId);
+  else groupElements.collapsedFilters.add(filterId);
+
+  const sublist = item.querySelector(':scope > .filter-sublist');
+  const toggle = item.querySelector(':scope > .filter-item-toggle');
+  if (sublist) sublist.classList.toggle('closed', !expanded);
+  if (toggle) {
+    const icon = toggle.querySelector('img');
+    icon.src = expanded ? ExpandedIcon : CollapsedIcon;
+    icon.alt = expanded ? 'Collapse' : 'Expand';
+  }
+
+  groupElements.collapsible?.update();
+}
+
+/**
+ * Get the list element that holds the nested filters beneath a filter item,
+ * creating it along with an expand/collapse button if it does not exist yet.
+ * @param {module:filterMenu~FilterMenu} instance The class instance on which
+ *   to apply the function.
+ * @param {string} groupId The identifier for the group containing the filter.
+ * @param {string} filterId The identifier for the parent filter.
+ * @returns {HTMLElement} The list element for the nested filters.
+ * @throws {RangeError} If either the group or filter identifiers are invalid.
+ */
+function getSublist(instance, groupId, filterId) {
+  const item = getFilterItemElement(instance, groupId, filterId);
+  let sublist = item.querySelector(':scope > .filter-sublist');
+  if (sublist) return sublist;
+
+  const { collapsedFilters } = getGroupElements(instance, groupId);
+  const expanded = !collapsedFilters.has(filterId);
+
+  const toggle = createImageButton(expanded ? ExpandedIcon : CollapsedIcon, {
+    altText: expanded ? 'Collapse' : 'Expand',
+    width: ICON_WIDTH,
+    height: ICON_HEIGHT,
+    classList: ['filter-item-toggle'],
+    callback: () => {
+      setSubfiltersExpanded(
+        instance,
+        groupId,
+        filterId,
+        collapsedFilters.has(filterId),
+      );
+    },
+  });
+  item.insertBefore(toggle, item.firstChild);
+
+  sublist = document.createElement('ul');
+  sublist.classList.add('filter-list', 'filter-sublist');
+  if (!expanded) sublist.classList.add('closed');
+  item.appendChild(sublist);
+
+  return sublist;
+}
+
 /**
  * Clear the filter selection, but do so without firing any events.
  * @param {module:filterMenu~FilterMenu} instance The class instance on which
@@ -161,6 +233,9 @@ class FilterMenu {
    * @property {Map} filterItems A map associating filter identifiers to the
    *   list item elements in the DOM belonging to each filter item in the
    *   group.
+   * @property {Set} collapsedFilters The identifiers of the filters in the
+   *   group whose nested filters are hidden. This is remembered even if the
+   *   filters are removed, so that the state is kept when they are re-added.
    */
 
   /**
@@ -254,6 +329,7 @@ class FilterMenu {
       collapsible,
       filterList: list,
       filterItems: new Map(),
+      collapsedFilters: new Set(),
     });
 
     if (toggle) toggle.addEventListener('click', () => this.toggleGroup(id));
@@ -273,7 +349,16 @@ class FilterMenu {
    * @param {string} [options.insertBefore] The identifier for the filter
    *   before which the new filter should be inserted. If not given, then the
    *   filter will be inserted at the end of the list.
-   * @throws {RangeError} If the group identifier is invalid.
+   * @param {string} [options.color] A CSS color for a marker displayed before
+   *   the filter label, if any.
+   * @param {string} [options.icon] A short piece of text, such as an emoji,
+   *   displayed as an icon before the filter label, if any.
+   * @param {string} [options.parent] The identifier for a filter in the same
+   *   group beneath which the new filter should be nested. Nested filters can
+   *   be shown or hidden by the user. If not given, then the filter is added
+   *   at the top level of the group.
+   * @throws {RangeError} If the group identifier is invalid, or if the parent
+   *   filter does not exist.
    */
   addFilter(groupId, filterId, label, options = {}) {
     const groupElements = getGroupElements(this, groupId);
@@ -292,6 +377,20 @@ class FilterMenu {
     labelElem.textContent = label;
     button.appendChild(labelElem);
 
+    if (options.icon) {
+      const iconElem = document.createElement('span');
+      iconElem.classList.add('filter-item-icon');
+      iconElem.textContent = options.icon;
+      labelElem.prepend(iconElem);
+    }
+
+    if (options.color) {
+      const marker = document.createElement('span');
+      marker.classList.add('filter-item-marker');
+      marker.style.backgroundColor = options.color;
+      labelElem.prepend(marker);
+    }
+
     const countElem = document.createElement('span');
     countElem.classList.add('filter-item-count');
     countElem.textContent = options.count || '';
@@ -302,7 +401,9 @@ class FilterMenu {
       referenceNode = getFilterItemElement(this, groupId, options.insertBefore);
     }
 
-    groupElements.filterList.insertBefore(item, referenceNode);
+    const list = options.parent
+      ? getSublist(this, groupId, options.parent) : groupElements.filterList;
+    list.insertBefore(item, referenceNode);
     groupElements.filterItems.set(filterId, item);
 
     groupElements.collapsible?.update();
@@ -313,7 +414,7 @@ class FilterMenu {
   }
 
   /**
-   * Remove a filter from the menu.
+   * Remove a filter from the menu, along with any filters nested beneath it.
    * @param {string} groupId The identifier of the group containing the filter.
    * @param {string} filterId The identifier of the filter to remove.
    * @throws {RangeError} If either the group or filter identifiers are
@@ -321,17 +422,31 @@ class FilterMenu {
    */
   removeFilter(groupId, filterId) {
     const privates = privateMembers.get(this);
+    const groupElements = getGroupElements(this, groupId);
+    const item = getFilterItemElement(this, groupId, filterId);
+    const removedIds = [filterId];
+    item.querySelectorAll('.filter-item').forEach((nested) => {
+      removedIds.push(nested.dataset.filterId);
+    });
 
     // If filter is selected, clear selection
     if (privates.selectedFilter.group === groupId
-      && privates.selectedFilter.filter === filterId) {
+      && removedIds.includes(privates.selectedFilter.filter)) {
       this.clearSelection();
     }
 
-    const groupElements = getGroupElements(this, groupId);
-    const item = getFilterItemElement(this, groupId, filterId);
-    groupElements.filterList.removeChild(item);
-    groupElements.filterItems.delete(filterId);
+    const parentList = item.parentElement;
+    item.remove();
+    removedIds.forEach((id) => groupElements.filterItems.delete(id));
+
+    // Remove the expand button from a parent with no more nested filters
+    if (parentList.classList.contains('filter-sublist')
+      && !parentList.hasChildNodes()) {
+      const parentItem = parentList.parentElement;
+      parentItem.querySelector(':scope > .filter-item-toggle')?.remove();
+      parentList.remove();
+    }
+
     groupElements.collapsible?.update();
   }
 
@@ -347,8 +462,7 @@ class FilterMenu {
     }
 
     const groupElements = getGroupElements(this, id);
-    const list = groupElements.filterList;
-    groupElements.filterItems.forEach((item) => list.removeChild(item));
+    groupElements.filterItems.forEach((item) => item.remove());
     groupElements.filterItems.clear();
     groupElements.collapsible?.update();
   }
@@ -507,7 +621,17 @@ class FilterMenu {
     // Expand the containing group if it is not already
     this.expandGroup(groupId);
 
+    // Also reveal the filter if it is nested within collapsed filters
     const listItem = getFilterItemElement(this, groupId, filterId);
+    let parentItem = listItem.parentElement.closest('.filter-item');
+    while (parentItem) {
+      const { filterId: parentId } = parentItem.dataset;
+      if (getGroupElements(this, groupId).collapsedFilters.has(parentId)) {
+        setSubfiltersExpanded(this, groupId, parentId, true);
+      }
+      parentItem = parentItem.parentElement.closest('.filter-item');
+    }
+
     listItem.classList.add('selected');
     privates.selectedFilter.group = groupId;
     privates.selectedFilter.filter = filterId;
@@ -261,6 +261,15 @@ class ModalStack {
     });
   }
 
+  /**
+   * Indicates whether any modal dialogs are currently open.
+   * @type {boolean}
+   * @readonly
+   */
+  get isOpen() {
+    return privateMembers.get(this).modals.length > 0;
+  }
+
   /**
    * Display a modal dialog.
    * @param {module:modalStack~Modal} modal The modal dialog to show.
@@ -7,12 +7,35 @@
 import Project from '../project';
 import { createFormControl } from '../utility/dom';
 
+const PROJECT_INDENT = '\u00a0\u00a0\u00a0';
+
+/**
+ * Colors suggested for new projects, chosen in turn.
+ * @type {string[]}
+ */
+const PROJECT_COLORS = [
+  '#1e88e5',
+  '#43a047',
+  '#fb8c00',
+  '#8e24aa',
+  '#e53935',
+  '#00897b',
+  '#fdd835',
+  '#6d4c41',
+];
+
 /**
  * Object holding private members for the
  * [AddProjectModal]{@link module:addProjectModal~AddProjectModal} class.
  * @typedef {Object} module:addProjectModal~AddProjectModal~privates
  * @property {module:project~Project} [project] The project being edited, if
  *   any.
+ * @property {string} [projectId] The unique identifier for the project being
+ *   edited, if any.
+ * @property {string} [parent] The identifier for the initial parent project
+ *   of a new project, if any.
+ * @property {module:projectList~ProjectList} [projectList] The project list
+ *   used to fill in the Parent Project field.
  * @property {string} mode Indicates the status of the project being entered.
  *   If set to 'add', a new project is being created, and if set to 'edit',
  *   then an existing project is being updated.
@@ -27,6 +50,12 @@ import { createFormControl } from '../utility/dom';
  *   name.
  * @property {HTMLElement} controls.description The textarea element for the
  *   project description.
+ * @property {HTMLElement} controls.parent The select element for the parent
+ *   project.
+ * @property {HTMLElement} controls.color The color input element for the
+ *   project color.
+ * @property {HTMLElement} controls.icon The text input element for the
+ *   project icon.
  */
 
 /**
@@ -44,14 +73,63 @@ const privateMembers = new WeakMap();
  *   on which to apply the function.
  */
 function initFormValues(instance) {
-  const { project, controls } = privateMembers.get(instance);
+  const {
+    project,
+    parent,
+    projectList,
+    controls,
+  } = privateMembers.get(instance);
 
   if (project) {
     controls.name.value = project.name || '';
     controls.description.value = project.description || '';
+    controls.icon.value = project.icon || '';
+  }
+
+  if (project?.color) {
+    controls.color.value = project.color;
+  } else {
+    let count = 0;
+    projectList?.forEach(() => { count += 1; });
+    controls.color.value = PROJECT_COLORS[count % PROJECT_COLORS.length];
+  }
+
+  const parentId = project ? project.parent : parent;
+  if (parentId && controls.parent.querySelector(`option[value="${parentId}"]`)) {
+    controls.parent.value = parentId;
   }
 }
 
+/**
+ * Get the menu items for the Parent Project field. A project cannot be nested
+ * within itself or within any of its descendants, so these are left out.
+ * Archived projects are also left out, unless one is already the parent.
+ * @param {module:addProjectModal~AddProjectModal} instance The class instance
+ *   on which to apply the function.
+ * @returns {Object[]} An array of menu items for the select element.
+ */
+function getParentMenuItems(instance) {
+  const {
+    project: currentProject,
+    projectId,
+    parent,
+    projectList,
+  } = privateMembers.get(instance);
+  const currentParent = currentProject ? currentProject.parent : parent;
+  const menuItems = [{ value: 'none', label: 'None' }];
+  if (!projectList) return menuItems;
+
+  const excluded = projectId
+    ? [projectId, ...projectList.getDescendants(projectId)] : [];
+  projectList.forEachInHierarchy(({ id, project }, depth) => {
+    if (projectList.isInTrash(id) || excluded.includes(id)) return;
+    if (project.archived && id !== currentParent) return;
+    const indent = PROJECT_INDENT.repeat(depth);
+    menuItems.push({ value: id, label: indent + project.name });
+  });
+  return menuItems;
+}
+
 /**
  * A modal dialog for adding or editing a project.
  * @implements {module:modalStack~Modal}
@@ -67,6 +145,14 @@ class AddProjectModal {
    *   when the user cancels the modal.
    * @property {module:project~Project} [project] The project to edit. If not
    *   given, then a new project is created.
+   * @property {string} [projectId] The unique identifier for the project to
+   *   edit. This is used to prevent the project from being nested within
+   *   itself.
+   * @property {string} [parent] The identifier for the parent project to
+   *   select initially for a new project.
+   * @property {module:projectList~ProjectList} [projectList] The project list
+   *   from which the parent project can be chosen. If not given, then only
+   *   top-level projects can be created.
    */
 
   /**
@@ -77,6 +163,9 @@ class AddProjectModal {
   constructor(options = {}) {
     const privates = {
       project: options.project || null,
+      projectId: options.projectId || null,
+      parent: options.parent || null,
+      projectList: options.projectList || null,
       mode: options.project ? 'edit' : 'add',
       callbacks: {
         confirm: options.confirm || null,
@@ -85,6 +174,9 @@ class AddProjectModal {
       controls: {
         name: null,
         description: null,
+        parent: null,
+        color: null,
+        icon: null,
       },
     };
     privateMembers.set(this, privates);
@@ -117,6 +209,37 @@ class AddProjectModal {
       container: containerType,
     }));
 
+    parent.appendChild(createFormControl({
+      type: 'color',
+      id: 'project-color',
+      name: 'project-color',
+      classList: ['form-input-color'],
+      label: labelType('Color'),
+      container: containerType,
+    }));
+
+    parent.appendChild(createFormControl({
+      type: 'text',
+      id: 'project-icon',
+      name: 'project-icon',
+      placeholder: 'Emoji',
+      title: 'An optional emoji or symbol shown next to the project name',
+      classList: ['form-input-inline', 'form-input-icon'],
+      maxLength: 8,
+      label: labelType('Icon'),
+      container: containerType,
+    }));
+
+    parent.appendChild(createFormControl({
+      type: 'select',
+      id: 'project-parent',
+      name: 'project-parent',
+      classList: ['form-select'],
+      label: labelType('Parent Project'),
+      container: containerType,
+      menuItems: getParentMenuItems(this),
+    }));
+
     parent.appendChild(createFormControl({
       type: 'textarea',
       id: 'project-description',
@@ -130,6 +253,9 @@ class AddProjectModal {
     privateMembers.get(this).controls = {
       name: parent.querySelector('#project-name'),
       description: parent.querySelector('#project-description'),
+      parent: parent.querySelector('#project-parent'),
+      color: parent.querySelector('#project-color'),
+      icon: parent.querySelector('#project-icon'),
     };
 
     initFormValues(this);
@@ -138,8 +264,13 @@ class AddProjectModal {
   confirm() {
     const privates = privateMembers.get(this);
     const { controls } = privates;
+    const parentId = controls.parent.value;
     const project = new Project(controls.name.value, {
       description: controls.description.value || null,
+      archived: privates.project?.archived ?? false,
+      parent: (parentId === 'none') ? null : parentId,
+      color: controls.color.value.toLowerCase(),
+      icon: controls.icon.value.trim() || null,
     });
 
     if (privates.callbacks.confirm) privates.callbacks.confirm(project);
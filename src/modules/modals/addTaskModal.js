@@ -3,15 +3,28 @@
  * @module addTaskModal
  */
 
+import {
+  endOfDay,
+  isAfter as isDateAfter,
+  set as setTime,
+} from 'date-fns';
+
 import AddProjectModal from './addProjectModal';
 import DatePickerModal from './datePickerModal';
 import RecurrenceModal from './recurrenceModal';
 import RecurringDate from '../recurringDate';
 import Settings from '../settings';
 import Task from '../task';
-import { formatDate, parseDate } from '../utility/dates';
+import {
+  formatDate,
+  formatDuration,
+  parseDate,
+  parseDuration,
+} from '../utility/dates';
 import { createDateInputField, createFormControl } from '../utility/dom';
 
+const PROJECT_INDENT = '\u00a0\u00a0\u00a0';
+
 /**
  * Object holding private members for the
  * [AddTaskModal]{@link module:addTaskModal~AddTaskModal} class.
@@ -24,6 +37,7 @@ import { createDateInputField, createFormControl } from '../utility/dom';
  * @property {string} [projectId] The unique identifier for the default
  *   project, if any.
  * @property {number} priority The default priority.
+ * @property {string[]} tags The default tags.
  * @property {string} mode Indicates the status of the task being entered. If
  *   set to 'add', a new task is being created, and if set to 'edit', then an
  *   existing task is being updated.
@@ -31,6 +45,8 @@ import { createDateInputField, createFormControl } from '../utility/dom';
  *   recurrence that the user added, if any.
  * @property {module:settings~Settings~dateFormat} dateFormat An object holding
  *   date format information.
+ * @property {module:settings~Settings~timeFormat} timeFormat An object holding
+ *   time format information.
  * @property {Object} callbacks An object holding callback functions.
  * @property {Function} [callbacks.confirm] A callback function that will be
  *   invoked when the user successfully confirms the modal.
@@ -44,14 +60,28 @@ import { createDateInputField, createFormControl } from '../utility/dom';
  *   name.
  * @property {HTMLElement} controls.dueDate The text input element for the task
  *   due date.
+ * @property {HTMLElement} controls.dueTime The text input element for the task
+ *   due time.
+ * @property {HTMLElement} controls.startDate The text input element for the
+ *   task start date.
  * @property {HTMLElement} controls.recurringDate The select element for the
  *   task recurring date.
+ * @property {HTMLElement} controls.reminders The list element holding the
+ *   task's reminders.
  * @property {HTMLElement} controls.priority The select element for the task
  *   priority.
+ * @property {HTMLElement} controls.estimate The text input element for the
+ *   estimated time needed to complete the task.
  * @property {HTMLElement} controls.project The select element for the task's
  *   containing project.
+ * @property {HTMLElement} controls.tags The text input element for the task
+ *   tags.
  * @property {HTMLElement} controls.description The textarea element for the
  *   task description.
+ * @property {HTMLElement} controls.checklist The list element holding the
+ *   task's checklist items.
+ * @property {HTMLElement} controls.dependencies The list element holding the
+ *   task's prerequisite tasks.
  */
 
 /**
@@ -63,15 +93,21 @@ import { createDateInputField, createFormControl } from '../utility/dom';
 const privateMembers = new WeakMap();
 
 /**
- * Update the project select box options.
+ * Update the project select box options. Archived projects are left out,
+ * unless the task already belongs to one.
  * @param {module:addTaskModal~AddTaskModal} instance The class instance on
  *   which to apply the function.
  */
 function updateProjects(instance) {
   const privates = privateMembers.get(instance);
+  const currentProject = privates.taskId
+    ? privates.tasks.getTask(privates.taskId)?.project : privates.projectId;
   const projectItems = [{ value: 'none', label: 'None' }];
-  privates.projects.forEach((entry) => {
-    projectItems.push({ value: entry.id, label: entry.project.name });
+  privates.projects.forEachInHierarchy((entry, depth) => {
+    if (privates.projects.isInTrash(entry.id)) return;
+    if (entry.project.archived && entry.id !== currentProject) return;
+    const indent = PROJECT_INDENT.repeat(depth);
+    projectItems.push({ value: entry.id, label: indent + entry.project.name });
   });
   projectItems.push({ value: 'new', label: 'New Project...' });
 
@@ -85,6 +121,282 @@ function updateProjects(instance) {
   });
 }
 
+/**
+ * Add an item to the checklist editor.
+ * @param {module:addTaskModal~AddTaskModal} instance The class instance on
+ *   which to apply the function.
+ * @param {module:task~Task~checklistItem} [item] The initial checklist item
+ *   data, if any.
+ * @returns {HTMLElement} The text input element for the new item's name.
+ */
+function addChecklistItem(instance, item) {
+  const { controls } = privateMembers.get(instance);
+  const list = controls.checklist;
+
+  const itemElem = document.createElement('li');
+  itemElem.classList.add('form-checklist-item');
+
+  const checkbox = createFormControl({
+    type: 'checkbox',
+    title: 'Completed',
+    classList: ['form-checklist-item-completed'],
+    checked: item?.completed ?? false,
+  });
+  itemElem.appendChild(checkbox);
+
+  const nameInput = createFormControl({
+    type: 'text',
+    title: 'Item name',
+    value: item?.name ?? null,
+    placeholder: 'Item name',
+    classList: ['form-input-inline', 'form-checklist-item-name'],
+  });
+  itemElem.appendChild(nameInput);
+
+  const removeButton = document.createElement('button');
+  removeButton.classList.add('form-button');
+  removeButton.textContent = 'Remove';
+  removeButton.addEventListener('click', () => list.removeChild(itemElem));
+  itemElem.appendChild(removeButton);
+
+  list.appendChild(itemElem);
+  return nameInput;
+}
+
+/**
+ * Read the checklist items entered in the checklist editor.
+ * @param {module:addTaskModal~AddTaskModal} instance The class instance on
+ *   which to apply the function.
+ * @returns {module:task~Task~checklistItem[]} An array of checklist items in
+ *   the order they appear in the editor. Items with empty names are omitted.
+ */
+function getChecklistItems(instance) {
+  const { controls } = privateMembers.get(instance);
+  const items = [];
+  controls.checklist.querySelectorAll('.form-checklist-item').forEach((elem) => {
+    const name = elem.querySelector('.form-checklist-item-name').value.trim();
+    const checkbox = elem.querySelector('.form-checklist-item-completed');
+    if (name.length > 0) items.push({ name, completed: checkbox.checked });
+  });
+  return items;
+}
+
+/**
+ * Add a prerequisite task to the dependency editor.
+ * @param {module:addTaskModal~AddTaskModal} instance The class instance on
+ *   which to apply the function.
+ * @param {string} [dependencyId] The unique identifier of the initially
+ *   selected prerequisite task, if any.
+ * @returns {HTMLElement} The select element for the new prerequisite.
+ */
+function addDependency(instance, dependencyId) {
+  const privates = privateMembers.get(instance);
+  const list = privates.controls.dependencies;
+
+  const itemElem = document.createElement('li');
+  itemElem.classList.add('form-dependency');
+
+  const menuItems = [];
+  privates.tasks.entries({
+    completed: true,
+    deferred: true,
+    projectList: privates.projects,
+    sortBy: [{ field: 'name' }],
+  }).forEach(({ id, task }) => {
+    if (id === privates.taskId) return;
+    const label = task.isComplete() ? `${task.name} (completed)` : task.name;
+    menuItems.push({ value: id, label, selected: id === dependencyId });
+  });
+
+  // Keep an existing dependency on a task that was moved to the trash
+  const dependency = dependencyId ? privates.tasks.getTask(dependencyId) : null;
+  if (dependency && (dependency.isInTrash()
+    || (dependency.project && privates.projects.isInTrash(dependency.project)))) {
+    menuItems.push({
+      value: dependencyId,
+      label: `${dependency.name} (in trash)`,
+      selected: true,
+    });
+  }
+
+  const select = createFormControl({
+    type: 'select',
+    title: 'Prerequisite task',
+    classList: ['form-select-inline', 'form-dependency-task'],
+    menuItems,
+  });
+  select.addEventListener('change', () => select.setCustomValidity(''));
+  itemElem.appendChild(select);
+
+  const removeButton = document.createElement('button');
+  removeButton.classList.add('form-button');
+  removeButton.textContent = 'Remove';
+  removeButton.addEventListener('click', () => list.removeChild(itemElem));
+  itemElem.appendChild(removeButton);
+
+  list.appendChild(itemElem);
+  return select;
+}
+
+/**
+ * Read the prerequisite tasks selected in the dependency editor.
+ * @param {module:addTaskModal~AddTaskModal} instance The class instance on
+ *   which to apply the function.
+ * @returns {string[]} An array holding the unique identifiers of the
+ *   prerequisite tasks.
+ */
+function getDependencies(instance) {
+  const { controls } = privateMembers.get(instance);
+  const dependencies = [];
+  controls.dependencies.querySelectorAll('.form-dependency-task').forEach((elem) => {
+    if (elem.value) dependencies.push(elem.value);
+  });
+  return dependencies;
+}
+
+/**
+ * Check the prerequisite tasks for circular dependencies and update the
+ * validity state of each prerequisite field.
+ * @param {module:addTaskModal~AddTaskModal} instance The class instance on
+ *   which to apply the function.
+ */
+function checkDependencies(instance) {
+  const privates = privateMembers.get(instance);
+  privates.controls.dependencies.querySelectorAll('.form-dependency-task')
+    .forEach((elem) => {
+      let message = '';
+      const cycle = privates.tasks.findDependencyCycle(
+        privates.taskId,
+        [elem.value],
+      );
+      if (cycle) {
+        const { name } = privates.tasks.getTask(cycle);
+        message = `'${name}' already depends on this task, directly or indirectly.`;
+      }
+      elem.setCustomValidity(message);
+    });
+}
+
+/**
+ * Check the value of a reminder's time field and update its validity state.
+ * @param {module:addTaskModal~AddTaskModal} instance The class instance on
+ *   which to apply the function.
+ * @param {HTMLElement} input The text input element for the reminder time.
+ */
+function checkReminderTime(instance, input) {
+  const { timeFormat } = privateMembers.get(instance);
+  let message = '';
+  if (input.value && !parseDate(input.value, timeFormat.inputPatterns)) {
+    message = `Please enter a valid time in ${timeFormat.visualPattern} format.`;
+  }
+  input.setCustomValidity(message);
+}
+
+/**
+ * Add a reminder to the reminder editor.
+ * @param {module:addTaskModal~AddTaskModal} instance The class instance on
+ *   which to apply the function.
+ * @param {module:task~Task~reminder} [reminder] The initial reminder data, if
+ *   any. If not given, the reminder defaults to one day before the due date.
+ * @returns {HTMLElement} The numeric input element for the new reminder's
+ *   amount.
+ */
+function addReminder(instance, reminder) {
+  const { controls, timeFormat } = privateMembers.get(instance);
+  const list = controls.reminders;
+  const unit = reminder?.unit ?? 'day';
+
+  const itemElem = document.createElement('li');
+  itemElem.classList.add('form-reminder');
+
+  const amountInput = createFormControl({
+    type: 'number',
+    title: 'Amount',
+    value: String(reminder?.amount ?? 1),
+    classList: ['form-input-inline', 'form-reminder-amount'],
+    required: true,
+    min: 0,
+    step: 1,
+  });
+  itemElem.appendChild(amountInput);
+
+  const unitSelect = createFormControl({
+    type: 'select',
+    title: 'Unit',
+    classList: ['form-select-inline', 'form-reminder-unit'],
+    menuItems: [
+      { value: 'minute', label: 'minutes before' },
+      { value: 'hour', label: 'hours before' },
+      { value: 'day', label: 'days before' },
+      { value: 'week', label: 'weeks before' },
+    ].map((item) => ({ ...item, selected: item.value === unit })),
+  });
+  itemElem.appendChild(unitSelect);
+
+  let timeValue = null;
+  if (reminder?.time) {
+    const [hours, minutes] = reminder.time.split(':').map(Number);
+    timeValue = formatDate(
+      new Date(2000, 0, 1, hours, minutes),
+      timeFormat.outputPattern,
+    );
+  }
+  const timeInput = createFormControl({
+    type: 'text',
+    title: 'Time of day (optional)',
+    value: timeValue,
+    placeholder: `at ${timeFormat.visualPattern}`,
+    classList: ['form-input-inline', 'form-input-time', 'form-reminder-time'],
+  });
+  itemElem.appendChild(timeInput);
+
+  const updateTimeInput = () => {
+    const allowTime = unitSelect.value === 'day' || unitSelect.value === 'week';
+    timeInput.disabled = !allowTime;
+    if (!allowTime) timeInput.value = '';
+    checkReminderTime(instance, timeInput);
+  };
+  unitSelect.addEventListener('change', updateTimeInput);
+  timeInput.addEventListener('change', () => (
+    checkReminderTime(instance, timeInput)
+  ));
+  updateTimeInput();
+
+  const removeButton = document.createElement('button');
+  removeButton.classList.add('form-button');
+  removeButton.textContent = 'Remove';
+  removeButton.addEventListener('click', () => list.removeChild(itemElem));
+  itemElem.appendChild(removeButton);
+
+  list.appendChild(itemElem);
+  return amountInput;
+}
+
+/**
+ * Read the reminders entered in the reminder editor.
+ * @param {module:addTaskModal~AddTaskModal} instance The class instance on
+ *   which to apply the function.
+ * @returns {module:task~Task~reminder[]} An array of reminders in the order
+ *   they appear in the editor.
+ */
+function getReminders(instance) {
+  const { controls, timeFormat } = privateMembers.get(instance);
+  const reminders = [];
+  controls.reminders.querySelectorAll('.form-reminder').forEach((elem) => {
+    const amount = Number(elem.querySelector('.form-reminder-amount').value);
+    const unit = elem.querySelector('.form-reminder-unit').value;
+    const timeString = elem.querySelector('.form-reminder-time').value;
+
+    let time = null;
+    if (timeString) {
+      const parsed = parseDate(timeString, timeFormat.inputPatterns);
+      time = formatDate(parsed, 'HH:mm');
+    }
+    reminders.push({ amount, unit, time });
+  });
+  return reminders;
+}
+
 /**
  * Initialize the values of the form elements based on the initial task that
  * was passed to the constructor, if any.
@@ -108,6 +420,20 @@ function initFormValues(instance) {
     );
   }
 
+  if (task?.hasDueTime) {
+    controls.dueTime.value = formatDate(
+      task.dueDate,
+      privates.timeFormat.outputPattern,
+    );
+  }
+
+  if (task?.startDate) {
+    controls.startDate.value = formatDate(
+      task.startDate,
+      privates.dateFormat.outputPattern,
+    );
+  }
+
   if (task?.recurringDate) {
     let value;
     if (task.recurringDate.isDefault()) {
@@ -135,41 +461,182 @@ function initFormValues(instance) {
     if (value === 'custom') privates.customRecurrence = task.recurringDate;
   }
 
+  task?.reminders.forEach((reminder) => addReminder(instance, reminder));
+
   if (task?.priorityString && task.priorityString !== 'unknown') {
     controls.priority.value = task.priorityString;
   } else {
     controls.priority.value = Task.convertPriorityToString(privates.priority);
   }
 
+  if (task && task.estimate !== null) {
+    controls.estimate.value = formatDuration(task.estimate);
+  }
+
   let { projectId } = privates;
   if (task?.project) projectId = task.project;
   if (projectId) controls.project.value = projectId;
 
+  const tags = task ? task.tags : privates.tags;
+  controls.tags.value = tags.join(', ');
+
   if (task?.description) controls.description.value = task.description;
+
+  task?.checklist.forEach((item) => addChecklistItem(instance, item));
+
+  task?.dependencies.forEach((id) => {
+    if (privates.tasks.hasTask(id)) addDependency(instance, id);
+  });
+}
+
+/**
+ * Check the value of the due time field and update its validity state. A due
+ * time must be in the correct format and must be accompanied by a due date.
+ * @param {module:addTaskModal~AddTaskModal} instance The class instance on
+ *   which to apply the function.
+ */
+function checkDueTime(instance) {
+  const { controls, timeFormat } = privateMembers.get(instance);
+  const { value } = controls.dueTime;
+
+  let message = '';
+  if (value.length > 0) {
+    if (!parseDate(value, timeFormat.inputPatterns)) {
+      const format = timeFormat.visualPattern;
+      message = `Please enter a valid time in ${format} format.`;
+    } else if (controls.dueDate.value.length === 0) {
+      message = 'Please enter a due date for this time.';
+    }
+  }
+  controls.dueTime.setCustomValidity(message);
+}
+
+/**
+ * Check the value of the estimated time field and update its validity state.
+ * @param {module:addTaskModal~AddTaskModal} instance The class instance on
+ *   which to apply the function.
+ */
+function checkEstimate(instance) {
+  const { controls } = privateMembers.get(instance);
+  const { value } = controls.estimate;
+
+  let message = '';
+  if (value.trim().length > 0 && parseDuration(value) === null) {
+    message = "Please enter a duration such as '1h 30m', '1:30', or '90'.";
+  }
+  controls.estimate.setCustomValidity(message);
+}
+
+/**
+ * Check the value of the start date field and update its validity state. A
+ * start date must be in the correct format and must not fall after the due
+ * date.
+ * @param {module:addTaskModal~AddTaskModal} instance The class instance on
+ *   which to apply the function.
+ */
+function checkStartDate(instance) {
+  const { controls, dateFormat } = privateMembers.get(instance);
+  const { value } = controls.startDate;
+
+  let message = '';
+  if (value.length > 0) {
+    const startDate = parseDate(value, dateFormat.inputPatterns);
+    const dueDate = controls.dueDate.value
+      ? parseDate(controls.dueDate.value, dateFormat.inputPatterns) : null;
+    if (!startDate) {
+      message = `Please enter a valid date in ${dateFormat.visualPattern} format.`;
+    } else if (dueDate && isDateAfter(startDate, dueDate)) {
+      message = 'The start date cannot be after the due date.';
+    }
+  }
+  controls.startDate.setCustomValidity(message);
+}
+
+/**
+ * Create a panel listing the past completions of the task being edited.
+ * @param {module:addTaskModal~AddTaskModal} instance The class instance on
+ *   which to apply the function.
+ * @returns {?HTMLElement} The container holding the panel, or null if there
+ *   is no completion history to show.
+ */
+function createCompletionHistory(instance) {
+  const privates = privateMembers.get(instance);
+  if (!privates.taskId) return null;
+  const task = privates.tasks.getTask(privates.taskId);
+  if (task.completionHistory.length === 0) return null;
+
+  const container = document.createElement('div');
+  container.classList.add('form-input-container');
+  const label = document.createElement('span');
+  label.textContent = 'Completion History';
+  label.classList.add('form-input-label');
+  container.appendChild(label);
+
+  const count = task.completionHistory.length;
+  const streak = task.getStreak();
+  const summary = document.createElement('p');
+  summary.classList.add('form-completion-summary');
+  summary.textContent = `Completed ${count} time${count !== 1 ? 's' : ''}, `
+    + `${streak} in a row on time`;
+  container.appendChild(summary);
+
+  const { dateFormat, timeFormat } = privates;
+  const list = document.createElement('ul');
+  list.classList.add('form-completion-list');
+  [...task.completionHistory].reverse().forEach(({ date, dueDate }) => {
+    const item = document.createElement('li');
+    item.classList.add('form-completion');
+    const dateStr = formatDate(date, dateFormat.outputPattern);
+    const timeStr = formatDate(date, timeFormat.outputPattern);
+    item.textContent = `${dateStr} ${timeStr}`;
+    if (dueDate) {
+      const dueStr = formatDate(dueDate, dateFormat.outputPattern);
+      const detail = document.createElement('span');
+      detail.classList.add('form-completion-due');
+      if (isDateAfter(date, endOfDay(dueDate))) {
+        detail.classList.add('form-completion-late');
+        detail.textContent = `Late (due ${dueStr})`;
+      } else {
+        detail.textContent = `Due ${dueStr}`;
+      }
+      item.appendChild(detail);
+    }
+    list.appendChild(item);
+  });
+  container.appendChild(list);
+
+  return container;
 }
 
 /**
- * Opens a date picker and updates the due date field.
+ * Opens a date picker and updates the given input field with the selected
+ * date.
  * @param {module:addTaskModal~AddTaskModal} instance The class instance on
  *   which to apply the function.
+ * @param {HTMLElement} input The text input field where the date is being
+ *   entered.
  * @param {module:modalStack~ModalStack} modalStack The modal stack in which
  *   the modal has been inserted.
  */
-function pickDueDate(instance, modalStack) {
+function pickDate(instance, input, modalStack) {
   const privates = privateMembers.get(instance);
-  const input = privates.controls.dueDate;
   let startDate = null;
   if (input.value) {
     startDate = parseDate(input.value, privates.dateFormat.inputPatterns);
   }
 
+  const title = input.id === 'task-start-date'
+    ? 'Select Start Date' : 'Select Due Date';
+
+  const field = input;
   modalStack.showModal(new DatePickerModal({
     confirm: (date) => {
-      input.value = formatDate(date, privates.dateFormat.outputPattern);
-      input.setCustomValidity('');
+      field.value = formatDate(date, privates.dateFormat.outputPattern);
+      field.setCustomValidity('');
+      checkStartDate(instance);
     },
     startDate,
-    title: 'Select Due Date',
+    title,
   }));
 }
 
@@ -260,6 +727,7 @@ function addListeners(instance, modalStack) {
   controls.project.addEventListener('change', (e) => {
     if (e.target.value === 'new') {
       const modal = new AddProjectModal({
+        projectList: privates.projects,
         confirm: (project) => {
           const id = privates.projects.addProject(project);
           updateProjects(instance);
@@ -286,7 +754,14 @@ function addListeners(instance, modalStack) {
       }
       e.target.setCustomValidity(message);
     }
+    checkDueTime(instance);
+    checkStartDate(instance);
   });
+  controls.dueTime.addEventListener('change', () => checkDueTime(instance));
+  controls.startDate.addEventListener('change', () => (
+    checkStartDate(instance)
+  ));
+  controls.estimate.addEventListener('change', () => checkEstimate(instance));
 }
 
 /**
@@ -315,9 +790,14 @@ class AddTaskModal {
    *   an existing task is being edited.
    * @property {number} [priority=0] The default priority to use for the task.
    *   This is ignored if an existing task is being edited.
+   * @property {string[]} [tags] The default tags to use for the task. This is
+   *   ignored if an existing task is being edited.
    * @property {module:settings~Settings~dateFormat} [dateFormat] An object
    *   holding information about the calendar date format to use for date
    *   fields. If not given, then the browser default is used.
+   * @property {module:settings~Settings~timeFormat} [timeFormat] An object
+   *   holding information about the format to use for time fields. If not
+   *   given, then the browser default is used.
    */
 
   /**
@@ -337,9 +817,11 @@ class AddTaskModal {
       taskId: options.taskId || null,
       projectId: options.projectId || null,
       priority: options.priority ?? 0,
+      tags: options.tags || [],
       mode: options.taskId ? 'edit' : 'add',
       customRecurrence: null,
       dateFormat: options.dateFormat || Settings.lookupDateFormat(),
+      timeFormat: options.timeFormat || Settings.lookupTimeFormat(),
       callbacks: {
         confirm: options.confirm || null,
         cancel: options.cancel || null,
@@ -348,10 +830,17 @@ class AddTaskModal {
       controls: {
         name: null,
         dueDate: null,
+        dueTime: null,
+        startDate: null,
         recurringDate: null,
+        reminders: null,
         priority: null,
+        estimate: null,
         project: null,
+        tags: null,
         description: null,
+        checklist: null,
+        dependencies: null,
       },
     };
     privateMembers.set(this, privates);
@@ -389,7 +878,7 @@ class AddTaskModal {
     const dateContainer = document.createElement('div');
     dateContainer.classList.add(...containerType.classList);
     const dateLabel = document.createElement('label');
-    dateLabel.textContent = 'Due Date';
+    dateLabel.textContent = 'Due Date and Time';
     dateLabel.htmlFor = 'task-due-date';
     dateLabel.classList.add('form-input-label');
     dateContainer.appendChild(dateLabel);
@@ -402,11 +891,32 @@ class AddTaskModal {
       container: { classList: ['form-input-date-container'] },
       button: {
         classList: ['form-button'],
-        callback: () => pickDueDate(this, modalStack),
+        callback: (input) => pickDate(this, input, modalStack),
+      },
+      time: {
+        id: 'task-due-time',
+        name: 'task-due-time',
+        title: 'Due time (optional)',
+        placeholder: privates.timeFormat.visualPattern,
+        classList: ['form-input-inline', 'form-input-time'],
       },
     }));
     parent.appendChild(dateContainer);
 
+    parent.appendChild(createDateInputField({
+      id: 'task-start-date',
+      name: 'task-start-date',
+      title: 'The task will be hidden until this date',
+      placeholder: privates.dateFormat.visualPattern,
+      classList: ['form-input-inline'],
+      label: labelType('Start Date'),
+      container: { classList: ['form-input-date-container'] },
+      button: {
+        classList: ['form-button'],
+        callback: (input) => pickDate(this, input, modalStack),
+      },
+    }));
+
     parent.appendChild(createFormControl({
       type: 'select',
       id: 'task-recurring-date',
@@ -424,6 +934,27 @@ class AddTaskModal {
       ],
     }));
 
+    const reminderContainer = document.createElement('div');
+    reminderContainer.classList.add(...containerType.classList);
+    const reminderLabel = document.createElement('span');
+    reminderLabel.textContent = 'Reminders';
+    reminderLabel.classList.add('form-input-label');
+    reminderContainer.appendChild(reminderLabel);
+
+    const reminderList = document.createElement('ul');
+    reminderList.id = 'task-reminders';
+    reminderList.classList.add('form-reminder-list');
+    reminderContainer.appendChild(reminderList);
+
+    const addReminderButton = document.createElement('button');
+    addReminderButton.classList.add('form-button');
+    addReminderButton.textContent = 'Add Reminder';
+    addReminderButton.addEventListener('click', () => {
+      addReminder(this).focus();
+    });
+    reminderContainer.appendChild(addReminderButton);
+    parent.appendChild(reminderContainer);
+
     parent.appendChild(createFormControl({
       type: 'select',
       id: 'task-priority',
@@ -440,6 +971,16 @@ class AddTaskModal {
       ],
     }));
 
+    parent.appendChild(createFormControl({
+      type: 'text',
+      id: 'task-estimate',
+      name: 'task-estimate',
+      placeholder: 'For example, 1h 30m',
+      classList: ['form-input'],
+      label: labelType('Estimated Time'),
+      container: containerType,
+    }));
+
     parent.appendChild(createFormControl({
       type: 'select',
       id: 'task-project',
@@ -450,6 +991,16 @@ class AddTaskModal {
       menuItems: [{ value: 'none', label: 'None' }],
     }));
 
+    parent.appendChild(createFormControl({
+      type: 'text',
+      id: 'task-tags',
+      name: 'task-tags',
+      placeholder: 'Separate tags with commas',
+      classList: ['form-input'],
+      label: labelType('Tags'),
+      container: containerType,
+    }));
+
     parent.appendChild(createFormControl({
       type: 'textarea',
       id: 'task-description',
@@ -460,13 +1011,70 @@ class AddTaskModal {
       size: { rows: 4, cols: 20 },
     }));
 
+    const checklistContainer = document.createElement('div');
+    checklistContainer.classList.add(...containerType.classList);
+    const checklistLabel = document.createElement('span');
+    checklistLabel.textContent = 'Checklist';
+    checklistLabel.classList.add('form-input-label');
+    checklistContainer.appendChild(checklistLabel);
+
+    const checklist = document.createElement('ul');
+    checklist.id = 'task-checklist';
+    checklist.classList.add('form-checklist');
+    checklistContainer.appendChild(checklist);
+
+    const addItemButton = document.createElement('button');
+    addItemButton.classList.add('form-button');
+    addItemButton.textContent = 'Add Item';
+    addItemButton.addEventListener('click', () => {
+      addChecklistItem(this).focus();
+    });
+    checklistContainer.appendChild(addItemButton);
+    parent.appendChild(checklistContainer);
+
+    const dependencyContainer = document.createElement('div');
+    dependencyContainer.classList.add(...containerType.classList);
+    const dependencyLabel = document.createElement('span');
+    dependencyLabel.textContent = 'Prerequisites';
+    dependencyLabel.classList.add('form-input-label');
+    dependencyContainer.appendChild(dependencyLabel);
+
+    const dependencyList = document.createElement('ul');
+    dependencyList.id = 'task-dependencies';
+    dependencyList.classList.add('form-dependency-list');
+    dependencyContainer.appendChild(dependencyList);
+
+    const addDependencyButton = document.createElement('button');
+    addDependencyButton.classList.add('form-button');
+    addDependencyButton.textContent = 'Add Prerequisite';
+    const otherTaskCount = privates.tasks.count({
+      completed: true,
+      deferred: true,
+    }) - (privates.taskId ? 1 : 0);
+    addDependencyButton.disabled = otherTaskCount === 0;
+    addDependencyButton.addEventListener('click', () => {
+      addDependency(this).focus();
+    });
+    dependencyContainer.appendChild(addDependencyButton);
+    parent.appendChild(dependencyContainer);
+
+    const historyContainer = createCompletionHistory(this);
+    if (historyContainer) parent.appendChild(historyContainer);
+
     privates.controls = {
       name: parent.querySelector('#task-name'),
       dueDate: parent.querySelector('#task-due-date'),
+      dueTime: parent.querySelector('#task-due-time'),
+      startDate: parent.querySelector('#task-start-date'),
       recurringDate: parent.querySelector('#task-recurring-date'),
+      reminders: parent.querySelector('#task-reminders'),
       priority: parent.querySelector('#task-priority'),
+      estimate: parent.querySelector('#task-estimate'),
       project: parent.querySelector('#task-project'),
+      tags: parent.querySelector('#task-tags'),
       description: parent.querySelector('#task-description'),
+      checklist: parent.querySelector('#task-checklist'),
+      dependencies: parent.querySelector('#task-dependencies'),
     };
     initFormValues(this);
     addListeners(this, modalStack);
@@ -474,19 +1082,45 @@ class AddTaskModal {
 
   confirm() {
     const privates = privateMembers.get(this);
-    const { controls, dateFormat } = privates;
+    const { controls, dateFormat, timeFormat } = privates;
 
     let dueDate = null;
+    let hasDueTime = false;
     if (controls.dueDate.value) {
       dueDate = parseDate(controls.dueDate.value, dateFormat.inputPatterns);
+
+      if (controls.dueTime.value) {
+        const time = parseDate(controls.dueTime.value, timeFormat.inputPatterns);
+        dueDate = setTime(dueDate, {
+          hours: time.getHours(),
+          minutes: time.getMinutes(),
+          seconds: 0,
+          milliseconds: 0,
+        });
+        hasDueTime = true;
+      }
+    }
+
+    let startDate = null;
+    if (controls.startDate.value) {
+      startDate = parseDate(controls.startDate.value, dateFormat.inputPatterns);
     }
 
     let creationDate = null;
     let completionDate = null;
+    let timeLog = [];
+    let completionHistory = [];
     if (privates.taskId) {
       const task = privates.tasks.getTask(privates.taskId);
       creationDate = task.creationDate;
       completionDate = task.completionDate;
+      timeLog = task.timeLog;
+      completionHistory = task.completionHistory;
+    }
+
+    let estimate = null;
+    if (controls.estimate.value.trim()) {
+      estimate = parseDuration(controls.estimate.value);
     }
 
     let recurringDate = null;
@@ -522,12 +1156,21 @@ class AddTaskModal {
 
     const task = new Task(controls.name.value, {
       dueDate,
+      hasDueTime,
+      startDate,
       creationDate,
       completionDate,
       priority: controls.priority.value,
       description: controls.description.value || null,
       recurringDate,
       project,
+      checklist: getChecklistItems(this),
+      tags: controls.tags.value.split(','),
+      reminders: getReminders(this),
+      dependencies: getDependencies(this),
+      estimate,
+      timeLog,
+      completionHistory,
     });
 
     let id;
@@ -550,7 +1193,25 @@ class AddTaskModal {
     const { controls } = privateMembers.get(this);
     if (!controls.name.reportValidity()) return false;
     if (!controls.dueDate.reportValidity()) return false;
-    return true;
+    checkDueTime(this);
+    if (!controls.dueTime.reportValidity()) return false;
+    checkStartDate(this);
+    if (!controls.startDate.reportValidity()) return false;
+    checkEstimate(this);
+    if (!controls.estimate.reportValidity()) return false;
+
+    const reminderInputs = controls.reminders.querySelectorAll(
+      '.form-reminder-amount, .form-reminder-time',
+    );
+    if (![...reminderInputs].every((input) => input.reportValidity())) {
+      return false;
+    }
+
+    checkDependencies(this);
+    const dependencyInputs = controls.dependencies.querySelectorAll(
+      '.form-dependency-task',
+    );
+    return [...dependencyInputs].every((input) => input.reportValidity());
   }
 }
 
@@ -0,0 +1,470 @@
+/**
+ * Defines the [CsvImportModal]{@link module:csvImportModal~CsvImportModal}
+ * class.
+ * @module csvImportModal
+ */
+
+import Settings from '../settings';
+import Task from '../task';
+import { createFormControl } from '../utility/dom';
+import { formatDate, parseDate } from '../utility/dates';
+
+/**
+ * The number of data rows shown in the preview.
+ * @type {number}
+ */
+const PREVIEW_ROWS = 5;
+
+/**
+ * A task field to which a column can be assigned.
+ * @typedef {Object} module:csvImportModal~field
+ * @property {string} value The CSV header name recognized by
+ *   [TaskList.importFromCsv]{@link module:taskList~TaskList#importFromCsv}
+ *   for the field.
+ * @property {string} label The name of the field shown to the user.
+ * @property {string[]} aliases Lower case column names that are assigned to
+ *   the field by default.
+ * @property {boolean} [isDate=false] Whether the field holds a date.
+ */
+
+/**
+ * The task fields to which columns can be assigned.
+ * @type {module:csvImportModal~field[]}
+ */
+const FIELDS = [
+  {
+    value: 'Name',
+    label: 'Name',
+    aliases: ['name', 'title', 'task', 'task name', 'subject', 'summary'],
+  },
+  {
+    value: 'Description',
+    label: 'Description',
+    aliases: ['description', 'notes', 'note', 'details', 'comments'],
+  },
+  {
+    value: 'Project Name',
+    label: 'Project',
+    aliases: ['project', 'project name', 'list', 'category'],
+  },
+  {
+    value: 'Due Date',
+    label: 'Due Date',
+    aliases: ['due date', 'due', 'deadline', 'due by'],
+    isDate: true,
+  },
+  {
+    value: 'Start Date',
+    label: 'Start Date',
+    aliases: ['start date', 'start', 'begin date'],
+    isDate: true,
+  },
+  {
+    value: 'Date Added',
+    label: 'Date Added',
+    aliases: ['date added', 'created', 'date created', 'creation date'],
+    isDate: true,
+  },
+  {
+    value: 'Date Completed',
+    label: 'Date Completed',
+    aliases: ['date completed', 'completion date', 'completed on'],
+    isDate: true,
+  },
+  {
+    value: 'Priority',
+    label: 'Priority',
+    aliases: ['priority', 'importance'],
+  },
+  {
+    value: 'Tags',
+    label: 'Tags',
+    aliases: ['tags', 'tag', 'labels', 'label'],
+  },
+  {
+    value: 'Checklist',
+    label: 'Checklist',
+    aliases: ['checklist', 'subtasks'],
+  },
+  {
+    value: 'Estimated Minutes',
+    label: 'Estimated Minutes',
+    aliases: ['estimated minutes', 'estimate', 'minutes'],
+  },
+];
+
+/**
+ * Object holding private members for the
+ * [CsvImportModal]{@link module:csvImportModal~CsvImportModal} class.
+ * @typedef {Object} module:csvImportModal~CsvImportModal~privates
+ * @property {string[][]} data The parsed CSV data, including the header.
+ * @property {string} dateFormat The type of the date format initially
+ *   selected.
+ * @property {Object} callbacks An object holding callback functions.
+ * @property {module:csvImportModal~CsvImportModal~confirm} [callbacks.confirm]
+ *   A callback function that will be invoked when the user successfully
+ *   confirms the modal.
+ * @property {Function} [callbacks.cancel] A callback function that will be
+ *   invoked when the user cancels the modal.
+ * @property {Object} controls An object holding the form controls in the modal
+ *   content.
+ * @property {HTMLElement[]} controls.columns The select elements holding the
+ *   field assigned to each column.
+ * @property {HTMLElement} controls.dateFormat The select element for the
+ *   date format.
+ * @property {HTMLElement} controls.preview The element holding the preview of
+ *   the imported tasks.
+ */
+
+/**
+ * Holds private data for the
+ * [CsvImportModal]{@link module:csvImportModal~CsvImportModal} class.
+ * @type {WeakMap}
+ * @see module:csvImportModal~CsvImportModal~privates
+ */
+const privateMembers = new WeakMap();
+
+/**
+ * Find the field that a column should be assigned to by default.
+ * @param {string} columnName The name of the column in the CSV header.
+ * @returns {?module:csvImportModal~field} The field matching the column name,
+ *   or null if there is none.
+ */
+function guessField(columnName) {
+  const name = columnName.trim().toLowerCase().replace(/[-_]/g, ' ');
+  return FIELDS.find(({ aliases }) => aliases.includes(name)) ?? null;
+}
+
+/**
+ * Get the name of a column as it should be shown to the user.
+ * @param {string[][]} data The parsed CSV data.
+ * @param {number} index The index of the column.
+ * @returns {string} The name of the column in the header, or a generic name if
+ *   the column has no name.
+ */
+function getColumnName(data, index) {
+  const name = data[0][index]?.trim();
+  return name || `Column ${index + 1}`;
+}
+
+/**
+ * Get the date format currently selected in the modal.
+ * @param {module:csvImportModal~CsvImportModal} instance The class instance
+ *   on which to apply the function.
+ * @returns {module:settings~Settings~dateFormat} The selected date format.
+ */
+function getDateFormat(instance) {
+  const { controls } = privateMembers.get(instance);
+  return Settings.lookupDateFormat(controls.dateFormat.value);
+}
+
+/**
+ * Check that each task field is assigned to at most one column and that the
+ * task name is assigned to a column, and update the validity state of the
+ * column selectors.
+ * @param {module:csvImportModal~CsvImportModal} instance The class instance
+ *   on which to apply the function.
+ */
+function checkColumns(instance) {
+  const { controls } = privateMembers.get(instance);
+  const assigned = new Set();
+  controls.columns.forEach((select) => {
+    let message = '';
+    if (select.value && assigned.has(select.value)) {
+      message = 'This field is already assigned to another column.';
+    }
+    assigned.add(select.value);
+    select.setCustomValidity(message);
+  });
+
+  if (!assigned.has('Name') && controls.columns.length > 0) {
+    controls.columns[0].setCustomValidity(
+      'Please assign a column to the task name.',
+    );
+  }
+}
+
+/**
+ * Format a value from the CSV data for display in the preview.
+ * @param {module:csvImportModal~CsvImportModal} instance The class instance
+ *   on which to apply the function.
+ * @param {module:csvImportModal~field} field The field holding the value.
+ * @param {string} value The value to format.
+ * @returns {Object} An object whose text property holds the formatted value
+ *   and whose invalid property indicates whether the value could not be
+ *   read.
+ */
+function formatPreviewValue(instance, field, value) {
+  if (value.length === 0) return { text: '', invalid: false };
+
+  if (field.isDate) {
+    const date = parseDate(value, getDateFormat(instance).inputPatterns);
+    if (!date) return { text: `${value} (invalid date)`, invalid: true };
+    return { text: formatDate(date, 'PP'), invalid: false };
+  }
+  if (field.value === 'Priority') {
+    const priority = Task.convertStringToPriority(value);
+    return {
+      text: Task.convertPriorityToPrettyString(priority),
+      invalid: false,
+    };
+  }
+  return { text: value, invalid: false };
+}
+
+/**
+ * Update the preview of the first few tasks to import, using the current
+ * column assignments and date format.
+ * @param {module:csvImportModal~CsvImportModal} instance The class instance
+ *   on which to apply the function.
+ */
+function updatePreview(instance) {
+  const { data, controls } = privateMembers.get(instance);
+  const { preview } = controls;
+  while (preview.firstChild) preview.removeChild(preview.firstChild);
+
+  const columns = [];
+  controls.columns.forEach((select, index) => {
+    const field = FIELDS.find(({ value }) => value === select.value);
+    if (field) columns.push({ field, index });
+  });
+
+  const rows = data.slice(1, PREVIEW_ROWS + 1);
+  const summary = document.createElement('div');
+  summary.classList.add('csv-import-summary');
+  const rowCount = data.length - 1;
+  summary.textContent = `Found ${rowCount} ${rowCount !== 1 ? 'rows' : 'row'} of data.`;
+  if (rows.length > 0 && columns.length > 0) {
+    summary.textContent += ` Showing the first ${rows.length}:`;
+  }
+  preview.appendChild(summary);
+  if (rows.length === 0 || columns.length === 0) return;
+
+  const table = document.createElement('table');
+  table.classList.add('csv-import-table');
+  const headerRow = document.createElement('tr');
+  columns.forEach(({ field }) => {
+    const cell = document.createElement('th');
+    cell.textContent = field.label;
+    headerRow.appendChild(cell);
+  });
+  table.appendChild(headerRow);
+
+  rows.forEach((record) => {
+    const row = document.createElement('tr');
+    columns.forEach(({ field, index }) => {
+      const cell = document.createElement('td');
+      const { text, invalid } = formatPreviewValue(
+        instance,
+        field,
+        record[index] ?? '',
+      );
+      cell.textContent = text;
+      cell.title = text;
+      if (invalid) cell.classList.add('csv-import-invalid');
+      row.appendChild(cell);
+    });
+    table.appendChild(row);
+  });
+  preview.appendChild(table);
+}
+
+/**
+ * A modal dialog for importing tasks from a CSV spreadsheet with arbitrary
+ * columns. The user assigns each column to a task field and chooses the
+ * format of the dates in the data.
+ * @implements {module:modalStack~Modal}
+ */
+class CsvImportModal {
+  /**
+   * A callback function that will be invoked when the user confirms the
+   * import.
+   * @callback module:csvImportModal~CsvImportModal~confirm
+   * @param {string[][]} data The CSV data with its header replaced by the
+   *   names of the assigned task fields, in the form expected by
+   *   [TaskList.importFromCsv]{@link module:taskList~TaskList#importFromCsv}.
+   *   Ignored columns have empty names.
+   * @param {module:settings~Settings~dateFormat} dateFormat The format of the
+   *   dates in the data.
+   */
+
+  /**
+   * Specifies options for the modal.
+   * @typedef {Object} module:csvImportModal~CsvImportModal~options
+   * @property {string} [dateFormat=local] The type of the date format to
+   *   select initially. See
+   *   [Settings.lookupDateFormat]{@link module:settings~Settings.lookupDateFormat}.
+   * @property {module:csvImportModal~CsvImportModal~confirm} [confirm] A
+   *   callback function that will be invoked when the user successfully
+   *   confirms the modal.
+   * @property {Function} [cancel] A callback function that will be invoked
+   *   when the user cancels the modal.
+   */
+
+  /**
+   * Initialize the modal.
+   * @param {string[][]} data The parsed CSV data. The first record should be
+   *   a header holding the column names.
+   * @param {module:csvImportModal~CsvImportModal~options} [options={}] An
+   *   object holding configuration options for the modal.
+   */
+  constructor(data, options = {}) {
+    const privates = {
+      data: data.length > 0 ? data : [[]],
+      dateFormat: options.dateFormat || 'local',
+      callbacks: {
+        confirm: options.confirm || null,
+        cancel: options.cancel || null,
+      },
+      controls: {
+        columns: [],
+        dateFormat: null,
+        preview: null,
+      },
+    };
+    privateMembers.set(this, privates);
+  }
+
+  /* eslint-disable class-methods-use-this --
+   * We need to set these properties to conform to the Modal interface, but
+   * setting them directly in the constructor would allow external
+   * modification.
+   */
+
+  get title() {
+    return 'Import Spreadsheet';
+  }
+
+  get confirmLabel() {
+    return 'Import';
+  }
+
+  /* eslint-enable class-methods-use-this */
+
+  get initFocus() {
+    return privateMembers.get(this).controls.columns[0] ?? 'confirm';
+  }
+
+  addContent(parent) {
+    const privates = privateMembers.get(this);
+    const { data, controls } = privates;
+    const containerType = { classList: ['form-input-container'] };
+    const labelType = (value) => ({ value, classList: ['form-input-label'] });
+
+    const help = document.createElement('div');
+    help.classList.add('csv-import-summary');
+    help.textContent = 'Choose the task field for each column in the spreadsheet.';
+    parent.appendChild(help);
+
+    const usedFields = new Set();
+    data[0].forEach((columnName, index) => {
+      let field = guessField(columnName);
+      if (field && usedFields.has(field.value)) field = null;
+      if (field) usedFields.add(field.value);
+
+      parent.appendChild(createFormControl({
+        type: 'select',
+        id: `csv-import-column-${index}`,
+        name: `csv-import-column-${index}`,
+        classList: ['form-select'],
+        label: labelType(getColumnName(data, index)),
+        container: containerType,
+        menuItems: [
+          { value: '', label: 'Ignore', selected: !field },
+          ...FIELDS.map(({ value, label }) => ({
+            value,
+            label,
+            selected: field?.value === value,
+          })),
+        ],
+      }));
+    });
+
+    const dateFormats = [
+      'local',
+      'iso',
+      'month-day-year',
+      'day-month-year',
+      'year-month-day',
+    ].map((value) => {
+      const format = Settings.lookupDateFormat(value).visualPattern;
+      let description;
+      switch (value) {
+        case 'local':
+          description = 'Local Format';
+          break;
+        case 'iso':
+          description = 'ISO';
+          break;
+        case 'month-day-year':
+          description = 'Month/Day/Year';
+          break;
+        case 'day-month-year':
+          description = 'Day/Month/Year';
+          break;
+        case 'year-month-day':
+        default:
+          description = 'Year/Month/Day';
+          break;
+      }
+      return {
+        value,
+        label: `${description}: ${format}`,
+        selected: value === privates.dateFormat,
+      };
+    });
+    parent.appendChild(createFormControl({
+      type: 'select',
+      id: 'csv-import-date-format',
+      name: 'csv-import-date-format',
+      classList: ['form-select'],
+      label: labelType('Date Format'),
+      container: containerType,
+      menuItems: dateFormats,
+    }));
+
+    const preview = document.createElement('div');
+    preview.classList.add('form-input-container', 'csv-import-preview');
+    parent.appendChild(preview);
+
+    controls.columns = data[0].map((columnName, index) => (
+      parent.querySelector(`#csv-import-column-${index}`)
+    ));
+    controls.dateFormat = parent.querySelector('#csv-import-date-format');
+    controls.preview = preview;
+
+    [...controls.columns, controls.dateFormat].forEach((select) => {
+      select.addEventListener('change', () => {
+        checkColumns(this);
+        updatePreview(this);
+      });
+    });
+    checkColumns(this);
+    updatePreview(this);
+  }
+
+  confirm() {
+    const privates = privateMembers.get(this);
+    const { data, controls } = privates;
+    if (privates.callbacks.confirm) {
+      const header = controls.columns.map((select) => select.value);
+      privates.callbacks.confirm(
+        [header, ...data.slice(1)],
+        getDateFormat(this),
+      );
+    }
+  }
+
+  cancel() {
+    const privates = privateMembers.get(this);
+    if (privates.callbacks.cancel) privates.callbacks.cancel();
+  }
+
+  validate() {
+    const { controls } = privateMembers.get(this);
+    checkColumns(this);
+    return controls.columns.every((select) => select.reportValidity());
+  }
+}
+
+export default CsvImportModal;
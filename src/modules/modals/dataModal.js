@@ -4,19 +4,32 @@
  */
 
 import ConfirmModal from './confirmModal';
+import CsvImportModal from './csvImportModal';
 import ExportModal from './exportModal';
+import InfoModal from './infoModal';
+import Settings from '../settings';
 
 import { createFormControl } from '../utility/dom';
-import { readFile } from '../utility/storage';
+import { parseCsv, readFile } from '../utility/storage';
 
 /**
  * Object holding the private members for the
  * [DataModal]{@link module:dataModal~dataModal} class.
  * @typedef {Object} module:dataModal~DataModal~privates
+ * @property {string} dateFormat The type of the date format to select
+ *   initially when importing a spreadsheet, and to use for dates when
+ *   exporting.
+ * @property {?module:projectList~ProjectList} projects The project container,
+ *   if the user can choose projects to export.
+ * @property {?string} viewName The name of the current view, if the user can
+ *   choose to export its tasks.
  * @property {Object} callbacks An object holding callback functions.
  * @property {module:dataModal~DataModal~importData} [callbacks.importData] A
  *   callback function that will be invoked if the user chooses to import data
  *   from a file.
+ * @property {module:dataModal~DataModal~importSpreadsheet}
+ *   [callbacks.importSpreadsheet] A callback function that will be invoked if
+ *   the user chooses to import tasks from a spreadsheet.
  * @property {module:dataModal~DataModal~exportData} [callbacks.exportData] A
  *   callback function that will be invoked if the user chooses to export data
  *   to a file.
@@ -27,7 +40,11 @@ import { readFile } from '../utility/storage';
  * @property {Object} controls An object holding the form controls in the modal
  *   content.
  * @property {HTMLElement} controls.fileSelector The file input control.
+ * @property {HTMLElement} controls.spreadsheetSelector The file input control
+ *   for spreadsheets.
  * @property {HTMLElement} controls.importButton The import button.
+ * @property {HTMLElement} controls.spreadsheetButton The spreadsheet import
+ *   button.
  * @property {HTMLElement} controls.exportButton The export button.
  * @property {HTMLElement} controls.deleteButton The delete button.
  */
@@ -65,6 +82,44 @@ function doImport(instance, modalStack, file) {
   });
 }
 
+/**
+ * Ask the user how to import a spreadsheet that they selected, and then
+ * perform the import.
+ * @param {module:dataModal~DataModal} instance The class instance on which to
+ *   apply the function.
+ * @param {module:modalStack~ModalStack} modalStack The modal stack in which
+ *   the modal is being inserted.
+ * @param {Blob} file The spreadsheet that the user selected for import.
+ */
+function doSpreadsheetImport(instance, modalStack, file) {
+  const privates = privateMembers.get(instance);
+  readFile(file, (content) => {
+    if (content == null) return;
+
+    const data = parseCsv(content);
+    if (data.length < 2 || data[0].length === 0) {
+      modalStack.showModal(new InfoModal(
+        'The selected file does not contain any spreadsheet rows to import.',
+        { title: 'Import Spreadsheet' },
+      ));
+      return;
+    }
+
+    const modal = new CsvImportModal(data, {
+      dateFormat: privates.dateFormat,
+      confirm: (mappedData, dateFormat) => {
+        // Use setTimeout to wait for import modal to finish
+        setTimeout(() => {
+          modalStack.closeModal();
+          const callback = privates.callbacks.importSpreadsheet;
+          if (callback) callback(mappedData, { dateFormat });
+        });
+      },
+    });
+    modalStack.showModal(modal);
+  });
+}
+
 /**
  * Perform a data export that was requested by the user.
  * @param {module:dataModal~DataModal} instance The class instance on which to
@@ -72,7 +127,7 @@ function doImport(instance, modalStack, file) {
  * @param {module:modalStack~ModalStack} modalStack The modal stack in which
  *   the modal is being inserted.
  * @param {string} fileType A string specifying the file format to use for
- *   export: 'json' or 'csv'.
+ *   export: 'json', 'csv', 'ical', 'todotxt', 'markdown', or 'html'.
  * @param {Object} fileOptions An object specifying additional file options.
  */
 function doExport(instance, modalStack, fileType, fileOptions) {
@@ -107,14 +162,22 @@ function doDelete(instance, modalStack) {
  *   the modal is being inserted.
  */
 function addListeners(instance, modalStack) {
-  const { controls } = privateMembers.get(instance);
+  const privates = privateMembers.get(instance);
+  const { controls } = privates;
 
   controls.importButton.addEventListener('click', () => {
     controls.fileSelector.click();
   });
 
+  controls.spreadsheetButton.addEventListener('click', () => {
+    controls.spreadsheetSelector.click();
+  });
+
   controls.exportButton.addEventListener('click', () => {
     const modal = new ExportModal({
+      projectList: privates.projects,
+      viewName: privates.viewName,
+      dateFormat: Settings.lookupDateFormat(privates.dateFormat),
       confirm: (fileType, options) => {
         doExport(instance, modalStack, fileType, options);
       },
@@ -142,6 +205,11 @@ function addListeners(instance, modalStack) {
     const { files } = e.target;
     if (files.length > 0) doImport(instance, modalStack, files[0]);
   });
+
+  controls.spreadsheetSelector.addEventListener('change', (e) => {
+    const { files } = e.target;
+    if (files.length > 0) doSpreadsheetImport(instance, modalStack, files[0]);
+  });
 }
 
 /**
@@ -161,15 +229,30 @@ class DataModal {
    *   browser could not determine a media type.
    */
 
+  /**
+   * A callback function that will be invoked when the user chooses to import
+   * tasks from a spreadsheet and confirms how its columns should be read.
+   * @callback module:dataModal~DataModal~importSpreadsheet
+   * @param {string[][]} data The parsed CSV data, with its header replaced by
+   *   the names of the task fields chosen by the user. See
+   *   [CsvImportModal]{@link module:csvImportModal~CsvImportModal~confirm}.
+   * @param {Object} options An object holding additional import options.
+   * @param {module:settings~Settings~dateFormat} options.dateFormat The format
+   *   of the dates in the data.
+   */
+
   /**
    * A callback function that will be invoked when the user chooses to export
    * data to a file.
    * @callback module:dataModal~DataModal~exportData
    * @param {string} fileType A string specifying the file format to use for
-   *   export. This can be either 'json' or 'csv'.
+   *   export. This can be 'json', 'csv', 'ical', 'todotxt', 'markdown', or
+   *   'html'.
    * @param {Object} [options] An object specifying additional file options.
    * @param {string} [options.newlineSequence] The character sequence to use
    *   for newlines.
+   * @param {module:exportModal~ExportModal~scope} [options.scope] The tasks to
+   *   export, if not exporting a report.
    */
 
   /**
@@ -178,6 +261,18 @@ class DataModal {
    * @property {module:dataModal~DataModal~importData} [importData] A callback
    *   function that will be invoked when the user chooses to import data from
    *   a file and the file is read successfully.
+   * @property {module:dataModal~DataModal~importSpreadsheet}
+   *   [importSpreadsheet] A callback function that will be invoked when the
+   *   user chooses to import tasks from a spreadsheet.
+   * @property {string} [dateFormat=local] The type of the date format to
+   *   select initially when importing a spreadsheet, and to use for dates
+   *   when exporting. See
+   *   [Settings.lookupDateFormat]{@link module:settings~Settings.lookupDateFormat}.
+   * @property {module:projectList~ProjectList} [projectList] The project
+   *   container. If given, then the user can choose to export only the tasks
+   *   in certain projects.
+   * @property {string} [viewName] The name of the current view. If given, then
+   *   the user can choose to export only the tasks in the view.
    * @property {module:dataModal~DataModal~exportData} [exportData] A callback
    *   function that will be invoked when the user chooses to export data to a
    *   file.
@@ -195,15 +290,21 @@ class DataModal {
    */
   constructor(options = {}) {
     const privates = {
+      dateFormat: options.dateFormat || 'local',
+      projects: options.projectList || null,
+      viewName: options.viewName || null,
       callbacks: {
         importData: options.importData || null,
+        importSpreadsheet: options.importSpreadsheet || null,
         exportData: options.exportData || null,
         deleteAll: options.deleteAll || null,
         close: options.close || null,
       },
       controls: {
         fileSelector: null,
+        spreadsheetSelector: null,
         importButton: null,
+        spreadsheetButton: null,
         exportButton: null,
         deleteButton: null,
       },
@@ -263,6 +364,10 @@ class DataModal {
     buttonContainer.classList.add('form-button-container');
     container.appendChild(buttonContainer);
     controls.importButton = addButton('Import from File...', buttonContainer);
+    controls.spreadsheetButton = addButton(
+      'Import Spreadsheet...',
+      buttonContainer,
+    );
     controls.exportButton = addButton('Export to File...', buttonContainer);
 
     container = addContainer();
@@ -277,11 +382,23 @@ class DataModal {
       accept: [
         '.json',
         '.csv',
+        '.ics',
+        '.txt',
         'application/json',
         'text/csv',
+        'text/calendar',
+        'text/plain',
       ],
     });
 
+    controls.spreadsheetSelector = createFormControl({
+      type: 'file',
+      id: 'data-import-spreadsheet-select',
+      name: 'data-import-spreadsheet-select',
+      classList: ['form-input-hidden'],
+      accept: ['.csv', 'text/csv'],
+    });
+
     addListeners(this, modalStack);
   }
 
@@ -3,12 +3,23 @@
  * @module exportModal
  */
 
-import { createFormControl } from '../utility/dom';
+import DatePickerModal from './datePickerModal';
+import Settings from '../settings';
+import { formatDate, parseDate } from '../utility/dates';
+import { createDateInputField, createFormControl } from '../utility/dom';
+
+const PROJECT_INDENT = '\u00a0\u00a0\u00a0';
 
 /**
  * Object holding private members for the
  * [ExportModal]{@link module:exportModal~ExportModal} class.
  * @typedef {Object} module:exportModal~ExportModal~privates
+ * @property {?module:projectList~ProjectList} projects The project container,
+ *   if projects can be chosen.
+ * @property {?string} viewName The name of the current view, if its tasks
+ *   can be exported.
+ * @property {module:settings~Settings~dateFormat} dateFormat The format to
+ *   use for dates.
  * @property {Object} callbacks An object holding callback functions.
  * @property {Function} [callbacks.confirm] A callback function that will be
  *   invoked when the user successfully confirms the modal.
@@ -20,8 +31,34 @@ import { createFormControl } from '../utility/dom';
  *   the JSON file format.
  * @property {HTMLElement} controls.exportCsv The radio button for selecting
  *   the CSV file format.
+ * @property {HTMLElement} controls.exportICal The radio button for selecting
+ *   the iCalendar file format.
+ * @property {HTMLElement} controls.exportTodoTxt The radio button for
+ *   selecting the todo.txt file format.
+ * @property {HTMLElement} controls.exportMarkdown The radio button for
+ *   selecting a Markdown report of the current view.
+ * @property {HTMLElement} controls.exportHtml The radio button for selecting
+ *   an HTML report of the current view.
  * @property {HTMLElement} controls.newlineSequence The select box for choosing
  *   the newline style.
+ * @property {HTMLElement} controls.scope The container holding the controls
+ *   for choosing which tasks to export.
+ * @property {HTMLElement} controls.scopeAll The radio button for exporting
+ *   all tasks.
+ * @property {?HTMLElement} controls.scopeView The radio button for exporting
+ *   the tasks in the current view, if available.
+ * @property {?HTMLElement} controls.scopeProjects The radio button for
+ *   exporting the tasks in the selected projects, if available.
+ * @property {HTMLElement[]} controls.projects The checkboxes for the
+ *   projects that can be selected.
+ * @property {HTMLElement} controls.dateField The select box for choosing the
+ *   date to which the date range applies.
+ * @property {HTMLElement} controls.startDate The text input element for the
+ *   beginning of the date range.
+ * @property {HTMLElement} controls.endDate The text input element for the end
+ *   of the date range.
+ * @property {HTMLElement} controls.completed The checkbox for including
+ *   completed tasks.
  */
 
 /**
@@ -32,6 +69,74 @@ import { createFormControl } from '../utility/dom';
  */
 const privateMembers = new WeakMap();
 
+/**
+ * Get the date entered in one of the date range fields.
+ * @param {module:exportModal~ExportModal} instance The class instance on which
+ *   to apply the function.
+ * @param {HTMLElement} input The text input element for the date.
+ * @returns {?Date} The entered date, or null if the field is empty or does not
+ *   hold a valid date.
+ */
+function getDate(instance, input) {
+  if (!input.value) return null;
+  return parseDate(input.value, privateMembers.get(instance).dateFormat
+    .inputPatterns);
+}
+
+/**
+ * Show a date picker for one of the date range fields.
+ * @param {module:exportModal~ExportModal} instance The class instance on which
+ *   to apply the function.
+ * @param {HTMLElement} input The text input element for the date.
+ * @param {module:modalStack~ModalStack} modalStack The modal stack in which
+ *   the modal has been inserted.
+ */
+function pickDate(instance, input, modalStack) {
+  const privates = privateMembers.get(instance);
+  const field = input;
+  modalStack.showModal(new DatePickerModal({
+    confirm: (date) => {
+      field.value = formatDate(date, privates.dateFormat.outputPattern);
+      field.setCustomValidity('');
+    },
+    startDate: getDate(instance, input),
+    title: input.id === 'export-start-date'
+      ? 'Select Start Date' : 'Select End Date',
+  }));
+}
+
+/**
+ * Enable or disable the controls for choosing which tasks to export, based on
+ * the current selections. Reports always show the tasks in the current view,
+ * so the controls are disabled when a report format is selected.
+ * @param {module:exportModal~ExportModal} instance The class instance on which
+ *   to apply the function.
+ */
+function updateScopeControls(instance) {
+  const { controls } = privateMembers.get(instance);
+  const isReport = controls.exportMarkdown.checked
+    || controls.exportHtml.checked;
+
+  controls.scope.querySelectorAll('input, select, button').forEach((elem) => {
+    const control = elem;
+    control.disabled = isReport;
+  });
+  if (isReport) return;
+
+  const pickProjects = controls.scopeProjects?.checked ?? false;
+  controls.projects.forEach((checkbox) => {
+    const control = checkbox;
+    control.disabled = !pickProjects;
+  });
+  const noDates = controls.dateField.value === 'none';
+  controls.scope.querySelectorAll('.form-input-date-container input, .form-input-date-container button')
+    .forEach((elem) => {
+      const control = elem;
+      control.disabled = noDates;
+    });
+  controls.completed.disabled = controls.dateField.value === 'completion';
+}
+
 /**
  * A modal dialog for exporting data to a file.
  * @implements {module:modalStack~Modal}
@@ -42,10 +147,32 @@ class ExportModal {
    * data to a file.
    * @callback module:exportModal~ExportModal~exportCallback
    * @param {string} fileType A string specifying the file format to use for
-   *   export. This can be either 'json' or 'csv'.
+   *   export. This can be 'json', 'csv', 'ical', 'todotxt', 'markdown', or
+   *   'html'.
    * @param {Object} [options] An object specifying additional file options.
    * @param {string} [options.newlineSequence] The character sequence to use
    *   for newlines.
+   * @param {module:exportModal~ExportModal~scope} [options.scope] The tasks to
+   *   export. This is not given for reports, which always show the tasks in
+   *   the current view.
+   */
+
+  /**
+   * An object describing which tasks to export.
+   * @typedef {Object} module:exportModal~ExportModal~scope
+   * @property {string} type The tasks to start from: 'all' for all tasks,
+   *   'view' for the tasks in the current view, or 'projects' for the tasks
+   *   in the selected projects.
+   * @property {string[]} projects The identifiers of the selected projects,
+   *   if the type is 'projects'. The string 'none' stands for tasks that do
+   *   not belong to any project.
+   * @property {?string} dateField The date to which the date range applies:
+   *   'due' for the due date, 'completion' for the completion date, or null
+   *   if there is no date range.
+   * @property {?Date} startDate The beginning of the date range, if any.
+   * @property {?Date} endDate The end of the date range, if any.
+   * @property {boolean} completed Whether completed tasks are exported. This
+   *   is always true if the date range applies to the completion date.
    */
 
   /**
@@ -56,6 +183,13 @@ class ExportModal {
    *   confirms the modal.
    * @property {Function} [cancel] A callback function that will be invoked
    *   when the user cancels the modal.
+   * @property {module:projectList~ProjectList} [projectList] The project
+   *   container. If given, then the user can choose to export only the tasks
+   *   in certain projects.
+   * @property {string} [viewName] The name of the current view. If given,
+   *   then the user can choose to export only the tasks in the view.
+   * @property {module:settings~Settings~dateFormat} [dateFormat] The format to
+   *   use for dates. If not given, then the local format is used.
    */
 
   /**
@@ -65,6 +199,9 @@ class ExportModal {
    */
   constructor(options = {}) {
     const privates = {
+      projects: options.projectList || null,
+      viewName: options.viewName || null,
+      dateFormat: options.dateFormat ?? Settings.lookupDateFormat(),
       callbacks: {
         confirm: options.confirm || null,
         cancel: options.cancel || null,
@@ -72,7 +209,20 @@ class ExportModal {
       controls: {
         exportJson: null,
         exportCsv: null,
+        exportICal: null,
+        exportTodoTxt: null,
+        exportMarkdown: null,
+        exportHtml: null,
         newlineSequence: null,
+        scope: null,
+        scopeAll: null,
+        scopeView: null,
+        scopeProjects: null,
+        projects: [],
+        dateField: null,
+        startDate: null,
+        endDate: null,
+        completed: null,
       },
     };
     privateMembers.set(this, privates);
@@ -94,7 +244,8 @@ class ExportModal {
 
   /* eslint-enable class-methods-use-this */
 
-  addContent(parent) {
+  addContent(parent, modalStack) {
+    const privates = privateMembers.get(this);
     const radioLabel = (value) => (
       { value, classList: ['form-input-label-inline'] }
     );
@@ -124,9 +275,137 @@ class ExportModal {
       label: radioLabel('Export tasks to CSV format'),
       container: { classList: ['form-input-item-container'] },
     }));
+    container.appendChild(createFormControl({
+      type: 'radio',
+      id: 'export-format-ical',
+      name: 'export-format',
+      value: 'ical',
+      label: radioLabel('Export tasks to iCalendar format for calendar apps'),
+      container: { classList: ['form-input-item-container'] },
+    }));
+    container.appendChild(createFormControl({
+      type: 'radio',
+      id: 'export-format-todotxt',
+      name: 'export-format',
+      value: 'todotxt',
+      label: radioLabel('Export tasks to todo.txt format'),
+      container: { classList: ['form-input-item-container'] },
+    }));
+    container.appendChild(createFormControl({
+      type: 'radio',
+      id: 'export-format-markdown',
+      name: 'export-format',
+      value: 'markdown',
+      label: radioLabel('Export the current view as a Markdown report'),
+      container: { classList: ['form-input-item-container'] },
+    }));
+    container.appendChild(createFormControl({
+      type: 'radio',
+      id: 'export-format-html',
+      name: 'export-format',
+      value: 'html',
+      label: radioLabel('Export the current view as a printable HTML report'),
+      container: { classList: ['form-input-item-container'] },
+    }));
 
     parent.appendChild(container);
 
+    const scope = document.createElement('div');
+    scope.classList.add('form-input-container');
+    const scopeLabel = document.createElement('div');
+    scopeLabel.classList.add('form-input-label');
+    scopeLabel.textContent = 'Tasks to Export';
+    scope.appendChild(scopeLabel);
+
+    scope.appendChild(createFormControl({
+      type: 'radio',
+      id: 'export-scope-all',
+      name: 'export-scope',
+      value: 'all',
+      checked: true,
+      label: radioLabel('All tasks'),
+      container: { classList: ['form-input-item-container'] },
+    }));
+    if (privates.viewName) {
+      scope.appendChild(createFormControl({
+        type: 'radio',
+        id: 'export-scope-view',
+        name: 'export-scope',
+        value: 'view',
+        label: radioLabel(`Tasks in the current view (${privates.viewName})`),
+        container: { classList: ['form-input-item-container'] },
+      }));
+    }
+    if (privates.projects) {
+      scope.appendChild(createFormControl({
+        type: 'radio',
+        id: 'export-scope-projects',
+        name: 'export-scope',
+        value: 'projects',
+        label: radioLabel('Tasks in the selected projects:'),
+        container: { classList: ['form-input-item-container'] },
+      }));
+
+      const projectContainer = document.createElement('div');
+      projectContainer.classList.add('form-export-project-list');
+      const addProject = (id, name) => {
+        projectContainer.appendChild(createFormControl({
+          type: 'checkbox',
+          id: `export-project-${id}`,
+          name: 'export-project',
+          value: id,
+          label: radioLabel(name),
+          container: { classList: ['form-input-item-container'] },
+        }));
+      };
+      addProject('none', 'No Project');
+      privates.projects.forEachInHierarchy(({ id, project }, depth) => {
+        if (privates.projects.isInTrash(id)) return;
+        addProject(id, PROJECT_INDENT.repeat(depth) + project.name);
+      });
+      scope.appendChild(projectContainer);
+    }
+
+    scope.appendChild(createFormControl({
+      type: 'select',
+      id: 'export-date-field',
+      name: 'export-date-field',
+      classList: ['form-select'],
+      label: { value: 'Date Range', classList: ['form-input-label'] },
+      container: { classList: ['form-input-container'] },
+      menuItems: [
+        { value: 'none', label: 'Any date', selected: true },
+        { value: 'due', label: 'Due between' },
+        { value: 'completion', label: 'Completed between' },
+      ],
+    }));
+    ['start', 'end'].forEach((type) => {
+      scope.appendChild(createDateInputField({
+        id: `export-${type}-date`,
+        name: `export-${type}-date`,
+        title: type === 'start'
+          ? 'Beginning of the date range (optional)'
+          : 'End of the date range (optional)',
+        placeholder: privates.dateFormat.visualPattern,
+        classList: ['form-input-inline'],
+        container: { classList: ['form-input-date-container'] },
+        button: {
+          classList: ['form-button'],
+          callback: (input) => pickDate(this, input, modalStack),
+        },
+      }));
+    });
+
+    scope.appendChild(createFormControl({
+      type: 'checkbox',
+      id: 'export-include-completed',
+      name: 'export-include-completed',
+      checked: true,
+      label: radioLabel('Include completed tasks'),
+      container: { classList: ['form-input-item-container'] },
+    }));
+    parent.appendChild(scope);
+
     parent.appendChild(createFormControl({
       type: 'select',
       id: 'export-line-ending',
@@ -151,17 +430,52 @@ class ExportModal {
       ],
     }));
 
-    const { controls } = privateMembers.get(this);
+    const { controls } = privates;
     controls.exportJson = parent.querySelector('#export-format-json');
     controls.exportCsv = parent.querySelector('#export-format-csv');
+    controls.exportICal = parent.querySelector('#export-format-ical');
+    controls.exportTodoTxt = parent.querySelector('#export-format-todotxt');
+    controls.exportMarkdown = parent.querySelector('#export-format-markdown');
+    controls.exportHtml = parent.querySelector('#export-format-html');
     controls.newlineSequence = parent.querySelector('#export-line-ending');
+    controls.scope = scope;
+    controls.scopeAll = parent.querySelector('#export-scope-all');
+    controls.scopeView = parent.querySelector('#export-scope-view');
+    controls.scopeProjects = parent.querySelector('#export-scope-projects');
+    controls.projects = [
+      ...parent.querySelectorAll('input[name="export-project"]'),
+    ];
+    controls.dateField = parent.querySelector('#export-date-field');
+    controls.startDate = parent.querySelector('#export-start-date');
+    controls.endDate = parent.querySelector('#export-end-date');
+    controls.completed = parent.querySelector('#export-include-completed');
+
+    parent.querySelectorAll('input[type="radio"], select').forEach((elem) => {
+      elem.addEventListener('change', () => updateScopeControls(this));
+    });
+    [controls.startDate, controls.endDate].forEach((input) => {
+      input.addEventListener('change', () => {
+        let message = '';
+        if (input.value && !getDate(this, input)) {
+          const format = privates.dateFormat.visualPattern;
+          message = `Please enter a valid date in ${format} format.`;
+        }
+        input.setCustomValidity(message);
+      });
+    });
+    updateScopeControls(this);
   }
 
   confirm() {
     const { callbacks, controls } = privateMembers.get(this);
 
     if (callbacks.confirm) {
-      const fileType = controls.exportJson.checked ? 'json' : 'csv';
+      let fileType = 'json';
+      if (controls.exportCsv.checked) fileType = 'csv';
+      else if (controls.exportICal.checked) fileType = 'ical';
+      else if (controls.exportTodoTxt.checked) fileType = 'todotxt';
+      else if (controls.exportMarkdown.checked) fileType = 'markdown';
+      else if (controls.exportHtml.checked) fileType = 'html';
       let newlineSequence;
       switch (controls.newlineSequence.value) {
         case 'lf':
@@ -175,7 +489,28 @@ class ExportModal {
           newlineSequence = '\r\n';
           break;
       }
-      callbacks.confirm(fileType, { newlineSequence });
+      if (fileType === 'markdown' || fileType === 'html') {
+        callbacks.confirm(fileType, { newlineSequence });
+        return;
+      }
+
+      let type = 'all';
+      if (controls.scopeView?.checked) type = 'view';
+      else if (controls.scopeProjects?.checked) type = 'projects';
+      const dateField = (controls.dateField.value === 'none')
+        ? null : controls.dateField.value;
+      const scope = {
+        type,
+        projects: (type === 'projects')
+          ? controls.projects.filter(({ checked }) => checked)
+            .map(({ value }) => value)
+          : [],
+        dateField,
+        startDate: dateField ? getDate(this, controls.startDate) : null,
+        endDate: dateField ? getDate(this, controls.endDate) : null,
+        completed: controls.completed.checked || dateField === 'completion',
+      };
+      callbacks.confirm(fileType, { newlineSequence, scope });
     }
   }
 
@@ -184,12 +519,20 @@ class ExportModal {
     if (callback) callback();
   }
 
-  /* eslint-disable-next-line class-methods-use-this --
-   * Necessary since modal must have validate function in order to satisfy
-   * Modal interface.
-   */
   validate() {
-    return true;
+    const { controls } = privateMembers.get(this);
+    if (controls.scopeProjects) {
+      const checkProjects = controls.scopeProjects.checked
+        && !controls.scopeProjects.disabled;
+      const message = (checkProjects
+        && !controls.projects.some(({ checked }) => checked))
+        ? 'Please select at least one project.' : '';
+      controls.scopeProjects.setCustomValidity(message);
+      if (!controls.scopeProjects.reportValidity()) return false;
+    }
+    return [controls.startDate, controls.endDate].every((input) => (
+      input.disabled || input.reportValidity()
+    ));
   }
 }
 
@@ -0,0 +1,327 @@
+/**
+ * Defines the
+ * [ImportPreviewModal]{@link module:importPreviewModal~ImportPreviewModal}
+ * class.
+ * @module importPreviewModal
+ */
+
+import _ from 'lodash';
+
+import { createFormControl } from '../utility/dom';
+
+/**
+ * The maximum number of characters shown for a field value in the list of
+ * changes.
+ * @type {number}
+ */
+const MAX_VALUE_LENGTH = 60;
+
+/**
+ * Object holding private members for the
+ * [ImportPreviewModal]{@link module:importPreviewModal~ImportPreviewModal}
+ * class.
+ * @typedef {Object} module:importPreviewModal~ImportPreviewModal~privates
+ * @property {module:app~App~importPreview} preview The preview of the changes
+ *   that the import would make using the selected mode.
+ * @property {Object} callbacks An object holding callback functions.
+ * @property {module:importPreviewModal~ImportPreviewModal~preview}
+ *   [callbacks.preview] A callback function that will be invoked to preview
+ *   the import when the user selects a different mode.
+ * @property {Function} [callbacks.confirm] A callback function that will be
+ *   invoked when the user confirms the import.
+ * @property {Function} [callbacks.cancel] A callback function that will be
+ *   invoked when the user cancels the modal.
+ * @property {Object} controls An object holding the form controls in the modal
+ *   content.
+ * @property {HTMLElement[]} controls.modes The radio buttons for the import
+ *   modes.
+ * @property {HTMLElement} controls.details The element holding the list of
+ *   changes.
+ */
+
+/**
+ * Holds private data for the
+ * [ImportPreviewModal]{@link module:importPreviewModal~ImportPreviewModal}
+ * class.
+ * @type {WeakMap}
+ * @see module:importPreviewModal~ImportPreviewModal~privates
+ */
+const privateMembers = new WeakMap();
+
+/**
+ * Convert the value of a field into a short string for the list of changes.
+ * @param {*} value The value to convert, as it would be serialized to JSON.
+ * @returns {string} The string representation of the value.
+ */
+function formatValue(value) {
+  if (value == null || value === '' || _.isEqual(value, [])) return '(none)';
+
+  const str = (typeof value === 'string') ? `"${value}"` : JSON.stringify(value);
+  if (str.length <= MAX_VALUE_LENGTH) return str;
+  return `${str.substring(0, MAX_VALUE_LENGTH - 3)}...`;
+}
+
+/**
+ * Create a list of the items affected by one kind of change.
+ * @param {string} heading The heading describing the kind of change.
+ * @param {module:app~App~importChange[]} changes The changed items.
+ * @returns {HTMLElement} The element holding the list.
+ */
+function createChangeList(heading, changes) {
+  const container = document.createElement('div');
+  container.classList.add('import-preview-group');
+
+  const headingElem = document.createElement('div');
+  headingElem.classList.add('import-preview-heading');
+  headingElem.textContent = `${heading} (${changes.length})`;
+  container.appendChild(headingElem);
+
+  const list = document.createElement('ul');
+  list.classList.add('import-preview-list');
+  changes.forEach(({ name, fields }) => {
+    const item = document.createElement('li');
+    item.textContent = name || '(unnamed)';
+
+    if (fields.length > 0) {
+      const fieldList = document.createElement('ul');
+      fieldList.classList.add('import-preview-field-list');
+      fields.forEach((field) => {
+        const fieldItem = document.createElement('li');
+        fieldItem.textContent = `${_.startCase(field.name)}: `
+          + `${formatValue(field.oldValue)} → ${formatValue(field.newValue)}`;
+        fieldList.appendChild(fieldItem);
+      });
+      item.appendChild(fieldList);
+    }
+
+    list.appendChild(item);
+  });
+  container.appendChild(list);
+
+  return container;
+}
+
+/**
+ * Fill in the summary and the list of changes for the current preview.
+ * @param {module:importPreviewModal~ImportPreviewModal} instance The class
+ *   instance on which to apply the function.
+ */
+function updateDetails(instance) {
+  const { preview, controls } = privateMembers.get(instance);
+  const { details } = controls;
+  while (details.firstChild) details.removeChild(details.firstChild);
+
+  const describe = (noun, changes, failed) => {
+    const parts = [
+      `${changes.added.length} added`,
+      `${changes.updated.length} updated`,
+      `${changes.unchanged.length} unchanged`,
+    ];
+    if (changes.skipped.length > 0) {
+      parts.push(`${changes.skipped.length} skipped`);
+    }
+    if (changes.removed.length > 0) {
+      parts.push(`${changes.removed.length} removed`);
+    }
+    parts.push(`${failed} rejected`);
+    return `${noun}: ${parts.join(', ')}.`;
+  };
+
+  const summary = document.createElement('div');
+  summary.classList.add('data-import-results');
+  summary.textContent = [
+    describe('Tasks', preview.tasks, preview.status.tasks.failed),
+    describe('Projects', preview.projects, preview.status.projects.failed),
+    `Settings: ${preview.settings.length} changed.`,
+  ].join('\n');
+  details.appendChild(summary);
+
+  const addGroup = (heading, changes) => {
+    if (changes.length > 0) {
+      details.appendChild(createChangeList(heading, changes));
+    }
+  };
+  addGroup('New Projects', preview.projects.added);
+  addGroup('Updated Projects', preview.projects.updated);
+  addGroup('Removed Projects', preview.projects.removed);
+  addGroup('New Tasks', preview.tasks.added);
+  addGroup('Updated Tasks', preview.tasks.updated);
+  addGroup('Removed Tasks', preview.tasks.removed);
+  addGroup('Changed Settings', preview.settings.map((field) => ({
+    name: `${_.startCase(field.name)}: ${formatValue(field.oldValue)} → `
+      + `${formatValue(field.newValue)}`,
+    fields: [],
+  })));
+
+  if (preview.status.errors.length > 0) {
+    const container = document.createElement('div');
+    container.classList.add('import-preview-group');
+    const heading = document.createElement('div');
+    heading.classList.add('import-preview-heading');
+    heading.textContent = `Problems (${preview.status.errors.length})`;
+    container.appendChild(heading);
+
+    const errorList = document.createElement('ul');
+    errorList.classList.add('data-import-error-list');
+    preview.status.errors.forEach((error) => {
+      const listItem = document.createElement('li');
+      listItem.classList.add('data-import-results');
+      listItem.textContent = error;
+      errorList.appendChild(listItem);
+    });
+    container.appendChild(errorList);
+    details.appendChild(container);
+  }
+}
+
+/**
+ * A modal dialog showing the changes that a data import would make before
+ * anything is applied. The user chooses how items that already exist should
+ * be handled.
+ * @implements {module:modalStack~Modal}
+ */
+class ImportPreviewModal {
+  /**
+   * A callback function that previews an import using a given mode.
+   * @callback module:importPreviewModal~ImportPreviewModal~preview
+   * @param {string} mode The import mode: 'merge', 'skip', or 'replace'.
+   * @returns {module:app~App~importPreview} The preview of the changes that
+   *   the import would make.
+   */
+
+  /**
+   * Specifies options for the modal.
+   * @typedef {Object} module:importPreviewModal~ImportPreviewModal~options
+   * @property {module:importPreviewModal~ImportPreviewModal~preview} [preview]
+   *   A callback function that will be invoked to preview the import when the
+   *   user selects a different mode.
+   * @property {Function} [confirm] A callback function that will be invoked
+   *   when the user confirms the import. The function will be passed the
+   *   [preview]{@link module:app~App~importPreview} for the selected mode.
+   * @property {Function} [cancel] A callback function that will be invoked
+   *   when the user cancels the modal.
+   */
+
+  /**
+   * Initialize the modal.
+   * @param {module:app~App~importPreview} preview The preview of the changes
+   *   that the import would make, initially using the 'merge' mode.
+   * @param {module:importPreviewModal~ImportPreviewModal~options}
+   *   [options={}] An object holding configuration options for the modal.
+   */
+  constructor(preview, options = {}) {
+    const privates = {
+      preview,
+      callbacks: {
+        preview: options.preview || null,
+        confirm: options.confirm || null,
+        cancel: options.cancel || null,
+      },
+      controls: {
+        modes: [],
+        details: null,
+      },
+    };
+    privateMembers.set(this, privates);
+  }
+
+  /* eslint-disable class-methods-use-this --
+   * We need to set these properties to conform to the Modal interface, but
+   * setting them directly in the constructor would allow external
+   * modification.
+   */
+
+  get title() {
+    return 'Import Preview';
+  }
+
+  get confirmLabel() {
+    return 'Import';
+  }
+
+  get initFocus() {
+    return 'confirm';
+  }
+
+  /* eslint-enable class-methods-use-this */
+
+  addContent(parent) {
+    const privates = privateMembers.get(this);
+    const { controls } = privates;
+    const radioLabel = (value) => (
+      { value, classList: ['form-input-label-inline'] }
+    );
+
+    const container = document.createElement('div');
+    container.classList.add('form-input-container');
+
+    const label = document.createElement('div');
+    label.classList.add('form-input-label');
+    label.textContent = 'Existing Items';
+    container.appendChild(label);
+
+    [
+      {
+        value: 'merge',
+        label: 'Merge: add new items and update existing ones',
+      },
+      {
+        value: 'skip',
+        label: 'Skip existing: only add new items',
+      },
+      {
+        value: 'replace',
+        label: 'Replace all: remove all tasks and projects first',
+      },
+    ].forEach(({ value, label: modeLabel }) => {
+      container.appendChild(createFormControl({
+        type: 'radio',
+        id: `import-mode-${value}`,
+        name: 'import-mode',
+        value,
+        checked: value === privates.preview.mode,
+        label: radioLabel(modeLabel),
+        container: { classList: ['form-input-item-container'] },
+      }));
+    });
+    parent.appendChild(container);
+
+    const details = document.createElement('div');
+    details.classList.add('form-input-container', 'import-preview');
+    parent.appendChild(details);
+
+    controls.modes = [...container.querySelectorAll('input[type="radio"]')];
+    controls.details = details;
+
+    controls.modes.forEach((radio) => {
+      radio.addEventListener('change', () => {
+        if (!radio.checked || !privates.callbacks.preview) return;
+        privates.preview = privates.callbacks.preview(radio.value);
+        updateDetails(this);
+      });
+    });
+    updateDetails(this);
+  }
+
+  confirm() {
+    const privates = privateMembers.get(this);
+    if (privates.callbacks.confirm) {
+      privates.callbacks.confirm(privates.preview);
+    }
+  }
+
+  cancel() {
+    const privates = privateMembers.get(this);
+    if (privates.callbacks.cancel) privates.callbacks.cancel();
+  }
+
+  /* eslint-disable-next-line class-methods-use-this --
+   * Necessary since modal must have validate function in order to satisfy
+   * Modal interface.
+   */
+  validate() {
+    return true;
+  }
+}
+
+export default ImportPreviewModal;
@@ -0,0 +1,482 @@
+/**
+ * Defines the
+ * [ProjectStatsModal]{@link module:projectStatsModal~ProjectStatsModal} class.
+ * @module projectStatsModal
+ */
+
+import {
+  add as addToDate,
+  endOfDay,
+  isBefore as isDateBefore,
+  startOfDay,
+  startOfWeek,
+} from 'date-fns';
+
+import Settings from '../settings';
+import { formatDate } from '../utility/dates';
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+const CHART_WIDTH = 360;
+const CHART_HEIGHT = 120;
+const CHART_MARGIN = 20;
+const CHART_COLOR = '#2323d3';
+const PROGRESS_HEIGHT = 16;
+const WEEKS_SHOWN = 12;
+const UPCOMING_LIMIT = 5;
+
+/**
+ * Object holding private members for the
+ * [ProjectStatsModal]{@link module:projectStatsModal~ProjectStatsModal} class.
+ * @typedef {Object} module:projectStatsModal~ProjectStatsModal~privates
+ * @property {string} title The title for the modal.
+ * @property {module:projectStatsModal~ProjectStatsModal~stats} stats The
+ *   statistics to display.
+ * @property {module:settings~Settings~dateFormat} dateFormat The format used
+ *   to display dates.
+ * @property {Object} callbacks An object holding callback functions.
+ * @property {Function} [callbacks.close] A callback function that will be
+ *   invoked when the user closes the modal.
+ */
+
+/**
+ * Holds private data for the
+ * [ProjectStatsModal]{@link module:projectStatsModal~ProjectStatsModal} class.
+ * @type {WeakMap}
+ * @see module:projectStatsModal~ProjectStatsModal~privates
+ */
+const privateMembers = new WeakMap();
+
+/**
+ * Compute the statistics for a project.
+ * @param {module:taskList~TaskList} taskList The task container.
+ * @param {module:projectList~ProjectList} projectList The project container.
+ * @param {string} projectId The unique identifier of the project. Tasks in
+ *   projects nested within it are also counted.
+ * @param {Date} now The present date and time.
+ * @returns {module:projectStatsModal~ProjectStatsModal~stats} The computed
+ *   statistics.
+ */
+function computeStats(taskList, projectList, projectId, now) {
+  const entries = taskList.entries({
+    project: projectId,
+    includeSubprojects: true,
+    projectList,
+    completed: true,
+    deferred: true,
+    sortBy: [
+      { field: 'due-date', missingLast: true },
+      { field: 'name' },
+    ],
+  });
+
+  const stats = {
+    open: 0,
+    completed: 0,
+    overdue: 0,
+    weeks: [],
+    upcoming: [],
+  };
+
+  const today = startOfDay(now);
+  entries.forEach((entry) => {
+    const { task } = entry;
+    if (task.isComplete()) {
+      stats.completed += 1;
+      return;
+    }
+
+    stats.open += 1;
+    if (task.dueDate) {
+      const deadline = task.hasDueTime ? now : today;
+      if (isDateBefore(task.dueDate, deadline)) {
+        stats.overdue += 1;
+      } else if (stats.upcoming.length < UPCOMING_LIMIT) {
+        stats.upcoming.push(entry);
+      }
+    }
+  });
+
+  const firstWeek = addToDate(startOfWeek(today), { weeks: 1 - WEEKS_SHOWN });
+  for (let index = 0; index < WEEKS_SHOWN; index += 1) {
+    const start = addToDate(firstWeek, { weeks: index });
+    const end = endOfDay(addToDate(start, { days: 6 }));
+    let created = 0;
+    let completed = 0;
+    let completedInWeek = 0;
+    entries.forEach(({ task }) => {
+      if (isDateBefore(end, task.creationDate)) return;
+      created += 1;
+
+      const date = task.completionDate;
+      if (date && !isDateBefore(end, date)) {
+        completed += 1;
+        if (!isDateBefore(date, start)) completedInWeek += 1;
+      }
+    });
+
+    stats.weeks.push({
+      start,
+      completed: completedInWeek,
+      percentComplete: created > 0 ? (100 * completed) / created : 0,
+    });
+  }
+
+  return stats;
+}
+
+/**
+ * Create an SVG element.
+ * @param {string} name The name of the element, such as 'rect'.
+ * @param {Object} [attributes={}] An object mapping attribute names to the
+ *   values they should be given.
+ * @returns {SVGElement} The new element.
+ */
+function createSvgElement(name, attributes = {}) {
+  const elem = document.createElementNS(SVG_NAMESPACE, name);
+  Object.entries(attributes).forEach(([attribute, value]) => {
+    elem.setAttribute(attribute, value);
+  });
+  return elem;
+}
+
+/**
+ * Create an SVG chart with labels along the horizontal axis.
+ * @param {string} label A description of the chart, used for accessibility.
+ * @param {string[]} axisLabels The labels to place at the left and right ends
+ *   of the horizontal axis.
+ * @returns {SVGElement} The SVG element holding the chart.
+ */
+function createChart(label, axisLabels) {
+  const height = CHART_HEIGHT + CHART_MARGIN;
+  const svg = createSvgElement('svg', {
+    viewBox: `0 0 ${CHART_WIDTH} ${height}`,
+    role: 'img',
+    'aria-label': label,
+  });
+  svg.classList.add('project-stats-chart');
+
+  svg.appendChild(createSvgElement('line', {
+    x1: 0,
+    y1: CHART_HEIGHT,
+    x2: CHART_WIDTH,
+    y2: CHART_HEIGHT,
+    class: 'project-stats-chart-axis',
+  }));
+
+  axisLabels.forEach((text, index) => {
+    const axisLabel = createSvgElement('text', {
+      x: index === 0 ? 0 : CHART_WIDTH,
+      y: height - 4,
+      'text-anchor': index === 0 ? 'start' : 'end',
+      class: 'project-stats-chart-label',
+    });
+    axisLabel.textContent = text;
+    svg.appendChild(axisLabel);
+  });
+
+  return svg;
+}
+
+/**
+ * Create an SVG bar chart.
+ * @param {string} label A description of the chart, used for accessibility.
+ * @param {Object[]} bars An array of objects describing the bars, in order.
+ * @param {number} bars.value The value represented by the bar.
+ * @param {string} bars.title A description of the bar, shown as a tooltip.
+ * @param {string[]} axisLabels The labels to place at the left and right ends
+ *   of the horizontal axis.
+ * @returns {SVGElement} The SVG element holding the chart.
+ */
+function createBarChart(label, bars, axisLabels) {
+  const svg = createChart(label, axisLabels);
+  const maxValue = Math.max(1, ...bars.map(({ value }) => value));
+  const slotWidth = CHART_WIDTH / bars.length;
+
+  bars.forEach(({ value, title }, index) => {
+    const barHeight = (CHART_HEIGHT * value) / maxValue;
+    const bar = createSvgElement('rect', {
+      x: index * slotWidth + slotWidth * 0.15,
+      y: CHART_HEIGHT - barHeight,
+      width: slotWidth * 0.7,
+      height: barHeight,
+      fill: CHART_COLOR,
+    });
+    const tooltip = createSvgElement('title');
+    tooltip.textContent = title;
+    bar.appendChild(tooltip);
+    svg.appendChild(bar);
+  });
+
+  return svg;
+}
+
+/**
+ * Create an SVG line chart showing percentages.
+ * @param {string} label A description of the chart, used for accessibility.
+ * @param {Object[]} points An array of objects describing the points on the
+ *   line, in order.
+ * @param {number} points.value The percentage represented by the point, from
+ *   0 to 100.
+ * @param {string} points.title A description of the point, shown as a
+ *   tooltip.
+ * @param {string[]} axisLabels The labels to place at the left and right ends
+ *   of the horizontal axis.
+ * @returns {SVGElement} The SVG element holding the chart.
+ */
+function createPercentChart(label, points, axisLabels) {
+  const svg = createChart(label, axisLabels);
+  const step = CHART_WIDTH / points.length;
+  const coords = points.map(({ value }, index) => ({
+    x: index * step + step / 2,
+    y: CHART_HEIGHT - (CHART_HEIGHT * value) / 100,
+  }));
+
+  svg.appendChild(createSvgElement('polyline', {
+    points: coords.map(({ x, y }) => `${x},${y}`).join(' '),
+    fill: 'none',
+    stroke: CHART_COLOR,
+    'stroke-width': 2,
+  }));
+
+  coords.forEach(({ x, y }, index) => {
+    const point = createSvgElement('circle', {
+      cx: x,
+      cy: y,
+      r: 3,
+      fill: CHART_COLOR,
+    });
+    const tooltip = createSvgElement('title');
+    tooltip.textContent = points[index].title;
+    point.appendChild(tooltip);
+    svg.appendChild(point);
+  });
+
+  return svg;
+}
+
+/**
+ * Create an SVG bar showing the fraction of tasks that have been completed.
+ * @param {number} completed The number of completed tasks.
+ * @param {number} total The total number of tasks.
+ * @returns {SVGElement} The SVG element holding the bar.
+ */
+function createProgressBar(completed, total) {
+  const percent = total > 0 ? Math.round((100 * completed) / total) : 0;
+  const svg = createSvgElement('svg', {
+    viewBox: `0 0 ${CHART_WIDTH} ${PROGRESS_HEIGHT}`,
+    role: 'img',
+    'aria-label': `${percent}% complete`,
+  });
+  svg.classList.add('project-stats-progress');
+
+  svg.appendChild(createSvgElement('rect', {
+    width: CHART_WIDTH,
+    height: PROGRESS_HEIGHT,
+    class: 'project-stats-progress-track',
+  }));
+  svg.appendChild(createSvgElement('rect', {
+    width: (CHART_WIDTH * percent) / 100,
+    height: PROGRESS_HEIGHT,
+    fill: CHART_COLOR,
+  }));
+
+  return svg;
+}
+
+/**
+ * Create a heading for a section of the statistics.
+ * @param {string} text The text of the heading.
+ * @returns {HTMLElement} The heading element.
+ */
+function createHeading(text) {
+  const heading = document.createElement('h3');
+  heading.classList.add('project-stats-heading');
+  heading.textContent = text;
+  return heading;
+}
+
+/**
+ * Create the content of the modal.
+ * @param {module:projectStatsModal~ProjectStatsModal} instance The class
+ *   instance on which to apply the function.
+ * @returns {HTMLElement} The element holding the content.
+ */
+function createContent(instance) {
+  const { stats, dateFormat } = privateMembers.get(instance);
+  const container = document.createElement('div');
+  container.classList.add('project-stats');
+
+  const total = stats.open + stats.completed;
+  const summary = document.createElement('ul');
+  summary.classList.add('project-stats-summary');
+  [
+    { label: 'Open', value: stats.open },
+    { label: 'Completed', value: stats.completed },
+    { label: 'Overdue', value: stats.overdue },
+  ].forEach(({ label, value }) => {
+    const item = document.createElement('li');
+    item.classList.add('project-stats-summary-item');
+    const number = document.createElement('span');
+    number.classList.add('project-stats-summary-value');
+    number.textContent = value;
+    item.appendChild(number);
+    item.appendChild(document.createTextNode(label));
+    summary.appendChild(item);
+  });
+  container.appendChild(summary);
+  container.appendChild(createProgressBar(stats.completed, total));
+
+  const pattern = dateFormat.outputPattern;
+  const axisLabels = [
+    formatDate(stats.weeks[0].start, pattern),
+    formatDate(stats.weeks[stats.weeks.length - 1].start, pattern),
+  ];
+
+  container.appendChild(createHeading('Percent Complete'));
+  container.appendChild(createPercentChart(
+    'Percent of tasks complete at the end of each week',
+    stats.weeks.map(({ start, percentComplete }) => ({
+      value: percentComplete,
+      title: `Week of ${formatDate(start, pattern)}: `
+        + `${Math.round(percentComplete)}%`,
+    })),
+    axisLabels,
+  ));
+
+  container.appendChild(createHeading('Tasks Completed per Week'));
+  container.appendChild(createBarChart(
+    'Number of tasks completed each week',
+    stats.weeks.map(({ start, completed }) => ({
+      value: completed,
+      title: `Week of ${formatDate(start, pattern)}: ${completed}`,
+    })),
+    axisLabels,
+  ));
+
+  container.appendChild(createHeading('Upcoming Due Dates'));
+  if (stats.upcoming.length > 0) {
+    const list = document.createElement('ul');
+    list.classList.add('project-stats-upcoming');
+    stats.upcoming.forEach(({ task }) => {
+      const item = document.createElement('li');
+      item.classList.add('project-stats-upcoming-item');
+      const date = document.createElement('span');
+      date.classList.add('project-stats-upcoming-date');
+      date.textContent = formatDate(task.dueDate, pattern);
+      item.appendChild(date);
+      item.appendChild(document.createTextNode(task.name));
+      list.appendChild(item);
+    });
+    container.appendChild(list);
+  } else {
+    const message = document.createElement('p');
+    message.classList.add('project-stats-message');
+    message.textContent = 'No open tasks have upcoming due dates.';
+    container.appendChild(message);
+  }
+
+  return container;
+}
+
+/**
+ * A modal dialog displaying progress statistics and charts for a project.
+ * @implements {module:modalStack~Modal}
+ */
+class ProjectStatsModal {
+  /**
+   * Statistics describing the progress of a project.
+   * @typedef {Object} module:projectStatsModal~ProjectStatsModal~stats
+   * @property {number} open The number of tasks that have not been completed.
+   * @property {number} completed The number of completed tasks.
+   * @property {number} overdue The number of open tasks that are past due.
+   * @property {Object[]} weeks An array of objects describing each of the
+   *   past several weeks, from oldest to newest.
+   * @property {Date} weeks.start The first day of the week.
+   * @property {number} weeks.completed The number of tasks completed during
+   *   the week.
+   * @property {number} weeks.percentComplete The percentage of the tasks
+   *   created by the end of the week that were also completed by then.
+   * @property {module:taskList~TaskList~taskWrapper[]} upcoming The open tasks
+   *   with the nearest due dates that are not past due.
+   */
+
+  /**
+   * Specifies options for the modal.
+   * @typedef {Object} module:projectStatsModal~ProjectStatsModal~options
+   * @property {module:settings~Settings~dateFormat} [dateFormat] An object
+   *   describing the format used to display dates. If not given, then the
+   *   default format is used.
+   * @property {Function} [close] A callback function that will be invoked when
+   *   the user closes the modal.
+   */
+
+  /**
+   * Initialize the modal.
+   * @param {module:taskList~TaskList} taskList The task container.
+   * @param {module:projectList~ProjectList} projectList The project container.
+   * @param {string} projectId The unique identifier of the project whose
+   *   statistics are to be displayed. Tasks in projects nested within it are
+   *   also counted.
+   * @param {module:projectStatsModal~ProjectStatsModal~options} [options={}]
+   *   Holds configuration options for the modal.
+   */
+  constructor(taskList, projectList, projectId, options = {}) {
+    const project = projectList.getProject(projectId);
+    const privates = {
+      title: project ? `${project.name} Statistics` : 'Project Statistics',
+      stats: computeStats(taskList, projectList, projectId, new Date()),
+      dateFormat: options.dateFormat ?? Settings.lookupDateFormat(),
+      callbacks: {
+        close: options.close || null,
+      },
+    };
+    privateMembers.set(this, privates);
+  }
+
+  get title() {
+    return privateMembers.get(this).title;
+  }
+
+  /* eslint-disable class-methods-use-this --
+   * We need to set these properties to conform to the Modal interface, but
+   * setting them directly in the constructor would allow external
+   * modification.
+   */
+
+  get confirmLabel() {
+    return 'Close';
+  }
+
+  get noCancelButton() {
+    return true;
+  }
+
+  get initFocus() {
+    return 'confirm';
+  }
+
+  /* eslint-enable class-methods-use-this */
+
+  addContent(parent) {
+    parent.appendChild(createContent(this));
+  }
+
+  confirm() {
+    const callback = privateMembers.get(this).callbacks.close;
+    if (callback) callback();
+  }
+
+  cancel() {
+    this.confirm();
+  }
+
+  /* eslint-disable-next-line class-methods-use-this --
+   * Necessary since modal must have validate function in order to satisfy
+   * Modal interface.
+   */
+  validate() {
+    return true;
+  }
+}
+
+export default ProjectStatsModal;
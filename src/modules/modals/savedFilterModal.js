@@ -0,0 +1,189 @@
+/**
+ * Defines the
+ * [SavedFilterModal]{@link module:savedFilterModal~SavedFilterModal} class.
+ * @module savedFilterModal
+ */
+
+import TaskQuery from '../taskQuery';
+import { createFormControl } from '../utility/dom';
+
+/**
+ * Object holding private members for the
+ * [SavedFilterModal]{@link module:savedFilterModal~SavedFilterModal} class.
+ * @typedef {Object} module:savedFilterModal~SavedFilterModal~privates
+ * @property {module:settings~Settings~savedFilter} [filter] The filter being
+ *   edited, if any.
+ * @property {string} [query] The initial query for a new filter, if any.
+ * @property {string} mode Indicates the status of the filter being entered.
+ *   If set to 'add', a new filter is being created, and if set to 'edit',
+ *   then an existing filter is being updated.
+ * @property {Object} callbacks An object holding callback functions.
+ * @property {Function} [callbacks.confirm] A callback function that will be
+ *   invoked when the user successfully confirms the modal.
+ * @property {Function} [callbacks.cancel] A callback function that will be
+ *   invoked when the user cancels the modal.
+ * @property {Object} controls An object holding the form input elements for
+ *   the modal.
+ * @property {HTMLElement} controls.name The text input element for the filter
+ *   name.
+ * @property {HTMLElement} controls.query The text input element for the
+ *   filter query.
+ */
+
+/**
+ * Holds private data for the
+ * [SavedFilterModal]{@link module:savedFilterModal~SavedFilterModal} class.
+ * @type {WeakMap}
+ * @see module:savedFilterModal~SavedFilterModal~privates
+ */
+const privateMembers = new WeakMap();
+
+/**
+ * Check the value of the query field and update its validity state.
+ * @param {module:savedFilterModal~SavedFilterModal} instance The class
+ *   instance on which to apply the function.
+ */
+function checkQuery(instance) {
+  const { controls } = privateMembers.get(instance);
+  controls.query.setCustomValidity(
+    TaskQuery.validate(controls.query.value) ?? '',
+  );
+}
+
+/**
+ * A modal dialog for adding or editing a saved filter.
+ * @implements {module:modalStack~Modal}
+ */
+class SavedFilterModal {
+  /**
+   * Specifies options for the modal.
+   * @typedef {Object} module:savedFilterModal~SavedFilterModal~options
+   * @property {Function} [confirm] A callback function that will be invoked
+   *   when the user successfully confirms the modal. The function will be
+   *   passed the name and the query entered by the user.
+   * @property {Function} [cancel] A callback function that will be invoked
+   *   when the user cancels the modal.
+   * @property {module:settings~Settings~savedFilter} [filter] The filter to
+   *   edit. If not given, then a new filter is created.
+   * @property {string} [query] The initial query to use for a new filter.
+   *   This is ignored if an existing filter is being edited.
+   */
+
+  /**
+   * Initialize the modal.
+   * @param {module:savedFilterModal~SavedFilterModal~options} [options={}] An
+   *   object holding configuration options for the modal.
+   */
+  constructor(options = {}) {
+    const privates = {
+      filter: options.filter || null,
+      query: options.query || '',
+      mode: options.filter ? 'edit' : 'add',
+      callbacks: {
+        confirm: options.confirm || null,
+        cancel: options.cancel || null,
+      },
+      controls: {
+        name: null,
+        query: null,
+      },
+    };
+    privateMembers.set(this, privates);
+  }
+
+  get title() {
+    const privates = privateMembers.get(this);
+    return (privates.mode === 'edit') ? 'Edit Saved Filter' : 'Add Saved Filter';
+  }
+
+  get confirmLabel() {
+    const privates = privateMembers.get(this);
+    return (privates.mode === 'edit') ? 'Update' : 'Add';
+  }
+
+  get initFocus() {
+    return privateMembers.get(this).controls.name;
+  }
+
+  addContent(parent) {
+    const privates = privateMembers.get(this);
+
+    const containerType = { classList: ['form-input-container'] };
+    const labelType = (value) => ({ value, classList: ['form-input-label'] });
+    parent.appendChild(createFormControl({
+      type: 'text',
+      id: 'filter-name',
+      name: 'filter-name',
+      classList: ['form-input'],
+      required: true,
+      label: labelType('Name'),
+      container: containerType,
+    }));
+
+    parent.appendChild(createFormControl({
+      type: 'text',
+      id: 'filter-query',
+      name: 'filter-query',
+      placeholder: 'For example, priority>=high due<7d -completed',
+      classList: ['form-input'],
+      required: true,
+      label: labelType('Query'),
+      container: containerType,
+    }));
+
+    const help = document.createElement('ul');
+    help.classList.add('form-query-help');
+    [
+      'priority:high, priority>=medium, priority<low',
+      'due:today, due<7d, due<=2w, due>1m, due<2024-12-31',
+      'project:Work, project:"Home Repairs", project:none',
+      'tag:errands, tag:none',
+      'completed, deferred, blocked (prefix with - to exclude)',
+      'Any other words are searched for in names and descriptions',
+    ].forEach((line) => {
+      const item = document.createElement('li');
+      item.textContent = line;
+      help.appendChild(item);
+    });
+    parent.appendChild(help);
+
+    privates.controls = {
+      name: parent.querySelector('#filter-name'),
+      query: parent.querySelector('#filter-query'),
+    };
+
+    const { controls } = privates;
+    if (privates.filter) {
+      controls.name.value = privates.filter.name;
+      controls.query.value = privates.filter.query;
+    } else {
+      controls.query.value = privates.query;
+    }
+    controls.query.addEventListener('change', () => checkQuery(this));
+  }
+
+  confirm() {
+    const privates = privateMembers.get(this);
+    const { controls } = privates;
+    if (privates.callbacks.confirm) {
+      privates.callbacks.confirm(
+        controls.name.value.trim(),
+        controls.query.value.trim(),
+      );
+    }
+  }
+
+  cancel() {
+    const privates = privateMembers.get(this);
+    if (privates.callbacks.cancel) privates.callbacks.cancel();
+  }
+
+  validate() {
+    const { controls } = privateMembers.get(this);
+    if (!controls.name.reportValidity()) return false;
+    checkQuery(this);
+    return controls.query.reportValidity();
+  }
+}
+
+export default SavedFilterModal;
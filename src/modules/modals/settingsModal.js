@@ -17,8 +17,10 @@ import { isLocalStorageSupported } from '../utility/storage';
  *   modified.
  * @property {module:modalStack~ModalStack} modalStack The modal stack in which
  *   the modal was inserted.
+ * @property {boolean} databaseSupported Indicates whether the browser's
+ *   IndexedDB database can be used for storage.
  * @property {boolean} confirmNoStorage If true, then the user should be asked
- *   for confirmation when disabling local storage.
+ *   for confirmation when disabling storage.
  * @property {Object} callbacks An object holding callback functions.
  * @property {Function} [callbacks.confirm] A callback function that will be
  *   invoked when the user successfully confirms the modal.
@@ -26,18 +28,29 @@ import { isLocalStorageSupported } from '../utility/storage';
  *   invoked when the user cancels the modal.
  * @property {Object} [controls] An object holding the form input elements for
  *   the modal.
+ * @property {HTMLElement} controls.saveDatabase The radio button element for
+ *   indicating that data should be saved to the IndexedDB database.
  * @property {HTMLElement} controls.saveLocal The radio button element for
  *   indicating that data should be saved to local storage.
  * @property {HTMLElement} controls.saveNever The radio button element for
  *   indicating that data should not be saved.
  * @property {HTMLElement} controls.dateFormat The select element for the date
  *   format.
+ * @property {HTMLElement} controls.timeFormat The select element for the time
+ *   format.
  * @property {HTMLElement} controls.deleteOld The checkbox element indicating
- *   whether to delete old completed tasks.
+ *   whether to move old completed tasks to the trash.
  * @property {HTMLElement} controls.deleteAfter The input element for entering
- *   the number of days after which to delete completed tasks.
+ *   the number of days after which to move completed tasks to the trash.
  * @property {HTMLElement} controls.deleteAfterLabel The label element for the
  *   deleteAfter control.
+ * @property {HTMLElement} controls.emptyTrash The checkbox element indicating
+ *   whether to permanently delete old items in the trash.
+ * @property {HTMLElement} controls.trashRetention The input element for
+ *   entering the number of days after which to permanently delete items in
+ *   the trash.
+ * @property {HTMLElement} controls.trashRetentionLabel The label element for
+ *   the trashRetention control.
  */
 
 /**
@@ -62,6 +75,10 @@ function initFormValues(instance) {
       privates.confirmNoStorage = false;
       controls.saveNever.checked = true;
       break;
+    case 'indexeddb':
+      privates.confirmNoStorage = true;
+      controls.saveDatabase.checked = true;
+      break;
     case 'local':
     default:
       privates.confirmNoStorage = true;
@@ -70,15 +87,24 @@ function initFormValues(instance) {
   }
 
   controls.dateFormat.value = settings.dateFormat.type;
+  controls.timeFormat.value = settings.timeFormat.type;
 
   const deleteOld = settings.deleteAfter !== null;
   controls.deleteOld.checked = deleteOld;
   if (deleteOld) controls.deleteAfter.value = settings.deleteAfter.toString();
 
+  const emptyTrash = settings.trashRetention !== null;
+  controls.emptyTrash.checked = emptyTrash;
+  if (emptyTrash) {
+    controls.trashRetention.value = settings.trashRetention.toString();
+  }
+
   // Disable storage options if local storage is unsupported or disabled
+  if (!privates.databaseSupported) controls.saveDatabase.disabled = true;
   if (!isLocalStorageSupported()) {
     controls.saveNever.disabled = true;
     controls.saveLocal.disabled = true;
+    controls.saveDatabase.disabled = true;
   }
 }
 
@@ -91,20 +117,72 @@ function addListeners(instance) {
   const { controls } = privateMembers.get(instance);
   const fireEvent = (input) => input.dispatchEvent(new Event('change'));
 
-  controls.deleteOld.addEventListener('change', (e) => {
-    controls.deleteAfter.disabled = !e.target.checked;
-  });
-  fireEvent(controls.deleteOld);
-
-  // Make delete-after label singular/plural based on value
-  controls.deleteAfter.addEventListener('change', (e) => {
-    const count = Number(e.target.value);
-    if (e.target.value.length > 0 && Number.isFinite(count)) {
-      const label = count === 1 ? ' day' : ' days';
-      controls.deleteAfterLabel.textContent = label;
-    }
-  });
-  fireEvent(controls.deleteAfter);
+  const addDayCountListeners = (checkboxName, inputName, labelName) => {
+    controls[checkboxName].addEventListener('change', (e) => {
+      controls[inputName].disabled = !e.target.checked;
+    });
+    fireEvent(controls[checkboxName]);
+
+    // Make label singular/plural based on value
+    controls[inputName].addEventListener('change', (e) => {
+      const count = Number(e.target.value);
+      if (e.target.value.length > 0 && Number.isFinite(count)) {
+        const label = count === 1 ? ' day' : ' days';
+        controls[labelName].textContent = label;
+      }
+    });
+    fireEvent(controls[inputName]);
+  };
+
+  addDayCountListeners('deleteOld', 'deleteAfter', 'deleteAfterLabel');
+  addDayCountListeners('emptyTrash', 'trashRetention', 'trashRetentionLabel');
+}
+
+/**
+ * Create a form control consisting of a checkbox followed by a label and a
+ * number input for a count of days, such as "Delete completed tasks after 14
+ * days".
+ * @param {Object} options An object holding options for the control.
+ * @param {string} options.checkboxId The id for the checkbox element.
+ * @param {string} options.inputId The id for the number input element. The
+ *   label following the input has this id with the suffix '-label'.
+ * @param {string} options.label The text of the label between the checkbox
+ *   and the number input.
+ * @param {string} options.value The initial value of the number input.
+ * @returns {HTMLElement} The container holding the control.
+ */
+function createDayCountControl(options) {
+  const container = document.createElement('div');
+  container.classList.add('form-input-item-container');
+  container.appendChild(createFormControl({
+    type: 'checkbox',
+    id: options.checkboxId,
+    name: options.checkboxId,
+    value: 'enabled',
+  }));
+  let label = document.createElement('label');
+  label.classList.add('form-input-label-inline');
+  label.htmlFor = options.checkboxId;
+  label.textContent = options.label;
+  container.appendChild(label);
+
+  container.appendChild(createFormControl({
+    type: 'number',
+    id: options.inputId,
+    name: options.inputId,
+    value: options.value,
+    classList: ['form-input-inline', 'form-input-count'],
+    required: true,
+    min: 0,
+  }));
+  label = document.createElement('label');
+  label.id = `${options.inputId}-label`;
+  label.classList.add('form-input-label-inline');
+  label.htmlFor = options.inputId;
+  label.textContent = ' days';
+  container.appendChild(label);
+
+  return container;
 }
 
 /**
@@ -115,6 +193,9 @@ class SettingsModal {
   /**
    * Specifies options for the modal.
    * @typedef {Object} module:settingsModal~SettingsModal~options
+   * @property {boolean} [databaseSupported=false] Whether the browser's
+   *   IndexedDB database can be used for storage. If not, then the option to
+   *   save data in the database is disabled.
    * @property {Function} [confirm] A callback function that will be invoked
    *   when the user successfully confirms the modal. The function will be
    *   passed a reference to the modified [Settings]{module:settings~Settings}
@@ -134,18 +215,24 @@ class SettingsModal {
     const privates = {
       settings,
       modalStack: null,
+      databaseSupported: options.databaseSupported ?? false,
       confirmNoStorage: true,
       callbacks: {
         confirm: options.confirm || null,
         cancel: options.cancel || null,
       },
       controls: {
+        saveDatabase: null,
         saveLocal: null,
         saveNever: null,
         dateFormat: null,
+        timeFormat: null,
         deleteOld: null,
         deleteAfter: null,
         deleteAfterLabel: null,
+        emptyTrash: null,
+        trashRetention: null,
+        trashRetentionLabel: null,
       },
     };
     privateMembers.set(this, privates);
@@ -168,6 +255,17 @@ class SettingsModal {
     label.textContent = 'Data Storage';
     container.appendChild(label);
 
+    container.appendChild(createFormControl({
+      type: 'radio',
+      id: 'settings-save-database',
+      name: 'settings-save-method',
+      value: 'indexeddb',
+      label: {
+        value: 'Save data in browser\'s database (IndexedDB)',
+        classList: ['form-input-label-inline'],
+      },
+      container: { classList: ['form-input-item-container'] },
+    }));
     container.appendChild(createFormControl({
       type: 'radio',
       id: 'settings-save-local',
@@ -233,6 +331,35 @@ class SettingsModal {
       menuItems: dateFormats,
     }));
 
+    const timeFormats = ['local', '12-hour', '24-hour'].map((value) => {
+      const format = Settings.lookupTimeFormat(value).visualPattern;
+      let description;
+      switch (value) {
+        case 'local':
+          description = 'Local Format';
+          break;
+        case '12-hour':
+          description = '12-Hour Clock';
+          break;
+        case '24-hour':
+          description = '24-Hour Clock';
+          break;
+        default:
+          break;
+      }
+
+      return { value, label: `${description}: ${format}` };
+    });
+    parent.appendChild(createFormControl({
+      type: 'select',
+      id: 'settings-time-format',
+      name: 'settings-time-format',
+      classList: ['form-select'],
+      label: { value: 'Time Format', classList: ['form-input-label'] },
+      container: { classList: ['form-input-container'] },
+      menuItems: timeFormats,
+    }));
+
     container = document.createElement('div');
     container.classList.add('form-input-container');
 
@@ -241,51 +368,39 @@ class SettingsModal {
     label.textContent = 'Additional Options';
     container.appendChild(label);
 
-    const optionContainer = document.createElement('div');
-    optionContainer.classList.add('form-input-item-container');
-    optionContainer.appendChild(createFormControl({
-      type: 'checkbox',
-      id: 'settings-delete-old-tasks',
-      name: 'settings-delete-tasks',
-      value: 'delete-old',
-    }));
-    label = document.createElement('label');
-    label.classList.add('form-input-label-inline');
-    label.htmlFor = 'settings-delete-old-tasks';
-    label.textContent = 'Delete completed tasks after ';
-    optionContainer.appendChild(label);
-
-    optionContainer.appendChild(createFormControl({
-      type: 'number',
-      id: 'settings-delete-after',
-      name: 'settings-delete-after',
+    container.appendChild(createDayCountControl({
+      checkboxId: 'settings-delete-old-tasks',
+      inputId: 'settings-delete-after',
+      label: 'Move completed tasks to the trash after ',
       value: '14',
-      classList: ['form-input-inline', 'form-input-count'],
-      required: true,
-      min: 0,
     }));
-    label = document.createElement('label');
-    label.id = 'settings-delete-after-label';
-    label.classList.add('form-input-label-inline');
-    label.htmlFor = 'settings-delete-after';
-    label.textContent = ' days';
-    optionContainer.appendChild(label);
-
-    container.appendChild(optionContainer);
+    container.appendChild(createDayCountControl({
+      checkboxId: 'settings-empty-trash',
+      inputId: 'settings-trash-retention',
+      label: 'Permanently delete items in the trash after ',
+      value: '30',
+    }));
     parent.appendChild(container);
 
     const privates = privateMembers.get(this);
     privates.modalStack = modalStack;
 
     const { controls } = privates;
+    controls.saveDatabase = parent.querySelector('#settings-save-database');
     controls.saveLocal = parent.querySelector('#settings-save-local');
     controls.saveNever = parent.querySelector('#settings-save-never');
     controls.dateFormat = parent.querySelector('#settings-date-format');
+    controls.timeFormat = parent.querySelector('#settings-time-format');
     controls.deleteOld = parent.querySelector('#settings-delete-old-tasks');
     controls.deleteAfter = parent.querySelector('#settings-delete-after');
     controls.deleteAfterLabel = parent.querySelector(
       '#settings-delete-after-label',
     );
+    controls.emptyTrash = parent.querySelector('#settings-empty-trash');
+    controls.trashRetention = parent.querySelector('#settings-trash-retention');
+    controls.trashRetentionLabel = parent.querySelector(
+      '#settings-trash-retention-label',
+    );
 
     initFormValues(this);
     addListeners(this);
@@ -295,10 +410,16 @@ class SettingsModal {
     const { callbacks, controls, settings } = privateMembers.get(this);
 
     if (!controls.saveLocal.disabled) {
-      settings.storageMethod = controls.saveLocal.checked ? 'local' : 'none';
+      let storageMethod = 'none';
+      if (controls.saveDatabase.checked) storageMethod = 'indexeddb';
+      else if (controls.saveLocal.checked) storageMethod = 'local';
+      if (storageMethod !== settings.storageMethod) {
+        settings.storageMethod = storageMethod;
+      }
     }
 
     settings.setDateFormat(controls.dateFormat.value);
+    settings.setTimeFormat(controls.timeFormat.value);
 
     if (controls.deleteOld.checked) {
       settings.deleteAfter = Number(controls.deleteAfter.value);
@@ -306,6 +427,12 @@ class SettingsModal {
       settings.deleteAfter = null;
     }
 
+    if (controls.emptyTrash.checked) {
+      settings.trashRetention = Number(controls.trashRetention.value);
+    } else {
+      settings.trashRetention = null;
+    }
+
     if (callbacks.confirm) callbacks.confirm(settings);
   }
 
@@ -316,17 +443,20 @@ class SettingsModal {
 
   validate() {
     const privates = privateMembers.get(this);
-    const { controls, modalStack } = privates;
+    const { controls, modalStack, settings } = privates;
 
     if (controls.deleteOld.checked) {
       if (!controls.deleteAfter.reportValidity()) return false;
     }
+    if (controls.emptyTrash.checked) {
+      if (!controls.trashRetention.reportValidity()) return false;
+    }
 
-    // Ask for confirmation when disabling local storage
+    // Ask for confirmation when disabling storage
     if (privates.confirmNoStorage
       && !controls.saveNever.disabled && controls.saveNever.checked) {
       const modal = new ConfirmModal(
-        'Are you sure you want to disable local storage? Your data will not be saved in the browser and will be lost after you leave this page.',
+        'Are you sure you want to disable storage? Your data will not be saved in the browser and will be lost after you leave this page.',
         {
           confirm: () => {
             privates.confirmNoStorage = false;
@@ -336,7 +466,11 @@ class SettingsModal {
             setTimeout(() => modalStack.confirmModal());
           },
           cancel: () => {
-            controls.saveLocal.checked = true;
+            if (settings.storageMethod === 'indexeddb') {
+              controls.saveDatabase.checked = true;
+            } else {
+              controls.saveLocal.checked = true;
+            }
           },
         },
       );
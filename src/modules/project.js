@@ -3,6 +3,8 @@
  * @module project
  */
 
+import { parseIsoDateTime } from './utility/dates';
+
 /**
  * Holds information about a user project.
  */
@@ -12,6 +14,16 @@ class Project {
    * @param {string} name The name of the project.
    * @param {Object} [options={}] An object holding additional project options.
    * @param {string} [options.description] A description for the project.
+   * @param {string} [options.parent] The unique identifier of the project
+   *   that contains this project, if any.
+   * @param {string} [options.color] The color used to mark the project, as a
+   *   hexadecimal color string such as '#1e88e5'.
+   * @param {string} [options.icon] A short piece of text, such as an emoji,
+   *   that is displayed as an icon for the project.
+   * @param {boolean} [options.archived=false] Indicates whether the project
+   *   has been archived.
+   * @param {Date} [options.deletionDate] The date when the project was moved
+   *   to the trash, if any.
    */
   constructor(name, options = {}) {
     /**
@@ -25,6 +37,77 @@ class Project {
      * @type {?string}
      */
     this.description = options.description ?? null;
+
+    /**
+     * The unique identifier of the parent project that contains this project,
+     * or null if this is a top-level project.
+     * @type {?string}
+     */
+    this.parent = options.parent ?? null;
+
+    /**
+     * The color used to mark the project, as a hexadecimal color string of
+     * the form '#rrggbb', or null if the project has no color.
+     * @type {?string}
+     */
+    this.color = options.color ?? null;
+
+    /**
+     * A short piece of text, such as an emoji, that is displayed as an icon
+     * for the project, or null if the project has no icon.
+     * @type {?string}
+     */
+    this.icon = options.icon ?? null;
+
+    /**
+     * Indicates whether the project has been archived. Archived projects are
+     * kept along with their tasks, but are listed separately from active
+     * projects.
+     * @type {boolean}
+     */
+    this.archived = options.archived ?? false;
+
+    /**
+     * The date when the project was moved to the trash, or null if it is not
+     * in the trash.
+     * @type {?Date}
+     */
+    this.deletionDate = options.deletionDate || null;
+  }
+
+  /**
+   * Move the project to the trash.
+   * @param {Date} [date] The date and time of deletion. If not given, then the
+   *   present time is used.
+   */
+  moveToTrash(date) {
+    this.deletionDate = date || new Date();
+  }
+
+  /**
+   * Restore the project from the trash.
+   */
+  restoreFromTrash() {
+    this.deletionDate = null;
+  }
+
+  /**
+   * Determine whether or not the project is in the trash.
+   * @returns {boolean} True if the project has been moved to the trash and
+   *   false otherwise.
+   */
+  isInTrash() {
+    return Boolean(this.deletionDate);
+  }
+
+  /**
+   * Determine whether a string is a valid project color.
+   * @param {string} color The string to test.
+   * @returns {boolean} True if the string is a hexadecimal color string of
+   *   the form '#rrggbb', and false otherwise.
+   */
+  static isColorValid(color) {
+    return typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color);
   }
 
   /**
@@ -34,7 +117,14 @@ class Project {
    *   data.
    */
   static fromJson(data) {
-    return new Project(data.name, { description: data.description });
+    return new Project(data.name, {
+      description: data.description,
+      parent: data.parent,
+      color: data.color,
+      icon: data.icon,
+      archived: data.archived,
+      deletionDate: data.deletionDate ? parseIsoDateTime(data.deletionDate) : null,
+    });
   }
 }
 
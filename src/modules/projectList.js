@@ -8,7 +8,21 @@ import _ from 'lodash';
 import { v4 as generateUuid } from 'uuid';
 
 import Project from './project';
-import { getJsonType, isUuidValid, validateValue } from './utility/data';
+import {
+  PROJECT_PARAM,
+  findCalendarComponents,
+  splitCalendarList,
+} from './utility/calendar';
+import {
+  addToSearchIndex,
+  createSearchIndex,
+  findInSearchIndex,
+  getJsonType,
+  getSearchTerms,
+  isUuidValid,
+  removeFromSearchIndex,
+  validateValue,
+} from './utility/data';
 
 /**
  * Object holding private members for the
@@ -17,6 +31,9 @@ import { getJsonType, isUuidValid, validateValue } from './utility/data';
  * @property {module:projectList~ProjectList~projectWrapper[]} projects An
  *   array of projects. Each element in the array is a wrapper that holds the
  *   project along with its unique identifier.
+ * @property {module:data~searchIndex} searchIndex Holds an index associating
+ *   lowercase words with the identifiers of the projects whose names contain
+ *   them.
  * @property {module:projectList~ProjectList~eventEmitter} Holds the event
  *   emitter which dispatches events to attached listeners.
  */
@@ -42,6 +59,39 @@ function findIndex(instance, id) {
   ));
 }
 
+/**
+ * Get the identifiers of a project's ancestors, starting with its parent. The
+ * search stops at a missing project or at a project that was already visited,
+ * so that a cycle of parent references cannot cause an infinite loop.
+ * @param {module:projectList~ProjectList} instance The class instance on which
+ *   to apply the function.
+ * @param {string} id The identifier for the project whose ancestors are to be
+ *   found.
+ * @returns {Object} An object with an ancestors property holding the array of
+ *   ancestor identifiers, and a cyclic property which is true if the project
+ *   is its own ancestor.
+ */
+function findAncestors(instance, id) {
+  const { projects } = privateMembers.get(instance);
+  const ancestors = [];
+  const visited = new Set();
+
+  let index = findIndex(instance, id);
+  while (index >= 0) {
+    const { parent } = projects[index].project;
+    if (parent === id) return { ancestors, cyclic: true };
+    if (!parent || visited.has(parent)) break;
+
+    index = findIndex(instance, parent);
+    if (index >= 0) {
+      visited.add(parent);
+      ancestors.push(parent);
+    }
+  }
+
+  return { ancestors, cyclic: false };
+}
+
 /**
  * Holds a list of projects.
  */
@@ -104,6 +154,7 @@ class ProjectList {
   constructor() {
     const privates = {
       projects: [],
+      searchIndex: createSearchIndex(),
       eventEmitter: new EventEmitter(),
     };
     privateMembers.set(this, privates);
@@ -142,6 +193,14 @@ class ProjectList {
     const privates = privateMembers.get(this);
     const wrapper = privates.projects[index];
     const needSort = project.name !== wrapper.project.name;
+    if (needSort) {
+      removeFromSearchIndex(
+        privates.searchIndex,
+        id,
+        getSearchTerms(wrapper.project.name),
+      );
+      addToSearchIndex(privates.searchIndex, id, getSearchTerms(project.name));
+    }
     wrapper.project = _.cloneDeep(project);
 
     if (needSort) {
@@ -191,6 +250,7 @@ class ProjectList {
       );
 
       privates.projects.splice(index, 0, value);
+      addToSearchIndex(privates.searchIndex, id, getSearchTerms(project.name));
 
       privates.eventEmitter.emit('add-project', {
         type: 'add-project',
@@ -222,20 +282,28 @@ class ProjectList {
   }
 
   /**
-   * Remove a project from the project list.
+   * Remove a project from the project list. Any child projects are moved up
+   * to the removed project's parent.
    * @param {string} id The identifier of the project to remove.
    * @returns {boolean} Returns true if the project was successfully removed,
    *   or false if an invalid identifier was given.
+   * @fires module:projectList~ProjectList~updateProject
    * @fires module:projectList~ProjectList~deleteProject
    */
   deleteProject(id) {
-    const index = findIndex(this, id);
-    if (index < 0) return false;
+    if (!this.hasProject(id)) return false;
+    this.detachChildren(id);
 
     const privates = privateMembers.get(this);
+    const index = findIndex(this, id);
 
     const { project } = privates.projects[index];
     privates.projects.splice(index, 1);
+    removeFromSearchIndex(
+      privates.searchIndex,
+      id,
+      getSearchTerms(project.name),
+    );
 
     privates.eventEmitter.emit('delete-project', {
       type: 'delete-project',
@@ -255,6 +323,7 @@ class ProjectList {
     const projects = [...privates.projects];
 
     privates.projects.length = 0;
+    privates.searchIndex = createSearchIndex();
 
     projects.forEach(({ id, project }) => {
       privates.eventEmitter.emit('delete-project', {
@@ -265,6 +334,105 @@ class ProjectList {
     });
   }
 
+  /**
+   * Move the child projects of a project up one level, so that they belong to
+   * the project's parent instead. If the project is a top-level project, its
+   * children become top-level projects.
+   * @param {string} id The identifier for the project whose children are to
+   *   be moved.
+   * @fires module:projectList~ProjectList~updateProject
+   */
+  detachChildren(id) {
+    const index = findIndex(this, id);
+    if (index < 0) return;
+
+    const { parent } = privateMembers.get(this).projects[index].project;
+    this.getChildren(id).forEach((childId) => {
+      const child = this.getProject(childId);
+      child.parent = parent;
+      this.updateProject(childId, child);
+    });
+  }
+
+  /**
+   * Get the identifiers of the projects that are direct children of a
+   * project, in sorted order.
+   * @param {?string} id The identifier for the parent project. If null, then
+   *   the top-level projects are returned, including any projects whose
+   *   parent is missing from the list.
+   * @returns {string[]} An array of project identifiers.
+   */
+  getChildren(id) {
+    const children = [];
+    privateMembers.get(this).projects.forEach((entry) => {
+      const { parent } = entry.project;
+      const isChild = (id == null)
+        ? !parent || !this.hasProject(parent)
+        : parent === id;
+      if (isChild) children.push(entry.id);
+    });
+    return children;
+  }
+
+  /**
+   * Get the identifiers of all projects nested within a project, including
+   * its children, their children, and so on.
+   * @param {string} id The identifier for the project.
+   * @returns {string[]} An array of project identifiers. The project itself
+   *   is not included.
+   */
+  getDescendants(id) {
+    const descendants = [];
+    const visited = new Set([id]);
+    const stack = [id];
+    while (stack.length > 0) {
+      this.getChildren(stack.pop()).forEach((childId) => {
+        if (visited.has(childId)) return;
+        visited.add(childId);
+        descendants.push(childId);
+        stack.push(childId);
+      });
+    }
+    return descendants;
+  }
+
+  /**
+   * Get the identifiers of the projects that contain a project, starting with
+   * its parent and ending with a top-level project.
+   * @param {string} id The identifier for the project.
+   * @returns {string[]} An array of project identifiers.
+   */
+  getAncestors(id) {
+    return findAncestors(this, id).ancestors;
+  }
+
+  /**
+   * Determine whether a project is in the trash, either because it was moved
+   * there itself or because a project containing it was. Projects in the
+   * trash keep their tasks and subprojects, which are hidden along with them.
+   * @param {string} id The identifier for the project.
+   * @returns {boolean} True if the project or one of its ancestors is in the
+   *   trash, and false otherwise.
+   */
+  isInTrash(id) {
+    const { projects } = privateMembers.get(this);
+    return [id, ...this.getAncestors(id)].some((projectId) => {
+      const index = findIndex(this, projectId);
+      return index >= 0 && projects[index].project.isInTrash();
+    });
+  }
+
+  /**
+   * Find the projects whose names contain a word beginning with the given
+   * search term.
+   * @param {string} term The lowercase search term, as returned by
+   *   [getSearchTerms]{@link module:data~getSearchTerms}.
+   * @returns {string[]} The identifiers of the matching projects.
+   */
+  findProjectsByWord(term) {
+    return [...findInSearchIndex(privateMembers.get(this).searchIndex, term)];
+  }
+
   /**
    * Determines whether a project with the given identifier exists within the
    * project list.
@@ -293,6 +461,34 @@ class ProjectList {
     });
   }
 
+  /**
+   * Execute the provided function on each project in the list, in
+   * hierarchical order. Each project is visited before its children, and
+   * sibling projects are visited in sorted order. As with
+   * [forEach]{@link module:projectList~ProjectList#forEach}, the project
+   * instance passed to the callback function is only a copy.
+   * @param {Function} callback The function to execute on each project. The
+   *   function will be passed a
+   *   [wrapper]{@link module:projectList~ProjectList~projectWrapper}
+   *   containing the project and its identifier, along with the depth of the
+   *   project in the hierarchy (0 for top-level projects).
+   */
+  forEachInHierarchy(callback) {
+    const visited = new Set();
+    const visit = (id, depth) => {
+      if (visited.has(id)) return;
+      visited.add(id);
+      callback({ id, project: this.getProject(id) }, depth);
+      this.getChildren(id).forEach((childId) => visit(childId, depth + 1));
+    };
+
+    this.getChildren(null).forEach((id) => visit(id, 0));
+
+    // Projects caught in a cycle of parent references are not reachable from
+    // the top level, so they are treated as top-level projects
+    privateMembers.get(this).projects.forEach(({ id }) => visit(id, 0));
+  }
+
   /**
    * Add an event listener to the project list.
    * @param {string} type The type of event to listen for.
@@ -314,6 +510,11 @@ class ProjectList {
         name: project.name,
         id,
         description: project.description,
+        parent: project.parent,
+        color: project.color,
+        icon: project.icon,
+        archived: project.archived,
+        deletionDate: project.deletionDate,
       });
     });
     return projects;
@@ -341,7 +542,17 @@ class ProjectList {
       return { projects: counts, errors };
     }
 
-    data.forEach(({ name, id, description }) => {
+    const importedIds = [];
+    data.forEach(({
+      name,
+      id,
+      description,
+      parent,
+      color,
+      icon,
+      archived,
+      deletionDate,
+    }) => {
       const handleError = (errorType, value, opts) => {
         if (value == null) return;
         const msgPrefix = `Warning: Project "${name}"`;
@@ -350,9 +561,15 @@ class ProjectList {
           case 'bad-type':
             msg = `Expected type "${opts.expectedType}" for property "${opts.valueName}" (received "${getJsonType(value)}").`;
             break;
+          case 'bad-date':
+            msg = `Expected a date in ISO format for property "${opts.valueName}" (received "${value}").`;
+            break;
           case 'bad-id':
             msg = `Expected a version 4 UUID for property "${opts.valueName}" (received "${value}").`;
             break;
+          case 'failed-predicate':
+            msg = `Invalid value for property "${opts.valueName}" (received "${value}").`;
+            break;
           default:
             msg = `Encountered unrecognized error "${errorType}" for property "${opts.valueName}".`;
             break;
@@ -379,6 +596,43 @@ class ProjectList {
           errorCallback: handleError,
         })) projectOptions.description = description;
 
+        if (validateValue(color, {
+          valueName: 'color',
+          expectedType: 'string',
+          customPredicate: Project.isColorValid,
+          errorCallback: handleError,
+        })) projectOptions.color = color.toLowerCase();
+
+        if (validateValue(icon, {
+          valueName: 'icon',
+          expectedType: 'string',
+          customPredicate: (value) => value.trim().length > 0,
+          errorCallback: handleError,
+        })) projectOptions.icon = icon.trim();
+
+        if (validateValue(archived, {
+          valueName: 'archived',
+          expectedType: 'boolean',
+          errorCallback: handleError,
+        })) projectOptions.archived = archived;
+
+        if (validateValue(parent, {
+          valueName: 'parent',
+          expectedType: 'string',
+          requireUuid: true,
+          errorCallback: handleError,
+        })) projectOptions.parent = parent;
+
+        validateValue(deletionDate, {
+          valueName: 'deletionDate',
+          expectedType: 'date',
+          allowConversion: true,
+          successCallback: (value) => {
+            projectOptions.deletionDate = value;
+          },
+          errorCallback: handleError,
+        });
+
         let newId = null;
         if (validateValue(id, {
           valueName: 'id',
@@ -392,7 +646,27 @@ class ProjectList {
 
         const project = new Project(name, projectOptions);
         if (newId) this.addOrUpdateProject(newId, project);
-        else this.addProject(project);
+        else newId = this.addProject(project);
+        importedIds.push(newId);
+      }
+    });
+
+    // Parents may appear later in the data, so they are checked afterward
+    importedIds.forEach((id) => {
+      const project = this.getProject(id);
+      if (!project.parent) return;
+
+      let msg = null;
+      if (!this.hasProject(project.parent)) {
+        msg = `Parent project "${project.parent}" does not exist.`;
+      } else if (findAncestors(this, id).cyclic) {
+        msg = `Parent project "${project.parent}" is nested within the project itself.`;
+      }
+
+      if (msg) {
+        errors.push(`Warning: Project "${project.name}": ${msg}`);
+        project.parent = null;
+        this.updateProject(id, project);
       }
     });
 
@@ -407,13 +681,20 @@ class ProjectList {
    *   outer array represents a single project, and each member of each inner
    *   array is a data field for that particular project. The first member of
    *   the outer array should be a header holding field names. Duplicate
-   *   projects are ignored, as are unrelated fields.
+   *   projects are ignored, as are unrelated fields. Projects without a
+   *   unique identifier are also ignored if their names match existing
+   *   projects.
    * @returns {module:taskList~TaskList~importStatus} An object holding
    *   information about the status of the import.
    * @fires module:projectList~ProjectList~addProject
    * @fires module:projectList~ProjectList~updateProject
    */
   importFromCsv(data) {
+    const existingNames = new Set();
+    this.forEach(({ id, project }) => {
+      if (!this.isInTrash(id)) existingNames.add(project.name.toLowerCase());
+    });
+
     const columns = [];
     if (data.length > 0) {
       const header = data[0];
@@ -431,6 +712,14 @@ class ProjectList {
           case 'project-description':
             columns.push({ name: 'description', index });
             break;
+          case 'project color':
+          case 'project-color':
+            columns.push({ name: 'color', index });
+            break;
+          case 'project icon':
+          case 'project-icon':
+            columns.push({ name: 'icon', index });
+            break;
           default:
             break;
         }
@@ -448,7 +737,11 @@ class ProjectList {
             entry[name] = csvRecord[index];
           }
         });
-        if (!_.isEmpty(entry)) entries.push(entry);
+        if (_.isEmpty(entry)) return;
+        if (entry.id == null && existingNames.has(entry.name?.toLowerCase())) {
+          return;
+        }
+        entries.push(entry);
       });
     }
 
@@ -459,6 +752,67 @@ class ProjectList {
     };
     return this.importFromJson(_.uniqWith(entries, isEntryEqual));
   }
+
+  /**
+   * Import the projects named by the VTODO components of parsed iCalendar
+   * data. A project is added for each category marked as a project that does
+   * not match the name of an existing project.
+   * @param {module:calendar~component[]} data The parsed iCalendar data.
+   * @returns {module:taskList~TaskList~importStatus} An object holding
+   *   information about the status of the import.
+   * @fires module:projectList~ProjectList~addProject
+   */
+  importFromICalendar(data) {
+    const existingNames = new Set();
+    this.forEach(({ id, project }) => {
+      if (!this.isInTrash(id)) existingNames.add(project.name.toLowerCase());
+    });
+
+    const entries = [];
+    findCalendarComponents(data, 'VTODO').forEach((todo) => {
+      const property = todo.properties.find(({ name, params }) => (
+        name === 'CATEGORIES' && params[PROJECT_PARAM]
+      ));
+      const [name] = property ? splitCalendarList(property.value) : [];
+      if (name && !existingNames.has(name.toLowerCase())) {
+        existingNames.add(name.toLowerCase());
+        entries.push({ name });
+      }
+    });
+
+    return this.importFromJson(entries);
+  }
+
+  /**
+   * Import the projects named by parsed todo.txt data. A project is added for
+   * the first project of each task that does not match the name of an
+   * existing project. Since project names in todo.txt cannot contain spaces,
+   * underscores in the name are replaced by spaces.
+   * @param {module:todoTxt~entry[]} data The parsed todo.txt data.
+   * @returns {module:taskList~TaskList~importStatus} An object holding
+   *   information about the status of the import.
+   * @fires module:projectList~ProjectList~addProject
+   */
+  importFromTodoTxt(data) {
+    const existingNames = new Set();
+    this.forEach(({ id, project }) => {
+      if (!this.isInTrash(id)) existingNames.add(project.name.toLowerCase());
+    });
+
+    const entries = [];
+    data.forEach(({ projects }) => {
+      if (projects.length === 0) return;
+
+      const name = projects[0].toLowerCase();
+      const spacedName = name.replace(/_/g, ' ');
+      if (!existingNames.has(name) && !existingNames.has(spacedName)) {
+        existingNames.add(spacedName);
+        entries.push({ name: projects[0].replace(/_/g, ' ') });
+      }
+    });
+
+    return this.importFromJson(entries);
+  }
 }
 
 export default ProjectList;
@@ -12,10 +12,12 @@ import {
   isWeekend,
   nextDay,
   previousDay,
+  set as setTime,
   startOfDay,
   startOfMonth,
 } from 'date-fns';
 
+import { formatCalendarDate, parseCalendarDate } from './utility/calendar';
 import {
   formatDate,
   getWeekdayName,
@@ -23,6 +25,54 @@ import {
   parseIsoDateTime,
 } from './utility/dates';
 
+/**
+ * The two-letter weekday codes used in iCalendar recurrence rules, indexed by
+ * day of the week with Sunday being 0.
+ * @type {string[]}
+ */
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * Maps interval units to the corresponding iCalendar frequencies.
+ * @type {Object}
+ */
+const FREQUENCIES = {
+  day: 'DAILY',
+  week: 'WEEKLY',
+  month: 'MONTHLY',
+  year: 'YEARLY',
+};
+
+/**
+ * The parts of an iCalendar recurrence rule that can be read.
+ * @type {string[]}
+ */
+const RULE_PARTS = [
+  'FREQ',
+  'INTERVAL',
+  'BYDAY',
+  'BYMONTHDAY',
+  'BYMONTH',
+  'BYSETPOS',
+  'UNTIL',
+  'COUNT',
+  'WKST',
+];
+
+/**
+ * The fewest days that each month can have, indexed by month with January
+ * being 0.
+ * @type {number[]}
+ */
+const MIN_DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+/**
+ * The most days that each month can have, indexed by month with January being
+ * 0.
+ * @type {number[]}
+ */
+const MAX_DAYS_IN_MONTH = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
 /**
  * Starting from the given date, find the next date landing on one of the given
  * days of the week.
@@ -120,6 +170,170 @@ function nextDayOfYear(date, month, dayOfMonth) {
   return result;
 }
 
+/**
+ * Parse an integer from a part of a recurrence rule.
+ * @param {string} name The name of the rule part.
+ * @param {string} value The value to parse.
+ * @param {number} min The smallest acceptable value.
+ * @param {number} max The largest acceptable value.
+ * @returns {number} The parsed integer.
+ * @throws {SyntaxError} If the value is not an integer in the given range.
+ */
+function parseRulePartInteger(name, value, min, max) {
+  const number = /^[+-]?\d+$/.test(value) ? Number(value) : NaN;
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new SyntaxError(`Invalid value "${value}" for ${name}`);
+  }
+  return number;
+}
+
+/**
+ * Parse the UNTIL part of a recurrence rule, which is either a date in
+ * 'yyyyMMdd' format or a date and time in 'yyyyMMddTHHmmss' format, with an
+ * optional 'Z' suffix indicating UTC.
+ * @param {string} value The value to parse.
+ * @returns {Date} The parsed date.
+ * @throws {SyntaxError} If the value is not a valid date.
+ */
+function parseRuleDate(value) {
+  const result = parseCalendarDate(value);
+  if (!result) throw new SyntaxError(`Invalid value "${value}" for UNTIL`);
+  return result.date;
+}
+
+/**
+ * Parse a weekday from the BYDAY part of a recurrence rule.
+ * @param {string} value A weekday code such as 'MO', optionally preceded by
+ *   an ordinal such as '2' or '-1'.
+ * @returns {Object} An object whose day property holds the day of the week
+ *   (0-6, with Sunday being 0) and whose ordinal property holds the ordinal,
+ *   or null if there is none.
+ * @throws {SyntaxError} If the value is not a valid weekday.
+ */
+function parseRuleWeekday(value) {
+  const match = value.match(/^([+-]?\d{1,2})?([A-Z]{2})$/);
+  const day = match ? WEEKDAY_CODES.indexOf(match[2]) : -1;
+  if (day < 0) throw new SyntaxError(`Invalid value "${value}" for BYDAY`);
+
+  const ordinalValue = match[1]
+    ? parseRulePartInteger('BYDAY', match[1], -53, 53) : null;
+  if (ordinalValue === 0) {
+    throw new SyntaxError(`Invalid value "${value}" for BYDAY`);
+  }
+  return { day, ordinal: ordinalValue };
+}
+
+/**
+ * Build the recurrence rule parts selecting a day of the month. A recurring
+ * date falls on the last day of any month that is too short for the chosen
+ * day, whereas a rule skips those months. So for days that are missing from
+ * some months, the rule picks the last of the days up to the chosen one.
+ * @param {number} dayOfMonth The day of the month, from 1-31.
+ * @param {number} minDays The fewest days in any month in which the date can
+ *   occur.
+ * @returns {string[]} The rule parts.
+ */
+function buildMonthDayParts(dayOfMonth, minDays) {
+  if (dayOfMonth <= minDays) return [`BYMONTHDAY=${dayOfMonth}`];
+  if (dayOfMonth >= 31) return ['BYMONTHDAY=-1'];
+
+  const days = _.range(minDays, dayOfMonth + 1);
+  return [`BYMONTHDAY=${days.join(',')}`, 'BYSETPOS=-1'];
+}
+
+/**
+ * Read the day of the month selected by the BYMONTHDAY and BYSETPOS parts of
+ * a recurrence rule. This accepts the parts built by buildMonthDayParts,
+ * along with any single day that exists in every month in which the date can
+ * occur.
+ * @param {number[]} byMonthDay The values of the BYMONTHDAY part.
+ * @param {number[]} bySetPos The values of the BYSETPOS part.
+ * @param {number} minDays The fewest days in any month in which the date can
+ *   occur.
+ * @param {number} maxDays The most days in any month in which the date can
+ *   occur.
+ * @returns {?number} The day of the month, from 1-31, or null if the rule
+ *   skips some months and so cannot be represented by a recurring date.
+ */
+function parseMonthDayParts(byMonthDay, bySetPos, minDays, maxDays) {
+  if (bySetPos.length === 0) {
+    if (byMonthDay.length !== 1) return null;
+    const [day] = byMonthDay;
+    if (day === -1) return maxDays;
+    return (day >= 1 && day <= minDays) ? day : null;
+  }
+
+  if (bySetPos.length !== 1 || bySetPos[0] !== -1
+    || byMonthDay.some((day) => day < 1)) {
+    return null;
+  }
+
+  // Every month must contain one of the days from the last day down
+  const day = Math.max(...byMonthDay);
+  const required = _.range(Math.min(day, minDays), day + 1);
+  return required.every((value) => byMonthDay.includes(value)) ? day : null;
+}
+
+/**
+ * Build an iCalendar recurrence rule from the options of a recurring date.
+ * @param {module:recurringDate~RecurringDate} recurringDate The recurring
+ *   date.
+ * @returns {string} The recurrence rule.
+ */
+function buildRRule(recurringDate) {
+  const {
+    intervalUnit,
+    intervalLength,
+    weekNumber,
+    daysOfWeek,
+    month,
+    dayOfMonth,
+    endDate,
+    maxCount,
+  } = recurringDate;
+
+  const parts = [`FREQ=${FREQUENCIES[intervalUnit]}`];
+  if (intervalLength > 1) parts.push(`INTERVAL=${intervalLength}`);
+
+  switch (intervalUnit) {
+    case 'week':
+      if (daysOfWeek?.length > 0) {
+        const days = _.uniq(daysOfWeek).sort((a, b) => a - b);
+        parts.push(`BYDAY=${days.map((day) => WEEKDAY_CODES[day]).join(',')}`);
+      }
+      break;
+    case 'month':
+      if (dayOfMonth) {
+        parts.push(...buildMonthDayParts(dayOfMonth, 28));
+      } else if (weekNumber) {
+        const weekDay = daysOfWeek?.length > 0 ? daysOfWeek[0] : 0;
+        const position = weekNumber < 5 ? weekNumber : -1;
+        parts.push(`BYDAY=${position}${WEEKDAY_CODES[weekDay]}`);
+      }
+      break;
+    case 'year':
+      if (typeof month === 'number') {
+        parts.push(`BYMONTH=${month + 1}`);
+        parts.push(...buildMonthDayParts(
+          dayOfMonth || 1,
+          MIN_DAYS_IN_MONTH[month],
+        ));
+      }
+      break;
+    default:
+      break;
+  }
+
+  // The specification does not allow both UNTIL and COUNT
+  if (endDate) {
+    parts.push(`UNTIL=${formatCalendarDate(endDate, { dateOnly: true })}`);
+  } else if (typeof maxCount === 'number') {
+    parts.push(`COUNT=${maxCount}`);
+  }
+
+  return parts.join(';');
+}
+
 /**
  * Represents a recurring date.
  */
@@ -162,6 +376,8 @@ class RecurringDate {
    *   repetition should stop.
    * @param {number} [options.maxCount] Indicates the maximum number of
    *   repetitions before the recurrence should stop.
+   * @param {string} [options.rrule] The iCalendar recurrence rule that the
+   *   recurring date was created from, if any.
    */
   constructor(intervalUnit, options = {}) {
     /**
@@ -246,16 +462,29 @@ class RecurringDate {
      * @type {?number}
      */
     this.maxCount = options.maxCount ?? null;
+
+    /**
+     * The iCalendar recurrence rule that the recurring date was created from,
+     * if any. This is kept so that rules from other calendars can be exported
+     * again exactly as they were imported, as long as the recurrence has not
+     * been changed.
+     * @type {?string}
+     */
+    this.rrule = options.rrule || null;
   }
 
   /**
    * Get the next occurrence of the recurring date.
    * @param {Date} [baseDate] The base date from which the next occurrence
    *   should be calculated. If not given, then the present day is used.
+   * @param {Object} [options={}] An object holding additional options.
+   * @param {boolean} [options.preserveTime=false] If set to true, then the
+   *   returned date will have the same time of day as the base date.
+   *   Otherwise, the returned date is set to the start of the day.
    * @returns {?Date} The date on which the recurrence will next occur, or null
    *   if the recurrence has ended.
    */
-  getNextOccurrence(baseDate) {
+  getNextOccurrence(baseDate, options = {}) {
     if (typeof this.maxCount === 'number' && this.maxCount < 1) return null;
 
     const reference = startOfDay(baseDate || new Date());
@@ -393,6 +622,15 @@ class RecurringDate {
 
     if (this.endDate && isDateBefore(this.endDate, result)) return null;
 
+    if (options.preserveTime && baseDate) {
+      result = setTime(result, {
+        hours: baseDate.getHours(),
+        minutes: baseDate.getMinutes(),
+        seconds: baseDate.getSeconds(),
+        milliseconds: baseDate.getMilliseconds(),
+      });
+    }
+
     return result;
   }
 
@@ -424,9 +662,34 @@ class RecurringDate {
     if (this.onWeekend !== def.onWeekend) return false;
     if (this.endDate?.getTime() !== def.endDate?.getTime()) return false;
     if (this.maxCount !== def.maxCount) return false;
+    if (this.rrule !== def.rrule) return false;
     return true;
   }
 
+  /**
+   * Convert the recurring date to a recurrence rule in the format described
+   * by [RFC 5545]{@link https://datatracker.ietf.org/doc/html/rfc5545}, such
+   * as 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE'. The start date, the weekend
+   * behavior, and whether the recurrence is based on the completion date have
+   * no equivalent in a recurrence rule and are left out. If the recurring
+   * date was created from a rule and has not been changed since, then that
+   * rule is returned unaltered.
+   * @returns {string} The recurrence rule, without the 'RRULE:' prefix.
+   */
+  toRRule() {
+    const rule = buildRRule(this);
+    if (this.rrule) {
+      try {
+        if (buildRRule(RecurringDate.fromRRule(this.rrule)) === rule) {
+          return this.rrule;
+        }
+      } catch (e) {
+        if (!(e instanceof SyntaxError || e instanceof RangeError)) throw e;
+      }
+    }
+    return rule;
+  }
+
   /**
    * Get a string representation of the recurring date.
    * @returns {string} A string representation of the recurring date.
@@ -548,8 +811,166 @@ class RecurringDate {
       onWeekend: data.onWeekend,
       endDate: convertDate(data.endDate),
       maxCount: data.maxCount,
+      rrule: data.rrule,
     });
   }
+
+  /**
+   * Create a recurring date from a recurrence rule in the format described by
+   * [RFC 5545]{@link https://datatracker.ietf.org/doc/html/rfc5545}. The FREQ,
+   * INTERVAL, BYDAY, BYMONTHDAY, BYMONTH, BYSETPOS, UNTIL, and COUNT parts
+   * are supported in the combinations that a recurring date can represent.
+   * The rule is kept on the new recurring date so that it can be exported
+   * again without loss.
+   * @param {string} rule The recurrence rule, with or without the 'RRULE:'
+   *   prefix.
+   * @param {Object} [options={}] Additional options for the recurring date,
+   *   such as a start date, that are not part of the rule. See the
+   *   [constructor]{@link module:recurringDate~RecurringDate} for details.
+   * @returns {module:recurringDate~RecurringDate} A new recurring date
+   *   following the rule.
+   * @throws {SyntaxError} If the rule is malformed.
+   * @throws {RangeError} If the rule is valid but cannot be represented by a
+   *   recurring date.
+   */
+  static fromRRule(rule, options = {}) {
+    const raw = String(rule).trim().replace(/^RRULE:/i, '');
+    const parts = new Map();
+    raw.split(';').forEach((part) => {
+      const separator = part.indexOf('=');
+      if (separator < 1) throw new SyntaxError(`Malformed rule part "${part}"`);
+      const name = part.substring(0, separator).toUpperCase();
+      const value = part.substring(separator + 1).toUpperCase();
+      if (parts.has(name)) throw new SyntaxError(`Duplicate rule part ${name}`);
+      if (!RULE_PARTS.includes(name)) {
+        throw new RangeError(`Rule part ${name} is not supported`);
+      }
+      parts.set(name, value);
+    });
+
+    const frequency = parts.get('FREQ');
+    if (!frequency) throw new SyntaxError('Missing FREQ in rule');
+    let intervalUnit = _.findKey(FREQUENCIES, (value) => value === frequency);
+    if (!intervalUnit) {
+      if (/^(SECONDLY|MINUTELY|HOURLY)$/.test(frequency)) {
+        throw new RangeError(`Frequency ${frequency} is not supported`);
+      }
+      throw new SyntaxError(`Invalid value "${frequency}" for FREQ`);
+    }
+
+    const list = (name) => (parts.has(name) ? parts.get(name).split(',') : []);
+    const byDay = list('BYDAY').map(parseRuleWeekday);
+    const byMonthDay = list('BYMONTHDAY').map((value) => (
+      parseRulePartInteger('BYMONTHDAY', value, -31, 31)
+    ));
+    const byMonth = list('BYMONTH').map((value) => (
+      parseRulePartInteger('BYMONTH', value, 1, 12)
+    ));
+    const bySetPos = list('BYSETPOS').map((value) => (
+      parseRulePartInteger('BYSETPOS', value, -366, 366)
+    ));
+    if (byMonthDay.includes(0) || bySetPos.includes(0)) {
+      throw new SyntaxError('Rule values cannot be zero');
+    }
+
+    const recOptions = { ...options, rrule: raw };
+    if (parts.has('INTERVAL')) {
+      recOptions.intervalLength = parseRulePartInteger(
+        'INTERVAL',
+        parts.get('INTERVAL'),
+        1,
+        Number.MAX_SAFE_INTEGER,
+      );
+    }
+    if (parts.has('UNTIL') && parts.has('COUNT')) {
+      throw new SyntaxError('A rule cannot have both UNTIL and COUNT');
+    }
+    if (parts.has('UNTIL')) recOptions.endDate = parseRuleDate(parts.get('UNTIL'));
+    if (parts.has('COUNT')) {
+      recOptions.maxCount = parseRulePartInteger(
+        'COUNT',
+        parts.get('COUNT'),
+        1,
+        Number.MAX_SAFE_INTEGER,
+      );
+    }
+
+    const unsupported = () => new RangeError(
+      `Rule "${raw}" cannot be represented as a recurring date`,
+    );
+    const hasOrdinals = byDay.some(({ ordinal: value }) => value !== null);
+
+    // A daily rule limited to certain weekdays repeats weekly on those days
+    if (intervalUnit === 'day' && byDay.length > 0
+      && (recOptions.intervalLength ?? 1) === 1) {
+      intervalUnit = 'week';
+    }
+
+    switch (intervalUnit) {
+      case 'day':
+        if (byDay.length > 0 || byMonthDay.length > 0 || byMonth.length > 0
+          || bySetPos.length > 0) {
+          throw unsupported();
+        }
+        break;
+      case 'week':
+        if (hasOrdinals || byMonthDay.length > 0 || byMonth.length > 0
+          || bySetPos.length > 0) {
+          throw unsupported();
+        }
+        if (byDay.length > 0) {
+          recOptions.daysOfWeek = _.uniq(byDay.map(({ day }) => day))
+            .sort((a, b) => a - b);
+        }
+        break;
+      case 'month': {
+        if (byMonth.length > 0) throw unsupported();
+        if (byMonthDay.length > 0) {
+          if (byDay.length > 0) throw unsupported();
+          const day = parseMonthDayParts(byMonthDay, bySetPos, 28, 31);
+          if (day === null) throw unsupported();
+          recOptions.dayOfMonth = day;
+        } else if (byDay.length > 0) {
+          if (byDay.length > 1 || bySetPos.length > 1
+            || (hasOrdinals && bySetPos.length > 0)
+            || (!hasOrdinals && bySetPos.length === 0)) {
+            throw unsupported();
+          }
+          const position = hasOrdinals ? byDay[0].ordinal : bySetPos[0];
+          if (position < -1 || position > 4) throw unsupported();
+          recOptions.weekNumber = position === -1 ? 5 : position;
+          recOptions.daysOfWeek = [byDay[0].day];
+        } else if (bySetPos.length > 0) {
+          throw unsupported();
+        }
+        break;
+      }
+      case 'year':
+        if (byDay.length > 0) throw unsupported();
+        if (byMonth.length > 0 || byMonthDay.length > 0) {
+          if (byMonth.length !== 1 || byMonthDay.length === 0) {
+            throw unsupported();
+          }
+          const monthIndex = byMonth[0] - 1;
+          const day = parseMonthDayParts(
+            byMonthDay,
+            bySetPos,
+            MIN_DAYS_IN_MONTH[monthIndex],
+            MAX_DAYS_IN_MONTH[monthIndex],
+          );
+          if (day === null) throw unsupported();
+          recOptions.month = monthIndex;
+          recOptions.dayOfMonth = day;
+        } else if (bySetPos.length > 0) {
+          throw unsupported();
+        }
+        break;
+      default:
+        break;
+    }
+
+    return new RecurringDate(intervalUnit, recOptions);
+  }
 }
 
 export default RecurringDate;
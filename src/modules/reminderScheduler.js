@@ -0,0 +1,460 @@
+/**
+ * Defines the
+ * [ReminderScheduler]{@link module:reminderScheduler~ReminderScheduler} class.
+ * @module reminderScheduler
+ */
+
+import EventEmitter from 'events';
+import { add as addToDate } from 'date-fns';
+
+import { formatDate, parseIsoDateTime } from './utility/dates';
+
+/**
+ * The maximum number of milliseconds to wait between scans. Timers are capped
+ * so that reminders are not missed when the system clock changes or the
+ * device wakes from sleep.
+ * @type {number}
+ */
+const MAX_TIMER_DELAY = 60 * 60 * 1000;
+
+/**
+ * The default number of minutes by which a reminder is postponed when it is
+ * snoozed.
+ * @type {number}
+ */
+const DEFAULT_SNOOZE_MINUTES = 10;
+
+/**
+ * Object holding private members for the
+ * [ReminderScheduler]{@link module:reminderScheduler~ReminderScheduler} class.
+ * @typedef {Object} module:reminderScheduler~ReminderScheduler~privates
+ * @property {module:taskList~TaskList} tasks The task list to scan for
+ *   reminders.
+ * @property {?module:projectList~ProjectList} projects The project list, used
+ *   to skip tasks belonging to projects in the trash.
+ * @property {module:settings~Settings} settings The user settings, used to
+ *   format dates in notifications.
+ * @property {Map} states A map associating task identifiers with
+ *   [reminder states]{@link module:reminderScheduler~ReminderScheduler~reminderState}.
+ * @property {?number} timer The identifier of the timer for the next scan, if
+ *   one is pending.
+ * @property {boolean} running Indicates whether the scheduler has been
+ *   started.
+ * @property {?ServiceWorkerRegistration} registration The service worker
+ *   registration used to show notifications with action buttons, if
+ *   available.
+ * @property {EventEmitter} eventEmitter Holds the event emitter which
+ *   dispatches events to attached event listeners.
+ */
+
+/**
+ * Holds private data for the
+ * [ReminderScheduler]{@link module:reminderScheduler~ReminderScheduler} class.
+ * @type {WeakMap}
+ * @see module:reminderScheduler~ReminderScheduler~privates
+ */
+const privateMembers = new WeakMap();
+
+/**
+ * Determine whether a task has reminders that may still need to be shown.
+ * @param {module:reminderScheduler~ReminderScheduler} instance The class
+ *   instance on which to apply the function.
+ * @param {module:task~Task} task The task to check.
+ * @returns {boolean} True if the task is active, has a due date, and has at
+ *   least one reminder, and false otherwise.
+ */
+function needsReminder(instance, task) {
+  const { projects } = privateMembers.get(instance);
+  if (task.isComplete() || task.isInTrash() || !task.dueDate
+    || task.reminders.length === 0) {
+    return false;
+  }
+  return !(task.project && projects?.isInTrash(task.project));
+}
+
+/**
+ * Determine whether the browser supports desktop notifications.
+ * @returns {boolean} True if the Notification API is available, and false
+ *   otherwise.
+ */
+function isNotificationSupported() {
+  return typeof window !== 'undefined' && 'Notification' in window;
+}
+
+/**
+ * Update the reminder state for a task and notify listeners.
+ * @param {module:reminderScheduler~ReminderScheduler} instance The class
+ *   instance on which to apply the function.
+ * @param {string} id The unique identifier of the task.
+ * @param {module:reminderScheduler~ReminderScheduler~reminderState} state
+ *   The new reminder state.
+ */
+function setState(instance, id, state) {
+  const privates = privateMembers.get(instance);
+  privates.states.set(id, state);
+  privates.eventEmitter.emit('update-reminder', {
+    type: 'update-reminder',
+    id,
+    state: { ...state },
+  });
+}
+
+/**
+ * Remove the reminder state for a task and notify listeners.
+ * @param {module:reminderScheduler~ReminderScheduler} instance The class
+ *   instance on which to apply the function.
+ * @param {string} id The unique identifier of the task.
+ */
+function deleteState(instance, id) {
+  const privates = privateMembers.get(instance);
+  if (privates.states.delete(id)) {
+    privates.eventEmitter.emit('delete-reminder', {
+      type: 'delete-reminder',
+      id,
+    });
+  }
+}
+
+/**
+ * Emit an event requesting that the app respond to a reminder.
+ * @param {module:reminderScheduler~ReminderScheduler} instance The class
+ *   instance on which to apply the function.
+ * @param {string} action The action to take: 'complete', 'snooze', or 'open'.
+ * @param {string} id The unique identifier of the task.
+ */
+function emitAction(instance, action, id) {
+  privateMembers.get(instance).eventEmitter.emit('reminder-action', {
+    type: 'reminder-action',
+    action,
+    id,
+  });
+}
+
+/**
+ * Show a reminder for a task. A desktop notification is used if the user has
+ * granted permission. Otherwise, the app is asked to display the reminder.
+ * @param {module:reminderScheduler~ReminderScheduler} instance The class
+ *   instance on which to apply the function.
+ * @param {string} id The unique identifier of the task.
+ * @param {module:task~Task} task The task to show a reminder for.
+ */
+function showReminder(instance, id, task) {
+  const privates = privateMembers.get(instance);
+
+  if (!isNotificationSupported() || Notification.permission !== 'granted') {
+    emitAction(instance, 'open', id);
+    return;
+  }
+
+  const { dateFormat, timeFormat } = privates.settings;
+  let body = `Due ${formatDate(task.dueDate, dateFormat.outputPattern)}`;
+  if (task.hasDueTime) {
+    body += ` at ${formatDate(task.dueDate, timeFormat.outputPattern)}`;
+  }
+  const options = { body, tag: `reminder-${id}` };
+
+  if (privates.registration) {
+    privates.registration.showNotification(task.name, {
+      ...options,
+      data: { taskId: id },
+      actions: [
+        { action: 'complete', title: 'Complete' },
+        { action: 'snooze', title: 'Snooze' },
+      ],
+    }).catch(() => emitAction(instance, 'open', id));
+    return;
+  }
+
+  try {
+    /* eslint-disable-next-line compat/compat --
+     * Support was checked above, and failures are handled below.
+     */
+    const notification = new Notification(task.name, options);
+    notification.addEventListener('click', () => {
+      window.focus();
+      notification.close();
+      emitAction(instance, 'open', id);
+    });
+  } catch {
+    // Some browsers only allow notifications from a service worker
+    emitAction(instance, 'open', id);
+  }
+}
+
+/**
+ * Check every task for reminders that are due, show them, and schedule the
+ * next scan.
+ * @param {module:reminderScheduler~ReminderScheduler} instance The class
+ *   instance on which to apply the function.
+ */
+function scan(instance) {
+  const privates = privateMembers.get(instance);
+  const now = new Date();
+  let nextDate = null;
+  const updateNextDate = (date) => {
+    if (!nextDate || date < nextDate) nextDate = date;
+  };
+
+  // Discard state for tasks that no longer need reminders
+  [...privates.states.keys()].forEach((id) => {
+    const task = privates.tasks.getTask(id);
+    if (!task || !needsReminder(instance, task)) {
+      deleteState(instance, id);
+    }
+  });
+
+  privates.tasks.forEach(({ id, task }) => {
+    if (!needsReminder(instance, task)) return;
+
+    // Reminders that were shown for a previous due date no longer apply
+    let state = privates.states.get(id);
+    if (state && state.dueDate?.getTime() !== task.dueDate.getTime()) {
+      state = null;
+    }
+
+    let isDue = false;
+    if (state?.snoozedUntil) {
+      if (state.snoozedUntil <= now) isDue = true;
+      else updateNextDate(state.snoozedUntil);
+    }
+    task.getReminderDates().forEach((date) => {
+      if (state?.lastNotified && date <= state.lastNotified) return;
+      if (date <= now) isDue = true;
+      else updateNextDate(date);
+    });
+
+    if (isDue) {
+      setState(instance, id, {
+        dueDate: task.dueDate,
+        lastNotified: now,
+        snoozedUntil: null,
+      });
+      showReminder(instance, id, task);
+    }
+  });
+
+  if (privates.timer !== null) clearTimeout(privates.timer);
+  const delay = nextDate
+    ? Math.min(nextDate - now, MAX_TIMER_DELAY) : MAX_TIMER_DELAY;
+  privates.timer = setTimeout(() => scan(instance), delay);
+}
+
+/**
+ * Register the service worker that handles notification actions, if the
+ * browser supports it.
+ * @param {module:reminderScheduler~ReminderScheduler} instance The class
+ *   instance on which to apply the function.
+ */
+function registerWorker(instance) {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) {
+    return;
+  }
+
+  const privates = privateMembers.get(instance);
+
+  /* eslint-disable compat/compat --
+   * Support for service workers was checked above.
+   */
+  navigator.serviceWorker.register(
+    new URL('../reminderWorker.js', import.meta.url),
+  ).then(() => navigator.serviceWorker.ready)
+    .then((registration) => {
+      privates.registration = registration;
+    })
+    .catch(() => {
+      // Fall back to notifications without actions
+    });
+
+  navigator.serviceWorker.addEventListener('message', (e) => {
+    const { data } = e;
+    if (data?.type === 'reminder-action' && data.taskId) {
+      emitAction(instance, data.action, data.taskId);
+    }
+  });
+  /* eslint-enable compat/compat */
+}
+
+/**
+ * Watches a task list and shows reminders ahead of task due dates.
+ */
+class ReminderScheduler {
+  /**
+   * An object holding information about the reminders that have been shown
+   * for a task.
+   * @typedef {Object} module:reminderScheduler~ReminderScheduler~reminderState
+   * @property {?Date} dueDate The due date that the task had when its
+   *   reminders were last shown. If the task's due date changes, then the
+   *   state is discarded.
+   * @property {?Date} lastNotified The date and time when a reminder for the
+   *   task was last shown. Reminders scheduled before this time are not shown
+   *   again.
+   * @property {?Date} snoozedUntil If the reminder was snoozed, the date and
+   *   time when it should be shown again.
+   */
+
+  /**
+   * Event that is fired when the reminder state for a task changes.
+   * @event module:reminderScheduler~ReminderScheduler~updateReminder
+   * @type {Object}
+   * @property {string} type The event type: 'update-reminder'.
+   * @property {string} id The unique identifier of the task.
+   * @property {module:reminderScheduler~ReminderScheduler~reminderState} state
+   *   A copy of the new reminder state.
+   */
+
+  /**
+   * Event that is fired when the reminder state for a task is discarded.
+   * @event module:reminderScheduler~ReminderScheduler~deleteReminder
+   * @type {Object}
+   * @property {string} type The event type: 'delete-reminder'.
+   * @property {string} id The unique identifier of the task.
+   */
+
+  /**
+   * Event that is fired when the app should respond to a reminder, either
+   * because the user chose an action from a notification or because the
+   * reminder could not be shown as a notification.
+   * @event module:reminderScheduler~ReminderScheduler~reminderAction
+   * @type {Object}
+   * @property {string} type The event type: 'reminder-action'.
+   * @property {string} action The requested action: 'complete' to complete
+   *   the task, 'snooze' to postpone the reminder, or 'open' to display the
+   *   reminder in the app.
+   * @property {string} id The unique identifier of the task.
+   */
+
+  /**
+   * Create a reminder scheduler. The scheduler does nothing until
+   * [start]{@link module:reminderScheduler~ReminderScheduler#start} is
+   * called.
+   * @param {module:taskList~TaskList} taskList The task list to scan for
+   *   reminders.
+   * @param {module:settings~Settings} settings The user settings, used to
+   *   format dates in notifications.
+   * @param {module:projectList~ProjectList} [projectList] The project list.
+   *   If provided, then tasks belonging to projects in the trash will not
+   *   trigger reminders.
+   */
+  constructor(taskList, settings, projectList) {
+    const privates = {
+      tasks: taskList,
+      projects: projectList ?? null,
+      settings,
+      states: new Map(),
+      timer: null,
+      running: false,
+      registration: null,
+      eventEmitter: new EventEmitter(),
+    };
+    privateMembers.set(this, privates);
+  }
+
+  /**
+   * Begin watching for reminders. Any reminders that came due while the app
+   * was closed are shown immediately.
+   */
+  start() {
+    const privates = privateMembers.get(this);
+    if (privates.running) return;
+
+    privates.running = true;
+    registerWorker(this);
+    scan(this);
+  }
+
+  /**
+   * Stop watching for reminders.
+   */
+  stop() {
+    const privates = privateMembers.get(this);
+    privates.running = false;
+    if (privates.timer !== null) {
+      clearTimeout(privates.timer);
+      privates.timer = null;
+    }
+  }
+
+  /**
+   * Check the task list for reminders again. This should be called whenever
+   * tasks are changed. The scan is deferred so that a burst of changes only
+   * results in a single scan.
+   */
+  rescan() {
+    const privates = privateMembers.get(this);
+    if (!privates.running) return;
+
+    if (privates.timer !== null) clearTimeout(privates.timer);
+    privates.timer = setTimeout(() => scan(this), 0);
+  }
+
+  /**
+   * Postpone the reminder for a task.
+   * @param {string} id The unique identifier of the task.
+   * @param {number} [minutes=10] The number of minutes to wait before showing
+   *   the reminder again.
+   * @fires module:reminderScheduler~ReminderScheduler~updateReminder
+   */
+  snooze(id, minutes = DEFAULT_SNOOZE_MINUTES) {
+    const privates = privateMembers.get(this);
+    if (!privates.tasks.hasTask(id)) return;
+
+    const task = privates.tasks.getTask(id);
+    const state = privates.states.get(id);
+    setState(this, id, {
+      dueDate: task.dueDate,
+      lastNotified: state?.lastNotified ?? new Date(),
+      snoozedUntil: addToDate(new Date(), { minutes }),
+    });
+    this.rescan();
+  }
+
+  /**
+   * Restore the reminder state for a task from a JSON object, such as one
+   * retrieved from storage. No events are fired.
+   * @param {string} id The unique identifier of the task.
+   * @param {Object} data The JSON object holding the serialized state.
+   */
+  loadState(id, data) {
+    const convertDate = (date) => (date ? parseIsoDateTime(date) : null);
+    privateMembers.get(this).states.set(id, {
+      dueDate: convertDate(data.dueDate),
+      lastNotified: convertDate(data.lastNotified),
+      snoozedUntil: convertDate(data.snoozedUntil),
+    });
+  }
+
+  /**
+   * Execute the provided function on each reminder state.
+   * @param {Function} callback The function to execute. It will be passed the
+   *   task identifier and a copy of the
+   *   [reminder state]{@link module:reminderScheduler~ReminderScheduler~reminderState}.
+   */
+  forEach(callback) {
+    privateMembers.get(this).states.forEach((state, id) => {
+      callback(id, { ...state });
+    });
+  }
+
+  /**
+   * Add an event listener to the scheduler.
+   * @param {string} type The type of event to listen for.
+   * @param {Function} listener A callback function to be invoked when the
+   *   event is triggered.
+   */
+  addEventListener(type, listener) {
+    privateMembers.get(this).eventEmitter.on(type, listener);
+  }
+
+  /**
+   * Ask the user for permission to show desktop notifications, if they have
+   * not already been asked. This should be called in response to a user
+   * action.
+   */
+  static requestPermission() {
+    if (isNotificationSupported() && Notification.permission === 'default') {
+      Notification.requestPermission();
+    }
+  }
+}
+
+export default ReminderScheduler;
@@ -5,7 +5,9 @@
 
 import EventEmitter from 'events';
 import _ from 'lodash';
+import { v4 as generateUuid } from 'uuid';
 
+import TaskQuery from './taskQuery';
 import { getJsonType, validateValue } from './utility/data';
 import { getDateFormat } from './utility/dates';
 
@@ -14,14 +16,23 @@ import { getDateFormat } from './utility/dates';
  * [Settings]{@link module:settings~Settings} class.
  * @typedef {Object} module:settings~Settings~privates
  * @property {string} storageMethod The method for storing data: 'none' (no
- *   storage) or 'local' (local storage in the browser).
+ *   storage), 'local' (local storage in the browser), or 'indexeddb' (the
+ *   browser's IndexedDB database).
  * @property {module:settings~Settings~dateFormat} dateFormat The format to use
  *   for calendar dates.
+ * @property {module:settings~Settings~timeFormat} timeFormat The format to use
+ *   for times of day.
  * @property {?number} deleteAfter Determines how many days after a task is
- *   completed before the task will be automatically deleted. If set to null,
- *   completed tasks will never be deleted automatically.
+ *   completed before the task will be automatically moved to the trash. If
+ *   set to null, completed tasks will never be moved to the trash
+ *   automatically.
+ * @property {?number} trashRetention Determines how many days tasks and
+ *   projects are kept in the trash before they are permanently deleted. If
+ *   set to null, items in the trash are kept until the user deletes them.
  * @property {Map} filterGroups A map associating the name of a filter group to
  *   a [filterOptions]{@link module:settings~Settings~filterOptions} object.
+ * @property {module:settings~Settings~savedFilter[]} savedFilters The
+ *   user-defined task filters shown in the Saved Filters group.
  * @property {EventEmitter} eventEmitter Holds the event emitter which
  *   dispatches events to attached event listeners.
  */
@@ -52,15 +63,30 @@ class Settings {
    *   'iso', 'month-day-year', 'day-month-year', and 'year-month-day'.
    */
 
+  /**
+   * Holds information about the pattern to use for formatting and parsing
+   * times of day.
+   * @typedef {Object} module:settings~Settings~timeFormat
+   * @property {string} outputPattern The time format string used for
+   *   formatting times for output.
+   * @property {string[]} inputPatterns An array of time format strings used
+   *   for parsing times. Each pattern will be tried in sequence until a valid
+   *   match is made.
+   * @property {string} visualPattern A visual representation of the time
+   *   format suitable for displaying to the user.
+   * @property {string} type The type of time format. Valid values are 'local',
+   *   '12-hour', and '24-hour'.
+   */
+
   /**
    * Holds options for displaying a task filter.
    * @typedef {Object} module:settings~Settings~filterOptions
    * @property {string} groupBy The field to group the tasks by: 'default',
-   *   'due-date', 'priority', 'project', or 'none'. The default depends on the
-   *   type of filter.
+   *   'due-date', 'priority', 'project', 'tag', or 'none'. The default depends
+   *   on the type of filter.
    * @property {string} sortBy The primary field to sort the tasks by:
-   *   'default', 'name', 'due-date', 'create-date', 'priority', or 'project'.
-   *   The default depends on the type of filter.
+   *   'default', 'name', 'due-date', 'create-date', 'priority', 'project', or
+   *   'tag'. The default depends on the type of filter.
    * @property {boolean} groupDescending When tasks are grouped, this indicates
    *   whether to sort the groups in descending order rather than ascending
    *   order.
@@ -68,6 +94,22 @@ class Settings {
    *   order rather than ascending order.
    * @property {boolean} showCompleted Indicates whether to include completed
    *   tasks in the results.
+   * @property {boolean} showDeferred Indicates whether to include tasks whose
+   *   start dates have not yet arrived.
+   * @property {boolean} hideBlocked Indicates whether to exclude tasks that
+   *   are waiting on incomplete prerequisite tasks.
+   * @property {boolean} showArchived Indicates whether to include tasks that
+   *   belong to archived projects. This only affects the date and priority
+   *   filters.
+   */
+
+  /**
+   * A user-defined task filter, described by a query.
+   * @typedef {Object} module:settings~Settings~savedFilter
+   * @property {string} id The unique identifier for the filter.
+   * @property {string} name The name of the filter.
+   * @property {string} query The query selecting the tasks to show, in the
+   *   syntax accepted by [TaskQuery]{@link module:taskQuery~TaskQuery}.
    */
 
   /**
@@ -96,8 +138,11 @@ class Settings {
     const privates = {
       storageMethod: null,
       dateFormat: {},
+      timeFormat: {},
       deleteAfter: null,
+      trashRetention: null,
       filterGroups: new Map(),
+      savedFilters: [],
       eventEmitter: new EventEmitter(),
     };
     privateMembers.set(this, privates);
@@ -116,7 +161,9 @@ class Settings {
    * @returns {*} The value of the setting. For filter group settings, this is
    *   a [filterOptions]{@link module:settings~Settings~filterOptions} object.
    *   For date format settings, this is a
-   *   [dateFormat]{@link module:settings~Settings~dateFormat} object.
+   *   [dateFormat]{@link module:settings~Settings~dateFormat} object, and for
+   *   time format settings, this is a
+   *   [timeFormat]{@link module:settings~Settings~timeFormat} object.
    */
   getSetting(name) {
     switch (name) {
@@ -124,8 +171,14 @@ class Settings {
         return this.storageMethod;
       case 'dateFormat':
         return this.dateFormat;
+      case 'timeFormat':
+        return this.timeFormat;
       case 'deleteAfter':
         return this.deleteAfter;
+      case 'trashRetention':
+        return this.trashRetention;
+      case 'savedFilters':
+        return this.savedFilters;
       default:
         if (name.startsWith('filterGroups.')) {
           const group = name.substring('filterGroups.'.length);
@@ -148,7 +201,9 @@ class Settings {
    *   [filterOptions]{@link module:settings~Settings~filterOptions} object.
    *   For date format settings, this can be either a
    *   [dateFormat]{@link module:settings~Settings~dateFormat} object or a
-   *   string specifying the name of the format to use.
+   *   string specifying the name of the format to use. Time format settings
+   *   work the same way, using a
+   *   [timeFormat]{@link module:settings~Settings~timeFormat} object.
    * @fires module:settings~Settings~updateSetting
    */
   setSetting(name, value) {
@@ -160,9 +215,18 @@ class Settings {
       case 'dateFormat':
         this.setDateFormat(value);
         break;
+      case 'timeFormat':
+        this.setTimeFormat(value);
+        break;
       case 'deleteAfter':
         this.deleteAfter = value;
         break;
+      case 'trashRetention':
+        this.trashRetention = value;
+        break;
+      case 'savedFilters':
+        this.savedFilters = value;
+        break;
       default:
         if (name.startsWith('filterGroups.')) {
           const group = name.substring('filterGroups.'.length);
@@ -192,7 +256,10 @@ class Settings {
     const settingList = [
       'storageMethod',
       'dateFormat',
+      'timeFormat',
       'deleteAfter',
+      'trashRetention',
+      'savedFilters',
     ];
 
     const groupKeys = [...privates.filterGroups.keys()].map(
@@ -206,8 +273,8 @@ class Settings {
   }
 
   /**
-   * The method for storing data: 'none' (no storage) or 'local' (local storage
-   * in the browser).
+   * The method for storing data: 'none' (no storage), 'local' (local storage
+   * in the browser), or 'indexeddb' (the browser's IndexedDB database).
    * @type {string}
    */
   get storageMethod() {
@@ -215,7 +282,7 @@ class Settings {
   }
 
   set storageMethod(method) {
-    if (method !== 'none' && method !== 'local') {
+    if (!['none', 'local', 'indexeddb'].includes(method)) {
       throw new RangeError(`Unrecognized storage method: "${method}"`);
     }
 
@@ -238,10 +305,19 @@ class Settings {
     return _.cloneDeep(privateMembers.get(this).dateFormat);
   }
 
+  /**
+   * An object holding information about the format to use for times of day.
+   * @type {module:settings~Settings~timeFormat}
+   * @readonly
+   */
+  get timeFormat() {
+    return _.cloneDeep(privateMembers.get(this).timeFormat);
+  }
+
   /**
    * Determines how many days after a task is completed before the task will be
-   * automatically deleted. If set to null, completed tasks will never be
-   * deleted automatically.
+   * automatically moved to the trash. If set to null, completed tasks will
+   * never be moved to the trash automatically.
    * @type {?number}
    */
   get deleteAfter() {
@@ -259,6 +335,96 @@ class Settings {
     });
   }
 
+  /**
+   * Determines how many days tasks and projects are kept in the trash before
+   * they are permanently deleted. If set to null, items in the trash will
+   * never be deleted automatically.
+   * @type {?number}
+   */
+  get trashRetention() {
+    return privateMembers.get(this).trashRetention;
+  }
+
+  set trashRetention(days) {
+    const privates = privateMembers.get(this);
+    privates.trashRetention = days;
+
+    privates.eventEmitter.emit('update-setting', {
+      type: 'update-setting',
+      name: 'trashRetention',
+      value: days,
+    });
+  }
+
+  /**
+   * The user-defined task filters shown in the Saved Filters group, in
+   * display order.
+   * @type {module:settings~Settings~savedFilter[]}
+   */
+  get savedFilters() {
+    return _.cloneDeep(privateMembers.get(this).savedFilters);
+  }
+
+  set savedFilters(filters) {
+    const privates = privateMembers.get(this);
+    privates.savedFilters = _.cloneDeep(filters);
+
+    privates.eventEmitter.emit('update-setting', {
+      type: 'update-setting',
+      name: 'savedFilters',
+      value: this.savedFilters,
+    });
+  }
+
+  /**
+   * Get a saved filter.
+   * @param {string} id The unique identifier of the filter.
+   * @returns {?module:settings~Settings~savedFilter} The saved filter, or
+   *   null if it could not be found.
+   */
+  getSavedFilter(id) {
+    const filter = privateMembers.get(this).savedFilters.find((entry) => (
+      entry.id === id
+    ));
+    return filter ? _.cloneDeep(filter) : null;
+  }
+
+  /**
+   * Add a saved filter, or replace an existing one.
+   * @param {string} name The name of the filter.
+   * @param {string} query The query selecting the tasks to show.
+   * @param {string} [id] The unique identifier of the filter to replace. If
+   *   not given, or if no such filter exists, a new filter is added.
+   * @returns {string} The unique identifier of the filter.
+   * @fires module:settings~Settings~updateSetting
+   */
+  saveFilter(name, query, id) {
+    const filters = this.savedFilters;
+    const index = id ? filters.findIndex((entry) => entry.id === id) : -1;
+    if (index >= 0) {
+      filters[index] = { id, name, query };
+    } else {
+      filters.push({ id: generateUuid(), name, query });
+    }
+    this.savedFilters = filters;
+    return filters[index >= 0 ? index : filters.length - 1].id;
+  }
+
+  /**
+   * Delete a saved filter.
+   * @param {string} id The unique identifier of the filter to delete.
+   * @returns {boolean} True if the filter was found and deleted, and false
+   *   otherwise.
+   * @fires module:settings~Settings~updateSetting
+   */
+  deleteSavedFilter(id) {
+    const filters = this.savedFilters;
+    const remaining = filters.filter((entry) => entry.id !== id);
+    if (remaining.length === filters.length) return false;
+    this.savedFilters = remaining;
+    return true;
+  }
+
   /**
    * Get an object holding options for displaying task filters belonging to a
    * particular filter group.
@@ -298,6 +464,9 @@ class Settings {
         ?? false,
       showCompleted: options.showCompleted ?? oldOptions?.showCompleted
         ?? false,
+      showDeferred: options.showDeferred ?? oldOptions?.showDeferred ?? false,
+      hideBlocked: options.hideBlocked ?? oldOptions?.hideBlocked ?? false,
+      showArchived: options.showArchived ?? oldOptions?.showArchived ?? false,
     };
 
     filterGroups.set(filterGroup, newOptions);
@@ -311,12 +480,19 @@ class Settings {
 
   /**
    * Reset all settings to their default values.
+   * @param {Object} [options={}] An object holding additional options.
+   * @param {boolean} [options.keepStorageMethod=false] If set to true, then
+   *   the storage method is left unchanged, since it depends on what the
+   *   browser supports rather than on the user's data.
    * @fires module:settings~Settings~updateSetting
    */
-  resetToDefault() {
-    this.storageMethod = 'local';
+  resetToDefault(options = {}) {
+    if (!options.keepStorageMethod) this.storageMethod = 'local';
     this.setDateFormat('local');
+    this.setTimeFormat('local');
     this.deleteAfter = 14;
+    this.trashRetention = 30;
+    this.savedFilters = [];
 
     const filterOptions = {
       groupBy: 'default',
@@ -324,8 +500,21 @@ class Settings {
       groupDescending: false,
       sortDescending: false,
       showCompleted: false,
+      showDeferred: false,
+      hideBlocked: false,
+      showArchived: false,
     };
-    ['default', 'dates', 'projects', 'priorities'].forEach((group) => {
+    const groups = [
+      'default',
+      'dates',
+      'projects',
+      'archived',
+      'tags',
+      'priorities',
+      'saved',
+      'trash',
+    ];
+    groups.forEach((group) => {
       this.setFilterOptions(group, filterOptions);
     });
   }
@@ -419,6 +608,79 @@ class Settings {
     }
   }
 
+  /**
+   * Set the pattern used for formatting and parsing times of day.
+   * @param {string|module:settings~Settings~timeFormat} [format=local] The
+   *   type of time format to use. This can either be a string specifying the
+   *   format type ('local', '12-hour', or '24-hour'), or it can be a full
+   *   [timeFormat]{@link module:settings~Settings~timeFormat} object.
+   * @fires module:settings~Settings~updateSetting
+   */
+  setTimeFormat(format = 'local') {
+    const privates = privateMembers.get(this);
+
+    if (typeof format === 'string') {
+      privates.timeFormat = Settings.lookupTimeFormat(format);
+    } else {
+      privates.timeFormat = _.cloneDeep(format);
+    }
+
+    privates.eventEmitter.emit('update-setting', {
+      type: 'update-setting',
+      name: 'timeFormat',
+      value: this.timeFormat,
+    });
+  }
+
+  /**
+   * Retrieve formatting information for a particular time format.
+   * @param {string} [type=local] The type of time format to lookup: 'local',
+   *   '12-hour', or '24-hour'.
+   * @returns {module:settings~Settings~timeFormat} An object holding
+   *   information about the time format.
+   */
+  static lookupTimeFormat(type = 'local') {
+    const patterns12 = ['h:mm a', 'h:mma', 'h a', 'ha'];
+    const patterns24 = ['H:mm', 'HH:mm'];
+    switch (type) {
+      case '12-hour':
+        return {
+          outputPattern: 'h:mm a',
+          inputPatterns: [...patterns12, ...patterns24],
+          visualPattern: 'h:MM AM',
+          type,
+        };
+      case '24-hour':
+        return {
+          outputPattern: 'HH:mm',
+          inputPatterns: [...patterns24, ...patterns12],
+          visualPattern: 'HH:MM',
+          type,
+        };
+      case 'local':
+      default: {
+        const formatOpts = {
+          dateStyle: 'none',
+          timeStyle: 'short',
+          tokenStyle: 'internal',
+        };
+        // Some locales separate the day period with a narrow no-break space
+        const outputPattern = getDateFormat(null, formatOpts).replace(/\s/g, ' ');
+        const hour12 = /a/.test(outputPattern);
+        const inputPatterns = [outputPattern];
+        inputPatterns.push(...(hour12 ? patterns12 : patterns24));
+        inputPatterns.push(...(hour12 ? patterns24 : patterns12));
+
+        return {
+          outputPattern,
+          inputPatterns: _.uniq(inputPatterns),
+          visualPattern: hour12 ? 'h:MM AM' : 'HH:MM',
+          type: 'local',
+        };
+      }
+    }
+  }
+
   /**
    * Add an event listener to settings instance.
    * @param {string} type The type of event to listen for.
@@ -437,7 +699,10 @@ class Settings {
     const result = {
       storageMethod: this.storageMethod,
       dateFormat: this.dateFormat,
+      timeFormat: this.timeFormat,
       deleteAfter: this.deleteAfter,
+      trashRetention: this.trashRetention,
+      savedFilters: this.savedFilters,
       filterGroups: {},
     };
 
@@ -476,6 +741,18 @@ class Settings {
         case 'too-high':
           errors.push(`Error: Value for setting "${options.valueName}" cannot be above "${options.max}" (received "${value}").`);
           break;
+        case 'bad-id':
+          errors.push(`Error: Expected a version 4 UUID for setting "${options.valueName}" (received "${value}").`);
+          break;
+        case 'failed-predicate':
+          if (/^savedFilters\[\d+\]\.query$/.test(options.valueName)) {
+            errors.push(`Error: Invalid query for setting "${options.valueName}": ${TaskQuery.validate(value)}`);
+          } else if (/^savedFilters\[\d+\]\.id$/.test(options.valueName)) {
+            errors.push(`Error: Duplicate identifier "${value}" for setting "${options.valueName}".`);
+          } else {
+            errors.push(`Error: Setting "${options.valueName}" must not be empty.`);
+          }
+          break;
         default:
           errors.push(`Error: Encountered unrecognized error "${errorType}" for setting "${options.valueName}".`);
           break;
@@ -485,7 +762,7 @@ class Settings {
     if (validateValue(data.storageMethod, {
       valueName: 'storageMethod',
       expectedType: 'string',
-      expectedValues: ['none', 'local'],
+      expectedValues: ['none', 'local', 'indexeddb'],
       errorCallback: handleError,
     })) this.storageMethod = data.storageMethod;
 
@@ -504,6 +781,15 @@ class Settings {
       })) this.setDateFormat(data.dateFormat.type);
     }
 
+    if (data.timeFormat != null) {
+      if (validateValue(data.timeFormat.type, {
+        valueName: 'timeFormat.type',
+        expectedType: 'string',
+        expectedValues: ['local', '12-hour', '24-hour'],
+        errorCallback: handleError,
+      })) this.setTimeFormat(data.timeFormat.type);
+    }
+
     if (validateValue(data.deleteAfter, {
       valueName: 'deleteAfter',
       expectedType: 'number',
@@ -512,6 +798,56 @@ class Settings {
       errorCallback: handleError,
     })) this.deleteAfter = data.deleteAfter;
 
+    if (validateValue(data.trashRetention, {
+      valueName: 'trashRetention',
+      expectedType: 'number',
+      requireInteger: true,
+      min: 0,
+      errorCallback: handleError,
+    })) this.trashRetention = data.trashRetention;
+
+    if (validateValue(data.savedFilters, {
+      valueName: 'savedFilters',
+      expectedType: 'array',
+      errorCallback: handleError,
+    })) {
+      const savedFilters = [];
+      data.savedFilters.forEach((filter, index) => {
+        const valueName = `savedFilters[${index}]`;
+        if (validateValue(filter, {
+          valueName,
+          expectedType: 'object',
+          errorCallback: handleError,
+        }) && validateValue(filter.name, {
+          valueName: `${valueName}.name`,
+          expectedType: 'string',
+          customPredicate: (value) => value.trim().length > 0,
+          errorCallback: handleError,
+        }) && validateValue(filter.query, {
+          valueName: `${valueName}.query`,
+          expectedType: 'string',
+          customPredicate: (value) => TaskQuery.validate(value) === null,
+          errorCallback: handleError,
+        })) {
+          let id = generateUuid();
+          validateValue(filter.id, {
+            valueName: `${valueName}.id`,
+            expectedType: 'string',
+            requireUuid: true,
+            customPredicate: (value) => !savedFilters.some((entry) => (
+              entry.id === value
+            )),
+            successCallback: (value) => {
+              id = value;
+            },
+            errorCallback: handleError,
+          });
+          savedFilters.push({ id, name: filter.name, query: filter.query });
+        }
+      });
+      this.savedFilters = savedFilters;
+    }
+
     if (data.filterGroups != null) {
       const processGroup = (name) => {
         const filterOptions = data.filterGroups[name];
@@ -526,6 +862,7 @@ class Settings {
               'due-date',
               'priority',
               'project',
+              'tag',
               'none',
             ],
             errorCallback: handleError,
@@ -541,6 +878,7 @@ class Settings {
               'create-date',
               'priority',
               'project',
+              'tag',
             ],
             errorCallback: handleError,
           })) newOptions.sortBy = filterOptions.sortBy;
@@ -563,6 +901,24 @@ class Settings {
             errorCallback: handleError,
           })) newOptions.showCompleted = filterOptions.showCompleted;
 
+          if (validateValue(filterOptions.showDeferred, {
+            valueName: `filterGroups.${name}.showDeferred`,
+            expectedType: 'boolean',
+            errorCallback: handleError,
+          })) newOptions.showDeferred = filterOptions.showDeferred;
+
+          if (validateValue(filterOptions.hideBlocked, {
+            valueName: `filterGroups.${name}.hideBlocked`,
+            expectedType: 'boolean',
+            errorCallback: handleError,
+          })) newOptions.hideBlocked = filterOptions.hideBlocked;
+
+          if (validateValue(filterOptions.showArchived, {
+            valueName: `filterGroups.${name}.showArchived`,
+            expectedType: 'boolean',
+            errorCallback: handleError,
+          })) newOptions.showArchived = filterOptions.showArchived;
+
           this.setFilterOptions(name, newOptions);
         }
       };
@@ -570,7 +926,11 @@ class Settings {
       processGroup('default');
       processGroup('dates');
       processGroup('projects');
+      processGroup('archived');
+      processGroup('tags');
       processGroup('priorities');
+      processGroup('saved');
+      processGroup('trash');
     }
 
     return { errors };
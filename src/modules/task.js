@@ -3,23 +3,82 @@
  * @module task
  */
 
+import {
+  endOfDay,
+  isAfter as isDateAfter,
+  set as setTime,
+  startOfDay,
+  sub as subtractFromDate,
+} from 'date-fns';
+
 import RecurringDate from './recurringDate';
-import { parseIsoDateTime } from './utility/dates';
+import { formatDate, parseIsoDateTime } from './utility/dates';
+
+/**
+ * The time of day, in 24-hour 'HH:mm' format, at which reminders are shown
+ * for tasks that have a due date but no due time.
+ * @type {string}
+ */
+const DEFAULT_REMINDER_TIME = '09:00';
 
 /**
  * Represents a task.
  */
 class Task {
+  /**
+   * An item in a task's checklist.
+   * @typedef {Object} module:task~Task~checklistItem
+   * @property {string} name The name of the checklist item.
+   * @property {boolean} completed Indicates whether the item has been checked
+   *   off.
+   */
+
+  /**
+   * A period of time that was spent working on a task.
+   * @typedef {Object} module:task~Task~timeInterval
+   * @property {Date} start The date and time when work started.
+   * @property {?Date} end The date and time when work stopped, or null if the
+   *   timer for the task is still running.
+   */
+
+  /**
+   * A record of one occurrence of a recurring task being completed.
+   * @typedef {Object} module:task~Task~completion
+   * @property {Date} date The date and time when the occurrence was completed.
+   * @property {?Date} dueDate The date when the occurrence was due, if any.
+   */
+
+  /**
+   * A reminder that is shown ahead of a task's due date.
+   * @typedef {Object} module:task~Task~reminder
+   * @property {number} amount The number of units of time before the due date
+   *   that the reminder should be shown. A value of 0 indicates that the
+   *   reminder is shown on the due date itself.
+   * @property {string} unit The unit of time for the amount: 'minute',
+   *   'hour', 'day', or 'week'.
+   * @property {?string} time The time of day, in 24-hour 'HH:mm' format, at
+   *   which the reminder should be shown. This only applies to the 'day' and
+   *   'week' units. If null, then the reminder is offset from the due time,
+   *   or from 9:00 on the due date if the task has no due time.
+   */
+
   /**
    * Create a task.
    * @param {string} name The name of the task.
    * @param {Object} [options={}] An object specifying additional options for
    *   the task.
    * @param {Date} [options.dueDate] The date when the task is due, if any.
+   * @param {boolean} [options.hasDueTime=false] Indicates whether the due date
+   *   includes a meaningful time of day. If false, the task is due at any
+   *   time on the due date.
+   * @param {Date} [options.startDate] The date on which work on the task can
+   *   begin, if any. Before this date, the task is considered deferred.
    * @param {Date} [options.creationDate] The date the task was created. If not
    *   given, then the present date is used.
    * @param {Date} [options.completionDate] The date when the task was
    *   completed, if any.
+   * @param {Date} [options.deletionDate] The date when the task was moved to
+   *   the trash, if any.
    * @param {number|string} [options.priority=0] The priority of the task. For
    *   numeric values, a larger value indicates a higher priority, with 0
    *   representing medium priority, positive values representing higher-than-
@@ -31,6 +90,23 @@ class Task {
    *   recurring date for the task, if any.
    * @param {string} [options.project] The identifier of the project to which
    *   the task belongs, if any.
+   * @param {module:task~Task~checklistItem[]} [options.checklist] An ordered
+   *   list of checklist items belonging to the task.
+   * @param {string[]} [options.tags] An array of tags (labels) assigned to the
+   *   task. Leading and trailing whitespace is removed, and empty or duplicate
+   *   tags are discarded.
+   * @param {module:task~Task~reminder[]} [options.reminders] An array of
+   *   reminders for the task. Reminders only take effect when the task has a
+   *   due date.
+   * @param {string[]} [options.dependencies] An array holding the unique
+   *   identifiers of prerequisite tasks that must be completed before this
+   *   task can be worked on. Duplicate identifiers are discarded.
+   * @param {number} [options.estimate] The estimated amount of time needed to
+   *   complete the task, in minutes.
+   * @param {module:task~Task~timeInterval[]} [options.timeLog] The periods of
+   *   time that have been spent working on the task.
+   * @param {module:task~Task~completion[]} [options.completionHistory] The
+   *   past completions of the task's recurring occurrences.
    */
   constructor(name, options = {}) {
     /**
@@ -45,6 +121,21 @@ class Task {
      */
     this.dueDate = options.dueDate || null;
 
+    /**
+     * Indicates whether the task is due at a specific time of day. If true,
+     * then the time component of the due date is significant. Otherwise, the
+     * task is due at any time on its due date.
+     * @type {boolean}
+     */
+    this.hasDueTime = Boolean(this.dueDate && options.hasDueTime);
+
+    /**
+     * The date on which the task becomes actionable, if any. Until this date,
+     * the task is deferred and is normally hidden from task lists.
+     * @type {?Date}
+     */
+    this.startDate = options.startDate || null;
+
     /**
      * The date when the task was created.
      * @type {Date}
@@ -57,6 +148,14 @@ class Task {
      */
     this.completionDate = options.completionDate || null;
 
+    /**
+     * The date when the task was moved to the trash, or null if it is not in
+     * the trash. Tasks in the trash are hidden from task lists until they are
+     * restored or permanently deleted.
+     * @type {?Date}
+     */
+    this.deletionDate = options.deletionDate || null;
+
     /**
      * The priority of the task. A larger value indicates a higher priority,
      * with 0 representing medium priority. Positive values are higher than
@@ -87,6 +186,68 @@ class Task {
      * @type {?string}
      */
     this.project = options.project || null;
+
+    /**
+     * An ordered list of checklist items (subtasks) for the task.
+     * @type {module:task~Task~checklistItem[]}
+     */
+    this.checklist = (options.checklist || []).map((item) => ({
+      name: item.name,
+      completed: Boolean(item.completed),
+    }));
+
+    /**
+     * The tags (labels) assigned to the task, in sorted order.
+     * @type {string[]}
+     */
+    this.tags = Task.normalizeTags(options.tags || []);
+
+    /**
+     * The reminders that should be shown ahead of the task's due date.
+     * @type {module:task~Task~reminder[]}
+     */
+    this.reminders = (options.reminders || []).map((reminder) => ({
+      amount: reminder.amount,
+      unit: reminder.unit,
+      time: (reminder.unit === 'day' || reminder.unit === 'week')
+        ? reminder.time ?? null : null,
+    }));
+
+    /**
+     * The identifiers of the prerequisite tasks that must be completed before
+     * this task can be worked on.
+     * @type {string[]}
+     */
+    this.dependencies = [...new Set(options.dependencies || [])];
+
+    /**
+     * The estimated amount of time needed to complete the task, in minutes,
+     * if any.
+     * @type {?number}
+     */
+    this.estimate = options.estimate ?? null;
+
+    /**
+     * The periods of time that have been spent working on the task, in the
+     * order they were logged. At most one interval, the last one, is open
+     * while the task's timer is running.
+     * @type {module:task~Task~timeInterval[]}
+     */
+    this.timeLog = (options.timeLog || []).map((interval) => ({
+      start: interval.start,
+      end: interval.end ?? null,
+    }));
+
+    /**
+     * The completions of the task's recurring occurrences, from oldest to
+     * newest. A recurring task is reset rather than marked complete when an
+     * occurrence is done, so this is the only record of earlier occurrences.
+     * @type {module:task~Task~completion[]}
+     */
+    this.completionHistory = (options.completionHistory || []).map((entry) => ({
+      date: entry.date,
+      dueDate: entry.dueDate ?? null,
+    }));
   }
 
   /**
@@ -129,6 +290,181 @@ class Task {
     return Boolean(this.completionDate);
   }
 
+  /**
+   * Move the task to the trash.
+   * @param {Date} [date] The date and time of deletion. If not given, then the
+   *   present time is used.
+   */
+  moveToTrash(date) {
+    this.deletionDate = date || new Date();
+  }
+
+  /**
+   * Restore the task from the trash.
+   */
+  restoreFromTrash() {
+    this.deletionDate = null;
+  }
+
+  /**
+   * Determine whether or not the task is in the trash.
+   * @returns {boolean} True if the task has been moved to the trash and false
+   *   otherwise.
+   */
+  isInTrash() {
+    return Boolean(this.deletionDate);
+  }
+
+  /**
+   * Determine whether the task is deferred, meaning that its start date has
+   * not yet arrived.
+   * @param {Date} [date] The date and time to compare against the start date.
+   *   If not given, then the present time is used.
+   * @returns {boolean} True if the task has a start date that falls after the
+   *   given day, and false otherwise.
+   */
+  isDeferred(date) {
+    if (!this.startDate) return false;
+    return isDateAfter(
+      startOfDay(this.startDate),
+      startOfDay(date || new Date()),
+    );
+  }
+
+  /**
+   * Get the number of checklist items that have been completed, along with
+   * the total number of checklist items.
+   * @returns {Object} An object with properties `completed` and `total`
+   *   holding the respective item counts.
+   */
+  getChecklistProgress() {
+    const completed = this.checklist.filter((item) => item.completed).length;
+    return { completed, total: this.checklist.length };
+  }
+
+  /**
+   * Mark every item in the task's checklist as incomplete.
+   */
+  resetChecklist() {
+    this.checklist.forEach((item) => {
+      const checklistItem = item;
+      checklistItem.completed = false;
+    });
+  }
+
+  /**
+   * Get the dates and times at which the task's reminders should be shown.
+   * @returns {Date[]} An array of reminder dates in ascending order. If the
+   *   task has no due date, then the array is empty.
+   */
+  getReminderDates() {
+    if (!this.dueDate) return [];
+
+    const toTime = (timeString) => {
+      const [hours, minutes] = timeString.split(':').map(Number);
+      return {
+        hours,
+        minutes,
+        seconds: 0,
+        milliseconds: 0,
+      };
+    };
+
+    const dueTime = this.hasDueTime
+      ? this.dueDate : setTime(this.dueDate, toTime(DEFAULT_REMINDER_TIME));
+    const dates = this.reminders.map((reminder) => {
+      const offset = { [`${reminder.unit}s`]: reminder.amount };
+      if (reminder.time) {
+        return setTime(subtractFromDate(this.dueDate, offset), toTime(reminder.time));
+      }
+      return subtractFromDate(dueTime, offset);
+    });
+    return dates.sort((a, b) => a - b);
+  }
+
+  /**
+   * Determine whether the timer for the task is running.
+   * @returns {boolean} True if time is currently being logged for the task,
+   *   and false otherwise.
+   */
+  isTimerRunning() {
+    return this.timeLog.length > 0 && !this.timeLog.at(-1).end;
+  }
+
+  /**
+   * Start logging time for the task. If the timer is already running, nothing
+   * happens.
+   * @param {Date} [date] The date and time when work started. If not given,
+   *   then the present time is used.
+   */
+  startTimer(date) {
+    if (!this.isTimerRunning()) {
+      this.timeLog.push({ start: date || new Date(), end: null });
+    }
+  }
+
+  /**
+   * Stop logging time for the task. If the timer is not running, nothing
+   * happens.
+   * @param {Date} [date] The date and time when work stopped. If not given,
+   *   then the present time is used.
+   */
+  stopTimer(date) {
+    if (this.isTimerRunning()) this.timeLog.at(-1).end = date || new Date();
+  }
+
+  /**
+   * Get the total amount of time that has been logged for the task.
+   * @param {Date} [date] The date and time to use as the end of a running
+   *   interval. If not given, then the present time is used.
+   * @returns {number} The logged time in minutes.
+   */
+  getLoggedTime(date) {
+    const now = date || new Date();
+    const total = this.timeLog.reduce((sum, interval) => (
+      sum + ((interval.end || now) - interval.start)
+    ), 0);
+    return total / 60000;
+  }
+
+  /**
+   * Add the completion of the current occurrence to the task's completion
+   * history. This should be done before the task advances to its next
+   * occurrence.
+   * @param {Date} [date] The date and time of completion. If not given, then
+   *   the present time is used.
+   */
+  recordCompletion(date) {
+    this.completionHistory.push({
+      date: date || new Date(),
+      dueDate: this.dueDate,
+    });
+  }
+
+  /**
+   * Get the number of the most recent occurrences in a row that were
+   * completed no later than the day they were due. The streak is broken if
+   * the current occurrence is past due.
+   * @param {Date} [date] The present date and time. If not given, then the
+   *   present time is used.
+   * @returns {number} The length of the current streak.
+   */
+  getStreak(date) {
+    const now = date || new Date();
+    const isLate = (dueDate, completionDate) => (
+      Boolean(dueDate) && isDateAfter(completionDate, endOfDay(dueDate))
+    );
+    if (!this.isComplete() && isLate(this.dueDate, now)) return 0;
+
+    let streak = 0;
+    for (let index = this.completionHistory.length - 1; index >= 0; index -= 1) {
+      const entry = this.completionHistory[index];
+      if (isLate(entry.dueDate, entry.date)) break;
+      streak += 1;
+    }
+    return streak;
+  }
+
   /**
    * Get a string representation of the task.
    * @returns {string} A string representation of the task.
@@ -148,12 +484,72 @@ class Task {
       ? RecurringDate.fromJson(data.recurringDate) : null;
     return new Task(data.name, {
       dueDate: convertDate(data.dueDate),
+      hasDueTime: data.hasDueTime,
+      startDate: convertDate(data.startDate),
       creationDate: convertDate(data.creationDate),
       completionDate: convertDate(data.completionDate),
+      deletionDate: convertDate(data.deletionDate),
       priority: data.priority,
       description: data.description,
       recurringDate,
       project: data.project,
+      checklist: data.checklist,
+      tags: data.tags,
+      reminders: data.reminders,
+      dependencies: data.dependencies,
+      estimate: data.estimate,
+      timeLog: data.timeLog?.map((interval) => ({
+        start: convertDate(interval.start),
+        end: convertDate(interval.end),
+      })),
+      completionHistory: data.completionHistory?.map((entry) => ({
+        date: convertDate(entry.date),
+        dueDate: convertDate(entry.dueDate),
+      })),
+    });
+  }
+
+  /**
+   * Get a description of a reminder that is suitable for display to the user,
+   * such as '1 day before' or 'At 9:00 on due date'.
+   * @param {module:task~Task~reminder} reminder The reminder to describe.
+   * @param {string} [timePattern=HH:mm] The format pattern to use for the
+   *   reminder's time of day, if it has one.
+   * @returns {string} A string describing the reminder.
+   */
+  static convertReminderToString(reminder, timePattern = 'HH:mm') {
+    const { amount, unit, time } = reminder;
+    const offset = amount > 0
+      ? `${amount} ${unit}${amount !== 1 ? 's' : ''} before` : null;
+
+    if (time) {
+      const [hours, minutes] = time.split(':').map(Number);
+      const timeString = formatDate(new Date(2000, 0, 1, hours, minutes), timePattern);
+      return offset ? `At ${timeString}, ${offset}` : `At ${timeString} on due date`;
+    }
+    return offset ?? 'On due date';
+  }
+
+  /**
+   * Clean up an array of tags. Commas are replaced by spaces, since they
+   * separate tags in lists such as the CSV tags field. Whitespace is then
+   * trimmed from each tag, empty tags and duplicates are removed, and the
+   * result is sorted alphabetically (ignoring case).
+   * @param {string[]} tags The array of tags to normalize.
+   * @returns {string[]} A new array holding the normalized tags.
+   */
+  static normalizeTags(tags) {
+    const output = [];
+    tags.forEach((tag) => {
+      const trimmed = tag.replace(/\s*,\s*/g, ' ').trim();
+      if (trimmed.length > 0 && !output.includes(trimmed)) output.push(trimmed);
+    });
+    return output.sort((a, b) => {
+      const left = a.toLowerCase();
+      const right = b.toLowerCase();
+      if (left < right) return -1;
+      if (left > right) return 1;
+      return 0;
     });
   }
 
@@ -15,12 +15,16 @@ import DeleteIcon from '../images/delete.svg';
 import EditIcon from '../images/edit.svg';
 import MoreIcon from '../images/more.svg';
 import ProjectIcon from '../images/project.svg';
+import StopIcon from '../images/stop.svg';
+import TimerIcon from '../images/timer.svg';
 import UncheckedIcon from '../images/radio-unchecked.svg';
+import RestoreIcon from '../images/restore.svg';
 
 import PopupMenu from './popupMenu';
 import Settings from './settings';
 import Task from './task';
-import { formatDate } from './utility/dates';
+import { findSearchMatches, getSearchTerms } from './utility/data';
+import { formatDate, formatDuration } from './utility/dates';
 import { createImageButton } from './utility/dom';
 
 const ICON_WIDTH = 24;
@@ -43,6 +47,28 @@ const STANDARD_MENU_ITEMS = [
     icon: { source: DeleteIcon, width: ICON_WIDTH, height: ICON_HEIGHT },
   },
 ];
+const START_TIMER_MENU_ITEM = {
+  label: 'Start Timer',
+  id: 'start-timer',
+  icon: { source: TimerIcon, width: ICON_WIDTH, height: ICON_HEIGHT },
+};
+const STOP_TIMER_MENU_ITEM = {
+  label: 'Stop Timer',
+  id: 'stop-timer',
+  icon: { source: StopIcon, width: ICON_WIDTH, height: ICON_HEIGHT },
+};
+const TRASH_MENU_ITEMS = [
+  {
+    label: 'Restore',
+    id: 'restore',
+    icon: { source: RestoreIcon, width: ICON_WIDTH, height: ICON_HEIGHT },
+  },
+  {
+    label: 'Delete Permanently...',
+    id: 'delete-permanently',
+    icon: { source: DeleteIcon, width: ICON_WIDTH, height: ICON_HEIGHT },
+  },
+];
 const PROJECT_MENU_ITEMS = [
   {
     label: 'Go To Project',
@@ -63,10 +89,20 @@ const PROJECT_MENU_ITEMS = [
  * @property {module:taskDisplay~TaskDisplay~taskCallback} [taskCallback] A
  *   callback function that is invoked when the user performs an action on a
  *   task.
+ * @property {module:taskDisplay~TaskDisplay~projectCallback}
+ *   [projectCallback] A callback function that is invoked when the user
+ *   performs an action on a project in the trash.
  * @property {module:settings~Settings~dateFormat} dateFormat An object holding
  *   information about the format to use for calendar dates.
+ * @property {module:settings~Settings~timeFormat} timeFormat An object holding
+ *   information about the format to use for times of day.
  * @property {module:popupMenu~PopupMenu} taskMenu The popup menu that is shown
  *   when the user clicks the 'more' button next to a task.
+ * @property {string[]} searchTerms The words of the current search query, if
+ *   any. Matching text in the task list is highlighted.
+ * @property {module:popupMenu~PopupMenu~menuItem[]} menuItems The menu items
+ *   shown in the task menu for every task. A timer item matching the state of
+ *   the task's timer is added in front of these when the menu is opened.
  */
 
 /**
@@ -80,7 +116,8 @@ const privateMembers = new WeakMap();
 /**
  * Returns true if the two tasks belong to the same task group.
  * @param {string} groupBy The type of grouping being done: 'due-date',
- *   'project', 'priority', or 'none'.
+ *   'project', 'priority', 'tag', or 'none'. Tasks are grouped by the first
+ *   of their tags in alphabetical order.
  * @param {module:task~Task} task1 The first task to compare.
  * @param {module:task~Task} task2 The second task to compare.
  * @returns {boolean} True if the tasks belong to the same group and false
@@ -100,12 +137,42 @@ function isSameGroup(groupBy, task1, task2) {
       if (!task1.project && task2.project) return false;
       if (task1.project && !task2.project) return false;
       return task1.project === task2.project;
+    case 'tag':
+      return (task1.tags[0] ?? null) === (task2.tags[0] ?? null);
     case 'none':
     default:
       return true;
   }
 }
 
+/**
+ * Append text to an element, highlighting any parts of the text that match the
+ * current search terms.
+ * @param {module:taskDisplay~TaskDisplay} instance The class instance on which
+ *   to apply the function.
+ * @param {HTMLElement} element The element to which the text is to be added.
+ * @param {string} text The text to display.
+ */
+function appendHighlightedText(instance, element, text) {
+  const { searchTerms } = privateMembers.get(instance);
+  const matches = findSearchMatches(text, searchTerms);
+
+  let position = 0;
+  matches.forEach(({ start, end }) => {
+    if (start > position) {
+      element.appendChild(document.createTextNode(text.slice(position, start)));
+    }
+    const mark = document.createElement('mark');
+    mark.classList.add('task-list-highlight');
+    mark.textContent = text.slice(start, end);
+    element.appendChild(mark);
+    position = end;
+  });
+  if (position < text.length) {
+    element.appendChild(document.createTextNode(text.slice(position)));
+  }
+}
+
 /**
  * Empty the display panel.
  * @param {module:taskDisplay~TaskDisplay} instance The class instance on which
@@ -115,6 +182,37 @@ function clear(instance) {
   privateMembers.get(instance).content.innerHTML = '';
 }
 
+/**
+ * Add the total logged and estimated time for a group of tasks to the group's
+ * heading. Nothing is added if none of the tasks have any time logged or
+ * estimated.
+ * @param {HTMLElement} list The list element holding the group's tasks. The
+ *   totals are added to the heading immediately preceding the list, if any.
+ * @param {module:task~Task[]} tasks The tasks belonging to the group.
+ */
+function addGroupTotals(list, tasks) {
+  const heading = list.previousElementSibling;
+  if (!heading?.classList.contains('task-list-heading')) return;
+
+  const now = new Date();
+  let logged = 0;
+  let estimated = 0;
+  tasks.forEach((task) => {
+    logged += task.getLoggedTime(now);
+    estimated += task.estimate ?? 0;
+  });
+  if (logged === 0 && estimated === 0) return;
+
+  const totals = [];
+  if (logged > 0) totals.push(`${formatDuration(logged)} logged`);
+  if (estimated > 0) totals.push(`${formatDuration(estimated)} estimated`);
+
+  const totalsElem = document.createElement('span');
+  totalsElem.classList.add('task-list-heading-totals');
+  totalsElem.textContent = totals.join(', ');
+  heading.appendChild(totalsElem);
+}
+
 /**
  * Add a list element and optional heading to the panel for holding tasks.
  * @param {module:taskDisplay~TaskDisplay} instance The class instance on which
@@ -167,7 +265,9 @@ function addTask(instance, list, taskId, task) {
     classList: ['task-list-item-checkbox'],
   });
   itemElem.appendChild(checkButton);
-  if (privates.taskCallback) {
+  if (task.isInTrash()) {
+    checkButton.disabled = true;
+  } else if (privates.taskCallback) {
     checkButton.addEventListener('click', () => {
       const type = task.isComplete() ? 'mark-incomplete' : 'mark-complete';
       privates.taskCallback(type, taskId, task);
@@ -180,19 +280,19 @@ function addTask(instance, list, taskId, task) {
 
   const nameElem = document.createElement('div');
   nameElem.classList.add('task-list-item-name');
-  nameElem.textContent = task.name;
+  appendHighlightedText(instance, nameElem, task.name);
   infoContainer.appendChild(nameElem);
 
   if (task.description) {
     const descElem = document.createElement('div');
     descElem.classList.add('task-list-item-description');
-    descElem.textContent = task.description;
+    appendHighlightedText(instance, descElem, task.description);
     infoContainer.appendChild(descElem);
   }
 
   const detailsContainer = document.createElement('div');
   infoContainer.appendChild(detailsContainer);
-  const addDetail = (content, styleClasses) => {
+  const addDetail = (content, styleClasses, highlight = false) => {
     if (detailsContainer.hasChildNodes()) {
       const comma = document.createElement('span');
       comma.classList.add('task-list-item-details');
@@ -202,23 +302,45 @@ function addTask(instance, list, taskId, task) {
 
     const detail = document.createElement('span');
     detail.classList.add('task-list-item-details', ...styleClasses);
-    detail.textContent = content;
+    if (highlight) appendHighlightedText(instance, detail, content);
+    else detail.textContent = content;
     detailsContainer.appendChild(detail);
+    return detail;
   };
 
   if (task.dueDate) {
     const dateFormat = privates.dateFormat.outputPattern;
-    const dateStr = formatDate(task.dueDate, dateFormat);
+    let dateStr = formatDate(task.dueDate, dateFormat);
+    if (task.hasDueTime) {
+      const timeFormat = privates.timeFormat.outputPattern;
+      dateStr += ` ${formatDate(task.dueDate, timeFormat)}`;
+    }
 
     const styleClasses = ['task-list-item-due-date'];
-    const today = startOfDay(new Date());
-    if (!task.isComplete() && isDateBefore(task.dueDate, today)) {
+    const now = new Date();
+    const deadline = task.hasDueTime ? now : startOfDay(now);
+    if (!task.isComplete() && isDateBefore(task.dueDate, deadline)) {
       styleClasses.push('task-list-item-past-due');
     }
 
     addDetail(dateStr, styleClasses);
   }
 
+  if (task.isInTrash()) {
+    const dateStr = formatDate(task.deletionDate, privates.dateFormat.outputPattern);
+    addDetail(`Deleted ${dateStr}`, ['task-list-item-deletion-date']);
+  }
+
+  if (!task.isComplete() && privates.tasks.isBlocked(taskId)) {
+    addDetail('Blocked', ['task-list-item-blocked']);
+  }
+
+  if (task.isDeferred()) {
+    const dateFormat = privates.dateFormat.outputPattern;
+    const dateStr = formatDate(task.startDate, dateFormat);
+    addDetail(`Starts ${dateStr}`, ['task-list-item-start-date']);
+  }
+
   if (task.recurringDate) {
     const recurrenceStr = task.recurringDate.toString();
     addDetail(recurrenceStr, ['task-list-item-recurring-date']);
@@ -226,7 +348,48 @@ function addTask(instance, list, taskId, task) {
 
   if (task.project) {
     const project = privates.projects.getProject(task.project);
-    addDetail(project.name, ['task-list-item-project']);
+    const chip = addDetail(project.name, ['task-list-item-project'], true);
+    if (project.icon) {
+      const iconElem = document.createElement('span');
+      iconElem.classList.add('task-list-item-project-icon');
+      iconElem.textContent = project.icon;
+      chip.prepend(iconElem);
+    }
+    if (project.color) {
+      // Tint the background with a translucent version of the color
+      chip.style.borderColor = project.color;
+      chip.style.backgroundColor = `${project.color}26`;
+    }
+  }
+
+  if (task.tags.length > 0) {
+    const tagStr = task.tags.map((tag) => `#${tag}`).join(' ');
+    addDetail(tagStr, ['task-list-item-tags']);
+  }
+
+  if (task.checklist.length > 0) {
+    const { completed, total } = task.getChecklistProgress();
+    addDetail(`${completed}/${total} Checklist`, ['task-list-item-checklist']);
+  }
+
+  if (task.recurringDate && task.completionHistory.length > 0) {
+    const streak = task.getStreak();
+    if (streak > 0) addDetail(`${streak} in a Row`, ['task-list-item-streak']);
+  }
+
+  if (task.estimate !== null || task.timeLog.length > 0) {
+    let timeStr = formatDuration(task.getLoggedTime());
+    if (task.estimate !== null) {
+      timeStr += ` of ${formatDuration(task.estimate)}`;
+    }
+    timeStr += ' Logged';
+
+    const styleClasses = ['task-list-item-time'];
+    if (task.isTimerRunning()) {
+      timeStr += ' (Timer Running)';
+      styleClasses.push('task-list-item-timer-running');
+    }
+    addDetail(timeStr, styleClasses);
   }
 
   const priorityStr = Task.convertPriorityToPrettyString(task.priority);
@@ -236,24 +399,104 @@ function addTask(instance, list, taskId, task) {
   buttonContainer.classList.add('icon-container');
   itemElem.appendChild(buttonContainer);
 
-  const editButton = createImageButton(EditIcon, {
-    altText: 'Edit task',
+  if (!task.isInTrash()) {
+    const editButton = createImageButton(EditIcon, {
+      altText: 'Edit task',
+      width: ICON_WIDTH,
+      height: ICON_HEIGHT,
+      callback: () => {
+        if (privates.taskCallback) privates.taskCallback('edit', taskId, task);
+      },
+    });
+    buttonContainer.appendChild(editButton);
+  }
+
+  const moreButton = createImageButton(MoreIcon, {
+    altText: 'More actions',
     width: ICON_WIDTH,
     height: ICON_HEIGHT,
-    callback: () => {
-      if (privates.taskCallback) privates.taskCallback('edit', taskId, task);
+    callback: (e) => {
+      if (task.isInTrash()) {
+        privates.taskMenu.setMenuItems(TRASH_MENU_ITEMS);
+      } else {
+        const timerItem = task.isTimerRunning()
+          ? STOP_TIMER_MENU_ITEM : START_TIMER_MENU_ITEM;
+        privates.taskMenu.setMenuItems([timerItem, ...privates.menuItems]);
+      }
+      privates.taskMenu.open((id) => {
+        if (privates.taskCallback) {
+          privates.taskCallback(id, taskId, task);
+        }
+      }, { referenceElement: e.target });
     },
   });
-  buttonContainer.appendChild(editButton);
+  buttonContainer.appendChild(moreButton);
+}
+
+/**
+ * Add an entry for a project in the trash to a list.
+ * @param {module:taskDisplay~TaskDisplay} instance The class instance on which
+ *   to apply the function.
+ * @param {HTMLElement} list The list element in which the project information
+ *   should be inserted.
+ * @param {string} projectId The identifier for the project.
+ * @param {module:project~Project} project The project to be added.
+ */
+function addDeletedProject(instance, list, projectId, project) {
+  const privates = privateMembers.get(instance);
+
+  const itemElem = document.createElement('li');
+  itemElem.classList.add('task-list-item');
+  list.appendChild(itemElem);
+
+  const iconElem = document.createElement('img');
+  iconElem.classList.add('task-list-item-icon');
+  iconElem.src = ProjectIcon;
+  iconElem.alt = '';
+  iconElem.width = ICON_WIDTH;
+  iconElem.height = ICON_HEIGHT;
+  itemElem.appendChild(iconElem);
+
+  const infoContainer = document.createElement('div');
+  infoContainer.classList.add('task-list-item-info-container');
+  itemElem.appendChild(infoContainer);
+
+  const nameElem = document.createElement('div');
+  nameElem.classList.add('task-list-item-name');
+  appendHighlightedText(instance, nameElem, project.name);
+  infoContainer.appendChild(nameElem);
+
+  if (project.description) {
+    const descElem = document.createElement('div');
+    descElem.classList.add('task-list-item-description');
+    appendHighlightedText(instance, descElem, project.description);
+    infoContainer.appendChild(descElem);
+  }
+
+  const detailElem = document.createElement('div');
+  const dateStr = formatDate(
+    project.deletionDate,
+    privates.dateFormat.outputPattern,
+  );
+  const detail = document.createElement('span');
+  detail.classList.add('task-list-item-details', 'task-list-item-deletion-date');
+  detail.textContent = `Deleted ${dateStr}`;
+  detailElem.appendChild(detail);
+  infoContainer.appendChild(detailElem);
+
+  const buttonContainer = document.createElement('div');
+  buttonContainer.classList.add('icon-container');
+  itemElem.appendChild(buttonContainer);
 
   const moreButton = createImageButton(MoreIcon, {
     altText: 'More actions',
     width: ICON_WIDTH,
     height: ICON_HEIGHT,
     callback: (e) => {
+      privates.taskMenu.setMenuItems(TRASH_MENU_ITEMS);
       privates.taskMenu.open((id) => {
-        if (privates.taskCallback) {
-          privates.taskCallback(id, taskId, task);
+        if (privates.projectCallback) {
+          privates.projectCallback(id, projectId, project);
         }
       }, { referenceElement: e.target });
     },
@@ -263,28 +506,27 @@ function addTask(instance, list, taskId, task) {
 
 /**
  * Get the heading label for a task group.
- * @param {module:taskDisplay~TaskDisplay} instance The class instance on which
- *   to apply the function.
+ * @param {module:projectList~ProjectList} projectList The project container.
  * @param {string} groupBy The type of grouping being done: 'due-date',
- *   'project', 'priority', or 'none'.
+ *   'project', 'priority', 'tag', or 'none'.
  * @param {module:task~Task} task A task belonging to the group.
+ * @param {module:settings~Settings~dateFormat} dateFormat The date format to
+ *   use for due dates.
  * @returns {?string} The label for the heading, or null if no grouping is
  *   being done.
  */
-function getGroupHeading(instance, groupBy, task) {
-  const privates = privateMembers.get(instance);
+function getGroupHeading(projectList, groupBy, task, dateFormat) {
   switch (groupBy) {
     case 'due-date':
-      if (task.dueDate) {
-        const format = privates.dateFormat.outputPattern;
-        return formatDate(task.dueDate, format);
-      }
+      if (task.dueDate) return formatDate(task.dueDate, dateFormat.outputPattern);
       return 'No Due Date';
     case 'priority':
       return `${Task.convertPriorityToPrettyString(task.priority)} Priority`;
     case 'project':
-      if (task.project) return privates.projects.getProject(task.project).name;
+      if (task.project) return projectList.getProject(task.project).name;
       return 'Uncategorized';
+    case 'tag':
+      return task.tags[0] ?? 'Untagged';
     case 'none':
     default:
       return null;
@@ -300,20 +542,36 @@ class TaskDisplay {
    * action on a task.
    * @callback module:taskDisplay~TaskDisplay~taskCallback
    * @param {string} type The type of action that is being performed:
-   *   'mark-complete', 'mark-incomplete', 'edit', 'clone', 'delete', or
-   *   'go-to-project'.
+   *   'mark-complete', 'mark-incomplete', 'start-timer', 'stop-timer', 'edit',
+   *   'clone', 'delete', or 'go-to-project'. For tasks in the trash, this is
+   *   'restore' or 'delete-permanently'.
    * @param {string} id The identifier for the task on which the action is
    *   being performed.
    * @param {module:task~Task} task The task on which the action is being
    *   performed.
    */
 
+  /**
+   * Callback function that is invoked when the user chooses to perform an
+   * action on a project in the trash.
+   * @callback module:taskDisplay~TaskDisplay~projectCallback
+   * @param {string} type The type of action that is being performed:
+   *   'restore' or 'delete-permanently'.
+   * @param {string} id The identifier for the project on which the action is
+   *   being performed.
+   * @param {module:project~Project} project The project on which the action
+   *   is being performed.
+   */
+
   /**
    * An object holding options for creating the task display panel.
    * @typedef {Object} module:taskDisplay~TaskDisplay~options
    * @property {module:taskDisplay~TaskDisplay~taskCallback} [taskCallback] A
    *   callback function that will be invoked when the user performs an action
    *   on a task.
+   * @property {module:taskDisplay~TaskDisplay~projectCallback}
+   *   [projectCallback] A callback function that will be invoked when the
+   *   user performs an action on a project in the trash.
    */
 
   /**
@@ -325,17 +583,41 @@ class TaskDisplay {
    *   given date will be excluded.
    * @property {boolean} [completed=false] If set to true, then completed tasks
    *   will be included.
+   * @property {boolean} [deferred=false] If set to true, then tasks whose
+   *   start dates have not yet arrived will be included.
+   * @property {boolean} [hideBlocked=false] If set to true, then tasks that
+   *   are waiting on incomplete prerequisite tasks will be excluded.
    * @property {boolean} [requireDueDate=false] If set to true, then tasks that
    *   do not have a due date will be excluded.
+   * @property {boolean} [deleted=false] If set to true, then the contents of
+   *   the trash are shown instead: tasks in the trash matching the other
+   *   criteria, followed by the projects in the trash.
    * @property {string} [project] If provided, then only tasks with the
    *   specified project will be included. This can either be a project
    *   identifier, or the string 'none'.
+   * @property {boolean} [includeSubprojects=false] If set to true, then tasks
+   *   in projects nested within the specified project will also be included.
+   * @property {boolean} [hideArchived=false] If set to true, then tasks in
+   *   archived projects will be excluded.
+   * @property {string[]} [projects] If provided, then only tasks belonging to
+   *   one of the specified projects will be included. The string 'none' stands
+   *   for tasks that do not have a project.
    * @property {number} [priority] If provided, then only tasks with the given
    *   priority will be included.
+   * @property {number} [minPriority] If provided, then only tasks with at
+   *   least the given priority will be included.
+   * @property {number} [maxPriority] If provided, then only tasks with at most
+   *   the given priority will be included.
+   * @property {string} [tag] If provided, then only tasks with the given tag
+   *   will be included. If set to the empty string, then only tasks without
+   *   any tags will be included.
+   * @property {string} [search] If provided, only tasks matching the search
+   *   query will be included, and the matching words will be highlighted.
    * @property {string} [groupBy=none] The field to group the tasks by:
-   *   'due-date', 'priority', 'project', or 'none'.
+   *   'due-date', 'priority', 'project', 'tag', or 'none'.
    * @property {string} [sortBy=create-date] The primary field to sort the
-   *   tasks by: 'name', 'due-date', 'create-date', 'priority', or 'project'.
+   *   tasks by: 'name', 'due-date', 'create-date', 'priority', 'project', or
+   *   'tag'.
    * @property {boolean} [groupDescending=false] If set to true and if tasks
    *   are being grouped (using groupBy), then the groups will be sorted in
    *   descending order.
@@ -352,6 +634,20 @@ class TaskDisplay {
    * @property {module:settings~Settings~dateFormat} [dateFormat] An object
    *   holding information about the calendar date format to use when
    *   displaying dates.
+   * @property {module:settings~Settings~timeFormat} [timeFormat] An object
+   *   holding information about the format to use when displaying times of
+   *   day.
+   */
+
+  /**
+   * A group of tasks sharing the same heading.
+   * @typedef {Object} module:taskDisplay~TaskDisplay~taskGroup
+   * @property {?string} heading The heading label for the group, or null if
+   *   the tasks are not being grouped.
+   * @property {boolean} pastDue Whether the group holds incomplete tasks that
+   *   were due before today, when grouping by due date.
+   * @property {module:taskList~TaskList~taskWrapper[]} entries The tasks in
+   *   the group, in display order.
    */
 
   /**
@@ -381,8 +677,12 @@ class TaskDisplay {
       tasks: taskList,
       projects: projectList,
       taskCallback: options.taskCallback || null,
+      projectCallback: options.projectCallback || null,
       dateFormat: Settings.lookupDateFormat('iso'),
+      timeFormat: Settings.lookupTimeFormat('24-hour'),
       taskMenu: null,
+      searchTerms: [],
+      menuItems: STANDARD_MENU_ITEMS,
     };
     privateMembers.set(this, privates);
 
@@ -398,20 +698,106 @@ class TaskDisplay {
     const privates = privateMembers.get(this);
 
     privates.dateFormat = options.dateFormat ?? Settings.lookupDateFormat();
+    privates.timeFormat = options.timeFormat ?? Settings.lookupTimeFormat();
+    privates.searchTerms = getSearchTerms(options.search ?? '');
     clear(this);
 
+    const groups = TaskDisplay.groupTasks(
+      privates.tasks,
+      privates.projects,
+      options,
+    );
+    groups.forEach(({ heading, pastDue, entries }) => {
+      const headingStyles = pastDue ? ['task-list-heading-past-due'] : [];
+      const list = createList(this, heading, headingStyles);
+      entries.forEach(({ id, task }) => addTask(this, list, id, task));
+      addGroupTotals(list, entries.map(({ task }) => task));
+    });
+
+    let projectCount = 0;
+    if (options.deleted) {
+      const projects = [];
+      privates.projects.forEach(({ id, project }) => {
+        if (!project.isInTrash()) return;
+        const text = `${project.name} ${project.description ?? ''}`;
+        const matches = privates.searchTerms.every((term) => (
+          getSearchTerms(text).some((word) => word.startsWith(term))
+        ));
+        if (matches) projects.push({ id, project });
+      });
+
+      if (projects.length > 0) {
+        const list = createList(this, 'Projects');
+        projects.forEach(({ id, project }) => {
+          addDeletedProject(this, list, id, project);
+        });
+      }
+      projectCount = projects.length;
+    }
+
+    if (groups.length === 0 && projectCount === 0) {
+      const message = document.createElement('div');
+      message.classList.add('task-list-empty');
+      message.textContent = options.deleted
+        ? 'The Trash Is Empty' : 'No Tasks Found';
+      privates.content.appendChild(message);
+    }
+
+    // Set menu items for the 'more' button
+    if (options.project) {
+      privates.menuItems = STANDARD_MENU_ITEMS;
+    } else {
+      privates.menuItems = [...PROJECT_MENU_ITEMS, ...STANDARD_MENU_ITEMS];
+    }
+
+    // Reset the scroll position
+    if (options.resetScroll !== false) {
+      privates.container.scrollTop = 0;
+      privates.container.scrollLeft = 0;
+    }
+  }
+
+  /**
+   * Get the tasks that [update]{@link module:taskDisplay~TaskDisplay#update}
+   * would display for a set of options, filtered, sorted, and grouped in the
+   * same way.
+   * @param {module:taskList~TaskList} taskList The task container.
+   * @param {module:projectList~ProjectList} projectList The project
+   *   container.
+   * @param {module:taskDisplay~TaskDisplay~updateOptions} [options={}] An
+   *   object holding the filtering, sorting, and grouping options.
+   * @returns {module:taskDisplay~TaskDisplay~taskGroup[]} The groups of
+   *   tasks, in display order. If no tasks match, then the array is empty.
+   */
+  static groupTasks(taskList, projectList, options = {}) {
+    const dateFormat = options.dateFormat ?? Settings.lookupDateFormat();
+
     const listOptions = {
-      projectList: privates.projects,
+      projectList,
       startDate: options.startDate || null,
       endDate: options.endDate || null,
       completed: options.completed ?? false,
+      deferred: options.deferred ?? false,
+      hideBlocked: options.hideBlocked ?? false,
       requireDueDate: options.requireDueDate ?? false,
+      deleted: options.deleted ?? false,
       project: options.project || null,
+      includeSubprojects: options.includeSubprojects ?? false,
+      hideArchived: options.hideArchived ?? false,
     };
 
+    if (options.projects) listOptions.projects = options.projects;
     if (typeof options.priority === 'number') {
       listOptions.priority = options.priority;
     }
+    if (typeof options.minPriority === 'number') {
+      listOptions.minPriority = options.minPriority;
+    }
+    if (typeof options.maxPriority === 'number') {
+      listOptions.maxPriority = options.maxPriority;
+    }
+    if (typeof options.tag === 'string') listOptions.tag = options.tag;
+    if (options.search) listOptions.search = options.search;
 
     const groupBy = options.groupBy || 'none';
     const groupDescending = options.groupDescending ?? false;
@@ -434,49 +820,25 @@ class TaskDisplay {
       pushSortField('create-date', sortDescending);
     }
 
-    const entries = privates.tasks.entries(listOptions);
-
-    let list = null;
+    const groups = [];
     let prevTask = null;
-    entries.forEach(({ task, id }) => {
+    const today = startOfDay(new Date());
+    taskList.entries(listOptions).forEach((entry) => {
+      const { task } = entry;
       if (!prevTask || !isSameGroup(groupBy, task, prevTask)) {
-        const headingStyles = [];
-        const today = startOfDay(new Date());
-        if (groupBy === 'due-date' && !task.isComplete()
-          && isDateBefore(task.dueDate, today)) {
-          headingStyles.push('task-list-heading-past-due');
-        }
-        list = createList(
-          this,
-          getGroupHeading(this, groupBy, task),
-          headingStyles,
-        );
+        groups.push({
+          heading: getGroupHeading(projectList, groupBy, task, dateFormat),
+          pastDue: groupBy === 'due-date' && Boolean(task.dueDate)
+            && !task.isComplete() && isDateBefore(task.dueDate, today),
+          entries: [],
+        });
       }
 
-      addTask(this, list, id, task);
+      groups[groups.length - 1].entries.push(entry);
       prevTask = task;
     });
 
-    if (entries.length === 0) {
-      const message = document.createElement('div');
-      message.classList.add('task-list-empty');
-      message.textContent = 'No Tasks Found';
-      privates.content.appendChild(message);
-    }
-
-    // Set menu items for the 'more' button
-    if (options.project) {
-      privates.taskMenu.setMenuItems(STANDARD_MENU_ITEMS);
-    } else {
-      const menuItems = [...PROJECT_MENU_ITEMS, ...STANDARD_MENU_ITEMS];
-      privates.taskMenu.setMenuItems(menuItems);
-    }
-
-    // Reset the scroll position
-    if (options.resetScroll !== false) {
-      privates.container.scrollTop = 0;
-      privates.container.scrollLeft = 0;
-    }
+    return groups;
   }
 }
 
@@ -10,12 +10,27 @@ import { v4 as generateUuid } from 'uuid';
 
 import RecurringDate from './recurringDate';
 import Task from './task';
+import {
+  PROJECT_PARAM,
+  createCalendarLine,
+  escapeCalendarText,
+  findCalendarComponents,
+  formatCalendarDate,
+  parseCalendarDate,
+  splitCalendarList,
+  unescapeCalendarText,
+} from './utility/calendar';
 import {
   addToMapArray,
+  addToSearchIndex,
+  createSearchIndex,
   findInMapArray,
+  findInSearchIndex,
   getJsonType,
+  getSearchTerms,
   isUuidValid,
   removeFromMapArrayBy,
+  removeFromSearchIndex,
   validateValue,
 } from './utility/data';
 import {
@@ -24,8 +39,10 @@ import {
   getMonthName,
   getWeekdayIndex,
   getWeekdayName,
+  parseDate,
 } from './utility/dates';
 import { arrayToCsvRecord } from './utility/storage';
+import { createTodoTxtLine } from './utility/todoTxt';
 
 /**
  * Object holding private members for the
@@ -44,6 +61,14 @@ import { arrayToCsvRecord } from './utility/storage';
  * @property {Map} tasksByPriority Holds a map associating priority numbers to
  *   arrays of [taskWrapper]{@link module:taskList~TaskList~taskWrapper}
  *   objects based on the priorities of the tasks.
+ * @property {Map} tasksByTag Holds a map associating tags to arrays of
+ *   [taskWrapper]{@link module:taskList~TaskList~taskWrapper} objects based on
+ *   the tags assigned to the tasks. A task with several tags appears in the
+ *   array for each of its tags. Tasks without any tags are assigned to the
+ *   array associated with the empty string.
+ * @property {module:data~searchIndex} searchIndex Holds an index associating
+ *   lowercase words with the identifiers of the tasks whose names or
+ *   descriptions contain them.
  * @property {EventEmitter} eventEmitter Holds the event emitter which
  *   dispatches events to attached event listeners.
  */
@@ -55,6 +80,109 @@ import { arrayToCsvRecord } from './utility/storage';
  */
 const privateMembers = new WeakMap();
 
+/**
+ * Get the keys under which a task should be stored in the tag index.
+ * @param {module:task~Task} task The task whose keys are to be retrieved.
+ * @returns {string[]} An array holding the task's tags, or an array holding
+ *   only the empty string if the task does not have any tags.
+ */
+function getTagKeys(task) {
+  return task.tags?.length > 0 ? task.tags : [''];
+}
+
+/**
+ * Get the words under which a task should be stored in the search index.
+ * @param {module:task~Task} task The task whose words are to be retrieved.
+ * @returns {string[]} An array holding the distinct lowercase words in the
+ *   task's name and description.
+ */
+function getSearchKeys(task) {
+  return getSearchTerms(`${task.name} ${task.description ?? ''}`);
+}
+
+/**
+ * Add a task to the search index.
+ * @param {module:taskList~TaskList} instance The
+ *   [TaskList]{@link module:taskList~TaskList} instance on which to run the
+ *   function.
+ * @param {string} id The unique identifier of the task.
+ * @param {module:task~Task} task The task to add.
+ */
+function addTaskToSearchIndex(instance, id, task) {
+  const { searchIndex } = privateMembers.get(instance);
+  addToSearchIndex(searchIndex, id, getSearchKeys(task));
+}
+
+/**
+ * Remove a task from the search index.
+ * @param {module:taskList~TaskList} instance The
+ *   [TaskList]{@link module:taskList~TaskList} instance on which to run the
+ *   function.
+ * @param {string} id The unique identifier of the task.
+ * @param {module:task~Task} task The task to remove, as it was when it was
+ *   added to the index.
+ */
+function removeTaskFromSearchIndex(instance, id, task) {
+  const { searchIndex } = privateMembers.get(instance);
+  removeFromSearchIndex(searchIndex, id, getSearchKeys(task));
+}
+
+/**
+ * Find the tasks matching a search query. Every word in the query must begin
+ * a word in the task's name or description, or in the name of the task's
+ * project.
+ * @param {module:taskList~TaskList} instance The
+ *   [TaskList]{@link module:taskList~TaskList} instance on which to run the
+ *   function.
+ * @param {string} query The search query.
+ * @param {module:projectList~ProjectList} [projectList] The project
+ *   container. If not provided, then project names are not searched.
+ * @returns {?Set} A set holding the identifiers of the matching tasks, or
+ *   null if the query does not contain any words.
+ */
+function search(instance, query, projectList) {
+  const privates = privateMembers.get(instance);
+  const terms = getSearchTerms(query);
+  if (terms.length === 0) return null;
+
+  let results = null;
+  terms.forEach((term) => {
+    const matches = findInSearchIndex(privates.searchIndex, term);
+
+    projectList?.findProjectsByWord(term).forEach((projectId) => {
+      if (projectList.isInTrash(projectId)) return;
+      const tasks = privates.tasksByProject.get(projectId) || [];
+      tasks.forEach(({ id }) => matches.add(id));
+    });
+
+    if (!results) {
+      results = matches;
+    } else {
+      results = new Set([...results].filter((id) => matches.has(id)));
+    }
+  });
+
+  return results;
+}
+
+/**
+ * Determine whether a task is blocked by an incomplete prerequisite task.
+ * @param {module:taskList~TaskList} instance The
+ *   [TaskList]{@link module:taskList~TaskList} instance on which to run the
+ *   function.
+ * @param {module:task~Task} task The task to check.
+ * @returns {boolean} True if any of the task's dependencies is in the list and
+ *   has not been completed, and false otherwise. Dependencies in the trash are
+ *   ignored.
+ */
+function isTaskBlocked(instance, task) {
+  const { tasks } = privateMembers.get(instance);
+  return task.dependencies.some((id) => {
+    const dependency = tasks.get(id);
+    return dependency && !dependency.isComplete() && !dependency.isInTrash();
+  });
+}
+
 /**
  * Filter tasks in the list according to the given criteria.
  * @param {module:taskList~TaskList} instance The
@@ -69,25 +197,95 @@ const privateMembers = new WeakMap();
  *   on or after the given date will be included.
  * @param {Date} [options.endDate] If provided, only tasks with due dates
  *   on or before the given date will be included.
+ * @param {Date} [options.completionStartDate] If provided, only tasks
+ *   completed on or after the given date will be included.
+ * @param {Date} [options.completionEndDate] If provided, only tasks completed
+ *   on or before the given date will be included.
  * @param {boolean} [options.completed=false] If set to true, then tasks that
  *   have been completed will be included. Otherwise, they are excluded.
+ * @param {boolean} [options.deferred=false] If set to true, then tasks whose
+ *   start dates have not yet arrived will be included. Otherwise, they are
+ *   excluded.
+ * @param {boolean} [options.hideBlocked=false] If set to true, then tasks
+ *   that are waiting on incomplete prerequisite tasks will be excluded.
+ * @param {boolean} [options.deleted=false] If set to true, then only tasks
+ *   in the trash will be included. Otherwise, they are excluded.
  * @param {boolean} [options.requireDueDate=false] If set to true, then only
  *   tasks that have a due date will be included.
  * @param {string} [options.project] If provided, only tasks belonging to the
  *   specified project will be included. If set to 'none', then only tasks
  *   that do not have a project assigned will be included.
+ * @param {boolean} [options.includeSubprojects=false] If set to true,
+ *   then tasks belonging to descendants of the specified project will also
+ *   be included. This requires the projectList option.
+ * @param {boolean} [options.hideArchived=false] If set to true, then tasks
+ *   belonging to archived projects will not be included. This requires the
+ *   projectList option.
+ * @param {string[]} [options.projects] If provided, only tasks belonging to
+ *   one of the specified projects will be included. The string 'none' stands
+ *   for tasks that do not have a project assigned.
  * @param {number} [options.priority] If provided, only tasks with the
  *   specified priority will be included.
+ * @param {number} [options.minPriority] If provided, only tasks with at least
+ *   the specified priority will be included.
+ * @param {number} [options.maxPriority] If provided, only tasks with at most
+ *   the specified priority will be included.
+ * @param {string} [options.tag] If provided, only tasks having the specified
+ *   tag will be included. If set to the empty string, then only tasks that do
+ *   not have any tags will be included.
+ * @param {string} [options.search] If provided, only tasks matching the
+ *   search query will be included. Every word in the query must begin a word
+ *   in the task's name, description, or project name.
+ * @param {module:projectList~ProjectList} [options.projectList] The project
+ *   container. If not provided, then searches will not match project names.
+ *   If provided, then tasks belonging to projects in the trash are excluded
+ *   unless the deleted option is set.
  * @returns {Task[]} An array containing all tasks in the list that match the
  *   given criteria.
  */
 function filterTasks(instance, options = {}) {
   const privates = privateMembers.get(instance);
 
-  // Which index to use: default | due-date | project | priority
-  let lookupType = 'default';
+  let searchResults = null;
+  if (options.search) {
+    searchResults = search(instance, options.search, options.projectList);
+  }
+
+  let archivedProjects = null;
+  if (options.hideArchived && options.projectList) {
+    archivedProjects = new Set();
+    options.projectList.forEach(({ id, project }) => {
+      if (project.archived) archivedProjects.add(id);
+    });
+  }
+
+  // Tasks stay linked to projects in the trash but are hidden along with them
+  let trashedProjects = null;
+  if (!options.deleted && options.projectList) {
+    trashedProjects = new Set();
+    options.projectList.forEach(({ id }) => {
+      if (options.projectList.isInTrash(id)) trashedProjects.add(id);
+    });
+  }
+
+  // Projects whose tasks are included by the project option
+  let projectScope = null;
   if (options.project) {
+    projectScope = [options.project];
+    if (options.includeSubprojects && options.project !== 'none'
+      && options.projectList) {
+      projectScope.push(...options.projectList.getDescendants(options.project));
+    }
+  }
+
+  // Which index to use: default | search | due-date | project | tag | priority
+  let lookupType = 'default';
+  if (searchResults) {
+    lookupType = 'search';
+  } else if (options.project || options.projects) {
     lookupType = 'project';
+  } else if (typeof options.tag === 'string') {
+    lookupType = 'tag';
   } else if (typeof options.priority === 'number') {
     lookupType = 'priority';
   } else if (options.startDate || options.endDate) {
@@ -137,7 +335,23 @@ function filterTasks(instance, options = {}) {
       break;
     }
     case 'project':
-      pushTasks(privates.tasksByProject, options.project);
+      if (projectScope) {
+        projectScope.forEach((project) => {
+          pushTasks(privates.tasksByProject, project);
+        });
+      } else {
+        _.uniq(options.projects).forEach((project) => {
+          pushTasks(privates.tasksByProject, project);
+        });
+      }
+      break;
+    case 'tag':
+      pushTasks(privates.tasksByTag, options.tag);
+      break;
+    case 'search':
+      searchResults.forEach((id) => {
+        output.push({ id, task: copyTask(privates.tasks.get(id)) });
+      });
       break;
     case 'default':
     default:
@@ -147,6 +361,7 @@ function filterTasks(instance, options = {}) {
       break;
   }
 
+  const now = new Date();
   output = output.filter(({ task }) => {
     if (task.dueDate) {
       if (options.startDate
@@ -157,18 +372,47 @@ function filterTasks(instance, options = {}) {
         return false;
       }
     }
-    if (!options.completed && task.isComplete()) return false;
-    if (options.requireDueDate && !task.dueDate) return false;
-    if (options.project) {
-      if (options.project === 'none' && task.project) return false;
-      if (options.project !== 'none' && task.project !== options.project) {
+    if (options.completionStartDate || options.completionEndDate) {
+      if (!task.completionDate) return false;
+      if (options.completionStartDate
+        && isDateBefore(task.completionDate, options.completionStartDate)) {
+        return false;
+      }
+      if (options.completionEndDate
+        && isDateBefore(options.completionEndDate, task.completionDate)) {
         return false;
       }
     }
+    if (Boolean(options.deleted) !== task.isInTrash()) return false;
+    if (!options.completed && task.isComplete()) return false;
+    if (!options.deferred && task.isDeferred(now)) return false;
+    if (options.hideBlocked && isTaskBlocked(instance, task)) return false;
+    if (options.requireDueDate && !task.dueDate) return false;
+    if (projectScope && !projectScope.includes(task.project || 'none')) {
+      return false;
+    }
+    if (archivedProjects?.has(task.project)) return false;
+    if (trashedProjects?.has(task.project)) return false;
+    if (options.projects
+      && !options.projects.includes(task.project || 'none')) {
+      return false;
+    }
     if (typeof options.priority === 'number'
       && task.priority !== options.priority) {
       return false;
     }
+    if (typeof options.minPriority === 'number'
+      && task.priority < options.minPriority) {
+      return false;
+    }
+    if (typeof options.maxPriority === 'number'
+      && task.priority > options.maxPriority) {
+      return false;
+    }
+    if (typeof options.tag === 'string') {
+      if (options.tag === '' && task.tags.length > 0) return false;
+      if (options.tag !== '' && !task.tags.includes(options.tag)) return false;
+    }
 
     return true;
   });
@@ -176,6 +420,155 @@ function filterTasks(instance, options = {}) {
   return output;
 }
 
+/**
+ * Get the tasks to include when converting the task list to another format.
+ * @param {module:taskList~TaskList} instance The
+ *   [TaskList]{@link module:taskList~TaskList} instance on which to run the
+ *   function.
+ * @param {Object} options An object holding the conversion options.
+ * @param {Object} [options.criteria] If provided, only the tasks matching
+ *   these criteria are included. The criteria are the same as the options for
+ *   [entries]{@link module:taskList~TaskList#entries}. Otherwise, all tasks
+ *   are included.
+ * @param {module:projectList~ProjectList} [options.projectList] The project
+ *   container.
+ * @returns {module:taskList~TaskList~taskWrapper[]} The tasks to include.
+ */
+function getExportEntries(instance, options) {
+  if (options.criteria) {
+    return instance.entries({
+      ...options.criteria,
+      projectList: options.projectList,
+    });
+  }
+
+  const output = [];
+  privateMembers.get(instance).tasks.forEach((task, id) => {
+    output.push({ id, task });
+  });
+  return output;
+}
+
+/**
+ * Convert a task priority to an iCalendar priority, where 1 is the highest
+ * priority, 9 is the lowest, and 5 is medium.
+ * @param {number} priority The task priority, from -2 to 2.
+ * @returns {number} The iCalendar priority.
+ */
+function convertPriorityToCalendar(priority) {
+  return Math.min(Math.max(5 - 2 * priority, 1), 9);
+}
+
+/**
+ * Convert an iCalendar priority to a task priority.
+ * @param {number} priority The iCalendar priority, where 1 is the highest
+ *   priority, 9 is the lowest, and 0 is undefined.
+ * @returns {number} The task priority, from -2 to 2. An undefined priority is
+ *   treated as medium.
+ */
+function convertPriorityFromCalendar(priority) {
+  if (!(priority >= 1 && priority <= 9)) return 0;
+  return Math.round((5 - priority) / 2);
+}
+
+/**
+ * Find a project with the given name, ignoring case. Projects in the trash are
+ * not considered.
+ * @param {module:projectList~ProjectList} [projectList] The project
+ *   container.
+ * @param {string} name The name of the project.
+ * @returns {?string} The unique identifier of the project, or null if there is
+ *   no such project.
+ */
+function findProjectByName(projectList, name) {
+  let result = null;
+  projectList?.forEach(({ id, project }) => {
+    if (!result && !projectList.isInTrash(id)
+      && project.name.toLowerCase() === name.toLowerCase()) {
+      result = id;
+    }
+  });
+  return result;
+}
+
+/**
+ * Find the project named by a todo.txt project. Since project names in
+ * todo.txt cannot contain spaces, underscores in the name also match spaces.
+ * @param {module:projectList~ProjectList} [projectList] The project
+ *   container.
+ * @param {string} name The name of the project, without the leading '+'.
+ * @returns {?string} The unique identifier of the project, or null if there is
+ *   no such project.
+ */
+function findTodoTxtProject(projectList, name) {
+  return findProjectByName(projectList, name)
+    ?? findProjectByName(projectList, name.replace(/_/g, ' '));
+}
+
+/**
+ * Convert a task priority to a todo.txt priority.
+ * @param {number} priority The task priority, from -2 to 2.
+ * @returns {string} The todo.txt priority, from 'A' (very high) to 'E' (very
+ *   low).
+ */
+function convertPriorityToTodoTxt(priority) {
+  return ['E', 'D', 'C', 'B', 'A'][priority + 2] ?? 'C';
+}
+
+/**
+ * Convert a todo.txt priority to a task priority.
+ * @param {string} priority The todo.txt priority, an upper case letter.
+ * @returns {number} The task priority, from -2 to 2. Priorities lower than
+ *   'E' are treated as very low.
+ */
+function convertPriorityFromTodoTxt(priority) {
+  return Math.max(2 - (priority.charCodeAt(0) - 'A'.charCodeAt(0)), -2);
+}
+
+/**
+ * Convert a recurring date to the value of a todo.txt rec: key. Only the
+ * interval is kept, so details such as the days of the week are lost.
+ * @param {module:recurringDate~RecurringDate} recurringDate The recurring
+ *   date to convert.
+ * @returns {string} The recurrence value, such as '2w' or '+1m'. A leading
+ *   '+' indicates that the recurrence is based on the due date rather than
+ *   the completion date.
+ */
+function convertRecurrenceToTodoTxt(recurringDate) {
+  const units = {
+    day: 'd',
+    week: 'w',
+    month: 'm',
+    year: 'y',
+  };
+  const prefix = recurringDate.baseOnCompletion ? '' : '+';
+  return `${prefix}${recurringDate.intervalLength}`
+    + `${units[recurringDate.intervalUnit]}`;
+}
+
+/**
+ * Convert the value of a todo.txt rec: key to a recurring date.
+ * @param {string} value The recurrence value, such as '2w' or '+1m'.
+ * @returns {?Object} An object holding the recurring date properties, or null
+ *   if the value is not a supported recurrence.
+ */
+function convertRecurrenceFromTodoTxt(value) {
+  const match = value.match(/^(\+)?(\d+)([dwmy])$/i);
+  if (!match || Number(match[2]) < 1) return null;
+
+  const units = {
+    d: 'day',
+    w: 'week',
+    m: 'month',
+    y: 'year',
+  };
+  return {
+    intervalUnit: units[match[3].toLowerCase()],
+    intervalLength: Number(match[2]),
+    baseOnCompletion: !match[1],
+  };
+}
+
 /**
  * Container holding a list of tasks.
  */
@@ -218,7 +611,11 @@ class TaskList {
    * An object specifying options for sorting tasks.
    * @typedef {Object} module:taskList~TaskList~sortOptions
    * @property {string} field The field to sort by. Can be one of 'name',
-   *   'due-date', 'create-date', 'priority', or 'project'.
+   *   'due-date', 'create-date', 'priority', 'project', or 'tag'. When sorting
+   *   by tag, tasks are compared using the first of their tags in
+   *   alphabetical order. When sorting by due date, tasks due on the same day
+   *   are ordered by their due times, with tasks that have no due time placed
+   *   after those that do.
    * @property {boolean} [descending=false] If set to true, then the tasks will
    *   be sorted in descending order, rather than in ascending order.
    * @property {boolean} [caseSensitive=false] If set to true, then the sorting
@@ -265,6 +662,8 @@ class TaskList {
       tasksByDueDate: new Map(),
       tasksByProject: new Map(),
       tasksByPriority: new Map(),
+      tasksByTag: new Map(),
+      searchIndex: createSearchIndex(),
       eventEmitter: new EventEmitter(),
     };
     privateMembers.set(this, privates);
@@ -325,6 +724,21 @@ class TaskList {
     newKey = copy.priority;
     updateIndex(privates.tasksByPriority, oldKey, newKey);
 
+    const oldTags = getTagKeys(oldTask);
+    const newTags = getTagKeys(copy);
+    oldTags.forEach((tag) => {
+      if (!newTags.includes(tag)) {
+        removeFromMapArrayBy(privates.tasksByTag, tag, (elem) => elem.id === id);
+      }
+    });
+    newTags.forEach((tag) => {
+      if (oldTags.includes(tag)) updateIndex(privates.tasksByTag, tag, tag);
+      else addToMapArray(privates.tasksByTag, tag, { id, task: copy });
+    });
+
+    removeTaskFromSearchIndex(this, id, oldTask);
+    addTaskToSearchIndex(this, id, copy);
+
     privates.eventEmitter.emit('update-task', {
       type: 'update-task',
       id,
@@ -378,6 +792,10 @@ class TaskList {
         priority,
         { ...wrapper },
       );
+      getTagKeys(task).forEach((tag) => {
+        addToMapArray(privates.tasksByTag, tag, { ...wrapper });
+      });
+      addTaskToSearchIndex(this, id, copy);
 
       privates.eventEmitter.emit('add-task', {
         type: 'add-task',
@@ -421,11 +839,13 @@ class TaskList {
   }
 
   /**
-   * Remove a task from the task list.
+   * Remove a task from the task list. Any other tasks that list the removed
+   * task as a dependency are updated to drop the reference.
    * @param {string} id The unique identifier of the task to remove.
    * @returns {boolean} Returns true if the task was found and removed
    *   successfully. Otherwise, if the given id was not found, returns false.
    * @fires module:taskList~TaskList~deleteTask
+   * @fires module:taskList~TaskList~updateTask
    */
   deleteTask(id) {
     const privates = privateMembers.get(this);
@@ -447,6 +867,10 @@ class TaskList {
     removeFromMapArrayBy(privates.tasksByPriority, priority, (elem) => (
       elem.id === id
     ));
+    getTagKeys(task).forEach((tag) => {
+      removeFromMapArrayBy(privates.tasksByTag, tag, (elem) => elem.id === id);
+    });
+    removeTaskFromSearchIndex(this, id, task);
 
     privates.eventEmitter.emit('delete-task', {
       type: 'delete-task',
@@ -454,6 +878,25 @@ class TaskList {
       task,
     });
 
+    // Remove references to the deleted task from other tasks
+    const updatedTasks = [];
+    privates.tasks.forEach((otherTask, otherId) => {
+      if (otherTask.dependencies.includes(id)) {
+        const dependent = otherTask;
+        dependent.dependencies = dependent.dependencies.filter((dependency) => (
+          dependency !== id
+        ));
+        updatedTasks.push({ id: otherId, task: dependent });
+      }
+    });
+    updatedTasks.forEach((entry) => {
+      privates.eventEmitter.emit('update-task', {
+        type: 'update-task',
+        id: entry.id,
+        task: _.cloneDeep(entry.task),
+      });
+    });
+
     return true;
   }
 
@@ -472,6 +915,8 @@ class TaskList {
     privates.tasksByDueDate.clear();
     privates.tasksByProject.clear();
     privates.tasksByPriority.clear();
+    privates.tasksByTag.clear();
+    privates.searchIndex = createSearchIndex();
 
     tasks.forEach(({ id, task }) => {
       privates.eventEmitter.emit('delete-task', {
@@ -514,6 +959,61 @@ class TaskList {
     });
   }
 
+  /**
+   * Determine whether a task is blocked, meaning that at least one of its
+   * prerequisite tasks has not been completed. Prerequisite tasks in the
+   * trash do not block other tasks.
+   * @param {string} id The unique identifier of the task to check.
+   * @returns {boolean} True if the task is blocked, and false otherwise. If
+   *   the task could not be found, returns false.
+   */
+  isBlocked(id) {
+    const task = privateMembers.get(this).tasks.get(id);
+    return task ? isTaskBlocked(this, task) : false;
+  }
+
+  /**
+   * Check whether making a task depend on the given prerequisite tasks would
+   * create a circular dependency, where a task ends up waiting on itself.
+   * @param {?string} id The unique identifier of the task whose dependencies
+   *   are being set. If null, the task is assumed to be new, in which case no
+   *   other task can depend on it.
+   * @param {string[]} dependencies The identifiers of the proposed
+   *   prerequisite tasks.
+   * @returns {?string} The identifier of the first prerequisite task that
+   *   leads back to the given task, or null if there is no cycle.
+   */
+  findDependencyCycle(id, dependencies) {
+    if (!id) return null;
+
+    const { tasks } = privateMembers.get(this);
+    const visited = new Set();
+    const leadsToTask = (current) => {
+      if (current === id) return true;
+      if (visited.has(current)) return false;
+      visited.add(current);
+      const task = tasks.get(current);
+      return task ? task.dependencies.some(leadsToTask) : false;
+    };
+
+    return dependencies.find(leadsToTask) ?? null;
+  }
+
+  /**
+   * Get all of the tags that are assigned to at least one task in the list.
+   * Tasks in the trash are not considered.
+   * @returns {string[]} An array holding the tags, sorted alphabetically.
+   */
+  getTags() {
+    const tags = [];
+    privateMembers.get(this).tasksByTag.forEach((entries, tag) => {
+      if (tag !== '' && entries.some(({ task }) => !task.isInTrash())) {
+        tags.push(tag);
+      }
+    });
+    return Task.normalizeTags(tags);
+  }
+
   /**
    * Execute the provided function on each task in the list. Note that the task
    * instance passed to the callback function is only a copy of the task in the
@@ -541,13 +1041,43 @@ class TaskList {
    *   on or before the given date will be counted.
    * @param {boolean} [options.completed=false] If set to true, then tasks that
    *   have been completed will be counted. Otherwise, they are excluded.
+   * @param {boolean} [options.deferred=false] If set to true, then tasks whose
+   *   start dates have not yet arrived will be counted. Otherwise, they are
+   *   excluded.
+   * @param {boolean} [options.hideBlocked=false] If set to true, then tasks
+   *   that are waiting on incomplete prerequisite tasks will not be counted.
+   * @param {boolean} [options.deleted=false] If set to true, then only tasks
+   *   in the trash will be counted. Otherwise, they are excluded.
    * @param {boolean} [options.requireDueDate=false] If set to true, then only
    *   tasks that have a due date will be counted.
    * @param {string} [options.project] If provided, only tasks belonging to the
    *   specified project will be counted. If set to 'none', then only tasks
    *   that do not have a project assigned will be counted.
+   * @param {boolean} [options.includeSubprojects=false] If set to true,
+   *   then tasks belonging to descendants of the specified project will also
+   *   be counted. This requires the projectList option.
+   * @param {boolean} [options.hideArchived=false] If set to true, then tasks
+   *   belonging to archived projects will not be counted. This requires the
+   *   projectList option.
+   * @param {string[]} [options.projects] If provided, only tasks belonging to
+   *   one of the specified projects will be counted. The string 'none' stands
+   *   for tasks that do not have a project assigned.
    * @param {number} [options.priority] If provided, only tasks with the
    *   specified priority will be counted.
+   * @param {number} [options.minPriority] If provided, only tasks with at
+   *   least the specified priority will be counted.
+   * @param {number} [options.maxPriority] If provided, only tasks with at most
+   *   the specified priority will be counted.
+   * @param {string} [options.tag] If provided, only tasks having the specified
+   *   tag will be counted. If set to the empty string, then only tasks that do
+   *   not have any tags will be counted.
+   * @param {string} [options.search] If provided, only tasks matching the
+   *   search query will be counted. Every word in the query must begin a word
+   *   in the task's name, description, or project name.
+   * @param {module:projectList~ProjectList} [options.projectList] The project
+   *   container. If not provided, then searches will not match project names.
+   *   If provided, then tasks belonging to projects in the trash are not
+   *   counted unless the deleted option is set.
    * @returns {number} The number of tasks in the list matching the given
    *   criteria, or the total number of tasks if no criteria was given.
    */
@@ -562,19 +1092,52 @@ class TaskList {
    *   tasks to include in the Iterator.
    * @param {module:projectList~ProjectList} [options.projectList] The project
    *   container. If not provided, then sorting by project will be disabled.
+   *   If provided, then tasks belonging to projects in the trash are excluded
+   *   unless the deleted option is set.
    * @param {Date} [options.startDate] If provided, all tasks with due dates
    *   before the given date will be excluded.
    * @param {Date} [options.endDate] If provided, all tasks with due dates
    *   after the given date will be excluded.
+   * @param {Date} [options.completionStartDate] If provided, all tasks that
+   *   were not completed on or after the given date will be excluded.
+   * @param {Date} [options.completionEndDate] If provided, all tasks that were
+   *   not completed on or before the given date will be excluded.
    * @param {boolean} [options.completed=false] If set to true, then tasks that
    *   have been completed will be included. Otherwise they are excluded.
+   * @param {boolean} [options.deferred=false] If set to true, then tasks whose
+   *   start dates have not yet arrived will be included. Otherwise they are
+   *   excluded.
+   * @param {boolean} [options.hideBlocked=false] If set to true, then tasks
+   *   that are waiting on incomplete prerequisite tasks will be excluded.
+   * @param {boolean} [options.deleted=false] If set to true, then only tasks
+   *   in the trash will be included. Otherwise they are excluded.
    * @param {boolean} [options.requireDueDate=false] If set to true, then tasks
    *   that do not have a due date will be excluded.
    * @param {string} [options.project] If provided, only tasks belonging to the
    *   specified project will be included. If set to 'none', then only tasks
    *   that do not have a project assigned will be included.
+   * @param {boolean} [options.includeSubprojects=false] If set to true,
+   *   then tasks belonging to descendants of the specified project will also
+   *   be included. This requires the projectList option.
+   * @param {boolean} [options.hideArchived=false] If set to true, then tasks
+   *   belonging to archived projects will not be included. This requires the
+   *   projectList option.
+   * @param {string[]} [options.projects] If provided, only tasks belonging to
+   *   one of the specified projects will be included. The string 'none' stands
+   *   for tasks that do not have a project assigned.
    * @param {number} [options.priority] If provided, only tasks with the
    *   specified priority will be included.
+   * @param {number} [options.minPriority] If provided, only tasks with at
+   *   least the specified priority will be included.
+   * @param {number} [options.maxPriority] If provided, only tasks with at most
+   *   the specified priority will be included.
+   * @param {string} [options.tag] If provided, only tasks having the specified
+   *   tag will be included. If set to the empty string, then only tasks that
+   *   do not have any tags will be included.
+   * @param {string} [options.search] If provided, only tasks matching the
+   *   search query will be included. Every word in the query must begin a word
+   *   in the task's name, description, or project name (if projectList is
+   *   given).
    * @param {module:taskList~TaskList~sortOptions[]} [options.sortBy] An array
    *   of objects specifying the sort order. The first element in the array
    *   determines the primary field on which to sort the tasks, the second
@@ -619,6 +1182,16 @@ class TaskList {
             if (leftDate && rightDate && !isSameDay(leftDate, rightDate)) {
               return isDateBefore(leftDate, rightDate) ? LESS : MORE;
             }
+
+            // On the same day, tasks due at a specific time come first
+            if (leftDate && rightDate) {
+              if (leftTask.hasDueTime && !rightTask.hasDueTime) return LESS;
+              if (!leftTask.hasDueTime && rightTask.hasDueTime) return MORE;
+              if (leftTask.hasDueTime && rightTask.hasDueTime
+                && leftDate.getTime() !== rightDate.getTime()) {
+                return isDateBefore(leftDate, rightDate) ? LESS : MORE;
+              }
+            }
             break;
           }
           case 'create-date':
@@ -653,6 +1226,21 @@ class TaskList {
             }
             break;
           }
+          case 'tag': {
+            let leftTag = leftTask.tags[0];
+            let rightTag = rightTask.tags[0];
+            if (!leftTag && rightTag) return missingLast ? MORE : LESS;
+            if (leftTag && !rightTag) return missingLast ? LESS : MORE;
+            if (leftTag && rightTag) {
+              if (!caseSensitive) {
+                leftTag = leftTag.toLowerCase();
+                rightTag = rightTag.toLowerCase();
+              }
+              if (leftTag < rightTag) return LESS;
+              if (leftTag > rightTag) return MORE;
+            }
+            break;
+          }
           default:
             return 0;
         }
@@ -689,7 +1277,8 @@ class TaskList {
   }
 
   /**
-   * Convert data to a string in CSV (comma-separated values) format.
+   * Convert data to a string in CSV (comma-separated values) format. Tasks in
+   * the trash are not included.
    * @param {Object} [options={}] An object holding additional options.
    * @param {string} [options.newlineSequence] The character sequence to use
    *   for newlines. If not given, then a carriage return/line feed pair (CRLF)
@@ -699,22 +1288,35 @@ class TaskList {
    * @param {module:projectList~ProjectList} [options.projectList] The project
    *   container. If not provided, then no project information besides the
    *   project identifier will be included in the CSV fields.
+   * @param {Object} [options.criteria] If provided, only the tasks matching
+   *   these criteria are included. The criteria are the same as the options
+   *   for [entries]{@link module:taskList~TaskList#entries}.
    * @returns {string} The task data in CSV format.
    */
   toCsv(options = {}) {
     const projectFields = [];
     if (options.projectList) projectFields.push('Project Name');
     projectFields.push('Project UUID');
-    if (options.projectList) projectFields.push('Project Description');
+    if (options.projectList) {
+      projectFields.push('Project Description', 'Project Color', 'Project Icon');
+    }
 
     const header = [
       'Name',
       'UUID',
       'Due Date',
+      'Has Due Time?',
+      'Start Date',
       'Date Added',
       'Date Completed',
       'Priority',
       'Description',
+      'Checklist',
+      'Tags',
+      'Dependencies',
+      'Estimated Minutes',
+      'Logged Minutes',
+      'Time Log',
       ...projectFields,
       'Recurrence Interval Unit',
       'Recurrence Interval Length',
@@ -733,15 +1335,31 @@ class TaskList {
     const csvOptions = { newlineSequence };
     const convertDate = (date) => date?.toJSON() ?? '';
     const lines = [arrayToCsvRecord(header, csvOptions)];
-    privateMembers.get(this).tasks.forEach((task, id) => {
+    const now = new Date();
+    getExportEntries(this, options).forEach(({ id, task }) => {
+      if (task.isInTrash()) return;
+
       const fields = [
         task.name,
         id,
         convertDate(task.dueDate),
+        task.hasDueTime.toString(),
+        convertDate(task.startDate),
         convertDate(task.creationDate),
         convertDate(task.completionDate),
         Task.convertPriorityToPrettyString(task.priority),
         task.description ?? '',
+        task.checklist.map((item) => (
+          `${item.completed ? '[x]' : '[ ]'} ${item.name}`
+        )).join('\n'),
+        task.tags.join(', '),
+        task.dependencies.join(', '),
+        task.estimate?.toString() ?? '',
+        task.timeLog.length > 0
+          ? Math.round(task.getLoggedTime(now)).toString() : '',
+        task.timeLog.map((interval) => (
+          `${convertDate(interval.start)}/${convertDate(interval.end)}`
+        )).join('\n'),
       ];
 
       if (options.projectList) {
@@ -753,6 +1371,8 @@ class TaskList {
           project?.name ?? '',
           task.project ?? '',
           project?.description ?? '',
+          project?.color ?? '',
+          project?.icon ?? '',
         );
       } else {
         fields.push(task.project ?? '');
@@ -821,6 +1441,138 @@ class TaskList {
     return lines.join(newlineSequence);
   }
 
+  /**
+   * Convert data to a string in the iCalendar format described by
+   * [RFC 5545]{@link https://datatracker.ietf.org/doc/html/rfc5545}, with each
+   * task written as a VTODO component. The project of a task and its tags are
+   * written as categories. Tasks in the trash are not included.
+   * @param {Object} [options={}] An object holding additional options.
+   * @param {string} [options.newlineSequence] The character sequence to use
+   *   for newlines. If not given, then a carriage return/line feed pair (CRLF)
+   *   is used, as required by the specification.
+   * @param {module:projectList~ProjectList} [options.projectList] The project
+   *   container. If not provided, then project names will not be included.
+   * @param {string} [options.productId] The identifier of the product that
+   *   created the data, for the PRODID property.
+   * @param {Object} [options.criteria] If provided, only the tasks matching
+   *   these criteria are included. The criteria are the same as the options
+   *   for [entries]{@link module:taskList~TaskList#entries}.
+   * @returns {string} The task data in iCalendar format.
+   */
+  toICalendar(options = {}) {
+    const newlineSequence = options.newlineSequence ?? '\r\n';
+    const now = formatCalendarDate(new Date());
+
+    const lines = [];
+    const addLine = (name, value, params) => {
+      lines.push(createCalendarLine(name, value, params, newlineSequence));
+    };
+
+    addLine('BEGIN', 'VCALENDAR');
+    addLine('VERSION', '2.0');
+    addLine('PRODID', escapeCalendarText(options.productId || '-//Task It Up//EN'));
+    getExportEntries(this, options).forEach(({ id, task }) => {
+      if (task.isInTrash()) return;
+
+      addLine('BEGIN', 'VTODO');
+      addLine('UID', id);
+      addLine('DTSTAMP', now);
+      addLine('CREATED', formatCalendarDate(task.creationDate));
+      addLine('SUMMARY', escapeCalendarText(task.name));
+      if (task.description) {
+        addLine('DESCRIPTION', escapeCalendarText(task.description));
+      }
+      if (task.startDate) {
+        const date = formatCalendarDate(task.startDate, { dateOnly: true });
+        addLine('DTSTART', date, { VALUE: 'DATE' });
+      }
+      if (task.dueDate && task.hasDueTime) {
+        addLine('DUE', formatCalendarDate(task.dueDate));
+      } else if (task.dueDate) {
+        const date = formatCalendarDate(task.dueDate, { dateOnly: true });
+        addLine('DUE', date, { VALUE: 'DATE' });
+      }
+      addLine('PRIORITY', convertPriorityToCalendar(task.priority).toString());
+      if (task.isComplete()) {
+        addLine('STATUS', 'COMPLETED');
+        addLine('COMPLETED', formatCalendarDate(task.completionDate));
+      } else {
+        addLine('STATUS', 'NEEDS-ACTION');
+      }
+
+      const project = task.project
+        ? options.projectList?.getProject(task.project) : null;
+      if (project) {
+        addLine('CATEGORIES', escapeCalendarText(project.name), {
+          [PROJECT_PARAM]: 'TRUE',
+        });
+      }
+      if (task.tags.length > 0) {
+        addLine('CATEGORIES', task.tags.map(escapeCalendarText).join(','));
+      }
+
+      if (task.recurringDate) addLine('RRULE', task.recurringDate.toRRule());
+      addLine('END', 'VTODO');
+    });
+    addLine('END', 'VCALENDAR');
+    lines.push('');
+
+    return lines.join(newlineSequence);
+  }
+
+  /**
+   * Convert data to a string in
+   * [todo.txt]{@link https://github.com/todotxt/todo.txt} format, with one
+   * task per line. Priorities are written as (A) through (E), the project of
+   * a task as a +Project, and its tags as @contexts. The due date, start
+   * date, and recurrence are written with the due:, t:, and rec: keys. Task
+   * fields that the format cannot represent, such as descriptions, are not
+   * included, nor are tasks in the trash.
+   * @param {Object} [options={}] An object holding additional options.
+   * @param {string} [options.newlineSequence] The character sequence to use
+   *   for newlines. If not given, then a line feed (LF) is used.
+   * @param {module:projectList~ProjectList} [options.projectList] The project
+   *   container. If not provided, then project names will not be included.
+   * @param {Object} [options.criteria] If provided, only the tasks matching
+   *   these criteria are included. The criteria are the same as the options
+   *   for [entries]{@link module:taskList~TaskList#entries}.
+   * @returns {string} The task data in todo.txt format.
+   */
+  toTodoTxt(options = {}) {
+    const lines = [];
+    getExportEntries(this, options).forEach(({ task }) => {
+      if (task.isInTrash()) return;
+
+      const completed = task.isComplete();
+      const priority = convertPriorityToTodoTxt(task.priority);
+      const keyValues = {};
+      if (task.dueDate) keyValues.due = formatIsoDate(task.dueDate);
+      if (task.startDate) keyValues.t = formatIsoDate(task.startDate);
+      if (task.recurringDate) {
+        keyValues.rec = convertRecurrenceToTodoTxt(task.recurringDate);
+      }
+
+      // Completed tasks keep their priority in a pri: key
+      if (completed) keyValues.pri = priority;
+
+      const project = task.project
+        ? options.projectList?.getProject(task.project) : null;
+      lines.push(createTodoTxtLine({
+        completed,
+        priority: completed ? null : priority,
+        completionDate: completed ? formatIsoDate(task.completionDate) : null,
+        creationDate: formatIsoDate(task.creationDate),
+        name: task.name,
+        projects: project ? [project.name] : [],
+        contexts: task.tags,
+        keyValues,
+      }));
+    });
+    lines.push('');
+
+    return lines.join(options.newlineSequence ?? '\n');
+  }
+
   /**
    * Import tasks from a JSON object.
    * @param {Object} data The serialized JSON object to import.
@@ -848,6 +1600,12 @@ class TaskList {
       return { tasks: counts, errors };
     }
 
+    // Tasks may depend on other tasks that appear later in the data
+    const importedIds = new Set();
+    data.forEach((task) => {
+      if (typeof task?.id === 'string') importedIds.add(task.id);
+    });
+
     data.forEach((task) => {
       const handleError = (errorType, value, opts) => {
         if (value == null) return;
@@ -882,6 +1640,14 @@ class TaskList {
           case 'failed-predicate':
             if (opts.valueName === 'project') {
               msg = `Unrecognized project identifier "${value}" for property "${opts.valueName}".`;
+            } else if (/^checklist\[\d+\]\.name$/.test(opts.valueName)) {
+              msg = `Checklist item name must not be empty for property "${opts.valueName}".`;
+            } else if (/^dependencies\[\d+\]$/.test(opts.valueName)) {
+              msg = `Unrecognized task identifier "${value}" for property "${opts.valueName}".`;
+            } else if (/^reminders\[\d+\]\.time$/.test(opts.valueName)) {
+              msg = `Expected a time in "HH:mm" format for property "${opts.valueName}" (received "${value}").`;
+            } else if (/^timeLog\[\d+\]\.end$/.test(opts.valueName)) {
+              msg = `End of time interval cannot be before its start for property "${opts.valueName}" (received "${value}").`;
             } else {
               msg = `Failed custom validation for property "${opts.valueName}.`;
             }
@@ -924,6 +1690,22 @@ class TaskList {
           errorCallback: handleError,
         });
 
+        if (validateValue(task.hasDueTime, {
+          valueName: 'hasDueTime',
+          expectedType: 'boolean',
+          errorCallback: handleError,
+        })) taskOptions.hasDueTime = task.hasDueTime;
+
+        validateValue(task.startDate, {
+          valueName: 'startDate',
+          expectedType: 'date',
+          allowConversion: true,
+          successCallback: (value) => {
+            taskOptions.startDate = value;
+          },
+          errorCallback: handleError,
+        });
+
         validateValue(task.creationDate, {
           valueName: 'creationDate',
           expectedType: 'date',
@@ -944,6 +1726,16 @@ class TaskList {
           errorCallback: handleError,
         });
 
+        validateValue(task.deletionDate, {
+          valueName: 'deletionDate',
+          expectedType: 'date',
+          allowConversion: true,
+          successCallback: (value) => {
+            taskOptions.deletionDate = value;
+          },
+          errorCallback: handleError,
+        });
+
         if (task.priority != null) {
           const setPriority = (value) => {
             taskOptions.priority = value;
@@ -978,6 +1770,210 @@ class TaskList {
           errorCallback: handleError,
         })) taskOptions.description = task.description;
 
+        if (validateValue(task.checklist, {
+          valueName: 'checklist',
+          expectedType: 'array',
+          errorCallback: handleError,
+        })) {
+          const checklist = [];
+          task.checklist.forEach((item, index) => {
+            const valueName = `checklist[${index}]`;
+            if (validateValue(item, {
+              valueName,
+              expectedType: 'object',
+              errorCallback: handleError,
+            }) && validateValue(item.name, {
+              valueName: `${valueName}.name`,
+              expectedType: 'string',
+              customPredicate: (value) => value.length > 0,
+              errorCallback: handleError,
+            })) {
+              let completed = false;
+              validateValue(item.completed, {
+                valueName: `${valueName}.completed`,
+                expectedType: 'boolean',
+                successCallback: (value) => {
+                  completed = value;
+                },
+                errorCallback: handleError,
+              });
+              checklist.push({ name: item.name, completed });
+            }
+          });
+          taskOptions.checklist = checklist;
+        }
+
+        if (validateValue(task.tags, {
+          valueName: 'tags',
+          expectedType: 'array',
+          errorCallback: handleError,
+        })) {
+          const tags = [];
+          task.tags.forEach((tag, index) => {
+            if (validateValue(tag, {
+              valueName: `tags[${index}]`,
+              expectedType: 'string',
+              errorCallback: handleError,
+            })) tags.push(tag);
+          });
+          taskOptions.tags = tags;
+        }
+
+        if (validateValue(task.reminders, {
+          valueName: 'reminders',
+          expectedType: 'array',
+          errorCallback: handleError,
+        })) {
+          const reminders = [];
+          task.reminders.forEach((reminder, index) => {
+            const valueName = `reminders[${index}]`;
+            if (validateValue(reminder, {
+              valueName,
+              expectedType: 'object',
+              errorCallback: handleError,
+            }) && validateValue(reminder.amount, {
+              valueName: `${valueName}.amount`,
+              expectedType: 'number',
+              requireInteger: true,
+              min: 0,
+              errorCallback: handleError,
+            }) && validateValue(reminder.unit, {
+              valueName: `${valueName}.unit`,
+              expectedType: 'string',
+              expectedValues: ['minute', 'hour', 'day', 'week'],
+              errorCallback: handleError,
+            })) {
+              let time = null;
+              if (validateValue(reminder.time, {
+                valueName: `${valueName}.time`,
+                expectedType: 'string',
+                customPredicate: (value) => (
+                  /^([01]\d|2[0-3]):[0-5]\d$/.test(value)
+                ),
+                errorCallback: handleError,
+              })) time = reminder.time;
+              reminders.push({ amount: reminder.amount, unit: reminder.unit, time });
+            }
+          });
+          taskOptions.reminders = reminders;
+        }
+
+        if (validateValue(task.dependencies, {
+          valueName: 'dependencies',
+          expectedType: 'array',
+          errorCallback: handleError,
+        })) {
+          const dependencies = [];
+          task.dependencies.forEach((dependency, index) => {
+            if (validateValue(dependency, {
+              valueName: `dependencies[${index}]`,
+              expectedType: 'string',
+              requireUuid: true,
+              customPredicate: (value) => value !== task.id
+                && (this.hasTask(value) || importedIds.has(value)),
+              errorCallback: handleError,
+            })) dependencies.push(dependency);
+          });
+          taskOptions.dependencies = dependencies;
+        }
+
+        validateValue(task.estimate, {
+          valueName: 'estimate',
+          expectedType: 'number',
+          allowConversion: true,
+          min: 0,
+          successCallback: (value) => {
+            taskOptions.estimate = value;
+          },
+          errorCallback: handleError,
+        });
+
+        if (validateValue(task.timeLog, {
+          valueName: 'timeLog',
+          expectedType: 'array',
+          errorCallback: handleError,
+        })) {
+          const timeLog = [];
+          task.timeLog.forEach((interval, index) => {
+            const valueName = `timeLog[${index}]`;
+            let start = null;
+            if (validateValue(interval, {
+              valueName,
+              expectedType: 'object',
+              errorCallback: handleError,
+            }) && validateValue(interval.start, {
+              valueName: `${valueName}.start`,
+              expectedType: 'date',
+              allowConversion: true,
+              successCallback: (value) => {
+                start = value;
+              },
+              errorCallback: handleError,
+            })) {
+              let end = null;
+              const isValid = interval.end == null || validateValue(
+                interval.end,
+                {
+                  valueName: `${valueName}.end`,
+                  expectedType: 'date',
+                  allowConversion: true,
+                  customPredicate: (value) => !isDateBefore(value, start),
+                  successCallback: (value) => {
+                    end = value;
+                  },
+                  errorCallback: handleError,
+                },
+              );
+              // Only the last interval may be left open by a running timer
+              if (isValid && (end || index === task.timeLog.length - 1)) {
+                timeLog.push({ start, end });
+              }
+            }
+          });
+          taskOptions.timeLog = timeLog;
+        }
+
+        if (validateValue(task.completionHistory, {
+          valueName: 'completionHistory',
+          expectedType: 'array',
+          errorCallback: handleError,
+        })) {
+          const completionHistory = [];
+          task.completionHistory.forEach((entry, index) => {
+            const valueName = `completionHistory[${index}]`;
+            let date = null;
+            if (validateValue(entry, {
+              valueName,
+              expectedType: 'object',
+              errorCallback: handleError,
+            }) && validateValue(entry.date, {
+              valueName: `${valueName}.date`,
+              expectedType: 'date',
+              allowConversion: true,
+              successCallback: (value) => {
+                date = value;
+              },
+              errorCallback: handleError,
+            })) {
+              let dueDate = null;
+              if (entry.dueDate != null) {
+                validateValue(entry.dueDate, {
+                  valueName: `${valueName}.dueDate`,
+                  expectedType: 'date',
+                  allowConversion: true,
+                  successCallback: (value) => {
+                    dueDate = value;
+                  },
+                  errorCallback: handleError,
+                });
+              }
+              completionHistory.push({ date, dueDate });
+            }
+          });
+          completionHistory.sort((a, b) => a.date - b.date);
+          taskOptions.completionHistory = completionHistory;
+        }
+
         if (validateValue(task.recurringDate, {
           valueName: 'recurringDate',
           expectedType: 'object',
@@ -1096,6 +2092,15 @@ class TaskList {
             errorCallback: handleError,
           })) recOptions.maxCount = recurringDate.maxCount;
 
+          validateValue(recurringDate.rrule, {
+            valueName: 'recurringDate.rrule',
+            expectedType: 'string',
+            successCallback: (value) => {
+              recOptions.rrule = value;
+            },
+            errorCallback: handleError,
+          });
+
           const recurrence = new RecurringDate(
             task.recurringDate.intervalUnit,
             recOptions,
@@ -1138,7 +2143,10 @@ class TaskList {
    *   import.
    * @param {module:projectList~ProjectList} [options.projectList] The project
    *   container. If not provided, then full validation will not be performed
-   *   on project identifiers.
+   *   on project identifiers, and project names will not be recognized.
+   * @param {module:settings~Settings~dateFormat} [options.dateFormat] The
+   *   format of the dates in the data. If not provided, then dates are
+   *   expected in ISO format.
    * @returns {module:taskList~TaskList~importStatus} An object holding
    *   information about the status of the import.
    * @fires module:taskList~TaskList~addTask
@@ -1146,6 +2154,7 @@ class TaskList {
    */
   importFromCsv(data, options = {}) {
     const header = (data.length > 0) ? data[0] : [];
+    const errors = [];
     const entries = [];
 
     data.forEach((csvRecord, csvIndex) => {
@@ -1153,6 +2162,16 @@ class TaskList {
 
       const entry = {};
       const recurringDate = {};
+      const invalidDates = [];
+      let projectName = null;
+
+      const readDate = (key, value) => {
+        if (!options.dateFormat) return value;
+        const date = parseDate(value, options.dateFormat.inputPatterns);
+        if (!date) invalidDates.push({ key, value });
+        return date;
+      };
+
       csvRecord.forEach((value, index) => {
         if (index >= header.length || value.length === 0) return;
 
@@ -1165,15 +2184,24 @@ class TaskList {
             break;
           case 'due date':
           case 'due-date':
-            entry.dueDate = value;
+            entry.dueDate = readDate('Due Date', value);
+            break;
+          case 'has due time?':
+          case 'has due time':
+          case 'has-due-time':
+            entry.hasDueTime = value.toLowerCase() === 'true';
+            break;
+          case 'start date':
+          case 'start-date':
+            entry.startDate = readDate('Start Date', value);
             break;
           case 'date added':
           case 'date-added':
-            entry.creationDate = value;
+            entry.creationDate = readDate('Date Added', value);
             break;
           case 'date completed':
           case 'date-completed':
-            entry.completionDate = value;
+            entry.completionDate = readDate('Date Completed', value);
             break;
           case 'priority':
             entry.priority = Task.convertStringToPriority(value);
@@ -1181,10 +2209,44 @@ class TaskList {
           case 'description':
             entry.description = value;
             break;
+          case 'checklist':
+            entry.checklist = value.split(/\r\n|\n|\r/).map((line) => {
+              const match = line.match(/^\s*\[([ xX]?)\]\s?(.*)$/);
+              if (match) {
+                const completed = match[1].toLowerCase() === 'x';
+                return { name: match[2].trim(), completed };
+              }
+              return { name: line.trim(), completed: false };
+            }).filter((item) => item.name.length > 0);
+            break;
+          case 'tags':
+            entry.tags = value.split(',');
+            break;
+          case 'dependencies':
+            entry.dependencies = value.split(',').map((id) => id.trim())
+              .filter((id) => id.length > 0);
+            break;
+          case 'estimated minutes':
+          case 'estimated-minutes':
+            entry.estimate = value;
+            break;
+          case 'time log':
+          case 'time-log':
+            entry.timeLog = value.split(/\r\n|\n|\r/)
+              .filter((line) => line.trim().length > 0)
+              .map((line) => {
+                const [start, end] = line.split('/').map((date) => date.trim());
+                return { start, end: end || null };
+              });
+            break;
           case 'project uuid':
           case 'project-uuid':
             entry.project = value;
             break;
+          case 'project name':
+          case 'project-name':
+            projectName = value;
+            break;
           case 'recurrence interval unit':
           case 'recurrence-interval-unit':
             recurringDate.intervalUnit = value.toLowerCase();
@@ -1195,7 +2257,7 @@ class TaskList {
             break;
           case 'recurrence start date':
           case 'recurrence-start-date':
-            recurringDate.startDate = value;
+            recurringDate.startDate = readDate('Recurrence Start Date', value);
             break;
           case 'recurrence based on completion?':
           case 'recurrence based on completion':
@@ -1251,7 +2313,7 @@ class TaskList {
           }
           case 'recurrence end date':
           case 'recurrence-end-date':
-            recurringDate.endDate = value;
+            recurringDate.endDate = readDate('Recurrence End Date', value);
             break;
           case 'recurrence max count':
           case 'recurrence-max-count':
@@ -1262,10 +2324,212 @@ class TaskList {
         }
       });
       if (!_.isEmpty(recurringDate)) entry.recurringDate = recurringDate;
-      if (!_.isEmpty(entry)) entries.push(entry);
+      if (!entry.project && projectName) {
+        entry.project = findProjectByName(options.projectList, projectName);
+      }
+      if (_.isEmpty(entry)) return;
+
+      invalidDates.forEach(({ key, value }) => {
+        errors.push(`Warning: Task "${entry.name}": Expected a date in ${options.dateFormat.visualPattern} format for "${key}" (received "${value}").`);
+      });
+      entries.push(entry);
+    });
+
+    const result = this.importFromJson(entries, options);
+    return { tasks: result.tasks, errors: [...errors, ...result.errors] };
+  }
+
+  /**
+   * Import tasks from the VTODO components of parsed iCalendar data. A
+   * category is used as the project of a task if it was marked as a project
+   * when exported, or otherwise if it matches the name of an existing
+   * project. The remaining categories become tags. Any projects named in the
+   * data should be imported first with
+   * [importFromICalendar]{@link module:projectList~ProjectList#importFromICalendar}.
+   * @param {module:calendar~component[]} data The parsed iCalendar data.
+   * @param {Object} [options={}] An object holding additional options for the
+   *   import.
+   * @param {module:projectList~ProjectList} [options.projectList] The project
+   *   container. If not provided, then all categories become tags.
+   * @returns {module:taskList~TaskList~importStatus} An object holding
+   *   information about the status of the import.
+   * @fires module:taskList~TaskList~addTask
+   * @fires module:taskList~TaskList~updateTask
+   */
+  importFromICalendar(data, options = {}) {
+    const errors = [];
+    const entries = [];
+
+    findCalendarComponents(data, 'VTODO').forEach((todo) => {
+      const entry = {};
+      const badDates = [];
+      const tags = [];
+      let projectName = null;
+      let status = null;
+      let rrule = null;
+
+      const readDate = (name, value) => {
+        const result = parseCalendarDate(value);
+        if (!result) badDates.push({ name, value });
+        return result;
+      };
+
+      todo.properties.forEach(({ name, params, value }) => {
+        switch (name) {
+          case 'UID':
+            if (isUuidValid(value.trim())) entry.id = value.trim();
+            break;
+          case 'SUMMARY':
+            entry.name = unescapeCalendarText(value).trim();
+            break;
+          case 'DESCRIPTION':
+            entry.description = unescapeCalendarText(value);
+            break;
+          case 'DUE': {
+            const result = readDate(name, value);
+            if (result) {
+              entry.dueDate = result.date;
+              entry.hasDueTime = !result.dateOnly;
+            }
+            break;
+          }
+          case 'DTSTART':
+            entry.startDate = readDate(name, value)?.date;
+            break;
+          case 'CREATED':
+            entry.creationDate = readDate(name, value)?.date;
+            break;
+          case 'COMPLETED':
+            entry.completionDate = readDate(name, value)?.date;
+            break;
+          case 'STATUS':
+            status = value.trim().toUpperCase();
+            break;
+          case 'PRIORITY':
+            entry.priority = convertPriorityFromCalendar(Number(value));
+            break;
+          case 'CATEGORIES': {
+            const categories = splitCalendarList(value);
+            if (params[PROJECT_PARAM] && !projectName && categories.length > 0) {
+              projectName = categories.shift();
+            }
+            tags.push(...categories);
+            break;
+          }
+          case 'RRULE':
+            rrule = value;
+            break;
+          default:
+            break;
+        }
+      });
+
+      const msgPrefix = `Warning: Task "${entry.name}"`;
+      badDates.forEach(({ name, value }) => {
+        errors.push(`${msgPrefix}: Expected a date for property "${name}" (received "${value}").`);
+      });
+
+      if (status === 'COMPLETED' && !entry.completionDate) {
+        entry.completionDate = new Date();
+      }
+
+      if (projectName) {
+        entry.project = findProjectByName(options.projectList, projectName);
+        if (!entry.project) tags.unshift(projectName);
+      } else {
+        const index = tags.findIndex((tag) => (
+          findProjectByName(options.projectList, tag)
+        ));
+        if (index >= 0) {
+          entry.project = findProjectByName(options.projectList, tags[index]);
+          tags.splice(index, 1);
+        }
+      }
+      if (tags.length > 0) entry.tags = tags;
+
+      if (rrule) {
+        try {
+          entry.recurringDate = { ...RecurringDate.fromRRule(rrule) };
+        } catch (e) {
+          if (!(e instanceof SyntaxError || e instanceof RangeError)) throw e;
+          errors.push(`${msgPrefix}: Could not import recurrence rule "${rrule}" (${e.message}).`);
+        }
+      }
+
+      entries.push(entry);
+    });
+
+    const result = this.importFromJson(entries, options);
+    return { tasks: result.tasks, errors: [...errors, ...result.errors] };
+  }
+
+  /**
+   * Import tasks from parsed todo.txt data. The first project of a task is
+   * used as its project if it matches the name of an existing project, with
+   * underscores matching spaces. Any other projects, along with the contexts,
+   * become tags. Any projects named in the data should be imported first with
+   * [importFromTodoTxt]{@link module:projectList~ProjectList#importFromTodoTxt}.
+   * @param {module:todoTxt~entry[]} data The parsed todo.txt data.
+   * @param {Object} [options={}] An object holding additional options for the
+   *   import.
+   * @param {module:projectList~ProjectList} [options.projectList] The project
+   *   container. If not provided, then all projects become tags.
+   * @returns {module:taskList~TaskList~importStatus} An object holding
+   *   information about the status of the import.
+   * @fires module:taskList~TaskList~addTask
+   * @fires module:taskList~TaskList~updateTask
+   */
+  importFromTodoTxt(data, options = {}) {
+    const errors = [];
+    const entries = data.map((item) => {
+      const entry = { name: item.name };
+      const msgPrefix = `Warning: Task "${item.name}"`;
+
+      const readDate = (key, value) => {
+        const date = /^\d{4}-\d{2}-\d{2}$/.test(value)
+          ? parseDate(value, 'yyyy-MM-dd') : null;
+        if (!date) {
+          errors.push(`${msgPrefix}: Expected a date in yyyy-MM-dd format for "${key}" (received "${value}").`);
+        }
+        return date;
+      };
+
+      if (item.creationDate) {
+        entry.creationDate = readDate('creation date', item.creationDate);
+      }
+      if (item.completed) {
+        entry.completionDate = item.completionDate
+          ? readDate('completion date', item.completionDate) : null;
+        entry.completionDate ??= new Date();
+      }
+
+      const { keyValues } = item;
+      if (keyValues.due) entry.dueDate = readDate('due', keyValues.due);
+      if (keyValues.t) entry.startDate = readDate('t', keyValues.t);
+
+      const priority = item.priority ?? keyValues.pri?.toUpperCase();
+      if (priority && /^[A-Z]$/.test(priority)) {
+        entry.priority = convertPriorityFromTodoTxt(priority);
+      }
+
+      if (keyValues.rec) {
+        const recurringDate = convertRecurrenceFromTodoTxt(keyValues.rec);
+        if (recurringDate) entry.recurringDate = recurringDate;
+        else errors.push(`${msgPrefix}: Could not import recurrence "rec:${keyValues.rec}".`);
+      }
+
+      const tags = [...item.projects, ...item.contexts];
+      if (item.projects.length > 0) {
+        entry.project = findTodoTxtProject(options.projectList, tags[0]);
+        if (entry.project) tags.shift();
+      }
+      if (tags.length > 0) entry.tags = tags;
+
+      return entry;
     });
 
-    return this.importFromJson(entries, options);
+    const result = this.importFromJson(entries, options);
+    return { tasks: result.tasks, errors: [...errors, ...result.errors] };
   }
 }
 
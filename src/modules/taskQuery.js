@@ -0,0 +1,379 @@
+/**
+ * Defines the [TaskQuery]{@link module:taskQuery~TaskQuery} class.
+ * @module taskQuery
+ */
+
+import {
+  add as addToDate,
+  endOfDay,
+  isAfter as isDateAfter,
+  isBefore as isDateBefore,
+  startOfDay,
+} from 'date-fns';
+
+import Task from './task';
+import { parseDate } from './utility/dates';
+
+/**
+ * Matches a single term of a query: an optional '-' for negation, an optional
+ * field name and comparison operator, and a value that is either a single
+ * word or a string in double quotes.
+ * @type {RegExp}
+ */
+const TERM_PATTERN = /\s*(-)?(?:([a-z]+)(<=|>=|[:=<>]))?(?:"([^"]*)"|([^\s"]+))/iy;
+
+const FIELDS = ['priority', 'due', 'project', 'tag'];
+const FLAGS = ['completed', 'deferred', 'blocked'];
+const PRIORITIES = ['very-low', 'low', 'medium', 'high', 'very-high'];
+
+/**
+ * Object holding private members for the
+ * [TaskQuery]{@link module:taskQuery~TaskQuery} class.
+ * @typedef {Object} module:taskQuery~TaskQuery~privates
+ * @property {string} query The query string.
+ * @property {module:taskQuery~TaskQuery~condition[]} conditions The
+ *   conditions parsed from the query string, in order of appearance.
+ * @property {string[]} words The free-text words in the query, which are
+ *   matched against task names, descriptions, and project names.
+ */
+
+/**
+ * Holds private data for the [TaskQuery]{@link module:taskQuery~TaskQuery}
+ * class.
+ * @type {WeakMap}
+ * @see module:taskQuery~TaskQuery~privates
+ */
+const privateMembers = new WeakMap();
+
+/**
+ * Parse the value of a due date condition.
+ * @param {string} value The value to parse: 'today', 'tomorrow', 'yesterday',
+ *   a whole number followed by 'd', 'w', or 'm' (days, weeks, or months from
+ *   today), or a date in yyyy-MM-dd format.
+ * @returns {Object} An object describing the date. For relative dates, this
+ *   has an amount property and a unit property ('days', 'weeks', or
+ *   'months'). For absolute dates, this has a date property.
+ * @throws {SyntaxError} If the value is not a recognized date.
+ */
+function parseDueValue(value) {
+  switch (value.toLowerCase()) {
+    case 'today':
+      return { amount: 0, unit: 'days' };
+    case 'tomorrow':
+      return { amount: 1, unit: 'days' };
+    case 'yesterday':
+      return { amount: -1, unit: 'days' };
+    default:
+      break;
+  }
+
+  const match = value.match(/^(-?\d+)([dwm])$/i);
+  if (match) {
+    const units = { d: 'days', w: 'weeks', m: 'months' };
+    return { amount: Number(match[1]), unit: units[match[2].toLowerCase()] };
+  }
+
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? parseDate(value, 'yyyy-MM-dd') : null;
+  if (!date) {
+    throw new SyntaxError(`Unrecognized date "${value}" for "due"`);
+  }
+  return { date };
+}
+
+/**
+ * Parse a query string into conditions and free-text words.
+ * @param {string} query The query string to parse.
+ * @returns {Object} An object with a conditions property holding an array of
+ *   [condition]{@link module:taskQuery~TaskQuery~condition} objects and a
+ *   words property holding an array of free-text words.
+ * @throws {SyntaxError} If the query is malformed.
+ */
+function parse(query) {
+  const conditions = [];
+  const words = [];
+  const seenFields = new Set();
+
+  if ((query.match(/"/g) || []).length % 2 !== 0) {
+    throw new SyntaxError('Unclosed quotation mark in query');
+  }
+
+  let position = 0;
+  while (query.slice(position).trim().length > 0) {
+    TERM_PATTERN.lastIndex = position;
+    const match = TERM_PATTERN.exec(query);
+    if (!match) throw new SyntaxError('Malformed query');
+    position = TERM_PATTERN.lastIndex;
+
+    const negated = Boolean(match[1]);
+    const quoted = match[4] !== undefined;
+    const value = quoted ? match[4] : match[5];
+
+    if (match[2]) {
+      const field = match[2].toLowerCase();
+      const operator = match[3] === '=' ? ':' : match[3];
+      if (!FIELDS.includes(field)) {
+        throw new SyntaxError(`Unrecognized field "${match[2]}"`);
+      }
+      if (negated) {
+        throw new SyntaxError(`Negation is not supported for "${field}"`);
+      }
+      if (value.length === 0) {
+        throw new SyntaxError(`Missing value for "${field}"`);
+      }
+
+      const condition = { field, operator };
+      switch (field) {
+        case 'priority': {
+          const priority = value.toLowerCase().replace(/\s+/g, '-');
+          if (!PRIORITIES.includes(priority)) {
+            throw new SyntaxError(`Unrecognized priority "${value}"`);
+          }
+          condition.value = Task.convertStringToPriority(priority);
+          break;
+        }
+        case 'due':
+          condition.value = parseDueValue(value);
+          break;
+        case 'project':
+        case 'tag':
+        default:
+          if (operator !== ':') {
+            throw new SyntaxError(
+              `Operator "${match[3]}" is not supported for "${field}"`,
+            );
+          }
+          if (seenFields.has(field)) {
+            throw new SyntaxError(`Only one "${field}" condition is allowed`);
+          }
+          condition.value = value;
+          break;
+      }
+      seenFields.add(field);
+      conditions.push(condition);
+    } else if (!quoted && FLAGS.includes(value.toLowerCase())) {
+      conditions.push({ field: value.toLowerCase(), operator: ':', negated });
+    } else if (negated) {
+      throw new SyntaxError(
+        'Negation is only supported for "completed", "deferred", and "blocked"',
+      );
+    } else if (/^[a-z]+(<=|>=|[:=<>])$/i.test(value)) {
+      throw new SyntaxError(`Missing value for "${value.replace(/\W+$/, '')}"`);
+    } else {
+      words.push(value);
+    }
+  }
+
+  return { conditions, words };
+}
+
+/**
+ * A query describing which tasks to show, written in a small query language.
+ *
+ * A query is a sequence of terms separated by spaces. Values containing
+ * spaces can be wrapped in double quotes. The supported terms are:
+ *
+ * - `priority:high`, `priority>=high`, `priority<medium`, etc., where the
+ *   priority is one of 'very-low', 'low', 'medium', 'high', or 'very-high'.
+ * - `due<7d`, `due>=2w`, `due:today`, `due<=2024-12-31`, etc., where the
+ *   date is 'today', 'tomorrow', 'yesterday', a number of days (d), weeks
+ *   (w), or months (m) from today, or a date in yyyy-MM-dd format. Only tasks
+ *   with a due date match.
+ * - `project:Work` or `project:"Home Repairs"` for tasks in the project with
+ *   the given name (ignoring case), or `project:none` for tasks without a
+ *   project.
+ * - `tag:errands` for tasks with the given tag, or `tag:none` for tasks
+ *   without tags.
+ * - `completed`, `deferred`, or `blocked` to include such tasks, or
+ *   `-completed`, `-deferred`, or `-blocked` to exclude them.
+ * - Any other word is searched for in task names, descriptions, and project
+ *   names.
+ *
+ * All terms must match for a task to be included.
+ */
+class TaskQuery {
+  /**
+   * A single condition parsed from a query.
+   * @typedef {Object} module:taskQuery~TaskQuery~condition
+   * @property {string} field The field being tested: 'priority', 'due',
+   *   'project', 'tag', 'completed', 'deferred', or 'blocked'.
+   * @property {string} operator The comparison operator: ':', '<', '<=', '>',
+   *   or '>='.
+   * @property {*} [value] The value being compared against. For priorities,
+   *   this is the priority number. For due dates, this is an object
+   *   describing a relative or absolute date.
+   * @property {boolean} [negated] For the completed, deferred, and blocked
+   *   fields, indicates whether the matching tasks are to be excluded rather
+   *   than included.
+   */
+
+  /**
+   * Create a query by parsing a query string.
+   * @param {string} query The query string.
+   * @throws {SyntaxError} If the query string is malformed. The error message
+   *   describes the problem.
+   */
+  constructor(query) {
+    const { conditions, words } = parse(query);
+    privateMembers.set(this, { query, conditions, words });
+  }
+
+  /**
+   * The query string.
+   * @type {string}
+   * @readonly
+   */
+  get query() {
+    return privateMembers.get(this).query;
+  }
+
+  /**
+   * Compile the query into criteria that can be passed to the
+   * [entries]{@link module:taskList~TaskList#entries} and
+   * [count]{@link module:taskList~TaskList#count} methods of a task list.
+   * @param {Object} [options={}] An object holding options for the
+   *   compilation.
+   * @param {module:projectList~ProjectList} [options.projectList] The project
+   *   container, used to look up projects by name. If not provided, then
+   *   project conditions other than `project:none` match no tasks.
+   * @param {Date} [options.date] The date from which relative due dates are
+   *   measured. If not given, then the present date is used.
+   * @returns {Object} An object holding the filter criteria. Criteria that
+   *   the query does not mention are omitted.
+   */
+  toCriteria(options = {}) {
+    const { conditions, words } = privateMembers.get(this);
+    const today = startOfDay(options.date || new Date());
+
+    const criteria = {};
+    conditions.forEach(({
+      field,
+      operator,
+      value,
+      negated,
+    }) => {
+      switch (field) {
+        case 'priority': {
+          let min = null;
+          let max = null;
+          switch (operator) {
+            case '<':
+              max = value - 1;
+              break;
+            case '<=':
+              max = value;
+              break;
+            case '>':
+              min = value + 1;
+              break;
+            case '>=':
+              min = value;
+              break;
+            default:
+              min = value;
+              max = value;
+              break;
+          }
+          if (min !== null) {
+            criteria.minPriority = Math.max(criteria.minPriority ?? min, min);
+          }
+          if (max !== null) {
+            criteria.maxPriority = Math.min(criteria.maxPriority ?? max, max);
+          }
+          break;
+        }
+        case 'due': {
+          const date = value.date
+            ?? addToDate(today, { [value.unit]: value.amount });
+          let start = null;
+          let end = null;
+          switch (operator) {
+            case '<':
+              end = endOfDay(addToDate(date, { days: -1 }));
+              break;
+            case '<=':
+              end = endOfDay(date);
+              break;
+            case '>':
+              start = addToDate(date, { days: 1 });
+              break;
+            case '>=':
+              start = date;
+              break;
+            default:
+              start = date;
+              end = endOfDay(date);
+              break;
+          }
+          if (start && !(criteria.startDate
+            && isDateAfter(criteria.startDate, start))) {
+            criteria.startDate = start;
+          }
+          if (end && !(criteria.endDate
+            && isDateBefore(criteria.endDate, end))) {
+            criteria.endDate = end;
+          }
+          criteria.requireDueDate = true;
+          break;
+        }
+        case 'project':
+          if (value.toLowerCase() === 'none') {
+            criteria.projects = ['none'];
+          } else {
+            criteria.projects = [];
+            options.projectList?.forEach(({ id, project }) => {
+              if (!options.projectList.isInTrash(id)
+                && project.name.toLowerCase() === value.toLowerCase()) {
+                criteria.projects.push(id);
+              }
+            });
+          }
+          break;
+        case 'tag':
+          criteria.tag = value.toLowerCase() === 'none' ? '' : value;
+          break;
+        case 'completed':
+          criteria.completed = !negated;
+          break;
+        case 'deferred':
+          criteria.deferred = !negated;
+          break;
+        case 'blocked':
+          criteria.hideBlocked = negated;
+          break;
+        default:
+          break;
+      }
+    });
+
+    if (words.length > 0) criteria.search = words.join(' ');
+
+    return criteria;
+  }
+
+  /**
+   * Get a string representation of the query.
+   * @returns {string} The query string.
+   */
+  toString() {
+    return this.query;
+  }
+
+  /**
+   * Check whether a query string is well-formed.
+   * @param {string} query The query string to check.
+   * @returns {?string} A message describing the problem with the query, or
+   *   null if the query is valid.
+   */
+  static validate(query) {
+    try {
+      parse(query);
+    } catch (e) {
+      if (e instanceof SyntaxError) return `${e.message}.`;
+      throw e;
+    }
+    return null;
+  }
+}
+
+export default TaskQuery;
@@ -0,0 +1,263 @@
+/**
+ * Defines the [TaskReport]{@link module:taskReport~TaskReport} class.
+ * @module taskReport
+ */
+
+import Settings from './settings';
+import Task from './task';
+import TaskDisplay from './taskDisplay';
+import { formatDate } from './utility/dates';
+
+const HTML_STYLES = [
+  'body { font-family: sans-serif; line-height: 1.4; margin: 2em; }',
+  'h1 { margin-bottom: 0; }',
+  '.report-subtitle { color: #555; margin-top: 0.25em; }',
+  'h2 { border-bottom: 1px solid #ccc; margin-top: 1.5em; }',
+  'h2.report-past-due { color: #b00020; }',
+  'ul { list-style: none; padding-left: 0; }',
+  'li { margin: 0.5em 0; page-break-inside: avoid; }',
+  'li li { margin: 0.1em 0 0.1em 1.5em; }',
+  '.report-completed > .report-task-name { text-decoration: line-through; }',
+  '.report-details { color: #555; font-size: 0.9em; margin-left: 1.5em; }',
+  '.report-description { margin: 0.25em 0 0 1.5em; }',
+];
+
+/**
+ * Object holding private members for the
+ * [TaskReport]{@link module:taskReport~TaskReport} class.
+ * @typedef {Object} module:taskReport~TaskReport~privates
+ * @property {module:projectList~ProjectList} projects The project container.
+ * @property {string} title The title of the report.
+ * @property {?string} subtitle The subtitle of the report, if any.
+ * @property {string} groupBy The field by which the tasks are grouped.
+ * @property {module:settings~Settings~dateFormat} dateFormat The format to
+ *   use for dates.
+ * @property {module:settings~Settings~timeFormat} timeFormat The format to
+ *   use for times of day.
+ * @property {module:taskDisplay~TaskDisplay~taskGroup[]} groups The groups of
+ *   tasks in the report.
+ */
+
+/**
+ * Holds private data for the [TaskReport]{@link module:taskReport~TaskReport}
+ * class.
+ * @type {WeakMap}
+ * @see module:taskReport~TaskReport~privates
+ */
+const privateMembers = new WeakMap();
+
+/**
+ * Escape the characters in a string that have special meaning in Markdown.
+ * @param {string} text The string to escape.
+ * @returns {string} The escaped string.
+ */
+function escapeMarkdown(text) {
+  return text.replace(/[\\`*_{}[\]<>#|~]/g, '\\$&');
+}
+
+/**
+ * Escape the characters in a string that have special meaning in HTML.
+ * @param {string} text The string to escape.
+ * @returns {string} The escaped string.
+ */
+function escapeHtml(text) {
+  const entities = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+  };
+  return text.replace(/[&<>"']/g, (char) => entities[char]);
+}
+
+/**
+ * Get the details to show next to a task in the report, in the same order as
+ * in the task display. Details that match the grouping of the report, such as
+ * the project when grouping by project, are left out.
+ * @param {module:taskReport~TaskReport} instance The class instance on which
+ *   to apply the function.
+ * @param {module:task~Task} task The task whose details are to be retrieved.
+ * @returns {string[]} The details of the task.
+ */
+function getTaskDetails(instance, task) {
+  const privates = privateMembers.get(instance);
+  const dateFormat = privates.dateFormat.outputPattern;
+  const details = [];
+
+  if (task.dueDate) {
+    let dateStr = formatDate(task.dueDate, dateFormat);
+    if (task.hasDueTime) {
+      dateStr += ` ${formatDate(task.dueDate, privates.timeFormat.outputPattern)}`;
+    }
+    details.push(`Due ${dateStr}`);
+  }
+  if (task.isDeferred()) {
+    details.push(`Starts ${formatDate(task.startDate, dateFormat)}`);
+  }
+  if (task.recurringDate) details.push(task.recurringDate.toString());
+  if (task.project && privates.groupBy !== 'project') {
+    details.push(privates.projects.getProject(task.project).name);
+  }
+  if (task.tags.length > 0) {
+    details.push(task.tags.map((tag) => `#${tag}`).join(' '));
+  }
+  if (privates.groupBy !== 'priority') {
+    const priorityStr = Task.convertPriorityToPrettyString(task.priority);
+    details.push(`${priorityStr} Priority`);
+  }
+
+  return details;
+}
+
+/**
+ * A printable report of the tasks in a view, grouped and sorted in the same
+ * way as in the [TaskDisplay]{@link module:taskDisplay~TaskDisplay}.
+ */
+class TaskReport {
+  /**
+   * An object holding options for creating a report. In addition to the
+   * properties below, any of the
+   * [updateOptions]{@link module:taskDisplay~TaskDisplay~updateOptions} for
+   * the task display can be given to choose, sort, and group the tasks.
+   * @typedef {Object} module:taskReport~TaskReport~options
+   * @property {string} [title=Tasks] The title of the report.
+   * @property {string} [subtitle] The subtitle of the report, if any.
+   */
+
+  /**
+   * Create a report.
+   * @param {module:taskList~TaskList} taskList The task container.
+   * @param {module:projectList~ProjectList} projectList The project
+   *   container.
+   * @param {module:taskReport~TaskReport~options} [options={}] An object
+   *   holding options for the report.
+   */
+  constructor(taskList, projectList, options = {}) {
+    privateMembers.set(this, {
+      projects: projectList,
+      title: options.title || 'Tasks',
+      subtitle: options.subtitle || null,
+      groupBy: options.groupBy || 'none',
+      dateFormat: options.dateFormat ?? Settings.lookupDateFormat(),
+      timeFormat: options.timeFormat ?? Settings.lookupTimeFormat(),
+      groups: TaskDisplay.groupTasks(taskList, projectList, options),
+    });
+  }
+
+  /**
+   * Convert the report to a string in Markdown format. Each group of tasks is
+   * given a heading, and each task is written as a task list item with a
+   * checkbox.
+   * @param {Object} [options={}] An object holding additional options.
+   * @param {string} [options.newlineSequence] The character sequence to use
+   *   for newlines. If not given, then a line feed (LF) is used.
+   * @returns {string} The report in Markdown format.
+   */
+  toMarkdown(options = {}) {
+    const privates = privateMembers.get(this);
+    const lines = [`# ${escapeMarkdown(privates.title)}`, ''];
+    if (privates.subtitle) lines.push(escapeMarkdown(privates.subtitle), '');
+
+    privates.groups.forEach(({ heading, entries }) => {
+      if (heading) lines.push(`## ${escapeMarkdown(heading)}`, '');
+
+      entries.forEach(({ task }) => {
+        const checkbox = task.isComplete() ? '[x]' : '[ ]';
+        const details = getTaskDetails(this, task).map(escapeMarkdown);
+        let line = `- ${checkbox} ${escapeMarkdown(task.name)}`;
+        if (details.length > 0) line += ` (${details.join(', ')})`;
+        lines.push(line);
+
+        task.checklist.forEach((item) => {
+          const itemCheckbox = item.completed ? '[x]' : '[ ]';
+          lines.push(`  - ${itemCheckbox} ${escapeMarkdown(item.name)}`);
+        });
+        if (task.description) {
+          lines.push('');
+          task.description.split(/\r\n|\n|\r/).forEach((descLine) => {
+            lines.push(descLine.trim() ? `  ${escapeMarkdown(descLine)}` : '');
+          });
+          lines.push('');
+        }
+      });
+      if (lines[lines.length - 1] !== '') lines.push('');
+    });
+
+    if (privates.groups.length === 0) lines.push('No tasks found.', '');
+
+    return lines.join(options.newlineSequence ?? '\n');
+  }
+
+  /**
+   * Convert the report to a standalone HTML document suitable for printing.
+   * @param {Object} [options={}] An object holding additional options.
+   * @param {string} [options.newlineSequence] The character sequence to use
+   *   for newlines. If not given, then a line feed (LF) is used.
+   * @returns {string} The report as an HTML document.
+   */
+  toHtml(options = {}) {
+    const privates = privateMembers.get(this);
+    const title = escapeHtml(privates.title);
+    const checkbox = (checked) => (
+      `<input type="checkbox" disabled${checked ? ' checked' : ''}>`
+    );
+
+    const lines = [
+      '<!DOCTYPE html>',
+      '<html lang="en">',
+      '<head>',
+      '<meta charset="utf-8">',
+      `<title>${title}</title>`,
+      '<style>',
+      ...HTML_STYLES,
+      '</style>',
+      '</head>',
+      '<body>',
+      `<h1>${title}</h1>`,
+    ];
+    if (privates.subtitle) {
+      lines.push(`<p class="report-subtitle">${escapeHtml(privates.subtitle)}</p>`);
+    }
+
+    privates.groups.forEach(({ heading, pastDue, entries }) => {
+      if (heading) {
+        const headingClass = pastDue ? ' class="report-past-due"' : '';
+        lines.push(`<h2${headingClass}>${escapeHtml(heading)}</h2>`);
+      }
+
+      lines.push('<ul>');
+      entries.forEach(({ task }) => {
+        const itemClass = task.isComplete() ? ' class="report-completed"' : '';
+        lines.push(`<li${itemClass}>`);
+        lines.push(`${checkbox(task.isComplete())} <span class="report-task-name">${escapeHtml(task.name)}</span>`);
+
+        const details = getTaskDetails(this, task);
+        if (details.length > 0) {
+          lines.push(`<div class="report-details">${escapeHtml(details.join(', '))}</div>`);
+        }
+        if (task.description) {
+          const description = escapeHtml(task.description)
+            .replace(/\r\n|\n|\r/g, '<br>');
+          lines.push(`<p class="report-description">${description}</p>`);
+        }
+        if (task.checklist.length > 0) {
+          lines.push('<ul>');
+          task.checklist.forEach((item) => {
+            lines.push(`<li>${checkbox(item.completed)} ${escapeHtml(item.name)}</li>`);
+          });
+          lines.push('</ul>');
+        }
+        lines.push('</li>');
+      });
+      lines.push('</ul>');
+    });
+
+    if (privates.groups.length === 0) lines.push('<p>No tasks found.</p>');
+    lines.push('</body>', '</html>', '');
+
+    return lines.join(options.newlineSequence ?? '\n');
+  }
+}
+
+export default TaskReport;
@@ -0,0 +1,593 @@
+/**
+ * Defines functions for converting data exported from other task management
+ * apps into the JSON format read by
+ * [ProjectList.importFromJson]{@link module:projectList~ProjectList#importFromJson}
+ * and [TaskList.importFromJson]{@link module:taskList~TaskList#importFromJson}.
+ * Supported are Todoist CSV project templates, Trello board JSON exports, and
+ * Microsoft To Do or Outlook task lists in Microsoft Graph JSON format.
+ * @module appImport
+ */
+
+import { v4 as generateUuid } from 'uuid';
+
+import { getWeekdayIndex, getWeekdayName, parseDate } from './dates';
+
+/**
+ * The result of converting data from another app.
+ * @typedef {Object} module:appImport~conversion
+ * @property {Object[]} projects The projects to import, in the JSON format
+ *   used by the app. Projects that already exist are not included.
+ * @property {Object[]} tasks The tasks to import, in the JSON format used by
+ *   the app.
+ * @property {string[]} errors Warnings about items that could not be fully
+ *   converted.
+ */
+
+/**
+ * Get the identifier of the project with the given name and parent, adding a
+ * new project to the conversion if there is no such project yet. Existing
+ * projects are matched by name, ignoring case. Projects in the trash are not
+ * considered.
+ * @param {module:appImport~conversion} conversion The conversion in progress.
+ * @param {module:projectList~ProjectList} [projectList] The project
+ *   container holding the existing projects.
+ * @param {string} name The name of the project.
+ * @param {?string} [parent=null] The identifier of the parent project, or
+ *   null for a top-level project.
+ * @returns {string} The identifier of the project.
+ */
+function getProjectId(conversion, projectList, name, parent = null) {
+  const nameLower = name.toLowerCase();
+  const isMatch = (project) => project.name.toLowerCase() === nameLower
+    && (project.parent ?? null) === parent;
+
+  const entry = conversion.projects.find(isMatch);
+  if (entry) return entry.id;
+
+  let id = null;
+  projectList?.forEach(({ id: projectId, project }) => {
+    if (!id && !projectList.isInTrash(projectId) && isMatch(project)) {
+      id = projectId;
+    }
+  });
+  if (id) return id;
+
+  id = generateUuid();
+  conversion.projects.push({ id, name, parent });
+  return id;
+}
+
+/**
+ * Convert the name of a label to a task priority, if the label names one.
+ * Labels such as 'High' or 'Very Low Priority' name priorities.
+ * @param {string} label The name of the label.
+ * @returns {?number} The task priority, from -2 to 2, or null if the label
+ *   does not name a priority.
+ */
+function convertLabelToPriority(label) {
+  const name = label.toLowerCase().replace(/[\s_-]+/g, ' ')
+    .replace(/\s*priority$/, '').trim();
+  switch (name) {
+    case 'very high':
+      return 2;
+    case 'high':
+      return 1;
+    case 'medium':
+      return 0;
+    case 'low':
+      return -1;
+    case 'very low':
+      return -2;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Convert labels to task properties, using the first label that names a
+ * priority as the priority of the task and the remaining labels as tags.
+ * @param {string[]} labels The names of the labels.
+ * @returns {Object} An object holding the priority and tags properties of the
+ *   task. Each is omitted if there are no such labels.
+ */
+function convertLabels(labels) {
+  const result = {};
+  const tags = [];
+  labels.forEach((label) => {
+    const priority = convertLabelToPriority(label);
+    if (priority !== null && result.priority === undefined) {
+      result.priority = priority;
+    } else if (label.trim().length > 0) {
+      tags.push(label.trim());
+    }
+  });
+  if (tags.length > 0) result.tags = tags;
+  return result;
+}
+
+/**
+ * Convert a Todoist recurrence such as 'every 2 weeks', 'every other day',
+ * 'every weekday', or 'every mon, thu' to recurring date properties.
+ * @param {string} text The recurrence in lower case.
+ * @returns {?Object} An object holding the recurring date properties, or null
+ *   if the recurrence is not supported.
+ */
+function convertTodoistRecurrence(text) {
+  const match = text.match(/^every(!)?\s+(.+)$/);
+  if (!match) return null;
+
+  // Recurrences with 'every!' are based on the completion date
+  const baseOnCompletion = Boolean(match[1]);
+  const rule = match[2].trim();
+
+  const intervalMatch = rule.match(/^(?:(\d+|other)\s+)?(day|week|month|year)s?$/);
+  if (intervalMatch) {
+    let intervalLength = 1;
+    if (intervalMatch[1] === 'other') intervalLength = 2;
+    else if (intervalMatch[1]) intervalLength = Number(intervalMatch[1]);
+    if (intervalLength < 1) return null;
+    return { intervalUnit: intervalMatch[2], intervalLength, baseOnCompletion };
+  }
+
+  if (rule === 'weekday' || rule === 'workday') {
+    return { intervalUnit: 'week', daysOfWeek: [1, 2, 3, 4, 5], baseOnCompletion };
+  }
+
+  const days = rule.split(/\s*,\s*|\s+and\s+/).map((day) => {
+    const name = day.replace(/s$/, '');
+    const index = getWeekdayIndex(name);
+    if (index !== null) return index;
+
+    // Allow abbreviated names such as 'mon' or 'thu'
+    const abbrevIndex = [0, 1, 2, 3, 4, 5, 6].find((dayIndex) => (
+      name.length >= 2
+        && getWeekdayName(dayIndex).toLowerCase().startsWith(name)
+    ));
+    return abbrevIndex ?? null;
+  });
+  if (days.length > 0 && days.every((day) => day !== null)) {
+    return {
+      intervalUnit: 'week',
+      daysOfWeek: [...new Set(days)].sort(),
+      baseOnCompletion,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Check whether parsed CSV data is a Todoist project template.
+ * @param {string[][]} data The parsed CSV data.
+ * @returns {boolean} True if the header holds the TYPE and CONTENT fields used
+ *   by Todoist, and false otherwise.
+ */
+function isTodoistCsv(data) {
+  const header = (data[0] ?? []).map((field) => field.trim().toUpperCase());
+  return header.includes('TYPE') && header.includes('CONTENT');
+}
+
+/**
+ * Convert a Todoist project template in CSV format. Todoist exports each
+ * project to a separate file, so the project is named after the file. Each
+ * section becomes a subproject, labels (written as '@label' in the task
+ * content) become tags, and notes are added to the descriptions of their
+ * tasks. Dates given in yyyy-MM-dd format and simple recurrences such as
+ * 'every 2 weeks' are converted, and other dates are reported.
+ * @param {string[][]} data The parsed CSV data, with the header first.
+ * @param {Object} [options={}] An object holding conversion options.
+ * @param {string} [options.projectName] The name of the Todoist project. If
+ *   not given, then tasks outside of any section have no project.
+ * @param {module:projectList~ProjectList} [options.projectList] The project
+ *   container holding the existing projects, which are reused if their names
+ *   match.
+ * @returns {module:appImport~conversion} The converted data.
+ */
+function convertTodoistCsv(data, options = {}) {
+  const conversion = { projects: [], tasks: [], errors: [] };
+  const header = (data[0] ?? []).map((field) => field.trim().toUpperCase());
+  const getField = (record, name) => {
+    const index = header.indexOf(name);
+    return index >= 0 ? (record[index] ?? '').trim() : '';
+  };
+
+  const rootId = options.projectName
+    ? getProjectId(conversion, options.projectList, options.projectName)
+    : null;
+  let projectId = rootId;
+  let prevEntry = null;
+  data.slice(1).forEach((record) => {
+    const content = getField(record, 'CONTENT');
+    switch (getField(record, 'TYPE').toLowerCase()) {
+      case 'section':
+        if (content) {
+          projectId = getProjectId(
+            conversion,
+            options.projectList,
+            content,
+            rootId,
+          );
+        }
+        break;
+      case 'note':
+        if (prevEntry && content) {
+          prevEntry.description = prevEntry.description
+            ? `${prevEntry.description}\n\n${content}` : content;
+        }
+        break;
+      case 'task': {
+        const labels = [];
+        const name = content.replace(/(^|\s)@(\S+)/g, (match, space, label) => {
+          labels.push(label);
+          return '';
+        }).trim();
+        const entry = { name: name || content };
+        if (projectId) entry.project = projectId;
+
+        const description = getField(record, 'DESCRIPTION');
+        if (description) entry.description = description;
+
+        // Todoist priorities run from 1 (urgent) to 4 (none)
+        const priority = { 1: 2, 2: 1, 3: 0 }[getField(record, 'PRIORITY')];
+        if (priority !== undefined) entry.priority = priority;
+        if (labels.length > 0) entry.tags = labels;
+
+        const date = getField(record, 'DATE');
+        if (date) {
+          const dateLower = date.toLowerCase();
+          const dueDate = parseDate(date, ['yyyy-MM-dd HH:mm', 'yyyy-MM-dd']);
+          const recurringDate = convertTodoistRecurrence(dateLower);
+          if (dueDate && /^\d{4}-\d{2}-\d{2}/.test(date)) {
+            entry.dueDate = dueDate;
+            entry.hasDueTime = date.includes(':');
+          } else if (recurringDate) {
+            entry.recurringDate = recurringDate;
+          } else {
+            conversion.errors.push(`Warning: Task "${entry.name}": Could not import date "${date}".`);
+          }
+        }
+
+        conversion.tasks.push(entry);
+        prevEntry = entry;
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  return conversion;
+}
+
+/**
+ * Check whether a parsed JSON object is a Trello board export.
+ * @param {*} data The parsed JSON data.
+ * @returns {boolean} True if the data has the lists and cards of a Trello
+ *   board, and false otherwise.
+ */
+function isTrelloJson(data) {
+  return typeof data === 'object' && data !== null
+    && Array.isArray(data.lists) && Array.isArray(data.cards);
+}
+
+/**
+ * Convert a Trello board export in JSON format. The board becomes a project,
+ * and each list becomes a subproject. Labels naming a priority, such as
+ * 'High Priority', set the priority of a card, and other labels become tags.
+ * Checklists are merged into the checklist of the task. Archived cards and
+ * cards in archived lists are skipped.
+ * @param {Object} data The parsed JSON data.
+ * @param {Object} [options={}] An object holding conversion options.
+ * @param {module:projectList~ProjectList} [options.projectList] The project
+ *   container holding the existing projects, which are reused if their names
+ *   match.
+ * @returns {module:appImport~conversion} The converted data.
+ */
+function convertTrelloJson(data, options = {}) {
+  const conversion = { projects: [], tasks: [], errors: [] };
+  const boardName = typeof data.name === 'string' && data.name.trim()
+    ? data.name.trim() : 'Trello Board';
+  const boardId = getProjectId(conversion, options.projectList, boardName);
+
+  const lists = new Map();
+  data.lists.forEach((list) => {
+    if (typeof list?.id === 'string') lists.set(list.id, list);
+  });
+  const checklists = Array.isArray(data.checklists) ? data.checklists : [];
+
+  let skipped = 0;
+  data.cards.forEach((card) => {
+    const list = lists.get(card?.idList);
+    if (typeof card?.name !== 'string' || card.closed || list?.closed) {
+      skipped += 1;
+      return;
+    }
+
+    const entry = { name: card.name };
+    const msgPrefix = `Warning: Task "${card.name}"`;
+    if (typeof list?.name === 'string' && list.name.trim()) {
+      entry.project = getProjectId(
+        conversion,
+        options.projectList,
+        list.name.trim(),
+        boardId,
+      );
+    } else {
+      entry.project = boardId;
+    }
+    if (typeof card.desc === 'string' && card.desc) entry.description = card.desc;
+
+    // Trello identifiers begin with the creation time in seconds
+    if (/^[0-9a-f]{24}$/i.test(card.id)) {
+      entry.creationDate = new Date(parseInt(card.id.substring(0, 8), 16) * 1000);
+    }
+    if (card.due) {
+      entry.dueDate = card.due;
+      entry.hasDueTime = true;
+    }
+    if (card.start) entry.startDate = card.start;
+    if (card.dueComplete) {
+      entry.completionDate = card.dateLastActivity ?? new Date();
+    }
+
+    if (Array.isArray(card.labels)) {
+      const labels = card.labels.map((label) => (
+        label?.name || label?.color || ''
+      ));
+      Object.assign(entry, convertLabels(labels));
+    }
+
+    const checklist = [];
+    checklists.filter((item) => item?.idCard === card.id).forEach((item) => {
+      const checkItems = Array.isArray(item.checkItems) ? item.checkItems : [];
+      [...checkItems].sort((a, b) => (a.pos ?? 0) - (b.pos ?? 0))
+        .forEach((checkItem) => {
+          if (typeof checkItem?.name !== 'string') return;
+          checklist.push({
+            name: checkItem.name,
+            completed: checkItem.state === 'complete',
+          });
+        });
+    });
+    if (checklist.length > 0) entry.checklist = checklist;
+
+    if (Array.isArray(card.attachments) && card.attachments.length > 0) {
+      conversion.errors.push(`${msgPrefix}: Attachments were not imported.`);
+    }
+
+    conversion.tasks.push(entry);
+  });
+
+  if (skipped > 0) {
+    const cards = skipped === 1 ? 'card was' : 'cards were';
+    conversion.errors.push(`Warning: ${skipped} archived ${cards} not imported.`);
+  }
+
+  return conversion;
+}
+
+/**
+ * Get the task lists in Microsoft Graph JSON data. The data may be a single
+ * task list with a tasks property, an array of task lists, an object with a
+ * value property holding such an array, or an array of tasks.
+ * @param {*} data The parsed JSON data.
+ * @returns {?Object[]} The task lists, each having a tasks property holding
+ *   an array of tasks, or null if the data is not in the expected form. Tasks
+ *   that are not in a list are returned in a list without a name.
+ */
+function getMicrosoftTaskLists(data) {
+  if (typeof data !== 'object' || data === null) return null;
+  if (Array.isArray(data.tasks) && typeof data.displayName === 'string') {
+    return [data];
+  }
+
+  const items = Array.isArray(data) ? data : data.value;
+  if (!Array.isArray(items)) return null;
+
+  const isTask = (item) => typeof item?.title === 'string'
+    || typeof item?.subject === 'string';
+  if (items.length > 0 && items.every(isTask)) return [{ tasks: items }];
+  if (items.length > 0 && items.every((item) => Array.isArray(item?.tasks))) {
+    return items;
+  }
+  return null;
+}
+
+/**
+ * Check whether a parsed JSON object holds Microsoft To Do or Outlook tasks
+ * in Microsoft Graph format.
+ * @param {*} data The parsed JSON data.
+ * @returns {boolean} True if the data holds task lists or tasks in Microsoft
+ *   Graph format, and false otherwise.
+ */
+function isMicrosoftToDoJson(data) {
+  return getMicrosoftTaskLists(data) !== null;
+}
+
+/**
+ * Convert a Microsoft Graph dateTimeTimeZone object to a date. Only UTC and
+ * local times are supported.
+ * @param {?Object} value The dateTimeTimeZone object.
+ * @param {Object} [options={}] An object holding conversion options.
+ * @param {boolean} [options.dateOnly=false] If set to true, then only the
+ *   calendar date is kept, since Microsoft To Do stores due dates as
+ *   midnight.
+ * @returns {?Date} The date, or null if the value is not a valid date.
+ */
+function convertGraphDate(value, options = {}) {
+  const match = value?.dateTime?.match(
+    /^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2}:\d{2})(?:\.(\d{1,3})\d*)?/,
+  );
+  if (!match) return null;
+  if (options.dateOnly) return parseDate(match[1], 'yyyy-MM-dd');
+
+  const utc = (value.timeZone ?? 'UTC').toUpperCase() === 'UTC';
+  const date = new Date(`${match[1]}T${match[2]}.${(match[3] ?? '0').padEnd(3, '0')}${utc ? 'Z' : ''}`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Convert a Microsoft Graph patternedRecurrence object to recurring date
+ * properties.
+ * @param {Object} recurrence The patternedRecurrence object.
+ * @returns {?Object} An object holding the recurring date properties, or null
+ *   if the recurrence is not supported.
+ */
+function convertGraphRecurrence(recurrence) {
+  const { pattern, range } = recurrence ?? {};
+  if (!pattern) return null;
+
+  const weekNumbers = {
+    first: 1,
+    second: 2,
+    third: 3,
+    fourth: 4,
+    last: 5,
+  };
+  const days = (pattern.daysOfWeek ?? []).map(getWeekdayIndex)
+    .filter((day) => day !== null);
+
+  const result = { intervalLength: pattern.interval || 1 };
+  switch (pattern.type) {
+    case 'daily':
+      result.intervalUnit = 'day';
+      break;
+    case 'weekly':
+      result.intervalUnit = 'week';
+      if (days.length > 0) result.daysOfWeek = days.sort();
+      break;
+    case 'absoluteMonthly':
+      result.intervalUnit = 'month';
+      if (pattern.dayOfMonth) result.dayOfMonth = pattern.dayOfMonth;
+      break;
+    case 'relativeMonthly':
+      if (days.length !== 1) return null;
+      result.intervalUnit = 'month';
+      result.weekNumber = weekNumbers[pattern.index ?? 'first'] ?? null;
+      result.daysOfWeek = days;
+      if (result.weekNumber === null) return null;
+      break;
+    case 'absoluteYearly':
+      result.intervalUnit = 'year';
+      if (pattern.month && pattern.dayOfMonth) {
+        result.month = pattern.month - 1;
+        result.dayOfMonth = pattern.dayOfMonth;
+      }
+      break;
+    default:
+      return null;
+  }
+
+  if (range?.type === 'endDate' && range.endDate) {
+    result.endDate = parseDate(range.endDate, 'yyyy-MM-dd');
+  } else if (range?.type === 'numbered' && range.numberOfOccurrences > 0) {
+    result.maxCount = range.numberOfOccurrences;
+  }
+
+  return result;
+}
+
+/**
+ * Convert Microsoft To Do or Outlook tasks in Microsoft Graph JSON format.
+ * Each task list becomes a project, except for the default 'Tasks' list,
+ * whose tasks have no project. Importance is converted to priority,
+ * categories become tags, and checklist items and recurrences are converted
+ * where possible.
+ * @param {Object|Object[]} data The parsed JSON data.
+ * @param {Object} [options={}] An object holding conversion options.
+ * @param {module:projectList~ProjectList} [options.projectList] The project
+ *   container holding the existing projects, which are reused if their names
+ *   match.
+ * @returns {module:appImport~conversion} The converted data.
+ */
+function convertMicrosoftToDoJson(data, options = {}) {
+  const conversion = { projects: [], tasks: [], errors: [] };
+
+  (getMicrosoftTaskLists(data) ?? []).forEach((list) => {
+    let projectId = null;
+    if (typeof list.displayName === 'string' && list.displayName.trim()
+      && list.wellknownListName !== 'defaultList') {
+      projectId = getProjectId(
+        conversion,
+        options.projectList,
+        list.displayName.trim(),
+      );
+    }
+
+    list.tasks.forEach((task) => {
+      const name = task?.title ?? task?.subject;
+      if (typeof name !== 'string') return;
+
+      const entry = { name };
+      const msgPrefix = `Warning: Task "${name}"`;
+      if (projectId) entry.project = projectId;
+
+      const body = task.body?.content;
+      if (typeof body === 'string' && body.trim()) {
+        entry.description = task.body.contentType === 'html'
+          ? body.replace(/<br\s*\/?>|<\/p>/gi, '\n').replace(/<[^>]*>/g, '')
+            .replace(/&nbsp;/g, ' ').replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&amp;/g, '&')
+            .trim()
+          : body.trim();
+      }
+
+      if (Array.isArray(task.categories)) {
+        const categories = task.categories.filter((category) => (
+          typeof category === 'string'
+        ));
+        Object.assign(entry, convertLabels(categories));
+      }
+
+      // Categories naming a priority give way to the importance of the task
+      if (task.importance === 'high') entry.priority = 1;
+      else if (task.importance === 'low') entry.priority = -1;
+
+      if (typeof task.createdDateTime === 'string') {
+        entry.creationDate = task.createdDateTime;
+      }
+      if (task.dueDateTime) {
+        entry.dueDate = convertGraphDate(task.dueDateTime, { dateOnly: true });
+      }
+      if (task.startDateTime) {
+        entry.startDate = convertGraphDate(task.startDateTime, { dateOnly: true });
+      }
+      if (task.status === 'completed') {
+        entry.completionDate = convertGraphDate(task.completedDateTime)
+          ?? new Date();
+      }
+
+      if (Array.isArray(task.checklistItems)) {
+        entry.checklist = task.checklistItems.filter((item) => (
+          typeof item?.displayName === 'string'
+        )).map((item) => ({
+          name: item.displayName,
+          completed: Boolean(item.isChecked),
+        }));
+      }
+
+      if (task.recurrence) {
+        const recurringDate = convertGraphRecurrence(task.recurrence);
+        if (recurringDate) {
+          entry.recurringDate = recurringDate;
+        } else {
+          conversion.errors.push(`${msgPrefix}: Could not import recurrence of type "${task.recurrence.pattern?.type}".`);
+        }
+      }
+
+      conversion.tasks.push(entry);
+    });
+  });
+
+  return conversion;
+}
+
+export {
+  convertMicrosoftToDoJson,
+  convertTodoistCsv,
+  convertTrelloJson,
+  isMicrosoftToDoJson,
+  isTodoistCsv,
+  isTrelloJson,
+};
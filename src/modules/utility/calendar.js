@@ -0,0 +1,309 @@
+/**
+ * Defines functions for reading and writing data in the iCalendar format
+ * described by [RFC 5545]{@link https://datatracker.ietf.org/doc/html/rfc5545}.
+ * @module calendar
+ */
+
+/**
+ * The maximum length of a content line in octets, not counting the line
+ * break.
+ * @type {number}
+ */
+const MAX_LINE_LENGTH = 75;
+
+/**
+ * The name of the parameter marking a CATEGORIES property that holds the name
+ * of the project that a task belongs to, as opposed to its tags. Other
+ * calendar applications ignore the parameter and treat the project name as an
+ * ordinary category.
+ * @type {string}
+ */
+const PROJECT_PARAM = 'X-TASK-IT-UP-PROJECT';
+
+/**
+ * A component of an iCalendar object, such as a VCALENDAR or VTODO.
+ * @typedef {Object} module:calendar~component
+ * @property {string} name The name of the component in upper case, such as
+ *   'VTODO'.
+ * @property {module:calendar~property[]} properties The properties of the
+ *   component, in order of appearance.
+ * @property {module:calendar~component[]} components The components nested
+ *   within the component, in order of appearance.
+ */
+
+/**
+ * A property of an iCalendar component.
+ * @typedef {Object} module:calendar~property
+ * @property {string} name The name of the property in upper case, such as
+ *   'SUMMARY'.
+ * @property {Object} params An object mapping the upper case names of the
+ *   property parameters to their values.
+ * @property {string} value The value of the property, exactly as it appears
+ *   in the data. Text values must be unescaped with
+ *   [unescapeCalendarText]{@link module:calendar~unescapeCalendarText}.
+ */
+
+/**
+ * Escape a string for use as a text value in iCalendar data.
+ * @param {string} text The string to escape.
+ * @returns {string} The escaped string.
+ */
+function escapeCalendarText(text) {
+  return text.replace(/\\|;|,|\r\n|\n|\r/g, (match) => {
+    switch (match) {
+      case '\\':
+      case ';':
+      case ',':
+        return `\\${match}`;
+      default:
+        return '\\n';
+    }
+  });
+}
+
+/**
+ * Convert an escaped text value from iCalendar data back into a plain string.
+ * @param {string} text The escaped text value.
+ * @returns {string} The unescaped string.
+ */
+function unescapeCalendarText(text) {
+  return text.replace(/\\(.)/g, (match, char) => (
+    (char === 'n' || char === 'N') ? '\n' : char
+  ));
+}
+
+/**
+ * Split an iCalendar text value holding a comma-separated list, such as the
+ * value of a CATEGORIES property, into unescaped strings.
+ * @param {string} text The escaped text value.
+ * @returns {string[]} The unescaped items in the list. Empty items are
+ *   discarded.
+ */
+function splitCalendarList(text) {
+  const items = text.match(/(?:\\.|[^,\\])+/g) || [];
+  return items.map((item) => unescapeCalendarText(item).trim())
+    .filter((item) => item.length > 0);
+}
+
+/**
+ * Get the number of octets needed to encode a character in UTF-8.
+ * @param {string} char The character, which may be a surrogate pair.
+ * @returns {number} The length of the character in UTF-8.
+ */
+function getUtf8Length(char) {
+  const codePoint = char.codePointAt(0);
+  if (codePoint < 0x80) return 1;
+  if (codePoint < 0x800) return 2;
+  if (codePoint < 0x10000) return 3;
+  return 4;
+}
+
+/**
+ * Create a line of iCalendar data holding a single property. Lines longer than
+ * 75 octets in UTF-8 are folded as required by the format, without splitting
+ * a character across lines.
+ * @param {string} name The name of the property, such as 'SUMMARY'.
+ * @param {string} value The value of the property, which must already be
+ *   escaped if needed.
+ * @param {Object} [params={}] An object mapping the names of any property
+ *   parameters to their values.
+ * @param {string} [newlineSequence] The character sequence to use for
+ *   newlines within a folded line. If not given, then a carriage return/line
+ *   feed pair (CRLF) is used.
+ * @returns {string} The content line, not terminated by a newline.
+ */
+function createCalendarLine(name, value, params = {}, newlineSequence = '\r\n') {
+  const paramStr = Object.entries(params).map(([param, paramValue]) => {
+    const quoted = /[;:,]/.test(paramValue) ? `"${paramValue}"` : paramValue;
+    return `;${param}=${quoted}`;
+  }).join('');
+  const chars = Array.from(`${name}${paramStr}:${value}`);
+
+  const lines = [];
+  let line = '';
+  let lineLength = 0;
+  chars.forEach((char) => {
+    // Continuation lines begin with a space, which counts toward the limit
+    const maxLength = lines.length === 0 ? MAX_LINE_LENGTH : MAX_LINE_LENGTH - 1;
+    const charLength = getUtf8Length(char);
+    if (lineLength + charLength > maxLength) {
+      lines.push(line);
+      line = '';
+      lineLength = 0;
+    }
+    line += char;
+    lineLength += charLength;
+  });
+  lines.push(line);
+  return lines.join(`${newlineSequence} `);
+}
+
+/**
+ * Format a date for use as an iCalendar DATE or DATE-TIME value.
+ * @param {Date} date The date to format.
+ * @param {Object} [options={}] An object holding formatting options.
+ * @param {boolean} [options.dateOnly=false] If set to true, then only the
+ *   calendar date is included, in the 'yyyyMMdd' form. Otherwise, the date and
+ *   time are given in UTC in the 'yyyyMMddTHHmmssZ' form.
+ * @returns {string} The formatted date.
+ */
+function formatCalendarDate(date, options = {}) {
+  const pad = (number) => String(number).padStart(2, '0');
+  if (options.dateOnly) {
+    return `${date.getFullYear()}${pad(date.getMonth() + 1)}`
+      + `${pad(date.getDate())}`;
+  }
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}`
+    + `${pad(date.getUTCDate())}T${pad(date.getUTCHours())}`
+    + `${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
+/**
+ * Parse an iCalendar DATE or DATE-TIME value. Times in UTC (with a 'Z'
+ * suffix) are converted to local time. Other times, including those with a
+ * TZID parameter, are treated as local times.
+ * @param {string} value The value to parse, in the 'yyyyMMdd',
+ *   'yyyyMMddTHHmmss', or 'yyyyMMddTHHmmssZ' form.
+ * @returns {?Object} An object whose date property holds the parsed date and
+ *   whose dateOnly property indicates whether the value had no time
+ *   component, or null if the value is not a valid date.
+ */
+function parseCalendarDate(value) {
+  const match = value.trim().match(
+    /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/i,
+  );
+  if (!match) return null;
+
+  const [year, month, day, hours, minutes, seconds] = match.slice(1, 7)
+    .map((part) => Number(part ?? 0));
+  const utc = Boolean(match[7]);
+  const date = utc
+    ? new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds))
+    : new Date(year, month - 1, day, hours, minutes, seconds);
+
+  // Reject dates such as February 30 that roll over into the next month
+  const dateMonth = utc ? date.getUTCMonth() : date.getMonth();
+  const dateDay = utc ? date.getUTCDate() : date.getDate();
+  if (dateMonth !== month - 1 || dateDay !== day) return null;
+
+  return { date, dateOnly: match[4] === undefined };
+}
+
+/**
+ * Parse a single unfolded content line of iCalendar data.
+ * @param {string} line The content line.
+ * @returns {module:calendar~property} The property described by the line.
+ * @throws {SyntaxError} If the line is malformed.
+ */
+function parseCalendarLine(line) {
+  const nameMatch = line.match(/^[A-Za-z0-9-]+/);
+  if (!nameMatch) throw new SyntaxError(`Malformed iCalendar line "${line}"`);
+
+  const property = {
+    name: nameMatch[0].toUpperCase(),
+    params: {},
+    value: '',
+  };
+
+  let pos = nameMatch[0].length;
+  while (line[pos] === ';') {
+    const paramMatch = line.substring(pos + 1)
+      .match(/^([A-Za-z0-9-]+)=("[^"]*"|[^";:,]*)(?:,(?:"[^"]*"|[^";:,]*))*/);
+    if (!paramMatch) {
+      throw new SyntaxError(`Malformed iCalendar line "${line}"`);
+    }
+    const paramValue = paramMatch[0].substring(paramMatch[1].length + 1);
+    property.params[paramMatch[1].toUpperCase()] = paramValue.replace(/"/g, '');
+    pos += paramMatch[0].length + 1;
+  }
+
+  if (line[pos] !== ':') {
+    throw new SyntaxError(`Malformed iCalendar line "${line}"`);
+  }
+  property.value = line.substring(pos + 1);
+  return property;
+}
+
+/**
+ * Convert data in iCalendar format into a tree of components.
+ * @param {string} data The data in iCalendar format.
+ * @returns {module:calendar~component[]} The top-level components in the
+ *   data, which are normally VCALENDAR components.
+ * @throws {SyntaxError} If the data is not in iCalendar format, or if its
+ *   components are not properly nested.
+ */
+function parseCalendar(data) {
+  const lines = data.replace(/\r\n|\r/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter((line) => line.trim().length > 0);
+  if (lines.length === 0 || !/^BEGIN:VCALENDAR$/i.test(lines[0].trim())) {
+    throw new SyntaxError('Data does not begin with "BEGIN:VCALENDAR"');
+  }
+
+  const root = { components: [] };
+  const stack = [root];
+  lines.forEach((line) => {
+    const property = parseCalendarLine(line.trim());
+    const current = stack[stack.length - 1];
+    const componentName = property.value.trim().toUpperCase();
+    switch (property.name) {
+      case 'BEGIN': {
+        const component = {
+          name: componentName,
+          properties: [],
+          components: [],
+        };
+        current.components.push(component);
+        stack.push(component);
+        break;
+      }
+      case 'END':
+        if (stack.length < 2 || current.name !== componentName) {
+          throw new SyntaxError(`Unexpected "END:${componentName}"`);
+        }
+        stack.pop();
+        break;
+      default:
+        if (stack.length < 2) {
+          throw new SyntaxError(`Property "${property.name}" is outside of any component`);
+        }
+        current.properties.push(property);
+        break;
+    }
+  });
+
+  if (stack.length > 1) {
+    throw new SyntaxError(`Missing "END:${stack[stack.length - 1].name}"`);
+  }
+  return root.components;
+}
+
+/**
+ * Find all components with a given name, searching recursively through a
+ * list of components and their nested components.
+ * @param {module:calendar~component[]} components The components to search.
+ * @param {string} name The name of the components to find, such as 'VTODO'.
+ * @returns {module:calendar~component[]} The matching components, in order of
+ *   appearance.
+ */
+function findCalendarComponents(components, name) {
+  const result = [];
+  components.forEach((component) => {
+    if (component.name === name) result.push(component);
+    result.push(...findCalendarComponents(component.components, name));
+  });
+  return result;
+}
+
+export {
+  PROJECT_PARAM,
+  createCalendarLine,
+  escapeCalendarText,
+  findCalendarComponents,
+  formatCalendarDate,
+  parseCalendar,
+  parseCalendarDate,
+  splitCalendarList,
+  unescapeCalendarText,
+};
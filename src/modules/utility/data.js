@@ -10,6 +10,30 @@ import {
 
 import { isDateValid, parseIsoDateTime } from './dates';
 
+/**
+ * Matches a single word for the purpose of text searches: a run of letters or
+ * digits in any script.
+ * @type {RegExp}
+ */
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * The number of leading characters by which the words in a search index are
+ * grouped.
+ * @type {number}
+ */
+const SEARCH_PREFIX_LENGTH = 2;
+
+/**
+ * An index for finding items by the beginnings of the words they contain.
+ * @typedef {Object} module:data~searchIndex
+ * @property {Map} words Maps each lowercase word to a set of identifiers of
+ *   the items containing it.
+ * @property {Map} prefixes Maps the first few characters of each word to a
+ *   set of the indexed words beginning with them, so that finding the words
+ *   that begin with a search term does not require checking every word.
+ */
+
 /**
  * Add a value to an array belonging to a Map having array values. If the given
  * key does not exist in the map, then a new array will be inserted at that
@@ -135,6 +159,32 @@ function removeFromMapArray(map, key, value) {
   return removeFromMapArrayBy(map, key, (elem) => elem === value);
 }
 
+/**
+ * Find the ranges of text that match a set of search terms. A word in the text
+ * matches a term if the word begins with the term, ignoring case.
+ * @param {string} text The text to search.
+ * @param {string[]} terms The search terms, as returned by
+ *   [getSearchTerms]{@link module:data~getSearchTerms}.
+ * @returns {Object[]} An array of objects, in order of appearance, each having
+ *   a start property holding the index of the first matching character and an
+ *   end property holding the index just past the last matching character.
+ */
+function findSearchMatches(text, terms) {
+  const matches = [];
+  if (terms.length === 0) return matches;
+
+  [...text.matchAll(WORD_PATTERN)].forEach((match) => {
+    const word = match[0].toLowerCase();
+    const length = terms.reduce((longest, term) => (
+      word.startsWith(term) ? Math.max(longest, term.length) : longest
+    ), 0);
+    if (length > 0) {
+      matches.push({ start: match.index, end: match.index + length });
+    }
+  });
+  return matches;
+}
+
 /**
  * Get the type of a JSON value: 'object', 'array', 'string', 'number',
  * 'boolean', or 'null'. Types that are not supported in JSON, such as
@@ -156,6 +206,109 @@ function getJsonType(value) {
   }
 }
 
+/**
+ * Split a string into the distinct words used for text searches. Words are
+ * converted to lowercase so that searches are not case-sensitive.
+ * @param {string} text The text to split.
+ * @returns {string[]} An array of distinct lowercase words, in order of first
+ *   appearance.
+ */
+function getSearchTerms(text) {
+  const words = (text.match(WORD_PATTERN) || []).map((word) => (
+    word.toLowerCase()
+  ));
+  return [...new Set(words)];
+}
+
+/**
+ * Create an empty search index.
+ * @returns {module:data~searchIndex} The new search index.
+ */
+function createSearchIndex() {
+  return { words: new Map(), prefixes: new Map() };
+}
+
+/**
+ * Add an item to a search index.
+ * @param {module:data~searchIndex} index The search index.
+ * @param {string} id The unique identifier of the item.
+ * @param {string[]} words The words contained in the item, as returned by
+ *   [getSearchTerms]{@link module:data~getSearchTerms}.
+ */
+function addToSearchIndex(index, id, words) {
+  words.forEach((word) => {
+    let ids = index.words.get(word);
+    if (!ids) {
+      ids = new Set();
+      index.words.set(word, ids);
+
+      const prefix = word.substring(0, SEARCH_PREFIX_LENGTH);
+      let prefixWords = index.prefixes.get(prefix);
+      if (!prefixWords) {
+        prefixWords = new Set();
+        index.prefixes.set(prefix, prefixWords);
+      }
+      prefixWords.add(word);
+    }
+    ids.add(id);
+  });
+}
+
+/**
+ * Remove an item from a search index.
+ * @param {module:data~searchIndex} index The search index.
+ * @param {string} id The unique identifier of the item.
+ * @param {string[]} words The words that the item contained when it was
+ *   added to the index.
+ */
+function removeFromSearchIndex(index, id, words) {
+  words.forEach((word) => {
+    const ids = index.words.get(word);
+    if (!ids) return;
+
+    ids.delete(id);
+    if (ids.size === 0) {
+      index.words.delete(word);
+
+      const prefix = word.substring(0, SEARCH_PREFIX_LENGTH);
+      const prefixWords = index.prefixes.get(prefix);
+      prefixWords?.delete(word);
+      if (prefixWords?.size === 0) index.prefixes.delete(prefix);
+    }
+  });
+}
+
+/**
+ * Find the items in a search index containing a word that begins with the
+ * given search term.
+ * @param {module:data~searchIndex} index The search index.
+ * @param {string} term The lowercase search term.
+ * @returns {Set} A set holding the identifiers of the matching items.
+ */
+function findInSearchIndex(index, term) {
+  const matches = new Set();
+  const addMatches = (prefixWords) => {
+    prefixWords.forEach((word) => {
+      if (word.startsWith(term)) {
+        index.words.get(word).forEach((id) => matches.add(id));
+      }
+    });
+  };
+
+  if (term.length >= SEARCH_PREFIX_LENGTH) {
+    const prefixWords = index.prefixes.get(
+      term.substring(0, SEARCH_PREFIX_LENGTH),
+    );
+    if (prefixWords) addMatches(prefixWords);
+  } else {
+    // A short term may begin words with any of several prefixes
+    index.prefixes.forEach((prefixWords, prefix) => {
+      if (prefix.startsWith(term)) addMatches(prefixWords);
+    });
+  }
+  return matches;
+}
+
 /**
  * Determine whether a string is a valid version 4 UUID.
  * @param {string} id The string to test.
@@ -384,11 +537,17 @@ function validateValue(value, options = {}) {
 
 export {
   addToMapArray,
+  addToSearchIndex,
   compareVersions,
+  createSearchIndex,
   findInMapArray,
+  findInSearchIndex,
+  findSearchMatches,
   getJsonType,
+  getSearchTerms,
   isUuidValid,
   removeFromMapArray,
   removeFromMapArrayBy,
+  removeFromSearchIndex,
   validateValue,
 };
@@ -252,6 +252,22 @@ function formatDate(date, format) {
   return dfFormat(date, format ?? getDateFormat());
 }
 
+/**
+ * Format a duration into a short string representation, such as '1h 30m'.
+ * @param {number} minutes The length of the duration in minutes. Fractional
+ *   minutes are rounded to the nearest minute.
+ * @returns {string} The formatted duration string.
+ */
+function formatDuration(minutes) {
+  const total = Math.round(minutes);
+  const hours = Math.floor(total / 60);
+  const remainder = total % 60;
+
+  if (hours === 0) return `${remainder}m`;
+  if (remainder === 0) return `${hours}h`;
+  return `${hours}h ${remainder}m`;
+}
+
 /**
  * Format a date into a string representation in ISO 8601 format. The returned
  * date string will not include a time component. To include the time and time
@@ -303,6 +319,32 @@ function parseDate(dateString, format) {
   return null;
 }
 
+/**
+ * Parse a duration from a string. The string can hold a plain number of
+ * minutes ('90'), hours and minutes separated by a colon ('1:30'), or hours
+ * and minutes with unit suffixes ('1h 30m', '1.5 hours', '45 min').
+ * @param {string} durationString The string to parse.
+ * @returns {?number} The length of the duration in minutes, rounded to the
+ *   nearest minute, or null if the string could not be parsed.
+ */
+function parseDuration(durationString) {
+  const value = durationString.trim().toLowerCase();
+
+  if (/^\d+$/.test(value)) return Number(value);
+
+  let match = value.match(/^(\d+):([0-5]\d)$/);
+  if (match) return Number(match[1]) * 60 + Number(match[2]);
+
+  match = value.match(
+    /^(?:(\d+(?:\.\d+)?)\s*h(?:ours?|rs?)?)?\s*(?:(\d+)\s*m(?:in(?:ute)?s?)?)?$/,
+  );
+  if (match && (match[1] || match[2])) {
+    return Math.round(Number(match[1] ?? 0) * 60 + Number(match[2] ?? 0));
+  }
+
+  return null;
+}
+
 /**
  * Parse a date from an ISO 8601 string representation.
  * @param {string} dateString The string to parse.
@@ -389,6 +431,7 @@ function getDaysInMonth(monthIndex) {
 
 export {
   formatDate,
+  formatDuration,
   formatIsoDate,
   formatIsoDateTime,
   getDateFormat,
@@ -399,5 +442,6 @@ export {
   getWeekdayName,
   isDateValid,
   parseDate,
+  parseDuration,
   parseIsoDateTime,
 };
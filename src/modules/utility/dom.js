@@ -243,12 +243,25 @@ function createFormControl(options = {}) {
  * @property {Function} [button.callback] A callback function to be invoked
  *   when the button is clicked or activated. The function will be passed a
  *   reference to the text input element as an argument.
+ * @property {Object} [time] An object containing information about an
+ *   optional text input element for entering a time of day. If not given,
+ *   then no time input is created.
+ * @property {string} [time.id] The identifier for the time input element.
+ * @property {string} [time.name] The name of the time input element.
+ * @property {string} [time.title] The title of the time input element,
+ *   usually displayed by the browser as a tooltip.
+ * @property {string} [time.value] The initial value of the time input element.
+ * @property {string} [time.placeholder] A hint string used as a placeholder
+ *   for the time input element.
+ * @property {string[]} [time.classList=[]] An array of class names to apply to
+ *   the time input element.
  */
 
 /**
  * Create an input field for entering dates. This will create a text input
  * control together with a button that can invoke a callback allowing for the
- * caller to open a date picker.
+ * caller to open a date picker. Optionally, a second text input for entering
+ * a time of day can be placed beside the date input.
  * @param {module:dom~dateInputOptions} [options={}] An object specifying
  *   options for the input field.
  * @returns {HTMLElement} The container holding the input elements and label.
@@ -285,6 +298,18 @@ function createDateInputField(options = {}) {
     maxLength: options.maxLength ?? null,
   }));
 
+  if (options.time) {
+    container.appendChild(createFormControl({
+      type: 'text',
+      id: options.time.id ?? null,
+      name: options.time.name ?? null,
+      title: options.time.title ?? null,
+      value: options.time.value ?? null,
+      placeholder: options.time.placeholder ?? null,
+      classList: options.time.classList || null,
+    }));
+  }
+
   const button = document.createElement('button');
   if (options.button?.id) button.id = options.button.id;
   if (options.button?.name) button.name = options.button.name;
@@ -0,0 +1,258 @@
+/**
+ * Defines functions for storing data in the browser's IndexedDB database.
+ * These mirror the local storage functions in the
+ * [storage]{@link module:storage} module, except that they operate
+ * asynchronously and return promises. Each prefix is given its own database,
+ * so keys are stored without the prefix.
+ * @module indexedDb
+ */
+
+/**
+ * The name of the database to use when no prefix is given.
+ * @type {string}
+ */
+const DEFAULT_DATABASE = 'data';
+
+/**
+ * The name of the object store holding the data items.
+ * @type {string}
+ */
+const STORE_NAME = 'items';
+
+/**
+ * The version of the database schema.
+ * @type {number}
+ */
+const DATABASE_VERSION = 1;
+
+/**
+ * Maps each database name to a promise for the open database connection. The
+ * promise resolves to null if the database could not be opened.
+ * @type {Map}
+ */
+const connections = new Map();
+
+/**
+ * Open the database for the given prefix. The connection is only opened once:
+ * subsequent calls will return the same promise.
+ * @param {?string} prefix The prefix identifying the database.
+ * @returns {Promise} A promise that resolves to the IDBDatabase instance, or
+ *   to null if IndexedDB is unsupported or disabled.
+ */
+function openDatabase(prefix) {
+  const name = prefix || DEFAULT_DATABASE;
+  if (connections.has(name)) return connections.get(name);
+
+  const connection = new Promise((resolve) => {
+    let request;
+    try {
+      request = window.indexedDB.open(name, DATABASE_VERSION);
+    } catch {
+      resolve(null);
+      return;
+    }
+
+    request.addEventListener('upgradeneeded', () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.createObjectStore(STORE_NAME);
+      }
+    });
+    request.addEventListener('success', () => resolve(request.result));
+    request.addEventListener('error', (e) => {
+      // Keep the error from being reported as uncaught
+      e.preventDefault();
+      resolve(null);
+    });
+    request.addEventListener('blocked', () => resolve(null));
+  });
+  connections.set(name, connection);
+  return connection;
+}
+
+/**
+ * Run an operation in a transaction on the data store.
+ * @param {?string} prefix The prefix identifying the database.
+ * @param {string} mode The transaction mode: 'readonly' or 'readwrite'.
+ * @param {Function} operation A function that performs the operation. It will
+ *   be passed the IDBObjectStore and should return the IDBRequest whose
+ *   result is wanted, if any.
+ * @returns {Promise} A promise that resolves to an object once the transaction
+ *   completes. The object's success property indicates whether the
+ *   transaction succeeded, and its result property holds the result of the
+ *   request returned by the operation, if any.
+ */
+function runTransaction(prefix, mode, operation) {
+  return openDatabase(prefix).then((db) => new Promise((resolve) => {
+    if (!db) {
+      resolve({ success: false, result: null });
+      return;
+    }
+
+    let request;
+    try {
+      const transaction = db.transaction(STORE_NAME, mode);
+      request = operation(transaction.objectStore(STORE_NAME));
+      transaction.addEventListener('complete', () => {
+        resolve({ success: true, result: request?.result ?? null });
+      });
+      transaction.addEventListener('error', (e) => {
+        e.preventDefault();
+        resolve({ success: false, result: null });
+      });
+      transaction.addEventListener('abort', () => {
+        resolve({ success: false, result: null });
+      });
+    } catch {
+      resolve({ success: false, result: null });
+    }
+  }));
+}
+
+/**
+ * Determine whether or not IndexedDB is supported and enabled in the browser,
+ * by attempting to open the database for the given prefix.
+ * @param {?string} prefix The prefix identifying the database.
+ * @returns {Promise} A promise that resolves to true if the database can be
+ *   used, and false otherwise.
+ */
+function isIndexedDbSupported(prefix) {
+  if (typeof window === 'undefined' || !window.indexedDB) {
+    return Promise.resolve(false);
+  }
+  return openDatabase(prefix).then((db) => db !== null);
+}
+
+/**
+ * Store data in the database. This function will associate the given key with
+ * the given value. The value is first converted to JSON format before being
+ * stored.
+ * @param {?string} prefix The prefix identifying the database.
+ * @param {string} key The key to create or update.
+ * @param {*} value The value to be associated with the key.
+ * @returns {Promise} A promise that resolves to true if the data was
+ *   successfully stored, and false otherwise.
+ */
+function storeData(prefix, key, value) {
+  return runTransaction(prefix, 'readwrite', (store) => {
+    store.put(JSON.stringify(value), key);
+  }).then(({ success }) => success);
+}
+
+/**
+ * Store several data items in the database using a single transaction. Either
+ * all of the items are stored or none of them are.
+ * @param {?string} prefix The prefix identifying the database.
+ * @param {Array[]} items An array of key-value pairs to be stored. Each value
+ *   is converted to JSON format before being stored.
+ * @returns {Promise} A promise that resolves to true if the data was
+ *   successfully stored, and false otherwise.
+ */
+function storeDataItems(prefix, items) {
+  return runTransaction(prefix, 'readwrite', (store) => {
+    items.forEach(([key, value]) => store.put(JSON.stringify(value), key));
+  }).then(({ success }) => success);
+}
+
+/**
+ * Retrieve data from the database. The data is converted from JSON format and
+ * the resulting value or object is used as the result.
+ * @param {?string} prefix The prefix identifying the database.
+ * @param {string} key The key whose value is to be retrieved.
+ * @returns {Promise} A promise that resolves to the data associated with the
+ *   key, or to null if the key was not found or the database is unavailable.
+ */
+function retrieveData(prefix, key) {
+  return runTransaction(prefix, 'readonly', (store) => store.get(key))
+    .then(({ result }) => {
+      try {
+        return JSON.parse(result);
+      } catch {
+        return null;
+      }
+    });
+}
+
+/**
+ * Remove data from the database. If it exists, the given key and its
+ * associated data will be removed.
+ * @param {?string} prefix The prefix identifying the database.
+ * @param {string} key The key to be removed.
+ * @returns {Promise} A promise that resolves to true if the key was removed or
+ *   did not exist, and to false if the database is unavailable.
+ */
+function removeData(prefix, key) {
+  return runTransaction(prefix, 'readwrite', (store) => {
+    store.delete(key);
+  }).then(({ success }) => success);
+}
+
+/**
+ * Execute the provided function on each item in the database. All of the items
+ * are read in a single transaction before the callback function is invoked.
+ * @param {?string} prefix The prefix identifying the database.
+ * @param {Function} callback A callback function that will be called for each
+ *   storage item. The function will be passed the key (by default without the
+ *   prefix), the value (unless using the noValue option), and the index.
+ * @param {Object} [options={}] An object holding additional options for the
+ *   callback function.
+ * @param {boolean} [options.includePrefix] If set to true, then the callback
+ *   function will receive the full key, with the prefix included.
+ * @param {boolean} [options.noValue] If set to true, then only the key and
+ *   index for the data item will be passed to the callback function.
+ * @returns {Promise} A promise that resolves once the callback function has
+ *   been called for every item.
+ */
+function forEachDataItem(prefix, callback, options = {}) {
+  const items = [];
+  return runTransaction(prefix, 'readonly', (store) => {
+    const request = store.openCursor();
+    request.addEventListener('success', () => {
+      const cursor = request.result;
+      if (cursor) {
+        items.push([cursor.key, options.noValue ? null : cursor.value]);
+        cursor.continue();
+      }
+    });
+  }).then(() => {
+    items.forEach(([key, data], index) => {
+      const fullKey = (prefix && options.includePrefix)
+        ? `${prefix}.${key}` : key;
+      if (options.noValue) {
+        callback(fullKey, index);
+        return;
+      }
+
+      let value = null;
+      try {
+        value = JSON.parse(data);
+      } catch {
+        // Treat unreadable items as empty
+      }
+      callback(fullKey, value, index);
+    });
+  });
+}
+
+/**
+ * Clear all data from the database. If IndexedDB is unsupported or disabled,
+ * nothing happens.
+ * @param {?string} prefix The prefix identifying the database.
+ * @returns {Promise} A promise that resolves to true if the data was cleared,
+ *   and false otherwise.
+ */
+function clearData(prefix) {
+  return runTransaction(prefix, 'readwrite', (store) => {
+    store.clear();
+  }).then(({ success }) => success);
+}
+
+export {
+  clearData,
+  forEachDataItem,
+  isIndexedDbSupported,
+  removeData,
+  retrieveData,
+  storeData,
+  storeDataItems,
+};
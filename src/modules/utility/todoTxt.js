@@ -0,0 +1,151 @@
+/**
+ * Defines functions for reading and writing data in the
+ * [todo.txt]{@link https://github.com/todotxt/todo.txt} format.
+ * @module todoTxt
+ */
+
+/**
+ * The keys of the key:value pairs that are extracted from the text of a task.
+ * These are widely supported extensions to the format, for the due date
+ * (due), the threshold or start date (t), the recurrence (rec), and the
+ * priority of a completed task (pri). Pairs with other keys are left in the
+ * text.
+ * @type {string[]}
+ */
+const KNOWN_KEYS = ['due', 't', 'rec', 'pri'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * A single task in todo.txt format.
+ * @typedef {Object} module:todoTxt~entry
+ * @property {boolean} completed Whether the task is marked as completed.
+ * @property {?string} priority The priority of the task as an upper case
+ *   letter, or null if the task does not have a priority.
+ * @property {?string} completionDate The completion date in yyyy-MM-dd
+ *   format, or null if there is none.
+ * @property {?string} creationDate The creation date in yyyy-MM-dd format, or
+ *   null if there is none.
+ * @property {string} name The text of the task with any projects, contexts,
+ *   and known key:value pairs removed.
+ * @property {string[]} projects The names of the projects (+Project) in the
+ *   text, without the leading '+'.
+ * @property {string[]} contexts The names of the contexts (@context) in the
+ *   text, without the leading '@'.
+ * @property {Object} keyValues An object mapping the known keys found in the
+ *   text to their values.
+ */
+
+/**
+ * Convert a name into a single word for use as a project or context, since
+ * these cannot contain spaces.
+ * @param {string} name The name to convert.
+ * @returns {string} The name with each run of whitespace replaced by an
+ *   underscore.
+ */
+function toTodoTxtWord(name) {
+  return name.trim().replace(/\s+/g, '_');
+}
+
+/**
+ * Parse a single line of todo.txt data.
+ * @param {string} line The line to parse.
+ * @returns {module:todoTxt~entry} The task described by the line.
+ */
+function parseTodoTxtLine(line) {
+  const entry = {
+    completed: false,
+    priority: null,
+    completionDate: null,
+    creationDate: null,
+    name: '',
+    projects: [],
+    contexts: [],
+    keyValues: {},
+  };
+
+  const words = line.trim().split(/\s+/);
+  if (words[0] === 'x') {
+    entry.completed = true;
+    words.shift();
+  }
+  const priorityMatch = words[0]?.match(/^\(([A-Z])\)$/);
+  if (priorityMatch) {
+    [, entry.priority] = priorityMatch;
+    words.shift();
+  }
+  if (DATE_PATTERN.test(words[0])) {
+    // A completed task has its completion date before its creation date
+    if (entry.completed) {
+      entry.completionDate = words.shift();
+      if (DATE_PATTERN.test(words[0])) entry.creationDate = words.shift();
+    } else {
+      entry.creationDate = words.shift();
+    }
+  }
+
+  const nameWords = [];
+  words.forEach((word) => {
+    const [, key, value] = word.match(/^([A-Za-z]+):([^\s:]+)$/) || [];
+    if (/^\+\S/.test(word)) {
+      entry.projects.push(word.substring(1));
+    } else if (/^@\S/.test(word)) {
+      entry.contexts.push(word.substring(1));
+    } else if (key && KNOWN_KEYS.includes(key.toLowerCase())) {
+      entry.keyValues[key.toLowerCase()] = value;
+    } else {
+      nameWords.push(word);
+    }
+  });
+  entry.name = nameWords.join(' ');
+
+  return entry;
+}
+
+/**
+ * Convert data in todo.txt format into an array of tasks. Each non-empty line
+ * describes a single task.
+ * @param {string} data The data in todo.txt format.
+ * @returns {module:todoTxt~entry[]} The tasks in the data, in order of
+ *   appearance.
+ */
+function parseTodoTxt(data) {
+  return data.split(/\r\n|\n|\r/)
+    .filter((line) => line.trim().length > 0)
+    .map(parseTodoTxtLine);
+}
+
+/**
+ * Create a line of todo.txt data describing a single task. Whitespace in
+ * project and context names is replaced by underscores.
+ * @param {module:todoTxt~entry} entry The task to describe.
+ * @returns {string} The line of data, not terminated by a newline.
+ */
+function createTodoTxtLine(entry) {
+  const words = [];
+  if (entry.completed) words.push('x');
+  if (entry.priority) words.push(`(${entry.priority})`);
+  if (entry.completed && entry.completionDate) {
+    words.push(entry.completionDate);
+  }
+  if (entry.creationDate) words.push(entry.creationDate);
+
+  const name = entry.name.trim().replace(/\s+/g, ' ');
+  if (name.length > 0) words.push(name);
+  entry.projects.forEach((project) => {
+    words.push(`+${toTodoTxtWord(project)}`);
+  });
+  entry.contexts.forEach((context) => {
+    words.push(`@${toTodoTxtWord(context)}`);
+  });
+  Object.entries(entry.keyValues).forEach(([key, value]) => {
+    words.push(`${key}:${value}`);
+  });
+
+  return words.join(' ');
+}
+
+export {
+  createTodoTxtLine,
+  parseTodoTxt,
+};
@@ -0,0 +1,49 @@
+/* eslint-env serviceworker */
+/* eslint-disable no-restricted-globals --
+ * In a service worker, 'self' is the worker's global scope.
+ */
+
+/**
+ * Service worker that handles clicks on reminder notifications. The chosen
+ * action is forwarded to an open app window, or the app is opened if no
+ * window exists.
+ * @module reminderWorker
+ */
+
+/**
+ * Forward a notification action to the app.
+ * @param {Notification} notification The notification that was clicked.
+ * @param {string} action The action chosen by the user, or the empty string if
+ *   the body of the notification was clicked.
+ * @returns {Promise} A promise that resolves once the action is delivered.
+ */
+async function forwardAction(notification, action) {
+  const taskId = notification.data?.taskId;
+  const message = {
+    type: 'reminder-action',
+    action: action || 'open',
+    taskId,
+  };
+
+  const windows = await self.clients.matchAll({
+    type: 'window',
+    includeUncontrolled: true,
+  });
+  if (windows.length > 0) {
+    windows[0].postMessage(message);
+    if (!action) await windows[0].focus();
+    return;
+  }
+
+  if (taskId) {
+    const url = new URL(self.registration.scope);
+    url.searchParams.set('reminder-action', message.action);
+    url.searchParams.set('task', taskId);
+    await self.clients.openWindow(url.href);
+  }
+}
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(forwardAction(event.notification, event.action));
+});